@@ -225,7 +225,8 @@ class BCRAApp {
       results.fiveYear.averageRisk,
       '5-year',
       age,
-      raceLabel
+      raceLabel,
+      results.classification
     );
 
     // Lifetime risk description
@@ -235,7 +236,8 @@ class BCRAApp {
       results.lifetime.averageRisk,
       'lifetime',
       age,
-      raceLabel
+      raceLabel,
+      results.classification
     );
   }
 
@@ -318,12 +320,15 @@ class BCRAApp {
       const age = parseInt(this.currentFormData.age, 10);
       const raceLabel = getRaceLabel(this.currentFormData.race, this.currentFormData.subRace);
 
-      // Prepare results object
+      // Prepare results object; the provenance records the library version,
+      // model, parameter tables and input behind the results
+      const { provenance } = this.currentResults;
       const resultsData = {
         metadata: {
           timestamp: new Date().toISOString(),
-          toolVersion: '1.0.0',
-          calculationDate: new Date().toLocaleDateString('en-US')
+          toolVersion: provenance ? provenance.library.version : null,
+          calculationDate: new Date().toLocaleDateString('en-US'),
+          provenance: provenance || null
         },
         patientInfo: {
           age: age,
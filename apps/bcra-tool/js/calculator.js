@@ -23,6 +23,7 @@ export class RiskCalculator {
     }
 
     this.calculateRisk = window.BCRA.calculateRisk;
+    this.classifyRisk = window.BCRA.classifyRisk;
   }
 
   /**
@@ -132,18 +133,50 @@ export class RiskCalculator {
 
   /**
    * Calculates both 5-year and lifetime risks
+   * Both horizons come from a single BCRA call, so validation, recoding and
+   * relative risk are computed once
    * @param {Object} formData - Form data from user input
    * @returns {Object} Combined results for both risk periods
    */
   calculateBothRisks(formData) {
-    const fiveYearResult = this.calculate5YearRisk(formData);
-    const lifetimeResult = this.calculateLifetimeRisk(formData);
+    try {
+      const bcraData = this.convertFormDataToBCRA(formData);
 
-    return {
-      fiveYear: fiveYearResult,
-      lifetime: lifetimeResult,
-      success: fiveYearResult.success && lifetimeResult.success
-    };
+      const result = this.calculateRisk(bcraData, {
+        calculateAverage: true,
+        horizons: [5, { endAge: 90, label: 'lifetime' }]
+      });
+
+      const toPeriodResult = (horizon) => ({
+        success: result.success,
+        patientRisk: horizon ? horizon.absoluteRisk : null,
+        averageRisk: horizon ? horizon.averageRisk : null,
+        relativeRiskUnder50: result.relativeRiskUnder50,
+        relativeRiskAtOrAbove50: result.relativeRiskAtOrAbove50,
+        validation: result.validation,
+        error: result.error,
+        projectionInterval: horizon ? horizon.projectionInterval : null
+      });
+
+      const [fiveYearHorizon, lifetimeHorizon] = result.horizons || [];
+
+      return {
+        fiveYear: toPeriodResult(fiveYearHorizon),
+        lifetime: toPeriodResult(lifetimeHorizon),
+        classification: result.success ? this.classifyRisk(result) : null,
+        provenance: result.provenance,
+        success: result.success
+      };
+    } catch (error) {
+      const failed = {
+        success: false,
+        error: {
+          message: error.message,
+          stack: error.stack
+        }
+      };
+      return { fiveYear: failed, lifetime: failed, classification: null, success: false };
+    }
   }
 
   /**
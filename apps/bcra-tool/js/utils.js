@@ -395,9 +395,10 @@ export function getRiskRatioText(ratio) {
  * @param {string} period - Risk period ('5-year' or 'lifetime')
  * @param {number} age - Patient's age
  * @param {string} raceLabel - Race/ethnicity label
+ * @param {Object} classification - Guideline classification from BCRA classifyRisk
  * @returns {string} HTML string with risk description
  */
-export function generateRiskDescription(patientRisk, averageRisk, period = '5-year', age = null, raceLabel = null) {
+export function generateRiskDescription(patientRisk, averageRisk, period = '5-year', age = null, raceLabel = null, classification = null) {
   const comparison = compareRisks(patientRisk, averageRisk);
   const periodText = period === '5-year' ? 'over the next 5 years' : 'over her lifetime (to age 90)';
   const ratio = averageRisk > 0 ? patientRisk / averageRisk : 1;
@@ -431,5 +432,47 @@ export function generateRiskDescription(patientRisk, averageRisk, period = '5-ye
     </div>`;
   }
 
+  description += generateGuidelineDescription(classification, period);
+
   return description;
 }
+
+/**
+ * Generates guideline threshold text for one risk period
+ * Thresholds and rationale come from the BCRA classification so the tool
+ * does not keep its own copy of the guideline cut-offs
+ * @param {Object} classification - Guideline classification from BCRA classifyRisk
+ * @param {string} period - Risk period ('5-year' or 'lifetime')
+ * @returns {string} HTML string with guideline rationale, or an empty string
+ */
+export function generateGuidelineDescription(classification, period = '5-year') {
+  if (!classification || !classification.success) {
+    return '';
+  }
+
+  const metric = period === '5-year' ? 'fiveYearRisk' : 'lifetimeRisk';
+  const items = classification.assignments
+    .filter((assignment) => assignment.metric === metric && assignment.met !== null)
+    .map((assignment) => {
+      const caveat = assignment.caveat ? ` <em>Note: ${assignment.caveat}.</em>` : '';
+      return `<li>${assignment.rationale}.${caveat}</li>`;
+    });
+
+  const { category } = classification;
+  if (category && category.metric === metric && category.id !== null) {
+    items.unshift(`<li>${category.rationale}.</li>`);
+  }
+
+  if (items.length === 0) {
+    return '';
+  }
+
+  return `
+
+    <div class="interpretable-description guideline-description">
+      <h4>Guideline thresholds</h4>
+      <ul>
+        ${items.join('\n        ')}
+      </ul>
+    </div>`;
+}
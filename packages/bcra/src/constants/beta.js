@@ -175,3 +175,34 @@ export const BETA_COEFFICIENT_NAMES = [
   'A50*NB', // Age>=50 × Biopsies interaction
   'AF*NR', // Age first birth × Relatives interaction
 ];
+
+/**
+ * Variance-covariance matrices of the beta coefficients by race code (1-11)
+ *
+ * Each entry is a 6×6 matrix in BETA_COEFFICIENT_NAMES order, used to attach
+ * confidence intervals to absolute risk (see calculateRisk's
+ * `confidenceInterval` option). Coefficients that are not part of a
+ * race-specific model have zero variance.
+ *
+ * The BCRA R package distributes point estimates only (BrCa_beta.rda) and no
+ * published matrix is available to bundle, so every entry is null. Intervals
+ * for the NCI BCRAT need the matrix for the population of interest through
+ * `options.confidenceInterval.covariance`; a custom model can give its own
+ * populations a `betaCovariance`.
+ *
+ * @type {Object.<number, number[][]|null>}
+ * @constant
+ */
+export const BETA_COVARIANCE_BY_RACE = {
+  1: null, // Non-Hispanic White
+  2: null, // African-American
+  3: null, // Hispanic (US Born)
+  4: null, // Native American/Other
+  5: null, // Hispanic (Foreign Born)
+  6: null, // Chinese-American
+  7: null, // Japanese-American
+  8: null, // Filipino-American
+  9: null, // Hawaiian
+  10: null, // Other Pacific Islander
+  11: null, // Other Asian
+};
@@ -0,0 +1,119 @@
+/**
+ * Clinical risk threshold sets
+ *
+ * Named, versioned sets of guideline thresholds used by classifyRisk() to turn
+ * absolute risk estimates into clinical categories. A set has:
+ * - rules: independent yes/no thresholds (e.g. 5-year risk ≥ 1.67%)
+ * - bands: mutually exclusive categories over one metric
+ *
+ * Metrics are absolute risks in percent: `fiveYearRisk` (initialAge to
+ * initialAge + 5) and `lifetimeRisk` (initialAge to 90).
+ *
+ * Sets are frozen. To change a threshold, add a new version rather than
+ * editing an existing one, so stored classifications remain reproducible.
+ *
+ * Copyright (C) 2025 epiVerse (JavaScript Implementation)
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ *
+ * @module constants/clinical-thresholds
+ * @license GPL-3.0-or-later
+ */
+
+/**
+ * US guideline thresholds, version 1.0.0
+ *
+ * - Risk-reducing medication: 5-year risk ≥ 1.67% was the NSABP P-1
+ *   eligibility criterion and is the threshold used by ASCO guidance for
+ *   discussing endocrine risk reduction. USPSTF (2019) notes that women with
+ *   5-year risk ≥ 3% are more likely to benefit.
+ * - Supplemental MRI: ACS (2007) recommends annual MRI for lifetime risk
+ *   ≥ 20%, estimated with models that rely largely on family history.
+ * - Bands: lifetime risk < 15% average, 15% to < 20% moderately elevated,
+ *   ≥ 20% high.
+ *
+ * @type {import('../types/index.js').ClinicalThresholdSet}
+ * @constant
+ */
+export const US_GUIDELINES_V1 = Object.freeze({
+  id: 'us-guidelines',
+  version: '1.0.0',
+  name: 'US guideline thresholds',
+  rules: Object.freeze([
+    Object.freeze({
+      id: 'chemoprevention-discussion',
+      label: 'Discuss risk-reducing medication',
+      metric: 'fiveYearRisk',
+      threshold: 1.67,
+      source: 'NSABP P-1 eligibility; ASCO guidance',
+      caveat: null,
+    }),
+    Object.freeze({
+      id: 'chemoprevention-greater-benefit',
+      label: 'More likely to benefit from risk-reducing medication',
+      metric: 'fiveYearRisk',
+      threshold: 3,
+      source: 'USPSTF 2019',
+      caveat: null,
+    }),
+    Object.freeze({
+      id: 'supplemental-mri',
+      label: 'Consider annual supplemental MRI screening',
+      metric: 'lifetimeRisk',
+      threshold: 20,
+      source: 'ACS 2007',
+      caveat:
+        'ACS bases MRI eligibility on models that rely largely on family history; the Gail model is not recommended for this purpose',
+    }),
+  ]),
+  bands: Object.freeze({
+    metric: 'lifetimeRisk',
+    source: 'Common US lifetime risk bands',
+    categories: Object.freeze([
+      Object.freeze({ id: 'average', label: 'Average', min: 0 }),
+      Object.freeze({
+        id: 'moderately-elevated',
+        label: 'Moderately elevated',
+        min: 15,
+      }),
+      Object.freeze({ id: 'high', label: 'High', min: 20 }),
+    ]),
+  }),
+});
+
+/**
+ * Built-in threshold sets, keyed by "id@version"
+ *
+ * @type {Object.<string, import('../types/index.js').ClinicalThresholdSet>}
+ * @constant
+ */
+export const CLINICAL_THRESHOLD_SETS = Object.freeze({
+  'us-guidelines@1.0.0': US_GUIDELINES_V1,
+});
+
+/**
+ * Threshold set used when classifyRisk() is not given one
+ * @constant
+ */
+export const DEFAULT_CLINICAL_THRESHOLD_SET = 'us-guidelines@1.0.0';
+
+/**
+ * Human-readable metric names used in rationale strings
+ * @type {Object.<string, string>}
+ * @constant
+ */
+export const CLINICAL_METRIC_LABELS = Object.freeze({
+  fiveYearRisk: '5-year risk',
+  lifetimeRisk: 'Lifetime risk (to age 90)',
+});
@@ -11,6 +11,8 @@
  * - Lambda2 (competing mortality rates by age and race)
  * - 1-AR (attributable risk values by race and age threshold)
  * - Age-related constants (groups, thresholds, ranges)
+ * - Clinical threshold sets used for risk classification
+ * - The NCI BCRAT model definition used by the model registry
  *
  * @module constants
  */
@@ -27,6 +29,12 @@ export * from './lambda2.js';
 // Export all 1-AR (attributable risk) values and helper function
 export * from './attributable-risk.js';
 
+// Export named, versioned clinical threshold sets
+export * from './clinical-thresholds.js';
+
+// Export the NCI BCRAT model definition and standard recoding rules
+export * from './nci-bcrat.js';
+
 /**
  * Age group boundaries (in years)
  * 14 groups: [20,25), [25,30), [30,35), ..., [85,90)
@@ -59,6 +67,20 @@ export const MIN_AGE = 20;
  */
 export const MAX_AGE = 90;
 
+/**
+ * Youngest current age accepted by the NCI BCRAT online tool (years).
+ * Younger ages are calculated but get a data-quality warning.
+ * @constant
+ */
+export const VALIDATED_MIN_AGE = 35;
+
+/**
+ * Oldest current age accepted by the NCI BCRAT online tool (years).
+ * Older ages are calculated but get a data-quality warning.
+ * @constant
+ */
+export const VALIDATED_MAX_AGE = 85;
+
 /**
  * Age threshold for relative risk calculation
  * Used to select between RR_Star1 (<50) and RR_Star2 (>=50)
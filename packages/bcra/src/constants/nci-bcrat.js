@@ -0,0 +1,173 @@
+/**
+ * NCI Breast Cancer Risk Assessment Tool (BCRAT) model definition
+ *
+ * Bundles the race-specific beta coefficients, incidence (λ₁) and competing
+ * mortality (λ₂) rates, 1-AR values, recoding rules and labels into a single
+ * model definition for the model registry (see core/model-registry). It is
+ * the default model used by calculateRisk().
+ *
+ * Recoding rules turn raw risk factor values into model categories with
+ * cutpoints:
+ * - biopsies, relatives: category = number of cutpoints ≤ count
+ * - menarche: category = number of cutpoints > age at menarche
+ * - firstBirth: category = number of cutpoints ≤ age at first birth, with
+ *   nulliparous women placed in `nulliparousCategory`
+ *
+ * Unknown values (99) always recode to category 0. Fewer cutpoints pool the
+ * upper categories, and an empty list leaves the factor out of the model.
+ *
+ * This is part of a derivative work based on the BCRA R package
+ * originally developed by Fanni Zhang and licensed under GPL-2 or later.
+ *
+ * Copyright (C) 2020 Fanni Zhang (Original BCRA R Package)
+ * Copyright (C) 2025 epiVerse (JavaScript Implementation)
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ *
+ * @module constants/nci-bcrat
+ * @license GPL-3.0-or-later
+ */
+
+import { BETA_BY_RACE, BETA_COVARIANCE_BY_RACE } from './beta.js';
+import { LAMBDA1_BY_RACE, WHITE_AVG_LAMBDA1 } from './lambda1.js';
+import { LAMBDA2_BY_RACE, WHITE_AVG_LAMBDA2 } from './lambda2.js';
+import { ATTRIBUTABLE_RISK_BY_RACE } from './attributable-risk.js';
+import { RaceLabels } from '../types/index.js';
+
+/**
+ * Standard Gail recoding rules (Non-Hispanic White women)
+ *
+ * - biopsies: 0 → 0, 1 → 1, 2+ → 2
+ * - menarche: 14+ → 0, 12-13 → 1, <12 → 2
+ * - firstBirth: <20 → 0, 20-24 → 1, 25-29 or nulliparous → 2, 30+ → 3
+ * - relatives: 0 → 0, 1 → 1, 2+ → 2
+ * - hyperplasiaMultipliers: relative risk multiplier for women with biopsies
+ *
+ * @type {import('../types/index.js').RecodingRules}
+ * @constant
+ */
+export const STANDARD_RECODING_RULES = {
+  biopsies: { cutpoints: [1, 2] },
+  menarche: { cutpoints: [14, 12] },
+  firstBirth: { cutpoints: [20, 25, 30], nulliparousCategory: 2 },
+  relatives: { cutpoints: [1, 2] },
+  hyperplasiaMultipliers: { no: 0.93, yes: 1.82, unknown: 1.0 },
+};
+
+/**
+ * Builds one NCI BCRAT population from the race-keyed constant tables
+ *
+ * @param {number} race - Race code (1-11), also selecting the RaceLabels label
+ * @param {Object} [recoding] - Recoding rules that differ from the standard ones
+ * @param {boolean} [whiteAverageRates=false] - Use the average White rates for average risk
+ * @returns {import('../types/index.js').ModelPopulation}
+ *
+ * @private
+ */
+function population(race, recoding = {}, whiteAverageRates = false) {
+  return {
+    label: RaceLabels[race],
+    beta: BETA_BY_RACE[race],
+    betaCovariance: BETA_COVARIANCE_BY_RACE[race],
+    lambda1: LAMBDA1_BY_RACE[race],
+    lambda2: LAMBDA2_BY_RACE[race],
+    oneMinusAR: ATTRIBUTABLE_RISK_BY_RACE[race],
+    averageLambda1: whiteAverageRates ? WHITE_AVG_LAMBDA1 : null,
+    averageLambda2: whiteAverageRates ? WHITE_AVG_LAMBDA2 : null,
+    recoding,
+  };
+}
+
+// Race-specific recoding used by more than one population
+const HISPANIC_BIOPSIES = { cutpoints: [1] }; // 2+ grouped with 1
+const HISPANIC_FIRST_BIRTH = { cutpoints: [20, 30], nulliparousCategory: 2 };
+const POOLED_RELATIVES = { cutpoints: [1] }; // 2+ grouped with 1
+
+/**
+ * NCI BCRAT model, keyed by the race codes of RaceCode (1-11)
+ *
+ * Race-specific recoding:
+ * - African-American: menarche <12 grouped with 12-13; age at first birth
+ *   not in the model
+ * - Hispanic (US Born): biopsies and relatives 2+ grouped with 1; age at
+ *   menarche not in the model; first birth <20, 20-29, 30+ or nulliparous
+ * - Hispanic (Foreign Born): as US Born, but age at menarche is in the model
+ * - Asian-American (6-11): relatives 2+ grouped with 1
+ *
+ * Average risk uses the average White rates (SEER 1992-96) for White and
+ * Native American/Other women, and the race-specific rates otherwise.
+ *
+ * @type {import('../types/index.js').ModelDefinition}
+ * @constant
+ */
+export const NCI_BCRAT_MODEL = {
+  id: 'nci-bcrat',
+  name: 'NCI Breast Cancer Risk Assessment Tool (Gail model)',
+  recoding: STANDARD_RECODING_RULES,
+  populations: {
+    1: population(1, {}, true),
+    2: population(2, {
+      menarche: { cutpoints: [14] },
+      firstBirth: { cutpoints: [], nulliparousCategory: 0 },
+    }),
+    3: population(3, {
+      biopsies: HISPANIC_BIOPSIES,
+      menarche: { cutpoints: [] },
+      firstBirth: HISPANIC_FIRST_BIRTH,
+      relatives: POOLED_RELATIVES,
+    }),
+    4: population(4, {}, true),
+    5: population(5, {
+      biopsies: HISPANIC_BIOPSIES,
+      firstBirth: HISPANIC_FIRST_BIRTH,
+      relatives: POOLED_RELATIVES,
+    }),
+    6: population(6, { relatives: POOLED_RELATIVES }),
+    7: population(7, { relatives: POOLED_RELATIVES }),
+    8: population(8, { relatives: POOLED_RELATIVES }),
+    9: population(9, { relatives: POOLED_RELATIVES }),
+    10: population(10, { relatives: POOLED_RELATIVES }),
+    11: population(11, { relatives: POOLED_RELATIVES }),
+  },
+};
+
+/**
+ * Version of the NCI BCRAT that NCI_BCRAT_MODEL stands for
+ * @constant
+ */
+export const DEFAULT_NCI_BCRAT_VERSION = 'current';
+
+/**
+ * Named versions of the NCI BCRAT, recorded in each result's `modelVersion`
+ *
+ * - current: the bundled model (NCI_BCRAT_MODEL)
+ *
+ * Only the current version is bundled, so no version can be selected.
+ * Earlier releases of the tool used parameter sets (coefficients, rates and
+ * 1-AR values for the populations the later studies replaced) that are not
+ * distributed with the BCRA R package; a study that has them can register
+ * them as a custom model (registerModel()).
+ *
+ * @type {Object.<string, import('../types/index.js').ModelVersion>}
+ * @constant
+ */
+export const NCI_BCRAT_VERSIONS = Object.freeze({
+  current: Object.freeze({
+    id: 'current',
+    name: 'Current NCI BCRAT',
+    races: Object.freeze([]),
+    caveats: Object.freeze([]),
+    model: NCI_BCRAT_MODEL,
+  }),
+});
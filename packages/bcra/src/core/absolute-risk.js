@@ -27,14 +27,41 @@
  * @license GPL-3.0-or-later
  */
 
+import { getPopulation } from './model-registry.js';
+import { expandRateTable, resolveRateSet } from './rate-tables.js';
+import { validateOneMinusAR } from './recalibration.js';
 import {
-  LAMBDA1_BY_RACE,
-  LAMBDA2_BY_RACE,
-  WHITE_AVG_LAMBDA1,
-  WHITE_AVG_LAMBDA2,
-  ATTRIBUTABLE_RISK_BY_RACE,
-} from '../constants/index.js';
-import { RaceCode } from '../types/index.js';
+  resolveRelativeRiskMultipliers,
+  expandRelativeRiskMultipliers,
+} from './risk-multipliers.js';
+
+/**
+ * Supported integration engines
+ *
+ * - 'r-compatible': the yearly scheme of the BCRA R package
+ * - 'exact': closed-form integration of the piecewise-constant hazards
+ *   between the ages where they change, optionally on a sub-year step grid
+ *
+ * @constant
+ */
+export const INTEGRATION_ENGINES = ['r-compatible', 'exact'];
+
+/**
+ * Optional sub-year step lengths (in years) for the exact engine
+ * @type {Object.<string, number>}
+ * @constant
+ */
+export const INTEGRATION_STEPS = {
+  month: 1 / 12,
+  day: 1 / 365.25,
+};
+
+// Ages closer than this are treated as the same breakpoint
+const AGE_TOLERANCE = 1e-9;
+
+// Single-year expansions of frozen rate tables (those of resolved models and
+// rate sets) with the age grid they were expanded on, so each is expanded once
+const expandedTables = new WeakMap();
 
 /**
  * Expands 14 age-group rates into 70 single-year rates
@@ -87,12 +114,35 @@ export function expandToSingleYears(ratesByGroup) {
  * - Race-specific incidence and mortality rates
  * - Different RR values for ages < 50 and >= 50
  * - Average risk calculation mode
+ * - Windows starting at a future age (data.projectionStartAge)
+ * - External relative risk multipliers (data.relativeRiskMultipliers), such
+ *   as a polygenic risk score, at the ages they apply to
+ *
+ * When data.projectionStartAge is later than initialAge, t1 is the window
+ * start instead of the current age. The conditional risk (default) assumes the
+ * woman reaches projectionStartAge alive and free of breast cancer. The
+ * unconditional risk is the probability, seen from initialAge, of developing
+ * breast cancer inside the window: the conditional risk multiplied by
+ * exp(-∫[initialAge to projectionStartAge] ((1-AR)·RR·λ₁ + λ₂)).
  *
  * @param {import('../types/index.js').RiskFactorProfile} data - Individual's risk factor data including ages and race
  * @param {import('../types/index.js').ValidationResult} validation - Validated and recoded data
  * @param {{relativeRiskUnder50: number, relativeRiskAtOrAbove50: number, patternNumber: number}} relativeRisk - Relative risk values
  * @param {boolean} [calculateAverage=false] - If true, calculate average risk instead of individual risk
- * @returns {number|null} Absolute risk as percentage (0-100), or null if validation failed
+ * @param {Object} [options] - Calculation options
+ * @param {boolean} [options.conditional=true] - For a window starting after initialAge, condition on
+ *   surviving cancer-free to projectionStartAge (true) or calculate the risk from initialAge (false)
+ * @param {'r-compatible'|'exact'} [options.integration='r-compatible'] - Integration engine
+ * @param {'month'|'day'} [options.integrationStep] - Sub-year step grid for the exact engine
+ * @param {string|import('../types/index.js').ModelDefinition} [options.model='nci-bcrat'] - Model id or
+ *   definition supplying the rates and 1-AR values
+ * @param {import('../types/index.js').RateSet} [options.rates] - λ₁/λ₂ tables to use instead of the model's
+ * @param {number[]} [options.oneMinusAR] - 1-AR for ages < 50 and >= 50 to use instead of the model's,
+ *   e.g. from calculateOneMinusAR()
+ * @param {boolean} [options.adjustOneMinusAR=false] - Divide 1-AR by the population mean relative risk
+ *   of each of data.relativeRiskMultipliers (see core/risk-multipliers)
+ * @returns {number|null} Absolute risk as percentage (0-100), or null if validation failed or the
+ *   integration options are not recognized
  *
  * @example
  * const data = { initialAge: 45, projectionEndAge: 50, race: RaceCode.WHITE, ... };
@@ -100,45 +150,378 @@ export function expandToSingleYears(ratesByGroup) {
  * const relativeRisk = calculateRelativeRisk(validation, data.race);
  * const absoluteRisk = calculateAbsoluteRisk(data, validation, relativeRisk);
  * console.log(absoluteRisk); // e.g., 1.84 (1.84% risk over 5 years)
+ *
+ * @example
+ * // A 40-year-old's risk between 60 and 70, seen from today
+ * const windowData = { ...data, initialAge: 40, projectionStartAge: 60, projectionEndAge: 70 };
+ * calculateAbsoluteRisk(windowData, validation, relativeRisk, false, { conditional: false });
  */
 export function calculateAbsoluteRisk(
   data,
   validation,
   relativeRisk,
-  calculateAverage = false
+  calculateAverage = false,
+  options = {}
 ) {
+  const { conditional = true } = options;
+
   // Check if validation failed
   if (!validation || !validation.isValid) {
     return null;
   }
 
-  const { initialAge, projectionEndAge, race } = data;
+  const { initialAge, projectionEndAge } = data;
+  const startAge = getProjectionStartAge(data);
 
-  // Get race-specific rates
-  const lambda1ByGroup = LAMBDA1_BY_RACE[race];
-  const lambda2ByGroup = LAMBDA2_BY_RACE[race];
-  const attributableRisk = ATTRIBUTABLE_RISK_BY_RACE[race];
+  const rates = buildRateArrays(data, relativeRisk, calculateAverage, options);
+  if (!rates) {
+    return null;
+  }
 
-  if (!lambda1ByGroup || !lambda2ByGroup || !attributableRisk) {
+  // Perform numerical integration
+  const windowIntegral = integrate(startAge, projectionEndAge, rates, options);
+  if (!windowIntegral) {
     return null;
   }
 
-  // Determine which lambda1 and lambda2 to use
-  let lambda1ToUse = lambda1ByGroup;
-  let lambda2ToUse = lambda2ByGroup;
+  if (conditional || startAge === initialAge) {
+    // Convert to percentage
+    return windowIntegral.risk * 100;
+  }
+
+  // Probability of reaching the window start alive and cancer-free
+  const { cumulativeHazard } = integrate(initialAge, startAge, rates, options);
 
-  // For average risk calculation, use average rates for White and Native American
-  if (
-    calculateAverage &&
-    (race === RaceCode.WHITE || race === RaceCode.NATIVE_AMERICAN_OTHER)
-  ) {
-    lambda1ToUse = WHITE_AVG_LAMBDA1;
-    lambda2ToUse = WHITE_AVG_LAMBDA2;
+  return Math.exp(-cumulativeHazard) * windowIntegral.risk * 100;
+}
+
+/**
+ * Calculates the cumulative absolute risk trajectory over the projection interval
+ *
+ * Runs the same numerical integration as calculateAbsoluteRisk(), with the
+ * engine selected in options, once over [initialAge, projectionEndAge] and
+ * reports the running totals at every whole year of age and at
+ * projectionEndAge, so the final point always equals calculateAbsoluteRisk()
+ * for the same inputs. The exact engine is also cut at every whole year,
+ * which leaves its result unchanged since the hazards are constant between
+ * the cuts. The trajectory always starts at initialAge;
+ * data.projectionStartAge is ignored.
+ *
+ * @param {import('../types/index.js').RiskFactorProfile} data - Individual's risk factor data including ages and race
+ * @param {import('../types/index.js').ValidationResult} validation - Validated and recoded data
+ * @param {{relativeRiskUnder50: number, relativeRiskAtOrAbove50: number, patternNumber: number}} relativeRisk - Relative risk values
+ * @param {boolean} [calculateAverage=false] - If true, calculate the trajectory for the average profile
+ * @param {Object} [options] - Calculation options
+ * @param {'r-compatible'|'exact'} [options.integration='r-compatible'] - Integration engine
+ * @param {'month'|'day'} [options.integrationStep] - Sub-year step grid for the exact engine
+ * @param {string|import('../types/index.js').ModelDefinition} [options.model='nci-bcrat'] - Model id or definition
+ * @param {import('../types/index.js').RateSet} [options.rates] - λ₁/λ₂ tables to use instead of the model's
+ * @param {number[]} [options.oneMinusAR] - 1-AR values to use instead of the model's
+ * @param {boolean} [options.adjustOneMinusAR=false] - Adjust 1-AR for data.relativeRiskMultipliers
+ * @returns {import('../types/index.js').TrajectoryPoint[]|null} One point per whole year and at projectionEndAge, or
+ *   null if validation failed or the integration options are not recognized
+ *
+ * @example
+ * const data = { initialAge: 40, projectionEndAge: 90, race: RaceCode.WHITE, ... };
+ * const validation = recodeAndValidate(data);
+ * const relativeRisk = calculateRelativeRisk(validation, data.race);
+ * const points = calculateAbsoluteRiskTrajectory(data, validation, relativeRisk);
+ * console.log(points[4]); // { age: 45, cumulativeRisk: 0.98, intervalHazard: ..., survival: ... }
+ */
+export function calculateAbsoluteRiskTrajectory(
+  data,
+  validation,
+  relativeRisk,
+  calculateAverage = false,
+  options = {}
+) {
+  if (!validation || !validation.isValid) {
+    return null;
+  }
+
+  const { initialAge, projectionEndAge } = data;
+
+  const rates = buildRateArrays(data, relativeRisk, calculateAverage, options);
+  if (!rates) {
+    return null;
+  }
+
+  const integral = integrate(
+    initialAge,
+    projectionEndAge,
+    rates,
+    options,
+    true
+  );
+  if (!integral) {
+    return null;
+  }
+
+  // Sub-year rows of the exact engine fall between the reported ages
+  const { intervals } = integral;
+  const isWholeYear = (age) => Math.abs(age - Math.round(age)) <= AGE_TOLERANCE;
+  return intervals
+    .filter(
+      (interval, i) =>
+        i === intervals.length - 1 || isWholeYear(interval.endAge)
+    )
+    .map((interval, i, points) => ({
+      age:
+        i === points.length - 1
+          ? projectionEndAge
+          : Math.round(interval.endAge),
+      cumulativeRisk: interval.cumulativeRisk * 100,
+      intervalHazard: interval.combinedHazard,
+      survival: Math.exp(-interval.cumulativeHazard),
+    }));
+}
+
+/**
+ * Records every integration interval behind calculateAbsoluteRisk()
+ *
+ * Runs the same integration as calculateAbsoluteRisk() and returns its rows
+ * along with the 1-AR values and, for an unconditional window starting after
+ * initialAge, the probability of reaching the window start alive and
+ * cancer-free. Rows hold the values on the 0-1 scale; `absoluteRisk` is the
+ * percentage calculateAbsoluteRisk() returns for the same inputs.
+ *
+ * @param {import('../types/index.js').RiskFactorProfile} data - Individual's risk factor data including ages and race
+ * @param {import('../types/index.js').ValidationResult} validation - Validated and recoded data
+ * @param {{relativeRiskUnder50: number, relativeRiskAtOrAbove50: number, patternNumber: number}} relativeRisk - Relative risk values
+ * @param {boolean} [calculateAverage=false] - If true, trace the average risk
+ * @param {Object} [options] - Options as for calculateAbsoluteRisk()
+ * @returns {import('../types/index.js').IntegrationTrace|null} Trace, or null if validation failed or the
+ *   integration options are not recognized
+ *
+ * @example
+ * const trace = calculateAbsoluteRiskTrace(data, validation, relativeRisk);
+ * trace.intervals.forEach((row) => {
+ *   console.log(row.startAge, row.combinedHazard, row.riskContribution);
+ * });
+ */
+export function calculateAbsoluteRiskTrace(
+  data,
+  validation,
+  relativeRisk,
+  calculateAverage = false,
+  options = {}
+) {
+  const { conditional = true } = options;
+
+  if (!validation || !validation.isValid) {
+    return null;
+  }
+
+  const { initialAge, projectionEndAge } = data;
+  const startAge = getProjectionStartAge(data);
+
+  const rates = buildRateArrays(data, relativeRisk, calculateAverage, options);
+  if (!rates) {
+    return null;
+  }
+
+  const windowIntegral = integrate(startAge, projectionEndAge, rates, options);
+  if (!windowIntegral) {
+    return null;
+  }
+
+  let survivalToStart = 1;
+  if (!conditional && startAge > initialAge) {
+    const { cumulativeHazard } = integrate(
+      initialAge,
+      startAge,
+      rates,
+      options
+    );
+    survivalToStart = Math.exp(-cumulativeHazard);
+  }
+
+  return {
+    oneMinusAR: rates.oneMinusAR,
+    startAge,
+    endAge: projectionEndAge,
+    survivalToStart,
+    intervals: windowIntegral.intervals,
+    absoluteRisk: survivalToStart * windowIntegral.risk * 100,
+  };
+}
+
+/**
+ * Decomposes the projection window into three competing outcomes
+ *
+ * Over [initialAge, projectionEndAge] a woman who is alive and free of breast
+ * cancer at initialAge ends in exactly one of three states:
+ * - breastCancer: develops invasive breast cancer (the absolute risk)
+ * - competingMortality: dies of other causes before developing breast cancer
+ * - aliveCancerFree: alive and free of breast cancer at projectionEndAge,
+ *   exp(-∫((1-AR)·RR·λ₁ + λ₂))
+ *
+ * The three percentages sum to 100. Competing mortality uses the λ₂ tables
+ * from the same integration as calculateAbsoluteRisk(), so breastCancer equals
+ * calculateAbsoluteRisk() for the same inputs. For a window starting at a
+ * future projectionStartAge, the outcomes are conditional on reaching that
+ * age alive and cancer-free.
+ *
+ * @param {import('../types/index.js').RiskFactorProfile} data - Individual's risk factor data including ages and race
+ * @param {import('../types/index.js').ValidationResult} validation - Validated and recoded data
+ * @param {{relativeRiskUnder50: number, relativeRiskAtOrAbove50: number, patternNumber: number}} relativeRisk - Relative risk values
+ * @param {boolean} [calculateAverage=false] - If true, decompose outcomes for the average profile
+ * @param {Object} [options] - Integration options (`integration`, `integrationStep`), `model`, `rates`,
+ *   `oneMinusAR` and `adjustOneMinusAR`, as for calculateAbsoluteRisk()
+ * @returns {import('../types/index.js').CompetingRiskOutcomes|null} Outcome percentages, or null if validation failed
+ *
+ * @example
+ * const outcomes = calculateCompetingRiskOutcomes(data, validation, relativeRisk);
+ * // e.g. age 50 to 90: { breastCancer: 19.6, competingMortality: 64.6, aliveCancerFree: 15.8 }
+ * console.log(outcomes);
+ */
+export function calculateCompetingRiskOutcomes(
+  data,
+  validation,
+  relativeRisk,
+  calculateAverage = false,
+  options = {}
+) {
+  if (!validation || !validation.isValid) {
+    return null;
+  }
+
+  const { projectionEndAge } = data;
+
+  const rates = buildRateArrays(data, relativeRisk, calculateAverage, options);
+  if (!rates) {
+    return null;
+  }
+
+  const outcomes = integrate(
+    getProjectionStartAge(data),
+    projectionEndAge,
+    rates,
+    options
+  );
+  if (!outcomes) {
+    return null;
   }
 
-  // Expand 14 age groups to 70 single years
-  const lambda1 = expandToSingleYears(lambda1ToUse);
-  const lambda2 = expandToSingleYears(lambda2ToUse);
+  const { risk, competingMortality, cumulativeHazard } = outcomes;
+  return {
+    breastCancer: risk * 100,
+    competingMortality: competingMortality * 100,
+    aliveCancerFree: Math.exp(-cumulativeHazard) * 100,
+  };
+}
+
+/**
+ * Lists the rate tables and 1-AR values a calculation for a race would use
+ *
+ * Picks the tables the same way as calculateAbsoluteRisk(): a caller-supplied
+ * rate set wins over the population's tables, average tables are used for
+ * average risk when the source has them, and options.oneMinusAR replaces the
+ * population's 1-AR values. Tables are expanded to single years.
+ *
+ * @param {number} race - Race code
+ * @param {Object} [options] - `model`, `rates` and `oneMinusAR` as for calculateAbsoluteRisk()
+ * @returns {{lambda1: number[], lambda2: number[], averageLambda1: number[], averageLambda2: number[], oneMinusAR: number[]}|null}
+ *   70 single-year rates (ages 20-89) per table and the 1-AR values, or null if the population is missing
+ *   or the rate set is invalid
+ *
+ * @example
+ * const tables = listRateTables(RaceCode.WHITE, { rates: cohortIncidence });
+ * console.log(tables.lambda1[25]); // incidence at age 45
+ */
+export function listRateTables(race, options = {}) {
+  const population = getPopulation(race, options.model);
+  if (!population) {
+    return null;
+  }
+
+  let rateSet = null;
+  if (options.rates) {
+    rateSet = resolveRateSet(options.rates).rateSet;
+    if (!rateSet) {
+      return null;
+    }
+  }
+
+  return {
+    lambda1: [...selectRateTable('lambda1', population, rateSet, false)],
+    lambda2: [...selectRateTable('lambda2', population, rateSet, false)],
+    averageLambda1: [...selectRateTable('lambda1', population, rateSet, true)],
+    averageLambda2: [...selectRateTable('lambda2', population, rateSet, true)],
+    oneMinusAR: [...(options.oneMinusAR || population.oneMinusAR)],
+  };
+}
+
+/**
+ * Returns the age at which the projection window starts
+ *
+ * @param {import('../types/index.js').RiskFactorProfile} data - Risk factor data
+ * @returns {number} projectionStartAge when given, otherwise initialAge
+ *
+ * @private
+ */
+function getProjectionStartAge(data) {
+  const { initialAge, projectionStartAge } = data;
+  return projectionStartAge === undefined || projectionStartAge === null
+    ? initialAge
+    : projectionStartAge;
+}
+
+/**
+ * Builds the 70 single-year rate arrays used by the numerical integration
+ *
+ * Selects the population's λ₁ and λ₂ (or its average rates, when the model
+ * gives them, for average risk - the average White rates for White and
+ * Native American women in the NCI BCRAT), expands them to single years and
+ * builds the (1-AR)·RR array for ages 20-89. Tables in a caller-supplied rate
+ * set (options.rates) take the place of the population's, and options.oneMinusAR
+ * (see calculateOneMinusAR) takes the place of its 1-AR values. The profile's
+ * relativeRiskMultipliers multiply the individual (not the average) array.
+ *
+ * @param {import('../types/index.js').RiskFactorProfile} data - Risk factor data (race and multipliers)
+ * @param {{relativeRiskUnder50: number, relativeRiskAtOrAbove50: number}} relativeRisk - Relative risk values
+ * @param {boolean} calculateAverage - If true, build arrays for the average profile
+ * @param {Object} options - `model`, `rates`, `oneMinusAR` and `adjustOneMinusAR` as for calculateAbsoluteRisk()
+ * @returns {{lambda1: number[], lambda2: number[], oneMinusARTimesRR: number[], oneMinusAR: number[]|null}|null}
+ *   The arrays and the 1-AR values used (null for the average profile). Null if race-specific rates are
+ *   missing or the rate set, 1-AR values or multipliers are invalid
+ *
+ * @private
+ */
+function buildRateArrays(data, relativeRisk, calculateAverage, options) {
+  const { race, relativeRiskMultipliers } = data;
+
+  // Get race-specific rates
+  const population = getPopulation(race, options.model);
+  if (!population) {
+    return null;
+  }
+  if (options.oneMinusAR && validateOneMinusAR(options.oneMinusAR)) {
+    return null;
+  }
+  const attributableRisk = options.oneMinusAR || population.oneMinusAR;
+
+  let rateSet = null;
+  if (options.rates) {
+    rateSet = resolveRateSet(options.rates).rateSet;
+    if (!rateSet) {
+      return null;
+    }
+  }
+
+  // Expand each table from its own age grid to 70 single years
+  const lambda1 = selectRateTable(
+    'lambda1',
+    population,
+    rateSet,
+    calculateAverage
+  );
+  const lambda2 = selectRateTable(
+    'lambda2',
+    population,
+    rateSet,
+    calculateAverage
+  );
 
   // Build (1-AR)*RR array for all 70 years (ages 20-89)
   const oneMinusARTimesRR = new Array(70);
@@ -162,19 +545,65 @@ export function calculateAbsoluteRisk(
     for (let i = 30; i < 70; i++) {
       oneMinusARTimesRR[i] = ar2 * rrStar2;
     }
+
+    // Fold in external multipliers at the ages they apply to
+    if (relativeRiskMultipliers) {
+      const { multipliers } = resolveRelativeRiskMultipliers(
+        relativeRiskMultipliers
+      );
+      if (!multipliers) {
+        return null;
+      }
+      const factors = expandRelativeRiskMultipliers(
+        multipliers,
+        options.adjustOneMinusAR
+      );
+      factors.forEach((factor, i) => {
+        oneMinusARTimesRR[i] *= factor;
+      });
+    }
   }
 
-  // Perform numerical integration
-  const risk = integrateRisk(
-    initialAge,
-    projectionEndAge,
+  return {
     lambda1,
     lambda2,
-    oneMinusARTimesRR
-  );
+    oneMinusARTimesRR,
+    oneMinusAR: calculateAverage ? null : [...attributableRisk],
+  };
+}
+
+/**
+ * Picks one rate table and expands it to single years
+ *
+ * A rate set table wins over the population's; for average risk the average
+ * table of the same source is preferred when there is one. Expansions of
+ * frozen tables are shared between calls and frozen too.
+ *
+ * @param {'lambda1'|'lambda2'} key - Table to pick
+ * @param {import('../types/index.js').ModelPopulation} population - Model population
+ * @param {import('../types/index.js').RateSet|null} rateSet - Resolved rate set, if any
+ * @param {boolean} calculateAverage - If true, pick the table for the average profile
+ * @returns {number[]} 70 single-year rates
+ *
+ * @private
+ */
+function selectRateTable(key, population, rateSet, calculateAverage) {
+  const averageKey = key === 'lambda1' ? 'averageLambda1' : 'averageLambda2';
+  const source = rateSet && rateSet[key] ? rateSet : population;
+  const rates =
+    calculateAverage && source[averageKey] ? source[averageKey] : source[key];
+  const { ageBreakpoints } = source;
+  if (!Object.isFrozen(rates)) {
+    return expandRateTable(rates, ageBreakpoints);
+  }
 
-  // Convert to percentage
-  return risk * 100;
+  const cached = expandedTables.get(rates);
+  if (cached && cached.ageBreakpoints === ageBreakpoints) {
+    return cached.singleYearRates;
+  }
+  const singleYearRates = Object.freeze(expandRateTable(rates, ageBreakpoints));
+  expandedTables.set(rates, { ageBreakpoints, singleYearRates });
+  return singleYearRates;
 }
 
 /**
@@ -193,14 +622,21 @@ export function calculateAbsoluteRisk(
  *    - Calculate combined hazard: λ_combined = (1-AR)·RR·λ₁ + λ₂
  *    - Calculate risk contribution:
  *      Δrisk = [(1-AR)·RR·λ₁ / λ_combined] · exp(-Σλ_combined) · [1 - exp(-λ_combined·Δt)]
+ *    - Calculate competing mortality contribution the same way with λ₂ in place
+ *      of (1-AR)·RR·λ₁
  *    - Accumulate risk and update cumulative hazard
  *
+ * Every interval is also recorded with its running totals so that callers can
+ * read the cumulative risk at intermediate ages without re-integrating.
+ *
  * @param {number} t1 - Initial age (current age)
  * @param {number} t2 - Projection age (future age)
  * @param {number[]} lambda1 - 70-element array of breast cancer incidence rates (ages 20-89)
  * @param {number[]} lambda2 - 70-element array of competing mortality rates (ages 20-89)
  * @param {number[]} oneMinusARTimesRR - 70-element array of (1-AR)×RR values (ages 20-89)
- * @returns {number} Absolute risk on 0-1 scale (multiply by 100 for percentage)
+ * @returns {{risk: number, competingMortality: number, cumulativeHazard: number, intervals: Object[]}}
+ *   Absolute risk and probability of dying of competing causes first, both on 0-1 scale (multiply by 100
+ *   for percentage), total cumulative hazard and one row per integration interval
  *
  * @private
  */
@@ -211,7 +647,9 @@ function integrateRisk(t1, t2, lambda1, lambda2, oneMinusARTimesRR) {
   const numberIntervals = Math.ceil(t2) - Math.floor(t1); // Number of year intervals
 
   let riskAccumulator = 0.0;
+  let mortalityAccumulator = 0.0;
   let cumulativeHazard = 0.0;
+  const intervals = [];
 
   // Integrate over each year interval
   for (let j = 0; j < numberIntervals; j++) {
@@ -246,17 +684,254 @@ function integrateRisk(t1, t2, lambda1, lambda2, oneMinusARTimesRR) {
 
     // Calculate risk contribution for this interval
     // PI_j = [(1-AR)·RR·λ₁ / λ_combined] · exp(-Σλ) · [1 - exp(-λ_combined·Δt)]
+    // Nothing happens in an interval without hazard (the shares would be 0/0)
     const riskContribution =
-      (oneMinusARRRj * lambda1j / combinedHazard) *
-      Math.exp(-cumulativeHazard) *
-      (1 - Math.exp(-combinedHazard * integrationLength));
+      combinedHazard > 0
+        ? ((oneMinusARRRj * lambda1j) / combinedHazard) *
+          Math.exp(-cumulativeHazard) *
+          (1 - Math.exp(-combinedHazard * integrationLength))
+        : 0;
+
+    // Competing mortality uses the same survival term with λ₂ in the numerator
+    const competingMortalityContribution =
+      combinedHazard > 0
+        ? (lambda2j / combinedHazard) *
+          Math.exp(-cumulativeHazard) *
+          (1 - Math.exp(-combinedHazard * integrationLength))
+        : 0;
 
     // Accumulate risk
     riskAccumulator += riskContribution;
+    mortalityAccumulator += competingMortalityContribution;
 
     // Update cumulative hazard
     cumulativeHazard += combinedHazard * integrationLength;
+
+    // Interior interval boundaries fall on whole years
+    const startAge = j === 0 ? t1 : Math.floor(t1) + j;
+    const endAge = j === numberIntervals - 1 ? t2 : Math.floor(t1) + j + 1;
+
+    intervals.push({
+      index: intervalIndex,
+      startAge,
+      endAge,
+      integrationLength,
+      lambda1: lambda1j,
+      lambda2: lambda2j,
+      oneMinusARTimesRR: oneMinusARRRj,
+      combinedHazard,
+      riskContribution,
+      competingMortalityContribution,
+      cumulativeRisk: riskAccumulator,
+      cumulativeCompetingMortality: mortalityAccumulator,
+      cumulativeHazard,
+    });
+  }
+
+  return {
+    risk: riskAccumulator,
+    competingMortality: mortalityAccumulator,
+    cumulativeHazard,
+    intervals,
+  };
+}
+
+/**
+ * Integrates over [t1, t2] with the engine selected in options
+ *
+ * @param {number} t1 - Start age
+ * @param {number} t2 - End age
+ * @param {{lambda1: number[], lambda2: number[], oneMinusARTimesRR: number[]}} rates - Arrays from buildRateArrays()
+ * @param {Object} [options] - `integration` and `integrationStep` as for calculateAbsoluteRisk()
+ * @param {boolean} [cutWholeYears=false] - Also cut the exact engine's rows at every whole year (the
+ *   yearly engine's rows already end there)
+ * @returns {{risk: number, competingMortality: number, cumulativeHazard: number, intervals: Object[]}|null}
+ *   Same shape as integrateRisk(), or null if the options are not recognized
+ *
+ * @private
+ */
+function integrate(t1, t2, rates, options = {}, cutWholeYears = false) {
+  const { integration = 'r-compatible', integrationStep = null } = options;
+
+  if (integration === 'r-compatible' && integrationStep === null) {
+    return integrateRisk(
+      t1,
+      t2,
+      rates.lambda1,
+      rates.lambda2,
+      rates.oneMinusARTimesRR
+    );
+  }
+
+  if (integration !== 'exact') {
+    return null;
+  }
+
+  if (
+    integrationStep !== null &&
+    !Object.keys(INTEGRATION_STEPS).includes(integrationStep)
+  ) {
+    return null;
+  }
+
+  return integrateRiskExact(
+    t1,
+    t2,
+    buildHazardSegments(rates),
+    integrationStep === null ? null : INTEGRATION_STEPS[integrationStep],
+    cutWholeYears
+  );
+}
+
+/**
+ * Collapses the single-year rate arrays into constant-hazard segments
+ *
+ * Consecutive years with identical λ₁, λ₂ and (1-AR)·RR are merged, so the
+ * segments are the 5-year age groups, further split at age 50 where the
+ * relative risk changes.
+ *
+ * @param {{lambda1: number[], lambda2: number[], oneMinusARTimesRR: number[]}} rates - Arrays from buildRateArrays()
+ * @returns {{startAge: number, endAge: number, lambda1: number, lambda2: number, oneMinusARTimesRR: number}[]}
+ *
+ * @private
+ */
+function buildHazardSegments(rates) {
+  const { lambda1, lambda2, oneMinusARTimesRR } = rates;
+  const segments = [];
+
+  for (let i = 0; i < lambda1.length; i++) {
+    const previous = segments[segments.length - 1];
+    if (
+      previous &&
+      previous.lambda1 === lambda1[i] &&
+      previous.lambda2 === lambda2[i] &&
+      previous.oneMinusARTimesRR === oneMinusARTimesRR[i]
+    ) {
+      previous.endAge = 20 + i + 1;
+      continue;
+    }
+    segments.push({
+      startAge: 20 + i,
+      endAge: 20 + i + 1,
+      lambda1: lambda1[i],
+      lambda2: lambda2[i],
+      oneMinusARTimesRR: oneMinusARTimesRR[i],
+    });
+  }
+
+  return segments;
+}
+
+/**
+ * Integrates piecewise-constant hazards exactly
+ *
+ * [t1, t2] is cut at every age where the hazards change and, when a step
+ * length is given, on a grid of that length starting at t1. Within each piece
+ * the hazards are constant, so the risk and competing mortality contributions
+ * have the same closed form as in integrateRisk():
+ *
+ *   Δrisk = [(1-AR)·RR·λ₁ / λ_combined] · exp(-Λ) · [1 - exp(-λ_combined·Δt)]
+ *
+ * where Λ is the cumulative hazard at the start of the piece. Rows have the
+ * same fields as integrateRisk(); `index` is the row number.
+ *
+ * @param {number} t1 - Start age
+ * @param {number} t2 - End age
+ * @param {Object[]} segments - Constant-hazard segments from buildHazardSegments()
+ * @param {number|null} stepLength - Grid step in years, or null to cut only where the hazards change
+ * @param {boolean} [cutWholeYears=false] - Also cut at every whole year
+ * @returns {{risk: number, competingMortality: number, cumulativeHazard: number, intervals: Object[]}}
+ *
+ * @private
+ */
+function integrateRiskExact(t1, t2, segments, stepLength, cutWholeYears) {
+  const cuts = [t1, t2];
+  for (const segment of segments) {
+    if (segment.startAge > t1 && segment.startAge < t2) {
+      cuts.push(segment.startAge);
+    }
+  }
+  if (cutWholeYears) {
+    for (let age = Math.floor(t1) + 1; age < t2; age++) {
+      cuts.push(age);
+    }
+  }
+  if (stepLength) {
+    for (let k = 1; t1 + k * stepLength < t2 - AGE_TOLERANCE; k++) {
+      cuts.push(t1 + k * stepLength);
+    }
+  }
+  cuts.sort((a, b) => a - b);
+
+  // Drop grid points that coincide with a hazard breakpoint
+  const ages = [cuts[0]];
+  for (const age of cuts.slice(1)) {
+    if (age - ages[ages.length - 1] > AGE_TOLERANCE) {
+      ages.push(age);
+    }
+  }
+  ages[ages.length - 1] = t2;
+
+  let riskAccumulator = 0.0;
+  let mortalityAccumulator = 0.0;
+  let cumulativeHazard = 0.0;
+  const intervals = [];
+  let segmentIndex = 0;
+
+  for (let i = 0; i < ages.length - 1; i++) {
+    const startAge = ages[i];
+    const endAge = ages[i + 1];
+    const integrationLength = endAge - startAge;
+
+    while (
+      segmentIndex < segments.length - 1 &&
+      segments[segmentIndex].endAge <= startAge + AGE_TOLERANCE
+    ) {
+      segmentIndex++;
+    }
+    const segment = segments[segmentIndex];
+
+    const combinedHazard =
+      segment.oneMinusARTimesRR * segment.lambda1 + segment.lambda2;
+    const survivalFactor =
+      Math.exp(-cumulativeHazard) *
+      (1 - Math.exp(-combinedHazard * integrationLength));
+    // Nothing happens in an interval without hazard (the shares would be 0/0)
+    const riskContribution =
+      combinedHazard > 0
+        ? ((segment.oneMinusARTimesRR * segment.lambda1) / combinedHazard) *
+          survivalFactor
+        : 0;
+    const competingMortalityContribution =
+      combinedHazard > 0
+        ? (segment.lambda2 / combinedHazard) * survivalFactor
+        : 0;
+
+    riskAccumulator += riskContribution;
+    mortalityAccumulator += competingMortalityContribution;
+    cumulativeHazard += combinedHazard * integrationLength;
+
+    intervals.push({
+      index: i,
+      startAge,
+      endAge,
+      integrationLength,
+      lambda1: segment.lambda1,
+      lambda2: segment.lambda2,
+      oneMinusARTimesRR: segment.oneMinusARTimesRR,
+      combinedHazard,
+      riskContribution,
+      competingMortalityContribution,
+      cumulativeRisk: riskAccumulator,
+      cumulativeCompetingMortality: mortalityAccumulator,
+      cumulativeHazard,
+    });
   }
 
-  return riskAccumulator;
+  return {
+    risk: riskAccumulator,
+    competingMortality: mortalityAccumulator,
+    cumulativeHazard,
+    intervals,
+  };
 }
@@ -0,0 +1,379 @@
+/**
+ * Clinical Risk Classification Module
+ *
+ * Assigns guideline categories to absolute risk estimates using a named,
+ * versioned threshold set (see constants/clinical-thresholds). Every
+ * assignment carries a rationale string so consumers can show why a category
+ * applies instead of hardcoding their own interpretation.
+ *
+ * Copyright (C) 2025 epiVerse (JavaScript Implementation)
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ *
+ * @module core/classification
+ * @license GPL-3.0-or-later
+ */
+
+import {
+  CLINICAL_THRESHOLD_SETS,
+  DEFAULT_CLINICAL_THRESHOLD_SET,
+  CLINICAL_METRIC_LABELS,
+  MAX_AGE,
+} from '../constants/index.js';
+
+/**
+ * Classifies absolute risk estimates against a clinical threshold set
+ *
+ * Accepts either plain metrics (`{ fiveYearRisk, lifetimeRisk }`, percentages)
+ * or a RiskResult from calculateRisk(). From a RiskResult, the 5-year risk is
+ * taken from the top-level result or horizon with a 5-year projection
+ * interval, and the lifetime risk from the top-level result or horizon
+ * ending at age 90, so `horizons: [5, { endAge: 90 }]` provides both.
+ *
+ * A rule or band whose metric is not available is reported with `met: null`
+ * (or `category: null`) and a rationale saying so.
+ *
+ * @param {import('../types/index.js').RiskResult|{fiveYearRisk?: number, lifetimeRisk?: number}} input -
+ *   Risk result or plain risk metrics
+ * @param {Object} [options] - Classification options
+ * @param {string|import('../types/index.js').ClinicalThresholdSet} [options.thresholdSet] - Built-in set as
+ *   "id@version" or "id" (latest version), or a custom set object. Defaults to DEFAULT_CLINICAL_THRESHOLD_SET.
+ * @returns {import('../types/index.js').RiskClassification} Classification with rationale strings
+ *
+ * @example
+ * const result = calculateRisk(profile, {
+ *   horizons: [5, { endAge: 90, label: 'lifetime' }],
+ * });
+ * const classification = classifyRisk(result);
+ * classification.assignments
+ *   .filter((assignment) => assignment.met)
+ *   .forEach((assignment) => console.log(assignment.rationale));
+ * console.log(classification.category.label); // e.g. "Average"
+ */
+export function classifyRisk(input, options = {}) {
+  const { thresholdSet = DEFAULT_CLINICAL_THRESHOLD_SET } = options;
+
+  const result = {
+    success: false,
+    thresholdSet: null,
+    metrics: { fiveYearRisk: null, lifetimeRisk: null },
+    category: null,
+    assignments: [],
+    errors: [],
+  };
+
+  const resolved = resolveThresholdSet(thresholdSet);
+  if (resolved.error) {
+    result.errors.push(resolved.error);
+    return result;
+  }
+  const set = resolved.set;
+  result.thresholdSet = {
+    id: set.id,
+    version: set.version,
+    name: set.name || set.id,
+  };
+
+  const metrics = extractMetrics(input);
+  if (metrics.error) {
+    result.errors.push(metrics.error);
+    return result;
+  }
+  result.metrics = metrics.values;
+
+  result.assignments = (set.rules || []).map((rule) =>
+    applyRule(rule, result.metrics)
+  );
+  if (set.bands) {
+    result.category = applyBands(set.bands, result.metrics);
+  }
+
+  result.success = true;
+  return result;
+}
+
+/**
+ * Lists the built-in threshold sets
+ *
+ * @returns {{key: string, id: string, version: string, name: string}[]} One entry per set
+ *
+ * @example
+ * listClinicalThresholdSets();
+ * // [{ key: 'us-guidelines@1.0.0', id: 'us-guidelines', version: '1.0.0', name: 'US guideline thresholds' }]
+ */
+export function listClinicalThresholdSets() {
+  return Object.entries(CLINICAL_THRESHOLD_SETS).map(([key, set]) => ({
+    key,
+    id: set.id,
+    version: set.version,
+    name: set.name,
+  }));
+}
+
+/**
+ * Looks up a built-in set or validates a custom one
+ *
+ * @param {string|Object} thresholdSet - "id@version", "id", or a set object
+ * @returns {{set: Object|null, error: string|null}}
+ *
+ * @private
+ */
+function resolveThresholdSet(thresholdSet) {
+  if (typeof thresholdSet === 'string') {
+    if (CLINICAL_THRESHOLD_SETS[thresholdSet]) {
+      return { set: CLINICAL_THRESHOLD_SETS[thresholdSet], error: null };
+    }
+
+    // A bare id selects the latest version of that set
+    const versions = Object.values(CLINICAL_THRESHOLD_SETS)
+      .filter((set) => set.id === thresholdSet)
+      .sort((a, b) => compareVersions(a.version, b.version));
+    if (versions.length > 0) {
+      return { set: versions[versions.length - 1], error: null };
+    }
+
+    return {
+      set: null,
+      error: `Unknown clinical threshold set: ${thresholdSet}. Available: ${Object.keys(CLINICAL_THRESHOLD_SETS).join(', ')}`,
+    };
+  }
+
+  if (!thresholdSet || typeof thresholdSet !== 'object') {
+    return {
+      set: null,
+      error: 'Threshold set must be a set name or a threshold set object',
+    };
+  }
+
+  const error = checkThresholdSet(thresholdSet);
+  return error ? { set: null, error } : { set: thresholdSet, error: null };
+}
+
+/**
+ * Checks the shape of a custom threshold set
+ *
+ * @param {Object} set - Candidate threshold set
+ * @returns {string|null} Error message, or null if the set is usable
+ *
+ * @private
+ */
+function checkThresholdSet(set) {
+  if (typeof set.id !== 'string' || typeof set.version !== 'string') {
+    return 'Threshold set must have string id and version';
+  }
+
+  const isThreshold = (value) => typeof value === 'number' && isFinite(value);
+
+  for (const rule of set.rules || []) {
+    if (
+      !rule ||
+      typeof rule.id !== 'string' ||
+      !CLINICAL_METRIC_LABELS[rule.metric] ||
+      !isThreshold(rule.threshold)
+    ) {
+      return `Threshold set ${set.id}: each rule needs an id, a metric (${Object.keys(CLINICAL_METRIC_LABELS).join(', ')}) and a numeric threshold`;
+    }
+  }
+
+  if (set.bands) {
+    const { metric, categories } = set.bands;
+    if (
+      !CLINICAL_METRIC_LABELS[metric] ||
+      !Array.isArray(categories) ||
+      categories.length === 0
+    ) {
+      return `Threshold set ${set.id}: bands need a metric and at least one category`;
+    }
+    for (let i = 0; i < categories.length; i++) {
+      const category = categories[i];
+      if (typeof category.id !== 'string' || !isThreshold(category.min)) {
+        return `Threshold set ${set.id}: each band category needs an id and a numeric min`;
+      }
+      if (i > 0 && category.min <= categories[i - 1].min) {
+        return `Threshold set ${set.id}: band categories must be in increasing order of min`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Extracts 5-year and lifetime risk from plain metrics or a RiskResult
+ *
+ * @param {Object} input - Plain metrics or RiskResult
+ * @returns {{values: {fiveYearRisk: number|null, lifetimeRisk: number|null}, error: string|null}}
+ *
+ * @private
+ */
+function extractMetrics(input) {
+  if (!input || typeof input !== 'object') {
+    return { values: null, error: 'Input must be a risk result or metrics' };
+  }
+
+  const finiteOrNull = (value) =>
+    typeof value === 'number' && isFinite(value) ? value : null;
+
+  if ('fiveYearRisk' in input || 'lifetimeRisk' in input) {
+    return {
+      values: {
+        fiveYearRisk: finiteOrNull(input.fiveYearRisk),
+        lifetimeRisk: finiteOrNull(input.lifetimeRisk),
+      },
+      error: null,
+    };
+  }
+
+  if (input.success === false) {
+    return {
+      values: null,
+      error: 'Cannot classify a failed risk calculation',
+    };
+  }
+
+  // Guideline metrics are measured from the current age
+  if (typeof input.projectionStartAge === 'number') {
+    return {
+      values: null,
+      error: 'Cannot classify risk for a window starting after the current age',
+    };
+  }
+
+  const entries = [
+    {
+      projectionInterval: input.projectionInterval,
+      projectionEndAge: input.projectionEndAge,
+      absoluteRisk: input.absoluteRisk,
+    },
+    ...(Array.isArray(input.horizons) ? input.horizons : []),
+  ];
+
+  const fiveYear = entries.find((entry) => entry.projectionInterval === 5);
+  const lifetime = entries.find((entry) => entry.projectionEndAge === MAX_AGE);
+
+  return {
+    values: {
+      fiveYearRisk: fiveYear ? finiteOrNull(fiveYear.absoluteRisk) : null,
+      lifetimeRisk: lifetime ? finiteOrNull(lifetime.absoluteRisk) : null,
+    },
+    error: null,
+  };
+}
+
+/**
+ * Applies one threshold rule
+ *
+ * @private
+ */
+function applyRule(rule, metrics) {
+  const value = metrics[rule.metric];
+  const metricLabel = CLINICAL_METRIC_LABELS[rule.metric];
+  const label = rule.label || rule.id;
+  const source = rule.source ? ` (${rule.source})` : '';
+
+  const assignment = {
+    id: rule.id,
+    label,
+    metric: rule.metric,
+    value,
+    threshold: rule.threshold,
+    met: null,
+    rationale: null,
+    source: rule.source || null,
+    caveat: rule.caveat || null,
+  };
+
+  if (value === null) {
+    assignment.rationale = `${metricLabel} was not calculated, so "${label}" could not be assessed`;
+    return assignment;
+  }
+
+  assignment.met = value >= rule.threshold;
+  assignment.rationale = assignment.met
+    ? `${metricLabel} of ${formatPercent(value)} is at or above the ${formatPercent(rule.threshold)} threshold for "${label}"${source}`
+    : `${metricLabel} of ${formatPercent(value)} is below the ${formatPercent(rule.threshold)} threshold for "${label}"${source}`;
+
+  return assignment;
+}
+
+/**
+ * Places the metric in one of the band categories
+ *
+ * @private
+ */
+function applyBands(bands, metrics) {
+  const value = metrics[bands.metric];
+  const metricLabel = CLINICAL_METRIC_LABELS[bands.metric];
+
+  if (value === null) {
+    return {
+      id: null,
+      label: null,
+      metric: bands.metric,
+      value: null,
+      rationale: `${metricLabel} was not calculated, so no risk category was assigned`,
+      source: bands.source || null,
+    };
+  }
+
+  const { categories } = bands;
+  let index = 0;
+  for (let i = 0; i < categories.length; i++) {
+    if (value >= categories[i].min) {
+      index = i;
+    }
+  }
+  const category = categories[index];
+  const next = categories[index + 1];
+
+  const range = next
+    ? `${formatPercent(category.min)} to below ${formatPercent(next.min)}`
+    : `${formatPercent(category.min)} or higher`;
+  const label = category.label || category.id;
+
+  return {
+    id: category.id,
+    label,
+    metric: bands.metric,
+    value,
+    rationale: `${metricLabel} of ${formatPercent(value)} falls in the "${label}" band (${range})`,
+    source: bands.source || null,
+  };
+}
+
+/**
+ * Formats a percentage for rationale strings
+ *
+ * @private
+ */
+function formatPercent(value) {
+  return `${Number(value.toFixed(2))}%`;
+}
+
+/**
+ * Compares dotted version strings numerically
+ *
+ * @private
+ */
+function compareVersions(a, b) {
+  const partsA = a.split('.').map(Number);
+  const partsB = b.split('.').map(Number);
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const difference = (partsA[i] || 0) - (partsB[i] || 0);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  return 0;
+}
@@ -0,0 +1,341 @@
+/**
+ * Confidence Interval Module
+ *
+ * Propagates the sampling uncertainty of the logistic regression (beta)
+ * coefficients to the absolute risk. Two methods are available:
+ * - Delta method on the logit scale, using a numerical gradient of the risk
+ *   with respect to the beta coefficients
+ * - Monte Carlo simulation with seeded multivariate normal draws of the betas
+ *
+ * Only beta uncertainty is propagated. Incidence rates, mortality rates and
+ * attributable risk are treated as fixed.
+ *
+ * Copyright (C) 2025 epiVerse (JavaScript Implementation)
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ *
+ * @module core/confidence-interval
+ * @license GPL-3.0-or-later
+ */
+
+import { calculateRelativeRisk } from './relative-risk.js';
+import { calculateAbsoluteRisk } from './absolute-risk.js';
+import { getPopulation } from './model-registry.js';
+import {
+  createSeededRandom,
+  standardNormal,
+  normalQuantile,
+  choleskyDecomposition,
+  empiricalQuantile,
+} from '../utils/statistics.js';
+
+/**
+ * Supported confidence interval methods
+ * @constant
+ */
+export const CONFIDENCE_INTERVAL_METHODS = ['delta', 'monte-carlo'];
+
+/**
+ * Calculates a confidence interval for the individualized absolute risk
+ *
+ * The delta method linearizes logit(risk) around the point estimate:
+ *
+ *   Var[logit(r)] ≈ gᵀ·Σ·g,   g = ∂logit(r)/∂β  (central differences)
+ *   CI = expit(logit(r) ± z·SE)
+ *
+ * which keeps the bounds inside (0, 100). The Monte Carlo method draws
+ * β ~ N(β̂, Σ) with a seeded generator, recomputes the absolute risk for each
+ * draw and reports the empirical quantiles, so the same seed always gives the
+ * same interval. Both methods report standardError in percentage points;
+ * the delta method also gives the standard error of logit(risk) it uses.
+ *
+ * @param {import('../types/index.js').RiskFactorProfile} data - Individual's risk factor data including ages and race
+ * @param {import('../types/index.js').ValidationResult} validation - Validated and recoded data
+ * @param {Object} [options] - Interval options
+ * @param {'delta'|'monte-carlo'} [options.method='delta'] - Interval method
+ * @param {number} [options.level=0.95] - Confidence level in (0, 1)
+ * @param {number[][]} [options.covariance] - 6×6 beta covariance matrix; defaults to the model's betaCovariance
+ * @param {number} [options.draws=1000] - Number of Monte Carlo draws
+ * @param {number} [options.seed=1] - Seed for the Monte Carlo generator
+ * @param {boolean} [options.conditional=true] - Window risk mode passed to calculateAbsoluteRisk()
+ * @param {'r-compatible'|'exact'} [options.integration='r-compatible'] - Integration engine passed to calculateAbsoluteRisk()
+ * @param {'month'|'day'} [options.integrationStep] - Sub-year step grid for the exact engine
+ * @param {string|import('../types/index.js').ModelDefinition} [options.model='nci-bcrat'] - Model id or definition
+ * @param {import('../types/index.js').RateSet} [options.rates] - λ₁/λ₂ tables passed to calculateAbsoluteRisk()
+ * @param {number[]} [options.oneMinusAR] - 1-AR values passed to calculateAbsoluteRisk()
+ * @param {boolean} [options.adjustOneMinusAR=false] - Adjust 1-AR for data.relativeRiskMultipliers
+ * @param {number[]} [options.beta] - Beta coefficients to use instead of the model's, e.g. a density
+ *   model's; the covariance must then be given for them
+ * @param {number[]} [options.relativeRiskMultiplier] - Fixed multipliers of the relative risk for
+ *   ages < 50 and >= 50, such as a density relative risk
+ * @returns {{interval: import('../types/index.js').ConfidenceInterval|null, error: string|null}}
+ *   The interval, or an error message explaining why it could not be computed
+ *
+ * @example
+ * const validation = recodeAndValidate(data);
+ * const { interval } = calculateConfidenceInterval(data, validation, {
+ *   method: 'monte-carlo',
+ *   covariance,
+ *   seed: 2024,
+ * });
+ * console.log(`${interval.lower.toFixed(2)}% - ${interval.upper.toFixed(2)}%`);
+ */
+export function calculateConfidenceInterval(data, validation, options = {}) {
+  const {
+    method = 'delta',
+    level = 0.95,
+    draws = 1000,
+    seed = 1,
+    conditional = true,
+    integration = 'r-compatible',
+    integrationStep = null,
+    model,
+    rates,
+    oneMinusAR,
+    adjustOneMinusAR = false,
+    relativeRiskMultiplier = null,
+  } = options;
+
+  if (!validation || !validation.isValid) {
+    return { interval: null, error: 'Validation failed' };
+  }
+
+  if (!CONFIDENCE_INTERVAL_METHODS.includes(method)) {
+    return {
+      interval: null,
+      error: `Unknown confidence interval method: ${method}. Must be one of ${CONFIDENCE_INTERVAL_METHODS.join(', ')}`,
+    };
+  }
+
+  if (typeof level !== 'number' || !(level > 0 && level < 1)) {
+    return {
+      interval: null,
+      error: 'Confidence level must be between 0 and 1 (exclusive)',
+    };
+  }
+
+  if (method === 'monte-carlo' && !(Number.isInteger(draws) && draws >= 2)) {
+    return {
+      interval: null,
+      error: 'Monte Carlo draws must be an integer of at least 2',
+    };
+  }
+
+  const { race } = data;
+  const population = getPopulation(race, model);
+  const beta = options.beta || (population ? population.beta : null);
+  const covariance =
+    options.covariance || (population ? population.betaCovariance : null);
+
+  if (!beta) {
+    return { interval: null, error: `No beta coefficients for race ${race}` };
+  }
+
+  if (!covariance) {
+    return {
+      interval: null,
+      error: `No beta covariance matrix is available for race ${race}; supply confidenceInterval.covariance`,
+    };
+  }
+
+  const covarianceError = checkCovarianceMatrix(covariance, beta.length);
+  if (covarianceError) {
+    return { interval: null, error: covarianceError };
+  }
+
+  const riskFor = (coefficients) => {
+    const relativeRisk = calculateRelativeRisk(validation, race, {
+      beta: coefficients,
+    });
+    if (relativeRiskMultiplier) {
+      relativeRisk.relativeRiskUnder50 *= relativeRiskMultiplier[0];
+      relativeRisk.relativeRiskAtOrAbove50 *= relativeRiskMultiplier[1];
+    }
+    return calculateAbsoluteRisk(data, validation, relativeRisk, false, {
+      conditional,
+      integration,
+      integrationStep,
+      model,
+      rates,
+      oneMinusAR,
+      adjustOneMinusAR,
+    });
+  };
+
+  const estimate = riskFor(beta);
+  if (estimate === null) {
+    return {
+      interval: null,
+      error: 'Absolute risk calculation failed - missing race-specific rates',
+    };
+  }
+
+  if (method === 'delta') {
+    return {
+      interval: deltaMethodInterval(estimate, beta, covariance, level, riskFor),
+      error: null,
+    };
+  }
+
+  const interval = monteCarloInterval(
+    estimate,
+    beta,
+    covariance,
+    level,
+    riskFor,
+    { draws, seed }
+  );
+  if (!interval) {
+    return {
+      interval: null,
+      error: 'Beta covariance matrix must be positive semi-definite',
+    };
+  }
+
+  return { interval, error: null };
+}
+
+/**
+ * Checks that a covariance matrix is square, finite and symmetric
+ *
+ * @param {number[][]} covariance - Candidate covariance matrix
+ * @param {number} size - Expected dimension
+ * @returns {string|null} Error message, or null if the matrix is usable
+ *
+ * @private
+ */
+function checkCovarianceMatrix(covariance, size) {
+  if (
+    !Array.isArray(covariance) ||
+    covariance.length !== size ||
+    covariance.some((row) => !Array.isArray(row) || row.length !== size)
+  ) {
+    return `Beta covariance matrix must be ${size}×${size}`;
+  }
+
+  for (let i = 0; i < size; i++) {
+    for (let j = 0; j < size; j++) {
+      const value = covariance[i][j];
+      if (typeof value !== 'number' || !isFinite(value)) {
+        return 'Beta covariance matrix must contain only finite numbers';
+      }
+      if (Math.abs(value - covariance[j][i]) > 1e-12) {
+        return 'Beta covariance matrix must be symmetric';
+      }
+    }
+    if (covariance[i][i] < 0) {
+      return 'Beta covariance matrix must have non-negative variances';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Delta-method interval on the logit scale
+ *
+ * @private
+ */
+function deltaMethodInterval(estimate, beta, covariance, level, riskFor) {
+  const logit = (percent) => Math.log(percent / (100 - percent));
+  const expit = (x) => 100 / (1 + Math.exp(-x));
+
+  // Central-difference gradient of logit(risk); fixed coefficients are skipped
+  const gradient = beta.map((value, i) => {
+    if (covariance[i][i] === 0) {
+      return 0;
+    }
+    const step = 1e-5 * Math.max(1, Math.abs(value));
+    const up = beta.slice();
+    const down = beta.slice();
+    up[i] += step;
+    down[i] -= step;
+    return (logit(riskFor(up)) - logit(riskFor(down))) / (2 * step);
+  });
+
+  let variance = 0;
+  for (let i = 0; i < beta.length; i++) {
+    for (let j = 0; j < beta.length; j++) {
+      variance += gradient[i] * covariance[i][j] * gradient[j];
+    }
+  }
+
+  const logitStandardError = Math.sqrt(Math.max(variance, 0));
+  const z = normalQuantile(1 - (1 - level) / 2);
+  const center = logit(estimate);
+
+  return {
+    method: 'delta',
+    level,
+    estimate,
+    lower: expit(center - z * logitStandardError),
+    upper: expit(center + z * logitStandardError),
+    // Back on the risk scale: d(risk)/d(logit) = risk·(100 - risk)/100
+    standardError: (logitStandardError * estimate * (100 - estimate)) / 100,
+    logitStandardError,
+    draws: null,
+    seed: null,
+  };
+}
+
+/**
+ * Monte Carlo interval from seeded multivariate normal beta draws
+ *
+ * @private
+ */
+function monteCarloInterval(
+  estimate,
+  beta,
+  covariance,
+  level,
+  riskFor,
+  { draws, seed }
+) {
+  const lower = choleskyDecomposition(covariance);
+  if (!lower) {
+    return null;
+  }
+
+  const random = createSeededRandom(seed);
+  const risks = new Array(draws);
+
+  for (let d = 0; d < draws; d++) {
+    const z = beta.map(() => standardNormal(random));
+    const coefficients = beta.map((value, i) => {
+      let shift = 0;
+      for (let k = 0; k <= i; k++) {
+        shift += lower[i][k] * z[k];
+      }
+      return value + shift;
+    });
+    risks[d] = riskFor(coefficients);
+  }
+
+  risks.sort((a, b) => a - b);
+  const mean = risks.reduce((sum, risk) => sum + risk, 0) / draws;
+  const variance =
+    risks.reduce((sum, risk) => sum + (risk - mean) ** 2, 0) / (draws - 1);
+
+  return {
+    method: 'monte-carlo',
+    level,
+    estimate,
+    lower: empiricalQuantile(risks, (1 - level) / 2),
+    upper: empiricalQuantile(risks, 1 - (1 - level) / 2),
+    standardError: Math.sqrt(variance),
+    logitStandardError: null,
+    draws,
+    seed,
+  };
+}
@@ -0,0 +1,291 @@
+/**
+ * Counterfactual ("What-If") Risk Module
+ *
+ * Compares an individual's risk with the risk she would have under a set of
+ * hypothetical risk factor changes (for example, nulliparous → first birth at
+ * 25). Both profiles go through the full calculateRisk() workflow, so
+ * race-specific recoding and pooling rules apply to the counterfactual exactly
+ * as they do to the baseline.
+ *
+ * Copyright (C) 2025 epiVerse (JavaScript Implementation)
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ *
+ * @module core/counterfactual
+ * @license GPL-3.0-or-later
+ */
+
+import { calculateRisk } from './risk-calculator.js';
+import { calculateRelativeRisk } from './relative-risk.js';
+import { resolveDensityModel } from './density.js';
+import { createProvenance, deriveProvenance } from './provenance.js';
+import { ValidationCode } from '../types/index.js';
+import {
+  addValidationError,
+  copyValidationIssues,
+} from '../utils/error-handler.js';
+import { sanitizeCalculationInput } from '../utils/validators.js';
+
+/**
+ * Risk factor fields that may be changed in a counterfactual, mapped to the
+ * recoded values each one feeds into
+ *
+ * Age and race are not modifiable risk factors and cannot be changed.
+ *
+ * @type {Object.<string, string[]>}
+ * @constant
+ */
+export const COUNTERFACTUAL_FIELDS = {
+  numBreastBiopsies: ['biopsyCategory', 'hyperplasiaMultiplier'],
+  atypicalHyperplasia: ['hyperplasiaMultiplier'],
+  ageAtMenarche: ['menarcheCategory'],
+  ageAtFirstBirth: ['firstBirthCategory'],
+  numRelativesWithBrCa: ['relativesCategory'],
+};
+
+/**
+ * Calculates baseline and counterfactual risk for a set of hypothetical changes
+ *
+ * The counterfactual profile is the baseline profile with `changes` applied.
+ * Each changed field is reported with a `hasEffect` flag: a change has no
+ * effect when, for this race, it recodes to the same category (e.g. 2 → 1
+ * biopsies for Hispanic women) or feeds a covariate that is not part of the
+ * race-specific model (e.g. age at first birth for African-American women).
+ * The flag is judged by reverting only that field's recoded values in the
+ * counterfactual and checking whether the relative risk changes, so fields
+ * that must change together (biopsies and hyperplasia) are handled correctly.
+ * Both relative risks use the coefficients of the calculation (including a
+ * density model's beta), while the density relative risk and
+ * relativeRiskMultipliers, which no change affects, are left out of both.
+ *
+ * The provenance is that of the baseline result, with the input hash taken
+ * over the profile and the changes together.
+ *
+ * Like calculateRisk(), this function never throws.
+ *
+ * @param {import('../types/index.js').RiskFactorProfile} data - Baseline risk factor data
+ * @param {Object} changes - Hypothetical values for any of numBreastBiopsies, atypicalHyperplasia,
+ *   ageAtMenarche, ageAtFirstBirth and numRelativesWithBrCa
+ * @param {Object} [options] - Options passed to calculateRisk() for both profiles (`throwOnError` is
+ *   ignored)
+ * @returns {import('../types/index.js').CounterfactualResult} Baseline, counterfactual and the difference
+ *
+ * @example
+ * // Nulliparous → first birth at 25
+ * const result = calculateCounterfactualRisk(profile, { ageAtFirstBirth: 25 });
+ * console.log(`${result.baseline.absoluteRisk.toFixed(2)}% → ` +
+ *   `${result.counterfactual.absoluteRisk.toFixed(2)}%`);
+ *
+ * @example
+ * // Changes that do not move the model for this race are flagged
+ * const result = calculateCounterfactualRisk(
+ *   { ...profile, race: RaceCode.AFRICAN_AMERICAN },
+ *   { ageAtFirstBirth: 25 }
+ * );
+ * console.log(result.changes[0].hasEffect); // false
+ */
+export function calculateCounterfactualRisk(data, changes, options = {}) {
+  const result = {
+    success: false,
+    baseline: null,
+    counterfactual: null,
+    absoluteRiskDifference: null,
+    absoluteRiskRatio: null,
+    changes: [],
+    provenance: null,
+    validation: {
+      isValid: false,
+      errors: [],
+      warnings: [],
+      errorDetails: [],
+      warningDetails: [],
+    },
+    error: null,
+  };
+
+  try {
+    const riskOptions = { ...options, throwOnError: false };
+    const input = {
+      profile: sanitizeCalculationInput(data, options),
+      changes: sanitizeCalculationInput(changes, options),
+    };
+    // Replaced by the baseline's provenance once calculateRisk() has run
+    if (options.provenance !== false) {
+      result.provenance = createProvenance(input, riskOptions);
+    }
+
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      addValidationError(
+        result.validation,
+        ValidationCode.INVALID_OPTION,
+        'Changes must be an object',
+        ['changes']
+      );
+      return result;
+    }
+
+    const fields = Object.keys(changes);
+    if (fields.length === 0) {
+      addValidationError(
+        result.validation,
+        ValidationCode.INVALID_OPTION,
+        'At least one change is required',
+        ['changes']
+      );
+      return result;
+    }
+
+    for (const field of fields) {
+      if (!COUNTERFACTUAL_FIELDS[field]) {
+        addValidationError(
+          result.validation,
+          ValidationCode.INVALID_OPTION,
+          `Cannot change ${field}. Counterfactual changes are limited to ${Object.keys(COUNTERFACTUAL_FIELDS).join(', ')}`,
+          [field]
+        );
+      }
+    }
+    if (result.validation.errors.length > 0) {
+      return result;
+    }
+
+    const baseline = calculateRisk(data, riskOptions);
+    const counterfactual = calculateRisk({ ...data, ...changes }, riskOptions);
+    result.baseline = baseline;
+    result.counterfactual = counterfactual;
+    result.provenance =
+      baseline.provenance && deriveProvenance(baseline.provenance, input);
+
+    copyValidationIssues(result.validation, baseline.validation, 'Baseline: ');
+    copyValidationIssues(
+      result.validation,
+      counterfactual.validation,
+      'Counterfactual: '
+    );
+
+    if (!baseline.success || !counterfactual.success) {
+      return result;
+    }
+
+    const coefficients = {
+      model: options.model,
+      beta: options.density
+        ? resolveDensityModel(options.density).densityModel.beta
+        : null,
+    };
+    result.changes = fields.map((field) =>
+      describeChange(
+        field,
+        data,
+        changes,
+        baseline,
+        counterfactual,
+        coefficients
+      )
+    );
+    result.absoluteRiskDifference =
+      counterfactual.absoluteRisk - baseline.absoluteRisk;
+    result.absoluteRiskRatio =
+      baseline.absoluteRisk > 0
+        ? counterfactual.absoluteRisk / baseline.absoluteRisk
+        : null;
+
+    result.validation.isValid = true;
+    result.success = true;
+
+    return result;
+  } catch (error) {
+    result.error = {
+      message: error.message || 'Unknown error during risk calculation',
+      stack: error.stack || '',
+    };
+    addValidationError(
+      result.validation,
+      ValidationCode.UNEXPECTED_ERROR,
+      `Unexpected error: ${error.message || 'Unknown error'}`
+    );
+    return result;
+  }
+}
+
+/**
+ * Describes one changed field and whether it moves the model
+ *
+ * @param {string} field - Changed field name
+ * @param {Object} data - Baseline profile
+ * @param {Object} changes - All requested changes
+ * @param {import('../types/index.js').RiskResult} baseline - Baseline result
+ * @param {import('../types/index.js').RiskResult} counterfactual - Counterfactual result
+ * @param {{model: *, beta: number[]|null}} coefficients - Model and beta coefficients of the calculation
+ * @returns {import('../types/index.js').CounterfactualChange}
+ *
+ * @private
+ */
+function describeChange(
+  field,
+  data,
+  changes,
+  baseline,
+  counterfactual,
+  coefficients
+) {
+  const from = data[field];
+  const to = changes[field];
+  const recodedKeys = COUNTERFACTUAL_FIELDS[field];
+
+  const change = { field, from, to, hasEffect: false, note: null };
+
+  if (from === to) {
+    change.note = 'Value unchanged';
+    return change;
+  }
+
+  const recodedUnchanged = recodedKeys.every(
+    (key) => baseline.recodedValues[key] === counterfactual.recodedValues[key]
+  );
+  if (recodedUnchanged) {
+    change.note = `Recodes to the same category for ${baseline.raceEthnicity}`;
+    return change;
+  }
+
+  // Revert just this field's recoded values and see if the relative risk
+  // moves; the counterfactual's is recomputed the same way so that factors
+  // outside the recoded values (e.g. the density relative risk) cancel
+  const reverted = { ...counterfactual.recodedValues };
+  for (const key of recodedKeys) {
+    reverted[key] = baseline.recodedValues[key];
+  }
+  const revertedRisk = calculateRelativeRisk(
+    { isValid: true, recodedValues: reverted },
+    data.race,
+    coefficients
+  );
+  const counterfactualRisk = calculateRelativeRisk(
+    { isValid: true, recodedValues: counterfactual.recodedValues },
+    data.race,
+    coefficients
+  );
+
+  change.hasEffect =
+    revertedRisk.relativeRiskUnder50 !==
+      counterfactualRisk.relativeRiskUnder50 ||
+    revertedRisk.relativeRiskAtOrAbove50 !==
+      counterfactualRisk.relativeRiskAtOrAbove50;
+
+  if (!change.hasEffect) {
+    change.note = `Not used by the ${baseline.raceEthnicity} model`;
+  }
+
+  return change;
+}
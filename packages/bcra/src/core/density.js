@@ -0,0 +1,208 @@
+/**
+ * Mammographic Density Module
+ *
+ * Extends the Gail model with BI-RADS breast density (categories a-d) using
+ * a caller-supplied density model with the structure of the
+ * Gail-plus-density model of Chen et al. (2006):
+ *
+ *   RR = RR_Gail × RR_density(category),   h₁(t) = λ₁(t)·(1-AR_density)·RR
+ *
+ * A density model supplies three things, all estimated together:
+ * - density-specific relative risks, one per BI-RADS category (optionally
+ *   separate for ages < 50 and >= 50)
+ * - the attributable risk adjusted for density, as 1-AR for ages < 50 and
+ *   >= 50
+ * - optionally, beta coefficients for the modified covariate set. Covariates
+ *   the density model leaves out get a coefficient of 0.
+ *
+ * This is not an implementation of the published Chen et al. model, and no
+ * density parameters are bundled: Chen et al. estimated theirs from BCDDP
+ * percent density, not BI-RADS categories, so a clinic must supply
+ * parameters estimated for BI-RADS density in its own population.
+ *
+ * Copyright (C) 2025 epiVerse (JavaScript Implementation)
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ *
+ * @module core/density
+ * @license GPL-3.0-or-later
+ */
+
+import { BETA_COEFFICIENT_NAMES } from '../constants/index.js';
+import { BreastDensity } from '../types/index.js';
+import { validateOneMinusAR } from './recalibration.js';
+
+// BI-RADS categories a-d, in order of increasing density
+const DENSITY_CATEGORIES = Object.values(BreastDensity);
+
+// Normalized density models, so resolveDensityModel() can skip re-validating them
+const normalizedDensityModels = new WeakSet();
+
+/**
+ * Resolves a `density` option to a validated, frozen density model
+ *
+ * @param {import('../types/index.js').DensityModel} densityModel - Caller-supplied density model
+ * @returns {{densityModel: import('../types/index.js').DensityModel|null, error: string|null}}
+ *
+ * @example
+ * const { densityModel, error } = resolveDensityModel({
+ *   id: 'clinic-birads',
+ *   relativeRisks: { a: 0.6, b: 1, c: 1.4, d: [2.2, 1.9] },
+ *   oneMinusAR: [0.45, 0.55],
+ * });
+ */
+export function resolveDensityModel(densityModel) {
+  if (
+    densityModel &&
+    typeof densityModel === 'object' &&
+    normalizedDensityModels.has(densityModel)
+  ) {
+    return { densityModel, error: null };
+  }
+
+  if (!densityModel || typeof densityModel !== 'object') {
+    return { densityModel: null, error: 'Density model must be an object' };
+  }
+
+  const { id, name, relativeRisks, oneMinusAR, beta, races } = densityModel;
+  if (typeof id !== 'string' || id.length === 0) {
+    return {
+      densityModel: null,
+      error: 'Density model id must be a non-empty string',
+    };
+  }
+
+  const errors = [];
+  const isPositive = (value) =>
+    typeof value === 'number' && isFinite(value) && value > 0;
+
+  const normalizedRisks = {};
+  if (!relativeRisks || typeof relativeRisks !== 'object') {
+    errors.push('relativeRisks must give a relative risk for a, b, c and d');
+  } else {
+    for (const category of DENSITY_CATEGORIES) {
+      const value = relativeRisks[category];
+      if (isPositive(value)) {
+        normalizedRisks[category] = [value, value];
+      } else if (
+        Array.isArray(value) &&
+        value.length === 2 &&
+        value.every(isPositive)
+      ) {
+        normalizedRisks[category] = [...value];
+      } else {
+        errors.push(
+          `relativeRisks.${category} must be a positive number or two (ages < 50, >= 50)`
+        );
+      }
+    }
+  }
+
+  const oneMinusARError = validateOneMinusAR(oneMinusAR);
+  if (oneMinusARError) {
+    errors.push(oneMinusARError);
+  }
+
+  const size = BETA_COEFFICIENT_NAMES.length;
+  if (
+    beta !== undefined &&
+    beta !== null &&
+    !(
+      Array.isArray(beta) &&
+      beta.length === size &&
+      beta.every((value) => typeof value === 'number' && isFinite(value))
+    )
+  ) {
+    errors.push(
+      `beta must be ${size} numbers (${BETA_COEFFICIENT_NAMES.join(', ')})`
+    );
+  }
+
+  if (
+    races !== undefined &&
+    races !== null &&
+    !(
+      Array.isArray(races) &&
+      races.length > 0 &&
+      races.every((race) => Number.isInteger(race))
+    )
+  ) {
+    errors.push('races must be a non-empty list of race codes');
+  }
+
+  if (errors.length > 0) {
+    return {
+      densityModel: null,
+      error: `Density model ${id}: ${errors.join('; ')}`,
+    };
+  }
+
+  const normalized = {
+    id,
+    name: typeof name === 'string' && name ? name : id,
+    relativeRisks: normalizedRisks,
+    oneMinusAR: [...oneMinusAR],
+    beta: beta ? [...beta] : null,
+    races: races ? [...races] : null,
+  };
+  Object.values(normalizedRisks).forEach((risks) => Object.freeze(risks));
+  Object.values(normalized).forEach((value) => {
+    if (value && typeof value === 'object') {
+      Object.freeze(value);
+    }
+  });
+  Object.freeze(normalized);
+  normalizedDensityModels.add(normalized);
+
+  return { densityModel: normalized, error: null };
+}
+
+/**
+ * Looks up the density relative risks for a profile
+ *
+ * @param {import('../types/index.js').DensityModel} densityModel - Resolved density model
+ * @param {import('../types/index.js').RiskFactorProfile} data - Sanitized profile
+ * @returns {{category: string|null, relativeRisk: number[]|null, error: string|null}}
+ *   Relative risks for ages < 50 and >= 50, or an error if the model does not
+ *   apply to the profile
+ *
+ * @example
+ * getDensityRelativeRisk(densityModel, { ...profile, breastDensity: 'c' });
+ * // { category: 'c', relativeRisk: [1.4, 1.4], error: null }
+ */
+export function getDensityRelativeRisk(densityModel, data) {
+  const { race, breastDensity } = data;
+
+  if (densityModel.races && !densityModel.races.includes(race)) {
+    return {
+      category: null,
+      relativeRisk: null,
+      error: `Density model ${densityModel.id} does not cover race code ${race}`,
+    };
+  }
+
+  if (!DENSITY_CATEGORIES.includes(breastDensity)) {
+    return {
+      category: null,
+      relativeRisk: null,
+      error: `breastDensity is required by density model ${densityModel.id}`,
+    };
+  }
+
+  return {
+    category: breastDensity,
+    relativeRisk: [...densityModel.relativeRisks[breastDensity]],
+    error: null,
+  };
+}
@@ -0,0 +1,453 @@
+/**
+ * Imputation Module
+ *
+ * Replaces the category-0 coding of unknown (99) risk factors with draws from
+ * the population's category distributions. The BCRAT recodes an unknown
+ * number of biopsies, age at menarche, age at first birth or number of
+ * affected relatives to category 0, the lowest-risk category, which biases
+ * the risk of women with missing data downward.
+ *
+ * Two methods are available:
+ * - 'expected': averages the absolute risk over every combination of
+ *   categories of the unknown fields, weighted by their probabilities
+ * - 'multiple': draws the unknown categories `draws` times with a seeded
+ *   generator and reports the distribution of the resulting risks
+ *
+ * Fields are imputed independently of each other and of the known fields.
+ * No distributions are bundled: they come from the caller, for example
+ * estimated from a representative sample with estimateCategoryDistributions().
+ *
+ * Copyright (C) 2025 epiVerse (JavaScript Implementation)
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ *
+ * @module core/imputation
+ * @license GPL-3.0-or-later
+ */
+
+import { recodeAndValidate } from './recode-check.js';
+import { resolveModel, DEFAULT_MODEL_ID } from './model-registry.js';
+import {
+  validateRiskFactorDataStructure,
+  sanitizeRiskFactorData,
+} from '../utils/validators.js';
+import { createSeededRandom, empiricalQuantile } from '../utils/statistics.js';
+import { SpecialValues } from '../types/index.js';
+
+/**
+ * Supported imputation methods
+ * @constant
+ */
+export const IMPUTATION_METHODS = ['expected', 'multiple'];
+
+/**
+ * Raw input fields that can be imputed when unknown (99), with the recoded
+ * value each one sets
+ * @type {Object.<string, string>}
+ * @constant
+ */
+export const IMPUTABLE_FIELDS = {
+  numBreastBiopsies: 'biopsyCategory',
+  ageAtMenarche: 'menarcheCategory',
+  ageAtFirstBirth: 'firstBirthCategory',
+  numRelativesWithBrCa: 'relativesCategory',
+};
+
+// Tolerance for distributions that should sum to 1
+const PROBABILITY_TOLERANCE = 1e-6;
+
+/**
+ * Checks an `imputation` option before any calculation is done
+ *
+ * @param {import('../types/index.js').ImputationOptions} imputation - Imputation options
+ * @returns {string|null} Error message, or null if the options are usable
+ *
+ * @example
+ * checkImputationOptions({ method: 'expected', distributions }); // null
+ */
+export function checkImputationOptions(imputation) {
+  if (!imputation || typeof imputation !== 'object') {
+    return 'imputation must be an object';
+  }
+
+  const {
+    method = 'expected',
+    distributions,
+    draws = 100,
+    seed = 1,
+    level = 0.95,
+  } = imputation;
+
+  if (!IMPUTATION_METHODS.includes(method)) {
+    return `Unknown imputation method: ${method}. Must be one of ${IMPUTATION_METHODS.join(', ')}`;
+  }
+  if (!distributions || typeof distributions !== 'object') {
+    return 'imputation.distributions must give category distributions by race code (no default distributions are bundled)';
+  }
+  if (method === 'multiple') {
+    if (!(Number.isInteger(draws) && draws >= 2)) {
+      return 'Imputation draws must be an integer of at least 2';
+    }
+    if (!Number.isInteger(seed)) {
+      return 'Imputation seed must be an integer';
+    }
+    if (typeof level !== 'number' || !(level > 0 && level < 1)) {
+      return 'Imputation level must be between 0 and 1 (exclusive)';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Averages or distributes the absolute risk over imputed unknown fields
+ *
+ * Fields are imputed when their raw value is unknown (99) and the
+ * population's recoding gives them more than one category. Imputing the
+ * number of biopsies also applies the population's multiplier for unknown
+ * atypical hyperplasia to the categories with biopsies.
+ *
+ * @param {import('../types/index.js').RiskFactorProfile} data - Sanitized raw profile
+ * @param {import('../types/index.js').ValidationResult} validation - Validation of the profile
+ * @param {import('../types/index.js').ModelPopulation} population - Population whose recoding applies
+ * @param {import('../types/index.js').ImputationOptions} imputation - Checked imputation options
+ * @param {function(Object): {absoluteRisk: number|null, relativeRisk: Object}} riskFor - Calculates
+ *   the risk for a set of recoded values
+ * @returns {{absoluteRisk: number|null, relativeRiskUnder50: number|null, relativeRiskAtOrAbove50: number|null,
+ *   imputation: import('../types/index.js').ImputationResult|null, error: string|null}}
+ *
+ * @example
+ * const { absoluteRisk, imputation } = calculateImputedRisk(data, validation, population, options, riskFor);
+ * console.log(imputation.fields); // ['ageAtMenarche']
+ */
+export function calculateImputedRisk(
+  data,
+  validation,
+  population,
+  imputation,
+  riskFor
+) {
+  const failed = (error) => ({
+    absoluteRisk: null,
+    relativeRiskUnder50: null,
+    relativeRiskAtOrAbove50: null,
+    imputation: null,
+    error,
+  });
+
+  const {
+    method = 'expected',
+    draws = 100,
+    seed = 1,
+    level = 0.95,
+  } = imputation;
+  const { race } = data;
+  const counts = countCategories(population.recoding);
+  const fields = Object.keys(IMPUTABLE_FIELDS).filter(
+    (field) => data[field] === SpecialValues.UNKNOWN && counts[field] > 1
+  );
+
+  // Probabilities of each category of the fields to impute
+  const raceDistributions = imputation.distributions[race] || {};
+  const probabilities = [];
+  for (const field of fields) {
+    const distribution = raceDistributions[field];
+    if (distribution === undefined || distribution === null) {
+      return failed(
+        `No imputation distribution for ${field} (race code ${race})`
+      );
+    }
+    if (!isDistribution(distribution, counts[field])) {
+      return failed(
+        `Imputation distribution for ${field} (race code ${race}) must be ${counts[field]} non-negative probabilities summing to 1`
+      );
+    }
+    probabilities.push(distribution);
+  }
+
+  const recodedFor = (categories) => {
+    const recodedValues = { ...validation.recodedValues };
+    fields.forEach((field, i) => {
+      recodedValues[IMPUTABLE_FIELDS[field]] = categories[i];
+      if (field === 'numBreastBiopsies') {
+        recodedValues.hyperplasiaMultiplier =
+          categories[i] > 0
+            ? population.recoding.hyperplasiaMultipliers.unknown
+            : 1.0;
+      }
+    });
+    return recodedValues;
+  };
+
+  // Weighted risks: every combination, or one entry per draw
+  const outcomes = [];
+  if (method === 'expected') {
+    for (const { categories, weight } of enumerateCombinations(probabilities)) {
+      if (weight > 0) {
+        outcomes.push({ ...riskFor(recodedFor(categories)), weight });
+      }
+    }
+  } else {
+    const random = createSeededRandom(seed);
+    for (let d = 0; d < draws; d++) {
+      const categories = probabilities.map((distribution) =>
+        drawCategory(distribution, random)
+      );
+      outcomes.push({ ...riskFor(recodedFor(categories)), weight: 1 / draws });
+    }
+  }
+
+  if (outcomes.some((outcome) => outcome.absoluteRisk === null)) {
+    return failed(
+      'Absolute risk calculation failed - missing race-specific rates'
+    );
+  }
+
+  const weightedMean = (value) =>
+    outcomes.reduce((sum, outcome) => sum + outcome.weight * value(outcome), 0);
+  const absoluteRisk = weightedMean((outcome) => outcome.absoluteRisk);
+  const variance = weightedMean(
+    (outcome) => (outcome.absoluteRisk - absoluteRisk) ** 2
+  );
+
+  const result = {
+    absoluteRisk,
+    relativeRiskUnder50: weightedMean(
+      (outcome) => outcome.relativeRisk.relativeRiskUnder50
+    ),
+    relativeRiskAtOrAbove50: weightedMean(
+      (outcome) => outcome.relativeRisk.relativeRiskAtOrAbove50
+    ),
+    imputation: {
+      method,
+      fields,
+      standardDeviation: Math.sqrt(variance),
+      level: null,
+      lower: null,
+      upper: null,
+      draws: null,
+      seed: null,
+      risks: null,
+    },
+    error: null,
+  };
+
+  if (method === 'multiple') {
+    const risks = outcomes.map((outcome) => outcome.absoluteRisk);
+    const sorted = [...risks].sort((a, b) => a - b);
+    Object.assign(result.imputation, {
+      // Sample standard deviation across imputations
+      standardDeviation: Math.sqrt((variance * draws) / (draws - 1)),
+      level,
+      lower: empiricalQuantile(sorted, (1 - level) / 2),
+      upper: empiricalQuantile(sorted, 1 - (1 - level) / 2),
+      draws,
+      seed,
+      risks,
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Estimates race-specific category distributions from a sample of profiles
+ *
+ * Each field's distribution is the (weighted) share of each recoded category
+ * among the profiles where the field is known. Profiles that fail validation
+ * are left out and listed in `excluded`. A field no profile of a race knows
+ * is left out of that race's distributions.
+ *
+ * @param {import('../types/index.js').RiskFactorProfile[]} profiles - Sample of profiles
+ * @param {Object} [options] - Options
+ * @param {number[]} [options.weights] - Non-negative weight per profile. Default: equal weights
+ * @param {string|import('../types/index.js').ModelDefinition} [options.model='nci-bcrat'] - Model whose
+ *   recoding defines the categories
+ * @returns {{distributions: Object|null, counts: Object|null, excluded: Array<{index: number, errors: string[]}>,
+ *   error: string|null}} Distributions and the weighted category counts behind them, by race code
+ *
+ * @example
+ * const { distributions } = estimateCategoryDistributions(cohortProfiles);
+ * calculateRisk(profile, { imputation: { method: 'expected', distributions } });
+ */
+export function estimateCategoryDistributions(profiles, options = {}) {
+  const result = {
+    distributions: null,
+    counts: null,
+    excluded: [],
+    error: null,
+  };
+
+  const { model: modelOption = DEFAULT_MODEL_ID, weights } = options;
+  const { model, error: modelError } = resolveModel(modelOption);
+  if (!model) {
+    result.error = modelError;
+    return result;
+  }
+
+  if (!Array.isArray(profiles) || profiles.length === 0) {
+    result.error = 'profiles must be a non-empty array';
+    return result;
+  }
+  if (
+    weights !== undefined &&
+    !(
+      Array.isArray(weights) &&
+      weights.length === profiles.length &&
+      weights.every((weight) => typeof weight === 'number' && weight >= 0)
+    )
+  ) {
+    result.error = 'weights must be one non-negative number per profile';
+    return result;
+  }
+
+  const counts = {};
+  profiles.forEach((profile, index) => {
+    const data = sanitizeRiskFactorData(profile);
+    const structure = validateRiskFactorDataStructure(data);
+    if (!structure.valid) {
+      result.excluded.push({ index, errors: structure.errors });
+      return;
+    }
+    const validation = recodeAndValidate(data, true, { model });
+    if (!validation.isValid) {
+      result.excluded.push({ index, errors: validation.errors });
+      return;
+    }
+
+    const categoryCounts = countCategories(
+      model.populations[data.race].recoding
+    );
+    if (!counts[data.race]) {
+      counts[data.race] = {};
+      for (const field of Object.keys(IMPUTABLE_FIELDS)) {
+        counts[data.race][field] = new Array(categoryCounts[field]).fill(0);
+      }
+    }
+
+    const weight = weights ? weights[index] : 1;
+    for (const [field, key] of Object.entries(IMPUTABLE_FIELDS)) {
+      if (data[field] !== SpecialValues.UNKNOWN) {
+        counts[data.race][field][validation.recodedValues[key]] += weight;
+      }
+    }
+  });
+
+  const distributions = {};
+  for (const [race, fieldCounts] of Object.entries(counts)) {
+    distributions[race] = {};
+    for (const [field, categoryCounts] of Object.entries(fieldCounts)) {
+      const total = categoryCounts.reduce((sum, count) => sum + count, 0);
+      if (total > 0) {
+        distributions[race][field] = categoryCounts.map(
+          (count) => count / total
+        );
+      }
+    }
+  }
+
+  if (Object.keys(distributions).length === 0) {
+    result.error = 'The sample has no valid profiles';
+    return result;
+  }
+
+  result.distributions = distributions;
+  result.counts = counts;
+  return result;
+}
+
+/**
+ * Counts the categories each imputable field has under a population's recoding
+ *
+ * @param {import('../types/index.js').RecodingRules} recoding - Population recoding rules
+ * @returns {Object.<string, number>} Category count by raw field name
+ *
+ * @private
+ */
+function countCategories(recoding) {
+  const { biopsies, menarche, firstBirth, relatives } = recoding;
+  return {
+    numBreastBiopsies: biopsies.cutpoints.length + 1,
+    ageAtMenarche: menarche.cutpoints.length + 1,
+    ageAtFirstBirth:
+      Math.max(firstBirth.cutpoints.length, firstBirth.nulliparousCategory) + 1,
+    numRelativesWithBrCa: relatives.cutpoints.length + 1,
+  };
+}
+
+/**
+ * Checks that a distribution has one probability per category
+ *
+ * @param {number[]} distribution - Candidate probabilities
+ * @param {number} size - Number of categories
+ * @returns {boolean}
+ *
+ * @private
+ */
+function isDistribution(distribution, size) {
+  return (
+    Array.isArray(distribution) &&
+    distribution.length === size &&
+    distribution.every((p) => typeof p === 'number' && isFinite(p) && p >= 0) &&
+    Math.abs(distribution.reduce((sum, p) => sum + p, 0) - 1) <=
+      PROBABILITY_TOLERANCE
+  );
+}
+
+/**
+ * Lists every combination of categories with its probability
+ *
+ * @param {number[][]} probabilities - One distribution per field
+ * @returns {Array<{categories: number[], weight: number}>}
+ *
+ * @private
+ */
+function enumerateCombinations(probabilities) {
+  let combinations = [{ categories: [], weight: 1 }];
+  for (const distribution of probabilities) {
+    combinations = combinations.flatMap(({ categories, weight }) =>
+      distribution.map((p, category) => ({
+        categories: [...categories, category],
+        weight: weight * p,
+      }))
+    );
+  }
+  return combinations;
+}
+
+/**
+ * Draws a category from a distribution
+ *
+ * @param {number[]} distribution - Category probabilities
+ * @param {function(): number} random - Uniform random number generator
+ * @returns {number} Category index
+ *
+ * @private
+ */
+function drawCategory(distribution, random) {
+  const u = random();
+  let cumulative = 0;
+  for (let category = 0; category < distribution.length; category++) {
+    cumulative += distribution[category];
+    if (u < cumulative) {
+      return category;
+    }
+  }
+  // Rounding can leave the cumulative sum just below 1
+  let last = distribution.length - 1;
+  while (last > 0 && distribution[last] === 0) {
+    last--;
+  }
+  return last;
+}
@@ -0,0 +1,522 @@
+/**
+ * Model Registry Module
+ *
+ * Keeps the Gail-type models that calculateRisk() can run. A model
+ * definition bundles, for each population code (the profile's `race` field),
+ * the beta coefficients, λ₁ and λ₂ rates, 1-AR values, recoding rules and a
+ * label. The NCI BCRAT model (constants/nci-bcrat) is registered as
+ * 'nci-bcrat' and is the default.
+ *
+ * Models share the Gail structure: six coefficients in BETA_COEFFICIENT_NAMES
+ * order, rates on an age grid covering 20 to 90 (by default the 14 five-year
+ * groups; see core/rate-tables), and separate 1-AR values below and from
+ * age 50.
+ *
+ * Registered models are validated, normalized (population recoding merged
+ * over the model's defaults) and frozen, so a calculation always sees the
+ * definition as it was registered.
+ *
+ * Copyright (C) 2025 epiVerse (JavaScript Implementation)
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ *
+ * @module core/model-registry
+ * @license GPL-3.0-or-later
+ */
+
+import {
+  NCI_BCRAT_MODEL,
+  NCI_BCRAT_VERSIONS,
+  DEFAULT_NCI_BCRAT_VERSION,
+  BETA_COEFFICIENT_NAMES,
+} from '../constants/index.js';
+import { DEFAULT_AGE_BREAKPOINTS, validateRateTable } from './rate-tables.js';
+
+/**
+ * Id of the model used when no `model` option is given
+ * @constant
+ */
+export const DEFAULT_MODEL_ID = 'nci-bcrat';
+
+// Registered models by id
+const registry = new Map();
+
+// Normalized definitions, so resolveModel() can skip re-validating them
+const normalizedModels = new WeakSet();
+
+// Recoded risk factors, in recoding order
+const RECODING_FACTORS = ['biopsies', 'menarche', 'firstBirth', 'relatives'];
+
+/**
+ * Registers a Gail-type model definition
+ *
+ * The definition is validated, copied and frozen. Population `recoding`
+ * entries override the model-level `recoding` rules factor by factor, so a
+ * population only lists what differs.
+ *
+ * @param {import('../types/index.js').ModelDefinition} definition - Model definition
+ * @returns {{success: boolean, model: import('../types/index.js').ModelSummary|null, errors: string[]}}
+ *   Registration outcome; `errors` lists every problem found in the definition
+ *
+ * @example
+ * const result = registerModel({
+ *   id: 'cohort-x',
+ *   name: 'Cohort X Gail-type model',
+ *   recoding: constants.STANDARD_RECODING_RULES,
+ *   populations: {
+ *     1: { label: 'Cohort X', beta, lambda1, lambda2, oneMinusAR: [0.58, 0.66] },
+ *   },
+ * });
+ * if (result.success) {
+ *   calculateRisk({ ...profile, race: 1 }, { model: 'cohort-x' });
+ * }
+ */
+export function registerModel(definition) {
+  const result = { success: false, model: null, errors: [] };
+
+  const { model, errors } = normalizeModel(definition);
+  if (!model) {
+    result.errors.push(...errors);
+    return result;
+  }
+
+  if (registry.has(model.id)) {
+    result.errors.push(`A model with id ${model.id} is already registered`);
+    return result;
+  }
+
+  registry.set(model.id, model);
+  result.model = summarizeModel(model);
+  result.success = true;
+  return result;
+}
+
+/**
+ * Removes a registered model
+ *
+ * The default model cannot be removed.
+ *
+ * @param {string} id - Model id
+ * @returns {boolean} True if a model was removed
+ */
+export function unregisterModel(id) {
+  if (id === DEFAULT_MODEL_ID) {
+    return false;
+  }
+  return registry.delete(id);
+}
+
+/**
+ * Returns a registered model definition
+ *
+ * @param {string} [id=DEFAULT_MODEL_ID] - Model id
+ * @returns {import('../types/index.js').ModelDefinition|null} Frozen, normalized definition, or null if not registered
+ */
+export function getModel(id = DEFAULT_MODEL_ID) {
+  return registry.get(id) || null;
+}
+
+/**
+ * Lists the registered models
+ *
+ * @returns {import('../types/index.js').ModelSummary[]} One entry per model, in registration order
+ *
+ * @example
+ * listModels();
+ * // [{ id: 'nci-bcrat', name: 'NCI Breast Cancer Risk Assessment Tool (Gail model)', populations: [...] }]
+ */
+export function listModels() {
+  return [...registry.values()].map(summarizeModel);
+}
+
+/**
+ * Resolves a `model` option to a normalized definition
+ *
+ * Accepts a registered id, a definition returned by getModel(), or an
+ * unregistered definition object, which is validated on the fly.
+ *
+ * @param {string|import('../types/index.js').ModelDefinition} [model=DEFAULT_MODEL_ID] - Model id or definition
+ * @returns {{model: import('../types/index.js').ModelDefinition|null, error: string|null}}
+ */
+export function resolveModel(model = DEFAULT_MODEL_ID) {
+  if (typeof model === 'string') {
+    const registered = registry.get(model);
+    if (!registered) {
+      return {
+        model: null,
+        error: `Unknown model: ${model}. Registered models: ${[...registry.keys()].join(', ')}`,
+      };
+    }
+    return { model: registered, error: null };
+  }
+
+  if (model && typeof model === 'object' && normalizedModels.has(model)) {
+    return { model, error: null };
+  }
+
+  const { model: normalized, errors } = normalizeModel(model);
+  if (!normalized) {
+    return { model: null, error: errors.join('; ') };
+  }
+  return { model: normalized, error: null };
+}
+
+/**
+ * Looks up one population of a model
+ *
+ * @param {number} race - Population code (the profile's `race` field)
+ * @param {string|import('../types/index.js').ModelDefinition} [model=DEFAULT_MODEL_ID] - Model id or definition
+ * @returns {import('../types/index.js').ModelPopulation|null} Null if the model or population does not exist
+ */
+export function getPopulation(race, model = DEFAULT_MODEL_ID) {
+  const { model: resolved } = resolveModel(model);
+  if (!resolved) {
+    return null;
+  }
+  return resolved.populations[race] || null;
+}
+
+/**
+ * Returns the NCI BCRAT version a model stands for, as recorded in results
+ *
+ * 'current', the only bundled version, is the registered default model;
+ * other models have no version.
+ *
+ * @param {import('../types/index.js').ModelDefinition} model - Resolved model definition
+ * @returns {import('../types/index.js').ModelVersionSummary|null} The version, or null for other models
+ *
+ * @example
+ * getModelVersion(getModel()).id; // 'current'
+ */
+export function getModelVersion(model) {
+  return model.id === DEFAULT_MODEL_ID
+    ? summarizeVersion(NCI_BCRAT_VERSIONS[DEFAULT_NCI_BCRAT_VERSION])
+    : null;
+}
+
+/**
+ * Lists the bundled NCI BCRAT versions
+ *
+ * @returns {import('../types/index.js').ModelVersionSummary[]} One entry per version, current first
+ *
+ * @example
+ * listModelVersions().map((version) => version.id);
+ * // ['current']
+ */
+export function listModelVersions() {
+  return Object.values(NCI_BCRAT_VERSIONS).map(summarizeVersion);
+}
+
+/**
+ * Validates a definition and builds its frozen, normalized copy
+ *
+ * @param {Object} definition - Candidate model definition
+ * @returns {{model: Object|null, errors: string[]}}
+ *
+ * @private
+ */
+function normalizeModel(definition) {
+  if (!definition || typeof definition !== 'object') {
+    return { model: null, errors: ['Model definition must be an object'] };
+  }
+
+  const errors = [];
+  const { id, name, populations } = definition;
+
+  if (typeof id !== 'string' || id.length === 0) {
+    errors.push('Model id must be a non-empty string');
+  }
+
+  const label = typeof id === 'string' && id ? id : 'model';
+  const defaults = definition.recoding || {};
+
+  if (
+    !populations ||
+    typeof populations !== 'object' ||
+    Object.keys(populations).length === 0
+  ) {
+    errors.push(`Model ${label}: populations must list at least one code`);
+    return { model: null, errors };
+  }
+
+  const normalizedPopulations = {};
+  for (const [code, population] of Object.entries(populations)) {
+    const where = `Model ${label}, population ${code}`;
+    if (!Number.isInteger(Number(code))) {
+      errors.push(`${where}: population codes must be integers`);
+      continue;
+    }
+    if (!population || typeof population !== 'object') {
+      errors.push(`${where}: population must be an object`);
+      continue;
+    }
+
+    const recoding = mergeRecodingRules(defaults, population.recoding || {});
+    const populationErrors = [
+      ...checkPopulation(population),
+      ...checkRecodingRules(recoding),
+    ];
+    if (populationErrors.length > 0) {
+      errors.push(...populationErrors.map((error) => `${where}: ${error}`));
+      continue;
+    }
+
+    normalizedPopulations[code] = {
+      label: population.label,
+      beta: [...population.beta],
+      betaCovariance: population.betaCovariance
+        ? population.betaCovariance.map((row) => [...row])
+        : null,
+      ageBreakpoints: [
+        ...(population.ageBreakpoints || DEFAULT_AGE_BREAKPOINTS),
+      ],
+      lambda1: [...population.lambda1],
+      lambda2: [...population.lambda2],
+      oneMinusAR: [...population.oneMinusAR],
+      averageLambda1: population.averageLambda1
+        ? [...population.averageLambda1]
+        : null,
+      averageLambda2: population.averageLambda2
+        ? [...population.averageLambda2]
+        : null,
+      recoding,
+    };
+  }
+
+  if (errors.length > 0) {
+    return { model: null, errors };
+  }
+
+  const model = deepFreeze({
+    id,
+    name: typeof name === 'string' && name ? name : id,
+    populations: normalizedPopulations,
+  });
+  normalizedModels.add(model);
+  return { model, errors };
+}
+
+/**
+ * Merges population recoding rules over the model defaults, factor by factor
+ *
+ * @private
+ */
+function mergeRecodingRules(defaults, overrides) {
+  const merged = {};
+  for (const factor of RECODING_FACTORS) {
+    const rule = overrides[factor] || defaults[factor];
+    merged[factor] = rule
+      ? {
+          cutpoints: Array.isArray(rule.cutpoints) ? [...rule.cutpoints] : null,
+          ...(factor === 'firstBirth'
+            ? { nulliparousCategory: rule.nulliparousCategory }
+            : {}),
+        }
+      : null;
+  }
+  const multipliers =
+    overrides.hyperplasiaMultipliers || defaults.hyperplasiaMultipliers;
+  merged.hyperplasiaMultipliers = multipliers ? { ...multipliers } : null;
+  return merged;
+}
+
+/**
+ * Checks the coefficients, rates and 1-AR values of one population
+ *
+ * @param {Object} population - Population definition
+ * @returns {string[]} Error messages
+ *
+ * @private
+ */
+function checkPopulation(population) {
+  const errors = [];
+  const isFiniteNumber = (value) =>
+    typeof value === 'number' && isFinite(value);
+  const ageBreakpoints = population.ageBreakpoints || DEFAULT_AGE_BREAKPOINTS;
+
+  if (typeof population.label !== 'string' || population.label.length === 0) {
+    errors.push('label must be a non-empty string');
+  }
+
+  const size = BETA_COEFFICIENT_NAMES.length;
+  if (
+    !Array.isArray(population.beta) ||
+    population.beta.length !== size ||
+    !population.beta.every(isFiniteNumber)
+  ) {
+    errors.push(
+      `beta must be ${size} numbers (${BETA_COEFFICIENT_NAMES.join(', ')})`
+    );
+  }
+
+  if (
+    population.betaCovariance &&
+    !(
+      Array.isArray(population.betaCovariance) &&
+      population.betaCovariance.length === size &&
+      population.betaCovariance.every(
+        (row) =>
+          Array.isArray(row) && row.length === size && row.every(isFiniteNumber)
+      )
+    )
+  ) {
+    errors.push(`betaCovariance must be a ${size}×${size} matrix`);
+  }
+
+  for (const key of ['lambda1', 'lambda2']) {
+    errors.push(
+      ...validateRateTable(population[key], ageBreakpoints).map(
+        (error) => `${key} ${error}`
+      )
+    );
+  }
+
+  for (const key of ['averageLambda1', 'averageLambda2']) {
+    if (population[key]) {
+      errors.push(
+        ...validateRateTable(population[key], ageBreakpoints).map(
+          (error) => `${key} ${error}`
+        )
+      );
+    }
+  }
+
+  if (
+    !Array.isArray(population.oneMinusAR) ||
+    population.oneMinusAR.length !== 2 ||
+    !population.oneMinusAR.every(
+      (value) => isFiniteNumber(value) && value > 0 && value <= 1
+    )
+  ) {
+    errors.push('oneMinusAR must be two values in (0, 1] (ages < 50, >= 50)');
+  }
+
+  return errors;
+}
+
+/**
+ * Checks merged recoding rules
+ *
+ * @param {Object} recoding - Rules from mergeRecodingRules()
+ * @returns {string[]} Error messages
+ *
+ * @private
+ */
+function checkRecodingRules(recoding) {
+  const errors = [];
+  // Menarche categories count down from the latest age
+  const descending = { menarche: true };
+
+  for (const factor of RECODING_FACTORS) {
+    const rule = recoding[factor];
+    if (!rule || !rule.cutpoints) {
+      errors.push(`recoding.${factor}.cutpoints must be an array`);
+      continue;
+    }
+    const { cutpoints } = rule;
+    const ordered = cutpoints.every(
+      (cutpoint, i) =>
+        typeof cutpoint === 'number' &&
+        isFinite(cutpoint) &&
+        (i === 0 ||
+          (descending[factor]
+            ? cutpoint < cutpoints[i - 1]
+            : cutpoint > cutpoints[i - 1]))
+    );
+    if (!ordered) {
+      errors.push(
+        `recoding.${factor}.cutpoints must be ${descending[factor] ? 'decreasing' : 'increasing'} numbers`
+      );
+    }
+  }
+
+  const firstBirth = recoding.firstBirth;
+  if (
+    firstBirth &&
+    firstBirth.cutpoints &&
+    !(
+      Number.isInteger(firstBirth.nulliparousCategory) &&
+      firstBirth.nulliparousCategory >= 0 &&
+      firstBirth.nulliparousCategory <= firstBirth.cutpoints.length
+    )
+  ) {
+    errors.push(
+      'recoding.firstBirth.nulliparousCategory must be an integer category between 0 and the number of cutpoints'
+    );
+  }
+
+  const multipliers = recoding.hyperplasiaMultipliers;
+  if (
+    !multipliers ||
+    !['no', 'yes', 'unknown'].every(
+      (key) =>
+        typeof multipliers[key] === 'number' &&
+        isFinite(multipliers[key]) &&
+        multipliers[key] > 0
+    )
+  ) {
+    errors.push(
+      'recoding.hyperplasiaMultipliers must give positive no, yes and unknown multipliers'
+    );
+  }
+
+  return errors;
+}
+
+/**
+ * Short description of a model for listings and results
+ *
+ * @private
+ */
+function summarizeModel(model) {
+  return {
+    id: model.id,
+    name: model.name,
+    populations: Object.entries(model.populations).map(
+      ([code, population]) => ({
+        code: Number(code),
+        label: population.label,
+      })
+    ),
+  };
+}
+
+/**
+ * Short description of a model version for listings and results
+ *
+ * @private
+ */
+function summarizeVersion(version) {
+  return {
+    id: version.id,
+    name: version.name,
+    races: [...version.races],
+    caveats: [...version.caveats],
+  };
+}
+
+/**
+ * Freezes an object and everything it references
+ *
+ * @private
+ */
+function deepFreeze(value) {
+  if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.freeze(value);
+    Object.values(value).forEach(deepFreeze);
+  }
+  return value;
+}
+
+registerModel(NCI_BCRAT_MODEL);
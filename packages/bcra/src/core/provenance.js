@@ -0,0 +1,334 @@
+/**
+ * Result Provenance Module
+ *
+ * Records what produced a risk result, so that a stored result can be checked
+ * and reproduced later: the library version, the model, model version, rate
+ * set and density model identifiers, the integration engine, and SHA-256
+ * hashes of
+ * - the parameter set actually used for the woman's race: beta coefficients,
+ *   λ₁/λ₂ tables (individual and average, expanded to single years), 1-AR
+ *   values and density relative risks
+ * - the profile as sanitized for the calculation (so a form value '40' and
+ *   the number 40 hash the same), and the calculation options with their
+ *   defaults filled in
+ *
+ * Hashes are taken over canonical JSON (sorted keys), so they do not depend
+ * on the order in which properties were set. The profile and the options are
+ * copied in full when the block is built, so changing them (or anything
+ * nested in them) afterwards does not change the block; the SHA-256 digests
+ * are only calculated when first read. The parameters come from frozen
+ * models, rate sets and density models, and are hashed when first read too.
+ * Calculations that do not need provenance can turn it off with the
+ * `provenance: false` option, which calculateBatchRisk() uses by default.
+ *
+ * Recalculating a stored profile with the stored options and comparing the
+ * two provenance blocks with compareProvenance() shows whether anything that
+ * feeds the result changed.
+ *
+ * Copyright (C) 2025 epiVerse (JavaScript Implementation)
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ *
+ * @module core/provenance
+ * @license GPL-3.0-or-later
+ */
+
+import { listRateTables } from './absolute-risk.js';
+import { canonicalize, hashCanonical } from '../utils/hash.js';
+import { VERSION } from '../version.js';
+
+/**
+ * Hash algorithm of the provenance hashes
+ * @type {string}
+ * @constant
+ */
+export const PROVENANCE_HASH_ALGORITHM = 'SHA-256';
+
+// Package name recorded with the version
+const LIBRARY_NAME = 'bcra';
+
+// Parameter hashes of model populations used as they are (no rate set, 1-AR
+// values or density model), so batches hash each population's tables once
+const populationHashes = new WeakMap();
+
+/**
+ * Builds the provenance block of a calculation
+ *
+ * Without resolved model options (for example when an option is invalid),
+ * only the library and the input and options hashes are recorded;
+ * recordResolvedOptions() adds the rest once the options are resolved.
+ *
+ * @param {Object} data - Risk factor data, sanitized as for the calculation
+ *   (see sanitizeCalculationInput())
+ * @param {Object} options - Calculation options, with defaults filled in
+ * @param {Object} [resolved] - Resolved model options, as for recordResolvedOptions()
+ * @returns {import('../types/index.js').ResultProvenance}
+ *
+ * @example
+ * const provenance = createProvenance(profile, { model: 'nci-bcrat' });
+ * console.log(provenance.inputHash); // 64 hexadecimal characters
+ */
+export function createProvenance(data, options, resolved = null) {
+  // Copied now, so later changes to the caller's objects do not count
+  const input = copyDeep(data);
+  const calculationOptions = copyDeep(options);
+  // Each hash is either its value or a function that calculates it when
+  // first read
+  const hashes = {
+    parameterHash: null,
+    inputHash: () => hashCanonical(input),
+    optionsHash: () => hashCanonical(calculationOptions),
+  };
+  const provenance = {
+    library: { name: LIBRARY_NAME, version: VERSION },
+    model: null,
+    modelVersion: null,
+    rateSet: null,
+    densityModel: null,
+    integration: null,
+    hashAlgorithm: PROVENANCE_HASH_ALGORITHM,
+    get parameterHash() {
+      return readHash(hashes, 'parameterHash');
+    },
+    set parameterHash(value) {
+      hashes.parameterHash = value;
+    },
+    get inputHash() {
+      return readHash(hashes, 'inputHash');
+    },
+    set inputHash(value) {
+      hashes.inputHash = value;
+    },
+    get optionsHash() {
+      return readHash(hashes, 'optionsHash');
+    },
+    set optionsHash(value) {
+      hashes.optionsHash = value;
+    },
+  };
+
+  return resolved
+    ? recordResolvedOptions(provenance, data, resolved)
+    : provenance;
+}
+
+/**
+ * Records the model, rate set, density model, integration engine and
+ * parameter hash of resolved model options in a provenance block
+ *
+ * @param {import('../types/index.js').ResultProvenance} provenance - Block from createProvenance(), updated
+ *   in place
+ * @param {Object} data - Risk factor data (its race selects the parameter set)
+ * @param {Object} resolved - Resolved model options
+ * @param {import('../types/index.js').ModelDefinition} resolved.model - Model used
+ * @param {import('../types/index.js').ModelVersionSummary|null} resolved.version - NCI BCRAT version, if any
+ * @param {import('../types/index.js').RateSet|null} resolved.rateSet - Caller-supplied rate set, if any
+ * @param {number[]|null} resolved.oneMinusAR - 1-AR values replacing the model's, if any
+ * @param {import('../types/index.js').DensityModel|null} resolved.density - Density model, if any
+ * @param {{engine: string, step: string|null}} resolved.integration - Integration engine and step
+ * @returns {import('../types/index.js').ResultProvenance} The updated block. parameterHash stays null
+ *   when the model has no population for the race.
+ */
+export function recordResolvedOptions(provenance, data, resolved) {
+  const { model, version, rateSet, oneMinusAR, density, integration } =
+    resolved;
+  provenance.model = { id: model.id, name: model.name };
+  provenance.modelVersion = version ? version.id : null;
+  provenance.rateSet = rateSet
+    ? { id: rateSet.id, custom: true }
+    : { id: model.id, custom: false };
+  provenance.densityModel = density ? density.id : null;
+  provenance.integration = { ...integration };
+
+  const population = data ? model.populations[data.race] : null;
+  if (!population) {
+    return provenance;
+  }
+  const asIs = !rateSet && !oneMinusAR && !density;
+  if (asIs && populationHashes.has(population)) {
+    provenance.parameterHash = populationHashes.get(population);
+    return provenance;
+  }
+
+  const { race } = data;
+  const calculateParameterHash = () => {
+    const hash = hashParameterSet(race, resolved);
+    if (asIs && hash) {
+      populationHashes.set(population, hash);
+    }
+    return hash;
+  };
+  // Calculated when first read
+  provenance.parameterHash = calculateParameterHash;
+
+  return provenance;
+}
+
+/**
+ * Derives the provenance block of a result built from another result
+ *
+ * Risk bounds and counterfactuals are calculated through calculateRisk(), so
+ * they share its model, parameter and options record. The block is copied,
+ * and its input hash replaced when the derived result has an input of its own
+ * (for a counterfactual, the profile together with the changes).
+ *
+ * @param {import('../types/index.js').ResultProvenance} base - Provenance of the underlying result
+ * @param {*} [input] - Input of the derived result, sanitized as for the calculation
+ * @returns {import('../types/index.js').ResultProvenance} A new block
+ *
+ * @example
+ * const provenance = deriveProvenance(baseline.provenance, {
+ *   profile,
+ *   changes,
+ * });
+ */
+export function deriveProvenance(base, input) {
+  const provenance = {
+    ...base,
+    library: { ...base.library },
+    model: base.model ? { ...base.model } : null,
+    rateSet: base.rateSet ? { ...base.rateSet } : null,
+    integration: base.integration ? { ...base.integration } : null,
+  };
+  if (input !== undefined) {
+    provenance.inputHash = hashCanonical(input);
+  }
+  return provenance;
+}
+
+/**
+ * Compares two provenance blocks field by field
+ *
+ * Typically a stored result's provenance against the provenance of the same
+ * profile recalculated with the same options. Any difference means the
+ * stored result may not be reproduced.
+ *
+ * @param {import('../types/index.js').ResultProvenance} stored - Provenance recorded with a result
+ * @param {import('../types/index.js').ResultProvenance} current - Provenance to compare it with
+ * @returns {{matches: boolean, differences: string[]}} Whether they match, and the paths of the fields that
+ *   differ (e.g. "library.version", "parameterHash")
+ *
+ * @example
+ * const recalculated = calculateRisk(stored.profile, stored.options);
+ * const { matches, differences } = compareProvenance(
+ *   stored.result.provenance,
+ *   recalculated.provenance
+ * );
+ */
+export function compareProvenance(stored, current) {
+  const storedFields = flattenFields(stored);
+  const currentFields = flattenFields(current);
+  const paths = new Set([
+    ...Object.keys(storedFields),
+    ...Object.keys(currentFields),
+  ]);
+
+  const differences = [...paths].filter(
+    (path) => storedFields[path] !== currentFields[path]
+  );
+  return { matches: differences.length === 0, differences };
+}
+
+/**
+ * Hashes the parameter set used for a race
+ *
+ * @param {number} race - Race code
+ * @param {Object} resolved - Resolved model options, as for createProvenance()
+ * @returns {string|null} Hash, or null if the rate tables could not be resolved
+ *
+ * @private
+ */
+function hashParameterSet(race, { model, rateSet, oneMinusAR, density }) {
+  const tables = listRateTables(race, { model, rates: rateSet, oneMinusAR });
+  if (!tables) {
+    return null;
+  }
+
+  return hashCanonical({
+    beta: density && density.beta ? density.beta : model.populations[race].beta,
+    ...tables,
+    densityRelativeRisks: density ? density.relativeRisks : null,
+  });
+}
+
+/**
+ * Reads a hash of a provenance block, calculating it on first read
+ *
+ * @param {Object.<string, string|null|function(): (string|null)>} hashes - Hashes of the block
+ * @param {string} key - Hash name
+ * @returns {string|null} The hash
+ *
+ * @private
+ */
+function readHash(hashes, key) {
+  if (typeof hashes[key] === 'function') {
+    hashes[key] = hashes[key]();
+  }
+  return hashes[key];
+}
+
+/**
+ * Copies a JSON-compatible value at every level
+ *
+ * Values with toJSON() (dates, say) are copied as what they serialize to.
+ * Copying is much cheaper than canonical serialization, which is left until
+ * a hash is read.
+ *
+ * @param {*} value - Value to copy
+ * @returns {*} The copy, or value itself if it is not an object
+ *
+ * @private
+ */
+function copyDeep(value) {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (typeof value.toJSON === 'function') {
+    return copyDeep(value.toJSON());
+  }
+  if (Array.isArray(value)) {
+    return value.map(copyDeep);
+  }
+
+  const copy = { ...value };
+  for (const key of Object.keys(copy)) {
+    if (copy[key] !== null && typeof copy[key] === 'object') {
+      copy[key] = copyDeep(copy[key]);
+    }
+  }
+  return copy;
+}
+
+/**
+ * Flattens an object into canonical JSON values keyed by dotted path
+ *
+ * @param {Object|null} value - Object to flatten
+ * @param {string} [prefix=''] - Path of the object
+ * @returns {Object.<string, string>} Canonical JSON of each leaf
+ *
+ * @private
+ */
+function flattenFields(value, prefix = '') {
+  const fields = {};
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    fields[prefix] = canonicalize(value);
+    return fields;
+  }
+
+  for (const key of Object.keys(value)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    Object.assign(fields, flattenFields(value[key], path));
+  }
+  return fields;
+}
@@ -0,0 +1,232 @@
+/**
+ * Rate Tables Module
+ *
+ * Validates and expands breast cancer incidence (λ₁) and competing mortality
+ * (λ₂) tables on arbitrary age grids, and resolves the caller-supplied rate
+ * sets accepted by the `rates` option of calculateRisk().
+ *
+ * A rate table is a list of rates and the age breakpoints that bound them:
+ * rates[i] applies on [ageBreakpoints[i], ageBreakpoints[i + 1]). The bundled
+ * tables use the 14 five-year groups of AGE_GROUPS, but any grid works as long
+ * as it covers ages 20 to 90, for example single-year rates. Breakpoints must
+ * be whole ages because the integration engines work on single years.
+ *
+ * A rate set replaces the λ₁ and/or λ₂ table of whichever population is
+ * calculated (a newer SEER release or a national registry), leaving the beta
+ * coefficients and 1-AR values of the model untouched.
+ *
+ * Copyright (C) 2025 epiVerse (JavaScript Implementation)
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ *
+ * @module core/rate-tables
+ * @license GPL-3.0-or-later
+ */
+
+import { AGE_GROUPS, MIN_AGE, MAX_AGE } from '../constants/index.js';
+
+/**
+ * Age breakpoints of the bundled tables: the 14 five-year groups from 20 to 90
+ * @type {number[]}
+ * @constant
+ */
+export const DEFAULT_AGE_BREAKPOINTS = [...AGE_GROUPS, MAX_AGE];
+
+// Rate tables a rate set may replace
+const RATE_TABLE_KEYS = [
+  'lambda1',
+  'lambda2',
+  'averageLambda1',
+  'averageLambda2',
+];
+
+// Normalized rate sets, so resolveRateSet() can skip re-validating them
+const normalizedRateSets = new WeakSet();
+
+/**
+ * Checks a rate table against its age grid
+ *
+ * @param {number[]} rates - One rate per age interval
+ * @param {number[]} [ageBreakpoints=DEFAULT_AGE_BREAKPOINTS] - Interval boundaries
+ * @returns {string[]} Error messages; empty if the table is valid
+ *
+ * @example
+ * validateRateTable(singleYearRates, Array.from({ length: 71 }, (_, i) => 20 + i));
+ * // []
+ */
+export function validateRateTable(
+  rates,
+  ageBreakpoints = DEFAULT_AGE_BREAKPOINTS
+) {
+  const gridErrors = validateAgeBreakpoints(ageBreakpoints);
+  if (gridErrors.length > 0) {
+    return gridErrors;
+  }
+
+  const intervals = ageBreakpoints.length - 1;
+  if (
+    !Array.isArray(rates) ||
+    rates.length !== intervals ||
+    !rates.every(
+      (rate) => typeof rate === 'number' && isFinite(rate) && rate >= 0
+    )
+  ) {
+    return [
+      `rates must be ${intervals} non-negative numbers, one per age interval`,
+    ];
+  }
+
+  return [];
+}
+
+/**
+ * Expands a rate table into 70 single-year rates (ages 20-89)
+ *
+ * Generalizes expandToSingleYears() to any whole-age grid covering 20 to 90.
+ * Parts of the grid outside 20-90 are ignored.
+ *
+ * @param {number[]} rates - One rate per age interval
+ * @param {number[]} [ageBreakpoints=DEFAULT_AGE_BREAKPOINTS] - Interval boundaries
+ * @returns {number[]} 70 rates, one per single year of age from 20 to 89
+ *
+ * @example
+ * expandRateTable([0.001, 0.002, 0.003], [0, 50, 70, 100]);
+ * // 30 × 0.001, 20 × 0.002, 20 × 0.003
+ */
+export function expandRateTable(
+  rates,
+  ageBreakpoints = DEFAULT_AGE_BREAKPOINTS
+) {
+  const singleYearRates = [];
+  let interval = 0;
+
+  for (let age = MIN_AGE; age < MAX_AGE; age++) {
+    while (ageBreakpoints[interval + 1] <= age) {
+      interval++;
+    }
+    singleYearRates.push(rates[interval]);
+  }
+
+  return singleYearRates;
+}
+
+/**
+ * Resolves a `rates` option to a validated, frozen rate set
+ *
+ * @param {import('../types/index.js').RateSet} rateSet - Caller-supplied rate set
+ * @returns {{rateSet: import('../types/index.js').RateSet|null, error: string|null}}
+ *
+ * @example
+ * const { rateSet, error } = resolveRateSet({
+ *   id: 'seer-2017-2021',
+ *   ageBreakpoints: singleYearAges, // 20, 21, ..., 90
+ *   lambda1: singleYearIncidence,
+ * });
+ */
+export function resolveRateSet(rateSet) {
+  if (
+    rateSet &&
+    typeof rateSet === 'object' &&
+    normalizedRateSets.has(rateSet)
+  ) {
+    return { rateSet, error: null };
+  }
+
+  if (!rateSet || typeof rateSet !== 'object') {
+    return { rateSet: null, error: 'Rate set must be an object' };
+  }
+
+  const { id, name } = rateSet;
+  if (typeof id !== 'string' || id.length === 0) {
+    return { rateSet: null, error: 'Rate set id must be a non-empty string' };
+  }
+
+  const ageBreakpoints = rateSet.ageBreakpoints || DEFAULT_AGE_BREAKPOINTS;
+  const gridErrors = validateAgeBreakpoints(ageBreakpoints);
+  if (gridErrors.length > 0) {
+    return { rateSet: null, error: `Rate set ${id}: ${gridErrors.join('; ')}` };
+  }
+
+  const tables = {};
+  const errors = [];
+  for (const key of RATE_TABLE_KEYS) {
+    if (rateSet[key] === undefined || rateSet[key] === null) {
+      continue;
+    }
+    const tableErrors = validateRateTable(rateSet[key], ageBreakpoints);
+    if (tableErrors.length > 0) {
+      errors.push(...tableErrors.map((error) => `${key} ${error}`));
+      continue;
+    }
+    tables[key] = [...rateSet[key]];
+  }
+
+  if (errors.length === 0 && !tables.lambda1 && !tables.lambda2) {
+    errors.push('lambda1, lambda2 or both must be given');
+  }
+
+  if (errors.length > 0) {
+    return { rateSet: null, error: `Rate set ${id}: ${errors.join('; ')}` };
+  }
+
+  const normalized = {
+    id,
+    name: typeof name === 'string' && name ? name : id,
+    ageBreakpoints: [...ageBreakpoints],
+    lambda1: null,
+    lambda2: null,
+    averageLambda1: null,
+    averageLambda2: null,
+    ...tables,
+  };
+  Object.values(normalized).forEach((value) => {
+    if (Array.isArray(value)) {
+      Object.freeze(value);
+    }
+  });
+  Object.freeze(normalized);
+  normalizedRateSets.add(normalized);
+
+  return { rateSet: normalized, error: null };
+}
+
+/**
+ * Checks that age breakpoints are increasing whole ages covering 20 to 90
+ *
+ * @param {number[]} ageBreakpoints - Interval boundaries
+ * @returns {string[]} Error messages
+ *
+ * @private
+ */
+function validateAgeBreakpoints(ageBreakpoints) {
+  if (
+    !Array.isArray(ageBreakpoints) ||
+    ageBreakpoints.length < 2 ||
+    !ageBreakpoints.every(
+      (age, i) =>
+        Number.isInteger(age) && (i === 0 || age > ageBreakpoints[i - 1])
+    )
+  ) {
+    return ['ageBreakpoints must be increasing whole ages'];
+  }
+
+  if (
+    ageBreakpoints[0] > MIN_AGE ||
+    ageBreakpoints[ageBreakpoints.length - 1] < MAX_AGE
+  ) {
+    return [`ageBreakpoints must cover ages ${MIN_AGE} to ${MAX_AGE}`];
+  }
+
+  return [];
+}
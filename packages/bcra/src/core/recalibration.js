@@ -0,0 +1,401 @@
+/**
+ * Attributable Risk Recalibration Module
+ *
+ * Derives 1-AR for a new population from its risk factor distribution. The
+ * Gail model turns population incidence into baseline hazard with
+ *
+ *   h₁(t) = λ₁(t)·(1-AR),   1-AR = 1 / E[RR]
+ *
+ * where the expectation is over the population's relative risks. Estimating
+ * E[RR] from a representative sample (or from the distribution over the 108
+ * risk factor patterns) and pairing it with that population's incidence rates
+ * (see core/rate-tables) recalibrates the model, as was done for each
+ * race-specific model in constants/attributable-risk.
+ *
+ * Copyright (C) 2025 epiVerse (JavaScript Implementation)
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ *
+ * @module core/recalibration
+ * @license GPL-3.0-or-later
+ */
+
+import { recodeAndValidate, checkRecodedCategories } from './recode-check.js';
+import { calculateRelativeRisk } from './relative-risk.js';
+import { resolveModel, DEFAULT_MODEL_ID } from './model-registry.js';
+import {
+  validateRiskFactorDataStructure,
+  sanitizeRiskFactorData,
+} from '../utils/validators.js';
+
+// Category counts behind the pattern number NB×36 + AM×12 + AF×3 + NR + 1
+const PATTERN_COUNT = 108;
+
+// Age groups of the two 1-AR values, in result order
+const AGE_GROUPS = ['under50', 'atOrAbove50'];
+const AGE_GROUP_WORDING = {
+  under50: 'under 50',
+  atOrAbove50: 'aged 50 or older',
+};
+
+/**
+ * Derives 1-AR for ages < 50 and >= 50 as 1 / E[RR]
+ *
+ * Each value averages the relative risk of its own age group over the women
+ * of that age group, as the model's 1-AR values were derived: E[RR < 50]
+ * over women under 50 and E[RR >= 50] over women aged 50 or older.
+ *
+ * Takes exactly one of:
+ * - `profiles`: a sample of risk factor profiles from one population, with
+ *   optional `weights` (e.g. survey weights). Each profile counts in the age
+ *   group of its `initialAge`. Profiles that fail validation are left out
+ *   and listed in `excluded`.
+ * - `patterns`: a weighted distribution over the 108 risk factor patterns,
+ *   as `{ patternNumber, weight, hyperplasiaMultiplier?, ageGroup? }`
+ *   entries. The pattern number does not encode atypical hyperplasia, so
+ *   its multiplier defaults to 1. An entry without an `ageGroup` ('under50'
+ *   or 'atOrAbove50') counts in both age groups. Patterns whose categories
+ *   the race's model does not have (e.g. first-birth category 3 for
+ *   Hispanic women) are rejected.
+ *
+ * Relative risks come from calculateRelativeRisk() with the population's
+ * beta coefficients, so the derived values can be passed straight to
+ * calculateRisk() / calculateAbsoluteRisk() as `oneMinusAR`.
+ *
+ * @param {Object} population - Population description
+ * @param {import('../types/index.js').RiskFactorProfile[]} [population.profiles] - Population sample
+ * @param {number[]} [population.weights] - Non-negative weight per profile. Default: equal weights
+ * @param {import('../types/index.js').PatternWeight[]} [population.patterns] - Pattern distribution
+ * @param {Object} [options] - Options
+ * @param {number} [options.race] - Race code whose coefficients apply. Required for `patterns`;
+ *   for `profiles` it defaults to the (single) race in the sample
+ * @param {string|import('../types/index.js').ModelDefinition} [options.model='nci-bcrat'] - Model id or definition
+ * @returns {import('../types/index.js').OneMinusARResult} Derived values, or an error
+ *
+ * @example
+ * const { oneMinusAR, error } = calculateOneMinusAR({ profiles: cohort });
+ * if (!error) {
+ *   calculateRisk(profile, { oneMinusAR, rates: cohortIncidence });
+ * }
+ *
+ * @example
+ * calculateOneMinusAR(
+ *   { patterns: [{ patternNumber: 1, weight: 0.4 }, { patternNumber: 41, weight: 0.6 }] },
+ *   { race: RaceCode.WHITE }
+ * );
+ */
+export function calculateOneMinusAR(population, options = {}) {
+  const result = {
+    oneMinusAR: null,
+    meanRelativeRisk: null,
+    race: null,
+    totalWeight: null,
+    ageGroupWeights: null,
+    used: 0,
+    excluded: [],
+    error: null,
+  };
+
+  const { model: modelOption = DEFAULT_MODEL_ID } = options;
+  const { model, error: modelError } = resolveModel(modelOption);
+  if (!model) {
+    result.error = modelError;
+    return result;
+  }
+
+  const hasProfiles = population && population.profiles !== undefined;
+  const hasPatterns = population && population.patterns !== undefined;
+  if (hasProfiles === hasPatterns) {
+    result.error = 'Give exactly one of profiles or patterns';
+    return result;
+  }
+
+  const { entries, race, error } = hasProfiles
+    ? recodeProfiles(population, options.race, model, result.excluded)
+    : decodePatterns(population.patterns, options.race, model);
+  if (error) {
+    result.error = error;
+    return result;
+  }
+
+  // Weighted means of each age group's relative risk over that age group
+  let totalWeight = 0;
+  const weights = [0, 0];
+  const sums = [0, 0];
+  for (const { recodedValues, weight, ageGroup } of entries) {
+    if (weight === 0) {
+      continue;
+    }
+    const relativeRisk = calculateRelativeRisk(
+      { isValid: true, recodedValues },
+      race,
+      { model }
+    );
+    totalWeight += weight;
+    if (ageGroup !== 'atOrAbove50') {
+      weights[0] += weight;
+      sums[0] += weight * relativeRisk.relativeRiskUnder50;
+    }
+    if (ageGroup !== 'under50') {
+      weights[1] += weight;
+      sums[1] += weight * relativeRisk.relativeRiskAtOrAbove50;
+    }
+    result.used++;
+  }
+
+  if (!(totalWeight > 0)) {
+    result.error = 'The population has no valid entries with positive weight';
+    return result;
+  }
+  const emptyGroup = AGE_GROUPS.find((group, i) => !(weights[i] > 0));
+  if (emptyGroup) {
+    result.error = `The population has no valid entries with positive weight ${AGE_GROUP_WORDING[emptyGroup]}`;
+    return result;
+  }
+
+  const meanUnder50 = sums[0] / weights[0];
+  const meanAtOrAbove50 = sums[1] / weights[1];
+
+  result.race = race;
+  result.totalWeight = totalWeight;
+  result.ageGroupWeights = weights;
+  result.meanRelativeRisk = [meanUnder50, meanAtOrAbove50];
+  result.oneMinusAR = [1 / meanUnder50, 1 / meanAtOrAbove50];
+  return result;
+}
+
+/**
+ * Checks a `oneMinusAR` option before it replaces a population's values
+ *
+ * Derived values can exceed 1 when the population's mean relative risk is
+ * below 1, so any two positive numbers are accepted.
+ *
+ * @param {number[]} oneMinusAR - 1-AR for ages < 50 and >= 50
+ * @returns {string|null} Error message, or null if the values are usable
+ *
+ * @example
+ * validateOneMinusAR([0.58, 0.67]); // null
+ */
+export function validateOneMinusAR(oneMinusAR) {
+  if (
+    !Array.isArray(oneMinusAR) ||
+    oneMinusAR.length !== 2 ||
+    !oneMinusAR.every(
+      (value) => typeof value === 'number' && isFinite(value) && value > 0
+    )
+  ) {
+    return 'oneMinusAR must be two positive numbers (ages < 50, >= 50)';
+  }
+  return null;
+}
+
+/**
+ * Recodes a profile sample into weighted entries
+ *
+ * @param {Object} population - `profiles` and optional `weights`
+ * @param {number} [race] - Expected race code
+ * @param {Object} model - Resolved model definition
+ * @param {Array<{index: number, errors: string[]}>} excluded - Receives the profiles left out
+ * @returns {{entries: Array<{recodedValues: Object, weight: number, ageGroup: string}>, race: number|null, error: string|null}}
+ *
+ * @private
+ */
+function recodeProfiles(population, race, model, excluded) {
+  const { profiles, weights } = population;
+
+  if (!Array.isArray(profiles) || profiles.length === 0) {
+    return {
+      entries: [],
+      race: null,
+      error: 'profiles must be a non-empty array',
+    };
+  }
+
+  if (
+    weights !== undefined &&
+    !(
+      Array.isArray(weights) &&
+      weights.length === profiles.length &&
+      weights.every((weight) => typeof weight === 'number' && weight >= 0)
+    )
+  ) {
+    return {
+      entries: [],
+      race: null,
+      error: 'weights must be one non-negative number per profile',
+    };
+  }
+
+  const entries = [];
+  const races = new Set();
+  profiles.forEach((profile, index) => {
+    const data = sanitizeRiskFactorData(profile);
+    const structure = validateRiskFactorDataStructure(data);
+    if (!structure.valid) {
+      excluded.push({ index, errors: structure.errors });
+      return;
+    }
+
+    const validation = recodeAndValidate(data, true, { model });
+    if (!validation.isValid) {
+      excluded.push({ index, errors: validation.errors });
+      return;
+    }
+
+    races.add(data.race);
+    entries.push({
+      recodedValues: validation.recodedValues,
+      weight: weights ? weights[index] : 1,
+      ageGroup: data.initialAge < 50 ? 'under50' : 'atOrAbove50',
+    });
+  });
+
+  if (entries.length === 0) {
+    return {
+      entries: [],
+      race: null,
+      error: `No usable profiles remained: all ${profiles.length} failed validation (see excluded)`,
+    };
+  }
+
+  if (races.size > 1) {
+    return {
+      entries: [],
+      race: null,
+      error: `profiles must come from one population; found race codes ${[...races].join(', ')}`,
+    };
+  }
+
+  const [sampleRace] = races;
+  if (race !== undefined && sampleRace !== race) {
+    return {
+      entries: [],
+      race: null,
+      error: `profiles have race code ${sampleRace}, but race ${race} was requested`,
+    };
+  }
+
+  return { entries, race: sampleRace, error: null };
+}
+
+/**
+ * Decodes a pattern distribution into weighted entries
+ *
+ * Decoded categories are checked against the race's own categories, as for
+ * pre-recoded input.
+ *
+ * @param {import('../types/index.js').PatternWeight[]} patterns - Pattern weights
+ * @param {number} race - Race code
+ * @param {Object} model - Resolved model definition
+ * @returns {{entries: Array<{recodedValues: Object, weight: number, ageGroup: string|null}>, race: number|null, error: string|null}}
+ *
+ * @private
+ */
+function decodePatterns(patterns, race, model) {
+  if (race === undefined) {
+    return {
+      entries: [],
+      race: null,
+      error: 'options.race is required for a pattern distribution',
+    };
+  }
+
+  const population = model.populations[race];
+  if (!population) {
+    return {
+      entries: [],
+      race: null,
+      error: `Model ${model.id} has no population with race code ${race}`,
+    };
+  }
+
+  if (!Array.isArray(patterns) || patterns.length === 0) {
+    return {
+      entries: [],
+      race: null,
+      error: 'patterns must be a non-empty array',
+    };
+  }
+
+  const entries = [];
+  for (const entry of patterns) {
+    const {
+      patternNumber,
+      weight,
+      hyperplasiaMultiplier = 1,
+      ageGroup = null,
+    } = entry || {};
+    if (
+      !Number.isInteger(patternNumber) ||
+      patternNumber < 1 ||
+      patternNumber > PATTERN_COUNT
+    ) {
+      return {
+        entries: [],
+        race: null,
+        error: `Pattern numbers must be integers from 1 to ${PATTERN_COUNT}`,
+      };
+    }
+    if (typeof weight !== 'number' || !(weight >= 0)) {
+      return {
+        entries: [],
+        race: null,
+        error: `Pattern ${patternNumber}: weight must be a non-negative number`,
+      };
+    }
+    if (
+      typeof hyperplasiaMultiplier !== 'number' ||
+      !(hyperplasiaMultiplier > 0)
+    ) {
+      return {
+        entries: [],
+        race: null,
+        error: `Pattern ${patternNumber}: hyperplasiaMultiplier must be a positive number`,
+      };
+    }
+
+    if (ageGroup !== null && !AGE_GROUPS.includes(ageGroup)) {
+      return {
+        entries: [],
+        race: null,
+        error: `Pattern ${patternNumber}: ageGroup must be 'under50' or 'atOrAbove50'`,
+      };
+    }
+
+    // Pattern = NB×36 + AM×12 + AF×3 + NR + 1
+    const index = patternNumber - 1;
+    const { issues, recodedValues } = checkRecodedCategories(
+      {
+        race,
+        numBreastBiopsies: Math.floor(index / 36),
+        ageAtMenarche: Math.floor(index / 12) % 3,
+        ageAtFirstBirth: Math.floor(index / 3) % 4,
+        numRelativesWithBrCa: index % 3,
+        hyperplasiaMultiplier,
+      },
+      population.recoding,
+      population.label
+    );
+    if (issues.length > 0) {
+      return {
+        entries: [],
+        race: null,
+        error: `Pattern ${patternNumber}: ${issues[0].message}`,
+      };
+    }
+    entries.push({ recodedValues, weight, ageGroup });
+  }
+
+  return { entries, race, error: null };
+}
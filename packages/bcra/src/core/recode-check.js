@@ -1,48 +1,189 @@
-import { SpecialValues, RaceCode, RaceLabels } from '../types/index.js';
+import { SpecialValues, ValidationCode } from '../types/index.js';
+import {
+  VALIDATED_MIN_AGE,
+  VALIDATED_MAX_AGE,
+  STANDARD_RECODING_RULES,
+} from '../constants/index.js';
+import { resolveModel } from './model-registry.js';
+import { resolveValidationProfile } from '../utils/validators.js';
+import {
+  createValidationIssue,
+  addValidationError,
+  addValidationWarning,
+} from '../utils/error-handler.js';
+
+/**
+ * Risk factor fields of pre-recoded input, with the wording used in error
+ * messages
+ * @constant
+ * @private
+ */
+const CATEGORY_NAMES = {
+  numBreastBiopsies: 'Biopsy',
+  ageAtMenarche: 'Age at menarche',
+  ageAtFirstBirth: 'Age at first birth',
+  numRelativesWithBrCa: 'Relatives',
+};
+
+/**
+ * Raw risk factor fields checked for data-quality warnings, with the wording
+ * used in warning messages
+ * @constant
+ * @private
+ */
+const RISK_FACTOR_FIELDS = {
+  numBreastBiopsies: 'Number of biopsies',
+  ageAtMenarche: 'Age at menarche',
+  ageAtFirstBirth: 'Age at first birth',
+  numRelativesWithBrCa: 'Number of relatives with breast cancer',
+};
+
+// [field, wording] pairs of RISK_FACTOR_FIELDS, listed once for the checks
+// that run on every call
+const RISK_FACTOR_ENTRIES = Object.entries(RISK_FACTOR_FIELDS);
+
+// Fields used by each population's recoding rules (see listFieldsUsed)
+const fieldsUsed = new WeakMap();
+
+/**
+ * Raw risk factor fields and the recoding rule and recoded value of each, in
+ * recoding order
+ * @constant
+ * @private
+ */
+const RECODING_STEPS = [
+  {
+    field: 'numBreastBiopsies',
+    rule: 'biopsies',
+    recodedField: 'biopsyCategory',
+    descending: false,
+  },
+  {
+    field: 'ageAtMenarche',
+    rule: 'menarche',
+    recodedField: 'menarcheCategory',
+    descending: true,
+  },
+  {
+    field: 'ageAtFirstBirth',
+    rule: 'firstBirth',
+    recodedField: 'firstBirthCategory',
+    descending: false,
+  },
+  {
+    field: 'numRelativesWithBrCa',
+    rule: 'relatives',
+    recodedField: 'relativesCategory',
+    descending: false,
+  },
+];
 
 /**
  * Validates and recodes input data for breast cancer risk assessment
+ *
+ * Race codes, labels and the race-specific recoding rules come from the
+ * selected model (see core/model-registry); the default is the NCI BCRAT.
+ * Each error message has a structured counterpart in `errorDetails` with a
+ * stable code, the offending fields and their values.
+ *
+ * Valid data may also get warnings (with `warningDetails`) for inputs worth a
+ * clinician's attention: unknown answers coded as the lowest-risk category,
+ * answers the race's model ignores, current ages outside the 35-85 range of
+ * the NCI online tool, fractional biopsy or relative counts, and projection
+ * windows shorter than one year. Warnings never affect the risk.
+ *
+ * The validation profile tightens the raw input checks: the strict and
+ * clinical profiles require whole biopsy and relative counts, the strict
+ * profile rejects unknown (99) answers and the clinical profile reports every
+ * unknown answer as a warning.
+ *
  * @param {import('../types/index.js').RiskFactorProfile} data - Raw risk factor data
- * @param {boolean} rawInput - Whether inputs are in raw format (default: true)
+ * @param {boolean} rawInput - Whether inputs are in raw format (default: true). With false, the risk
+ *   factor fields hold the race's own categories (see checkRecodedCategories)
+ * @param {Object} [options] - Recoding options
+ * @param {string|import('../types/index.js').ModelDefinition} [options.model='nci-bcrat'] - Model id or definition
+ * @param {'strict'|'lenient'|'clinical'} [options.validationProfile='lenient'] - Validation profile
+ *   (see ValidationProfile)
  * @returns {import('../types/index.js').ValidationResult}
  */
-export function recodeAndValidate(data, rawInput = true) {
+export function recodeAndValidate(data, rawInput = true, options = {}) {
   const result = {
     isValid: true,
     errors: [],
     warnings: [],
+    errorDetails: [],
+    warningDetails: [],
     recodedValues: {},
     errorIndicator: 0,
   };
 
-  // Step 1: Validate age constraints
-  const ageValidation = validateAges(data.initialAge, data.projectionEndAge);
-  if (!ageValidation.valid) {
-    result.errors.push(...ageValidation.errors);
+  // Records a failed check; recoding carries on so every error is reported
+  const fail = (issue) => {
+    addValidationError(
+      result,
+      issue.code,
+      issue.message,
+      issue.fields,
+      issue.values
+    );
     result.isValid = false;
     result.errorIndicator = 1;
+  };
+
+  const { model, error: modelError } = resolveModel(options.model);
+  if (!model) {
+    fail(
+      createValidationIssue(ValidationCode.INVALID_OPTION, modelError, [
+        'model',
+      ])
+    );
+    return result;
   }
 
+  const { profile, error: profileError } = resolveValidationProfile(
+    options.validationProfile
+  );
+  if (!profile) {
+    fail(
+      createValidationIssue(ValidationCode.INVALID_OPTION, profileError, [
+        'validationProfile',
+      ])
+    );
+    return result;
+  }
+
+  // Step 1: Validate age constraints
+  // Recoding below keeps using initialAge (the current age), even when the
+  // projection window starts later
+  const ageValidation = validateAges(
+    data.initialAge,
+    data.projectionEndAge,
+    data.projectionStartAge
+  );
+  ageValidation.issues.forEach(fail);
+
   // Step 2: Validate race
-  const raceValidation = validateRace(data.race);
+  const raceValidation = validateRace(data.race, model);
   if (!raceValidation.valid) {
-    result.errors.push(raceValidation.error);
-    result.isValid = false;
-    result.errorIndicator = 1;
+    fail(raceValidation.issue);
   }
   result.recodedValues.raceLabel = raceValidation.label;
 
+  // An unknown race is already an error; its categories are never used, so
+  // the first population's rules are enough to check the remaining inputs
+  const rules = (
+    model.populations[data.race] || Object.values(model.populations)[0]
+  ).recoding;
+
   if (rawInput) {
     // Step 3: Recode number of biopsies
     const biopsyRecode = recodeNumberOfBiopsies(
       data.numBreastBiopsies,
       data.atypicalHyperplasia,
-      data.race
+      rules
     );
     if (!biopsyRecode.valid) {
-      result.errors.push(biopsyRecode.error);
-      result.isValid = false;
-      result.errorIndicator = 1;
+      fail(biopsyRecode.issue);
     }
     result.recodedValues.biopsyCategory = biopsyRecode.category;
     result.recodedValues.hyperplasiaMultiplier = biopsyRecode.multiplier;
@@ -51,12 +192,10 @@ export function recodeAndValidate(data, rawInput = true) {
     const menarcheRecode = recodeAgeAtMenarche(
       data.ageAtMenarche,
       data.initialAge,
-      data.race
+      rules
     );
     if (!menarcheRecode.valid) {
-      result.errors.push(menarcheRecode.error);
-      result.isValid = false;
-      result.errorIndicator = 1;
+      fail(menarcheRecode.issue);
     }
     result.recodedValues.menarcheCategory = menarcheRecode.category;
 
@@ -65,90 +204,746 @@ export function recodeAndValidate(data, rawInput = true) {
       data.ageAtFirstBirth,
       data.ageAtMenarche,
       data.initialAge,
-      data.race
+      rules
     );
     if (!firstBirthRecode.valid) {
-      result.errors.push(firstBirthRecode.error);
-      result.isValid = false;
-      result.errorIndicator = 1;
+      fail(firstBirthRecode.issue);
     }
     result.recodedValues.firstBirthCategory = firstBirthRecode.category;
 
     // Step 6: Recode number of relatives
     const relativesRecode = recodeNumberOfRelatives(
       data.numRelativesWithBrCa,
-      data.race
+      rules
     );
     if (!relativesRecode.valid) {
-      result.errors.push(relativesRecode.error);
-      result.isValid = false;
-      result.errorIndicator = 1;
+      fail(relativesRecode.issue);
     }
     result.recodedValues.relativesCategory = relativesRecode.category;
+
+    // Step 6b: Apply the validation profile's checks on counts and unknowns
+    if (profile.integerCounts || profile.unknowns === 'reject') {
+      listProfileErrors(data, profile, result.recodedValues).forEach(fail);
+    }
   } else {
-    // Data already recoded, use as-is with minimal validation
-    result.recodedValues.biopsyCategory = data.numBreastBiopsies;
-    result.recodedValues.menarcheCategory = data.ageAtMenarche;
-    result.recodedValues.firstBirthCategory = data.ageAtFirstBirth;
-    result.recodedValues.relativesCategory = data.numRelativesWithBrCa;
-    result.recodedValues.hyperplasiaMultiplier = 1.0; // Default
+    // Steps 3-6: Data already recoded; check the categories against the
+    // race's own categories and set the hyperplasia multiplier
+    const recoded = checkRecodedCategories(data, rules, raceValidation.label);
+    recoded.issues.forEach(fail);
+    Object.assign(result.recodedValues, recoded.recodedValues);
+  }
+
+  // Step 7: Flag valid inputs that deserve a second look
+  if (result.isValid) {
+    const { label } = raceValidation;
+    const warnings = listDataQualityWarnings(
+      data,
+      rawInput,
+      rules,
+      label,
+      profile
+    );
+    for (const issue of warnings) {
+      const { code, message, fields, values } = issue;
+      addValidationWarning(result, code, message, fields, values);
+    }
   }
 
   return result;
 }
 
 /**
- * Validates age constraints: 20 <= initialAge < projectionEndAge <= 90
+ * Explains how each risk factor of valid data was recoded
+ *
+ * Lists one decision per risk factor, then the atypical hyperplasia
+ * multiplier, with the rule of the race's model that produced the recoded
+ * value. Categories the race's model pools, or leaves out, compared with the
+ * standard Gail categories are flagged with a note giving the standard ones.
+ *
+ * Ranges are written for real numbers: "12 to < 14" holds ages 12 and 13.
+ *
+ * @param {import('../types/index.js').RiskFactorProfile} data - Risk factor data, as validated
+ * @param {import('../types/index.js').ValidationResult} validation - Result of recodeAndValidate() for the data
+ * @param {boolean} [rawInput=true] - Whether inputs are in raw format
+ * @param {Object} [options] - Recoding options
+ * @param {string|import('../types/index.js').ModelDefinition} [options.model='nci-bcrat'] - Model id or definition
+ * @returns {import('../types/index.js').RecodingDecision[]|null} Decisions in recoding order, or null if
+ *   validation failed
+ *
+ * @example
+ * const validation = recodeAndValidate(data);
+ * explainRecoding(data, validation).forEach(({ field, rule }) => {
+ *   console.log(`${field}: ${rule}`);
+ * });
+ * // numBreastBiopsies: 1 to < 2 → 1
+ * // ...
+ */
+export function explainRecoding(
+  data,
+  validation,
+  rawInput = true,
+  options = {}
+) {
+  if (!validation || !validation.isValid || !validation.recodedValues) {
+    return null;
+  }
+
+  const { model } = resolveModel(options.model);
+  const population = model ? model.populations[data.race] : null;
+  if (!population) {
+    return null;
+  }
+
+  const { recoding, label } = population;
+  const { recodedValues } = validation;
+
+  const decisions = RECODING_STEPS.map((step) => {
+    const { field, recodedField } = step;
+    const value = data[field];
+    const category = recodedValues[recodedField];
+    const categories = listCategoryRules(recoding[step.rule], step.descending);
+    const standard = listCategoryRules(
+      STANDARD_RECODING_RULES[step.rule],
+      step.descending
+    );
+    const pooled =
+      recoding[step.rule].cutpoints.length <
+      STANDARD_RECODING_RULES[step.rule].cutpoints.length;
+
+    let rule;
+    if (!rawInput) {
+      rule = `Pre-recoded category ${category}, taken as given`;
+    } else if (categories.length === 1) {
+      rule = categories[0];
+    } else if (value === SpecialValues.UNKNOWN) {
+      rule = `99 (unknown) → ${category}`;
+    } else if (
+      field === 'ageAtFirstBirth' &&
+      value === SpecialValues.NULLIPAROUS
+    ) {
+      rule = `98 (nulliparous) → ${category}`;
+    } else {
+      rule = categories[category];
+    }
+
+    let note = null;
+    if (pooled) {
+      note =
+        categories.length === 1
+          ? `${RISK_FACTOR_FIELDS[field]} is not in the model for ${label} women`
+          : `Pooled for ${label} women; the standard categories are ${standard.join(', ')}`;
+    }
+
+    return {
+      field,
+      value,
+      recodedField,
+      recodedValue: category,
+      rule,
+      categories,
+      pooled,
+      note,
+    };
+  });
+
+  decisions.push(
+    explainHyperplasiaMultiplier(data, recodedValues, recoding, rawInput)
+  );
+
+  return decisions;
+}
+
+/**
+ * Writes the category rules of one risk factor, one per category
+ *
+ * Unknown (99) answers and, for age at first birth, nulliparity (98) are
+ * listed after the ranges.
+ *
+ * @param {{cutpoints: number[], nulliparousCategory?: number}} rule - Recoding rule of the risk factor
+ * @param {boolean} descending - Whether categories count the cutpoints above the value
+ * @returns {string[]} Rules such as "≥ 14 → 0", or a single rule for a factor not in the model
+ */
+function listCategoryRules(rule, descending) {
+  const { cutpoints, nulliparousCategory } = rule;
+  if (cutpoints.length === 0 && !nulliparousCategory) {
+    return ['Any value → 0'];
+  }
+
+  const n = cutpoints.length;
+  const ranges = [];
+  for (let k = 0; k <= n; k++) {
+    if (n === 0) {
+      ranges.push('Any other value');
+    } else if (descending) {
+      if (k === 0) {
+        ranges.push(`≥ ${cutpoints[0]}`);
+      } else if (k === n) {
+        ranges.push(`< ${cutpoints[n - 1]}`);
+      } else {
+        ranges.push(`${cutpoints[k]} to < ${cutpoints[k - 1]}`);
+      }
+    } else if (k === 0) {
+      ranges.push(`< ${cutpoints[0]}`);
+    } else if (k === n) {
+      ranges.push(`≥ ${cutpoints[n - 1]}`);
+    } else {
+      ranges.push(`${cutpoints[k - 1]} to < ${cutpoints[k]}`);
+    }
+  }
+
+  const rules = ranges.map((range, category) => `${range} → ${category}`);
+  if (nulliparousCategory !== undefined) {
+    rules.push(`98 (nulliparous) → ${nulliparousCategory}`);
+  }
+  rules.push('99 (unknown) → 0');
+  return rules;
+}
+
+/**
+ * Explains the atypical hyperplasia multiplier (R_Hyp)
+ *
+ * @param {import('../types/index.js').RiskFactorProfile} data - Risk factor data, as validated
+ * @param {import('../types/index.js').RecodedValues} recodedValues - Recoded values
+ * @param {import('../types/index.js').RecodingRules} recoding - Population recoding rules
+ * @param {boolean} rawInput - Whether inputs are in raw format
+ * @returns {import('../types/index.js').RecodingDecision}
+ */
+function explainHyperplasiaMultiplier(data, recodedValues, recoding, rawInput) {
+  const { atypicalHyperplasia, hyperplasiaMultiplier, numBreastBiopsies } =
+    data;
+  const multipliers = recoding.hyperplasiaMultipliers;
+  const multiplier = recodedValues.hyperplasiaMultiplier;
+  const categories = [
+    `0 (no) → ${multipliers.no}`,
+    `1 (yes) → ${multipliers.yes}`,
+    `99 (unknown) → ${multipliers.unknown}`,
+    'No biopsies → 1',
+  ];
+
+  let rule;
+  if (
+    !rawInput &&
+    hyperplasiaMultiplier !== undefined &&
+    hyperplasiaMultiplier !== null
+  ) {
+    rule = `hyperplasiaMultiplier given → ${multiplier}`;
+  } else if (recodedValues.biopsyCategory === 0) {
+    rule =
+      rawInput && numBreastBiopsies === SpecialValues.UNKNOWN
+        ? 'Unknown number of biopsies → 1'
+        : 'No biopsies → 1';
+  } else if (atypicalHyperplasia === 0) {
+    rule = categories[0];
+  } else if (atypicalHyperplasia === 1) {
+    rule = categories[1];
+  } else {
+    rule = categories[2];
+  }
+
+  return {
+    field: 'atypicalHyperplasia',
+    value: atypicalHyperplasia === undefined ? null : atypicalHyperplasia,
+    recodedField: 'hyperplasiaMultiplier',
+    recodedValue: multiplier,
+    rule,
+    categories,
+    pooled: false,
+    note: null,
+  };
+}
+
+/**
+ * Checks pre-recoded risk factor categories (R's Raw_Ind = 0)
+ *
+ * The risk factor fields hold the final categories of the race's model, as
+ * returned in recodedValues for raw input: for example, first-birth
+ * categories 0-2 for Hispanic women and 0 for African-American women. As in
+ * R, atypicalHyperplasia still holds the raw status (0, 1 or 99) and sets
+ * the multiplier for a biopsy category above 0; it must be 99 for category 0.
+ * An explicit `hyperplasiaMultiplier` can be given instead of the status, or
+ * with a status it agrees with. Decoded risk factor patterns are checked the
+ * same way (see core/recalibration).
+ *
+ * @param {import('../types/index.js').RiskFactorProfile} data - Recoded risk factor data
+ * @param {import('../types/index.js').RecodingRules} rules - Population recoding rules
+ * @param {string} raceLabel - Population label, used in messages
+ * @returns {{issues: import('../types/index.js').ValidationIssue[],
+ *   recodedValues: Object.<string, number|null>}}
+ */
+export function checkRecodedCategories(data, rules, raceLabel) {
+  const issues = [];
+  const { biopsies, menarche, firstBirth, relatives } = rules;
+  const maxCategories = {
+    numBreastBiopsies: biopsies.cutpoints.length,
+    ageAtMenarche: menarche.cutpoints.length,
+    ageAtFirstBirth: Math.max(
+      firstBirth.cutpoints.length,
+      firstBirth.nulliparousCategory
+    ),
+    numRelativesWithBrCa: relatives.cutpoints.length,
+  };
+
+  const categories = {};
+  for (const [field, name] of Object.entries(CATEGORY_NAMES)) {
+    const value = data[field];
+    const max = maxCategories[field];
+    if (Number.isInteger(value) && value >= 0 && value <= max) {
+      categories[field] = value;
+      continue;
+    }
+    categories[field] = null;
+    issues.push(
+      createValidationIssue(
+        ValidationCode.INVALID_CATEGORY,
+        max === 0
+          ? `${name} category must be 0 for ${raceLabel} women`
+          : `${name} category must be a whole number from 0 to ${max} for ${raceLabel} women`,
+        [field, 'race'],
+        { [field]: value, race: data.race }
+      )
+    );
+  }
+
+  const { atypicalHyperplasia, hyperplasiaMultiplier } = data;
+  const biopsyCategory = categories.numBreastBiopsies;
+  const hasStatus =
+    atypicalHyperplasia !== undefined && atypicalHyperplasia !== null;
+  const multipliers = rules.hyperplasiaMultipliers;
+  const statusMultipliers = {
+    0: multipliers.no,
+    1: multipliers.yes,
+    [SpecialValues.UNKNOWN]: multipliers.unknown,
+  };
+  const knownStatus =
+    typeof atypicalHyperplasia === 'number' &&
+    Object.hasOwn(statusMultipliers, atypicalHyperplasia);
+
+  // As for raw input, a status without biopsies must be not applicable (99)
+  if (
+    biopsyCategory === 0 &&
+    hasStatus &&
+    atypicalHyperplasia !== SpecialValues.NOT_APPLICABLE
+  ) {
+    issues.push(
+      createValidationIssue(
+        ValidationCode.HYPERPLASIA_WITHOUT_BIOPSY,
+        'Consistency error: If no biopsies, atypical hyperplasia must be not applicable (99)',
+        ['numBreastBiopsies', 'atypicalHyperplasia'],
+        { numBreastBiopsies: biopsyCategory, atypicalHyperplasia }
+      )
+    );
+  } else if (biopsyCategory > 0 && hasStatus && !knownStatus) {
+    issues.push(
+      createValidationIssue(
+        ValidationCode.INVALID_HYPERPLASIA,
+        'Consistency error: If biopsies performed, atypical hyperplasia must be 0, 1, or 99',
+        ['numBreastBiopsies', 'atypicalHyperplasia'],
+        { numBreastBiopsies: biopsyCategory, atypicalHyperplasia }
+      )
+    );
+  }
+
+  let multiplier = 1.0;
+  if (hyperplasiaMultiplier !== undefined && hyperplasiaMultiplier !== null) {
+    if (
+      typeof hyperplasiaMultiplier !== 'number' ||
+      !isFinite(hyperplasiaMultiplier) ||
+      hyperplasiaMultiplier <= 0
+    ) {
+      issues.push(
+        createValidationIssue(
+          ValidationCode.INVALID_HYPERPLASIA_MULTIPLIER,
+          'Hyperplasia multiplier must be a positive number',
+          ['hyperplasiaMultiplier'],
+          { hyperplasiaMultiplier }
+        )
+      );
+    } else if (biopsyCategory === 0 && hyperplasiaMultiplier !== 1) {
+      issues.push(
+        createValidationIssue(
+          ValidationCode.INVALID_HYPERPLASIA_MULTIPLIER,
+          'Hyperplasia multiplier must be 1 for biopsy category 0',
+          ['hyperplasiaMultiplier', 'numBreastBiopsies'],
+          { hyperplasiaMultiplier, numBreastBiopsies: biopsyCategory }
+        )
+      );
+    } else if (
+      biopsyCategory > 0 &&
+      knownStatus &&
+      hyperplasiaMultiplier !== statusMultipliers[atypicalHyperplasia]
+    ) {
+      issues.push(
+        createValidationIssue(
+          ValidationCode.INVALID_HYPERPLASIA_MULTIPLIER,
+          `Hyperplasia multiplier ${hyperplasiaMultiplier} conflicts with atypical hyperplasia ${atypicalHyperplasia}, whose multiplier is ${statusMultipliers[atypicalHyperplasia]}; give one or the other`,
+          ['hyperplasiaMultiplier', 'atypicalHyperplasia'],
+          { hyperplasiaMultiplier, atypicalHyperplasia }
+        )
+      );
+    } else {
+      multiplier = hyperplasiaMultiplier;
+    }
+  } else if (biopsyCategory > 0 && knownStatus) {
+    multiplier = statusMultipliers[atypicalHyperplasia];
+  }
+
+  return {
+    issues,
+    recodedValues: {
+      biopsyCategory,
+      hyperplasiaMultiplier: issues.length === 0 ? multiplier : null,
+      menarcheCategory: categories.ageAtMenarche,
+      firstBirthCategory: categories.ageAtFirstBirth,
+      relativesCategory: categories.numRelativesWithBrCa,
+    },
+  };
+}
+
+/**
+ * Lists the errors of raw input that only the strict and clinical validation
+ * profiles reject
+ *
+ * Counts the recoding already rejected are not checked again.
+ *
+ * @param {import('../types/index.js').RiskFactorProfile} data - Raw risk factor data
+ * @param {Object} profile - Resolved validation profile
+ * @param {Object.<string, number|null>} recodedValues - Categories recoded so far
+ * @returns {import('../types/index.js').ValidationIssue[]} Errors, in field order
+ */
+function listProfileErrors(data, profile, recodedValues) {
+  const issues = [];
+
+  if (profile.integerCounts) {
+    const categories = {
+      numBreastBiopsies: recodedValues.biopsyCategory,
+      numRelativesWithBrCa: recodedValues.relativesCategory,
+    };
+    for (const [field, category] of Object.entries(categories)) {
+      const value = data[field];
+      if (category !== null && !Number.isInteger(value)) {
+        issues.push(
+          createValidationIssue(
+            ValidationCode.NON_INTEGER_COUNT,
+            `${RISK_FACTOR_FIELDS[field]} must be a whole number`,
+            [field],
+            { [field]: value }
+          )
+        );
+      }
+    }
+  }
+
+  if (profile.unknowns === 'reject') {
+    for (const [field, name] of RISK_FACTOR_ENTRIES) {
+      const value = data[field];
+      if (value === SpecialValues.UNKNOWN) {
+        issues.push(
+          createValidationIssue(
+            ValidationCode.UNKNOWN_ANSWER,
+            `${name} is unknown, which the ${profile.name} validation profile does not allow`,
+            [field],
+            { [field]: value }
+          )
+        );
+      }
+    }
+
+    const { numBreastBiopsies, atypicalHyperplasia } = data;
+    if (
+      hasBiopsies(numBreastBiopsies) &&
+      atypicalHyperplasia === SpecialValues.UNKNOWN
+    ) {
+      issues.push(
+        createValidationIssue(
+          ValidationCode.UNKNOWN_ANSWER,
+          `Atypical hyperplasia is unknown, which the ${profile.name} validation profile does not allow`,
+          ['atypicalHyperplasia', 'numBreastBiopsies'],
+          { atypicalHyperplasia, numBreastBiopsies }
+        )
+      );
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Whether a raw biopsy count reports at least one biopsy
+ *
+ * @param {number} numBreastBiopsies - Raw number of biopsies
+ * @returns {boolean}
+ */
+function hasBiopsies(numBreastBiopsies) {
+  return numBreastBiopsies > 0 && numBreastBiopsies < SpecialValues.UNKNOWN;
+}
+
+/**
+ * Lists data-quality warnings for valid data
+ *
+ * Risk factor warnings need raw input; recoded categories are taken as
+ * given. Under the clinical validation profile, unknown answers the other
+ * warnings do not cover (answers the race's model ignores and atypical
+ * hyperplasia) are reported too.
+ *
+ * @param {import('../types/index.js').RiskFactorProfile} data - Validated risk factor data
+ * @param {boolean} rawInput - Whether inputs are in raw format
+ * @param {import('../types/index.js').RecodingRules} rules - Population recoding rules
+ * @param {string} raceLabel - Population label, used in messages
+ * @param {Object} profile - Resolved validation profile
+ * @returns {import('../types/index.js').ValidationIssue[]} Warnings, in field order
+ */
+function listDataQualityWarnings(data, rawInput, rules, raceLabel, profile) {
+  const warnings = [];
+  const { initialAge, projectionEndAge, projectionStartAge } = data;
+
+  if (initialAge < VALIDATED_MIN_AGE || initialAge > VALIDATED_MAX_AGE) {
+    warnings.push(
+      createValidationIssue(
+        ValidationCode.AGE_OUTSIDE_VALIDATED_RANGE,
+        `Initial age is outside the ${VALIDATED_MIN_AGE}-${VALIDATED_MAX_AGE} range of the NCI online tool`,
+        ['initialAge'],
+        { initialAge }
+      )
+    );
+  }
+
+  const hasStartAge =
+    projectionStartAge !== undefined && projectionStartAge !== null;
+  const startField = hasStartAge ? 'projectionStartAge' : 'initialAge';
+  const startAge = hasStartAge ? projectionStartAge : initialAge;
+  if (projectionEndAge - startAge < 1) {
+    warnings.push(
+      createValidationIssue(
+        ValidationCode.SHORT_PROJECTION_WINDOW,
+        'Projection window is shorter than one year',
+        [startField, 'projectionEndAge'],
+        { [startField]: startAge, projectionEndAge }
+      )
+    );
+  }
+
+  if (!rawInput) {
+    return warnings;
+  }
+
+  const usedByModel = listFieldsUsed(rules);
+  const reportUnknowns = profile.unknowns === 'report';
+  for (const [field, name] of RISK_FACTOR_ENTRIES) {
+    const value = data[field];
+    if (!usedByModel[field]) {
+      if (value !== SpecialValues.UNKNOWN) {
+        warnings.push(
+          createValidationIssue(
+            ValidationCode.INPUT_NOT_USED_FOR_RACE,
+            `${name} is not used by the model for ${raceLabel} women`,
+            [field, 'race'],
+            { [field]: value, race: data.race }
+          )
+        );
+      } else if (reportUnknowns) {
+        warnings.push(
+          createValidationIssue(
+            ValidationCode.UNKNOWN_ANSWER,
+            `${name} is unknown; the model for ${raceLabel} women does not use it`,
+            [field, 'race'],
+            { [field]: value, race: data.race }
+          )
+        );
+      }
+    } else if (value === SpecialValues.UNKNOWN) {
+      warnings.push(
+        createValidationIssue(
+          ValidationCode.UNKNOWN_CODED_AS_LOWEST_RISK,
+          `${name} is unknown and was coded as the lowest-risk category`,
+          [field],
+          { [field]: value }
+        )
+      );
+    }
+
+    const isCount =
+      field === 'numBreastBiopsies' || field === 'numRelativesWithBrCa';
+    if (isCount && !Number.isInteger(value)) {
+      warnings.push(
+        createValidationIssue(
+          ValidationCode.NON_INTEGER_COUNT,
+          `${name} should be a whole number`,
+          [field],
+          { [field]: value }
+        )
+      );
+    }
+  }
+
+  const { numBreastBiopsies, atypicalHyperplasia } = data;
+  if (
+    reportUnknowns &&
+    hasBiopsies(numBreastBiopsies) &&
+    atypicalHyperplasia === SpecialValues.UNKNOWN
+  ) {
+    warnings.push(
+      createValidationIssue(
+        ValidationCode.UNKNOWN_ANSWER,
+        'Atypical hyperplasia is unknown and was given the multiplier for unknown status',
+        ['atypicalHyperplasia', 'numBreastBiopsies'],
+        { atypicalHyperplasia, numBreastBiopsies }
+      )
+    );
+  }
+
+  return warnings;
+}
+
+/**
+ * Lists which raw risk factor fields a population's recoding rules use
+ *
+ * Model rules are frozen, so the answer is kept for each rules object.
+ *
+ * @param {import('../types/index.js').RecodingRules} rules - Population recoding rules
+ * @returns {Object.<string, boolean>} Whether each field of RISK_FACTOR_FIELDS is used
+ */
+function listFieldsUsed(rules) {
+  let used = fieldsUsed.get(rules);
+  if (used) {
+    return used;
+  }
+
+  const { biopsies, menarche, firstBirth, relatives, hyperplasiaMultipliers } =
+    rules;
+  used = {
+    numBreastBiopsies:
+      biopsies.cutpoints.length > 0 ||
+      Object.values(hyperplasiaMultipliers).some((value) => value !== 1),
+    ageAtMenarche: menarche.cutpoints.length > 0,
+    ageAtFirstBirth:
+      firstBirth.cutpoints.length > 0 || firstBirth.nulliparousCategory > 0,
+    numRelativesWithBrCa: relatives.cutpoints.length > 0,
+  };
+  fieldsUsed.set(rules, used);
+  return used;
+}
+
+/**
+ * Validates age constraints:
+ * 20 <= initialAge <= projectionStartAge < projectionEndAge <= 90
  * @param {number} initialAge - Current age
  * @param {number} projectionEndAge - Future age for risk projection
- * @returns {{valid: boolean, errors: string[]}}
+ * @param {number} [projectionStartAge] - Start of the projection window (defaults to initialAge)
+ * @returns {{valid: boolean, issues: import('../types/index.js').ValidationIssue[]}}
  */
-function validateAges(initialAge, projectionEndAge) {
-  const errors = [];
-  let valid = true;
+function validateAges(initialAge, projectionEndAge, projectionStartAge) {
+  const issues = [];
+  const issue = (code, message, fields) => {
+    const ages = { initialAge, projectionStartAge, projectionEndAge };
+    const values = {};
+    fields.forEach((field) => {
+      values[field] = ages[field];
+    });
+    issues.push(createValidationIssue(code, message, fields, values));
+  };
 
   if (initialAge < 20 || initialAge >= 90) {
-    errors.push('Initial age must be between 20 and 89 years');
-    valid = false;
+    issue(
+      ValidationCode.INITIAL_AGE_OUT_OF_RANGE,
+      'Initial age must be between 20 and 89 years',
+      ['initialAge']
+    );
   }
 
   if (projectionEndAge > 90) {
-    errors.push('Projection end age must be 90 years or less');
-    valid = false;
+    issue(
+      ValidationCode.PROJECTION_END_AGE_ABOVE_MAXIMUM,
+      'Projection end age must be 90 years or less',
+      ['projectionEndAge']
+    );
   }
 
   if (initialAge >= projectionEndAge) {
-    errors.push('Projection end age must be greater than initial age');
-    valid = false;
+    issue(
+      ValidationCode.PROJECTION_END_AGE_NOT_AFTER_INITIAL_AGE,
+      'Projection end age must be greater than initial age',
+      ['initialAge', 'projectionEndAge']
+    );
   }
 
-  return { valid, errors };
+  if (projectionStartAge !== undefined && projectionStartAge !== null) {
+    if (projectionStartAge < initialAge) {
+      issue(
+        ValidationCode.PROJECTION_START_AGE_BEFORE_INITIAL_AGE,
+        'Projection start age must not be less than initial age',
+        ['initialAge', 'projectionStartAge']
+      );
+    } else if (
+      initialAge < projectionEndAge &&
+      projectionStartAge >= projectionEndAge
+    ) {
+      issue(
+        ValidationCode.PROJECTION_END_AGE_NOT_AFTER_START_AGE,
+        'Projection end age must be greater than projection start age',
+        ['projectionStartAge', 'projectionEndAge']
+      );
+    }
+  }
+
+  return { valid: issues.length === 0, issues };
 }
 
 /**
- * Validates race code
- * @param {number} race - Race code (1-11)
- * @returns {{valid: boolean, error: string, label: string}}
+ * Validates race code against the model's populations
+ * @param {number} race - Race code (1-11 for the NCI BCRAT)
+ * @param {import('../types/index.js').ModelDefinition} model - Normalized model definition
+ * @returns {{valid: boolean, issue: import('../types/index.js').ValidationIssue|null, label: string}}
  */
-function validateRace(race) {
-  if (race < 1 || race > 11) {
+function validateRace(race, model) {
+  const population = Number.isInteger(race) ? model.populations[race] : null;
+  if (!population) {
+    const codes = Object.keys(model.populations)
+      .map(Number)
+      .sort((a, b) => a - b);
+    const contiguous =
+      codes.length > 1 && codes.every((code, i) => code === codes[0] + i);
     return {
       valid: false,
-      error: 'Invalid race code. Must be between 1 and 11',
+      issue: createValidationIssue(
+        ValidationCode.INVALID_RACE,
+        contiguous
+          ? `Invalid race code. Must be between ${codes[0]} and ${codes[codes.length - 1]}`
+          : `Invalid race code. Must be one of ${codes.join(', ')}`,
+        ['race'],
+        { race }
+      ),
       label: 'Unknown',
     };
   }
   return {
     valid: true,
-    error: null,
-    label: RaceLabels[race],
+    issue: null,
+    label: population.label,
   };
 }
 
+/**
+ * Counts the cutpoints a value has reached
+ *
+ * @param {number} value - Raw value
+ * @param {number[]} cutpoints - Category cutpoints
+ * @param {boolean} [descending=false] - Count cutpoints above the value instead
+ * @returns {number} Category
+ */
+function categoryFromCutpoints(value, cutpoints, descending = false) {
+  let category = 0;
+  for (const cutpoint of cutpoints) {
+    if (descending ? value < cutpoint : value >= cutpoint) {
+      category++;
+    }
+  }
+  return category;
+}
+
 /**
  * Recodes number of biopsies and validates against atypical hyperplasia
  *
- * Recoding rules:
+ * Recoding rules (standard cutpoints [1, 2]):
  * - 0 or 99 (unknown) → Category 0
  * - 1 → Category 1
  * - 2+ → Category 2
@@ -157,15 +952,16 @@ function validateRace(race) {
  * (A) If biopsies = 0 or 99, atypical hyperplasia MUST be 99 (not applicable)
  * (B) If biopsies > 0 and < 99, atypical hyperplasia = 0, 1, or 99
  *
- * Race-specific:
- * - Hispanic (US/Foreign): Category 2 grouped with 1
+ * Race-specific (NCI BCRAT):
+ * - Hispanic (US/Foreign): Category 2 grouped with 1 (cutpoints [1])
  *
  * @param {number} numBreastBiopsies - Number of breast biopsies
  * @param {number} atypicalHyperplasia - Atypical hyperplasia status (0=no, 1=yes, 99=unknown/NA)
- * @param {number} race - Race code
- * @returns {{valid: boolean, error: string|null, category: number|null, multiplier: number|null}}
+ * @param {import('../types/index.js').RecodingRules} rules - Population recoding rules
+ * @returns {{valid: boolean, issue: import('../types/index.js').ValidationIssue|null, category: number|null,
+ *   multiplier: number|null}}
  */
-function recodeNumberOfBiopsies(numBreastBiopsies, atypicalHyperplasia, race) {
+function recodeNumberOfBiopsies(numBreastBiopsies, atypicalHyperplasia, rules) {
   let category;
   let multiplier = 1.0;
 
@@ -176,8 +972,12 @@ function recodeNumberOfBiopsies(numBreastBiopsies, atypicalHyperplasia, race) {
   ) {
     return {
       valid: false,
-      error:
+      issue: createValidationIssue(
+        ValidationCode.HYPERPLASIA_WITHOUT_BIOPSY,
         'Consistency error: If no biopsies, atypical hyperplasia must be not applicable (99)',
+        ['numBreastBiopsies', 'atypicalHyperplasia'],
+        { numBreastBiopsies, atypicalHyperplasia }
+      ),
       category: null,
       multiplier: null,
     };
@@ -193,8 +993,12 @@ function recodeNumberOfBiopsies(numBreastBiopsies, atypicalHyperplasia, race) {
   ) {
     return {
       valid: false,
-      error:
+      issue: createValidationIssue(
+        ValidationCode.INVALID_HYPERPLASIA,
         'Consistency error: If biopsies performed, atypical hyperplasia must be 0, 1, or 99',
+        ['numBreastBiopsies', 'atypicalHyperplasia'],
+        { numBreastBiopsies, atypicalHyperplasia }
+      ),
       category: null,
       multiplier: null,
     };
@@ -203,119 +1007,112 @@ function recodeNumberOfBiopsies(numBreastBiopsies, atypicalHyperplasia, race) {
   // Recode biopsies to categories
   if (numBreastBiopsies === 0 || numBreastBiopsies === SpecialValues.UNKNOWN) {
     category = 0;
-    multiplier = 1.0;
-  } else if (numBreastBiopsies === 1) {
-    category = 1;
   } else if (
-    numBreastBiopsies >= 2 &&
-    numBreastBiopsies < SpecialValues.UNKNOWN
+    numBreastBiopsies === 1 ||
+    (numBreastBiopsies >= 2 && numBreastBiopsies < SpecialValues.UNKNOWN)
   ) {
-    category = 2;
+    category = categoryFromCutpoints(
+      numBreastBiopsies,
+      rules.biopsies.cutpoints
+    );
+
+    // Set atypical hyperplasia multiplier (only if biopsies > 0)
+    const multipliers = rules.hyperplasiaMultipliers;
+    if (atypicalHyperplasia === 0) {
+      multiplier = multipliers.no;
+    } else if (atypicalHyperplasia === 1) {
+      multiplier = multipliers.yes;
+    } else if (atypicalHyperplasia === SpecialValues.UNKNOWN) {
+      multiplier = multipliers.unknown;
+    }
   } else {
     return {
       valid: false,
-      error: 'Invalid number of biopsies',
+      issue: createValidationIssue(
+        ValidationCode.INVALID_BIOPSY_COUNT,
+        'Invalid number of biopsies',
+        ['numBreastBiopsies'],
+        { numBreastBiopsies }
+      ),
       category: null,
       multiplier: null,
     };
   }
 
-  // Set atypical hyperplasia multiplier (only if biopsies > 0)
-  if (category > 0) {
-    if (atypicalHyperplasia === 0) {
-      multiplier = 0.93;
-    } else if (atypicalHyperplasia === 1) {
-      multiplier = 1.82;
-    } else if (atypicalHyperplasia === SpecialValues.UNKNOWN) {
-      multiplier = 1.0;
-    }
-  }
-
-  // Race-specific recoding for Hispanic women
-  if (
-    race === RaceCode.HISPANIC_US_BORN ||
-    race === RaceCode.HISPANIC_FOREIGN_BORN
-  ) {
-    if (numBreastBiopsies === 0 || numBreastBiopsies === SpecialValues.UNKNOWN) {
-      category = 0;
-    } else if (category === 2) {
-      category = 1; // Group 2+ with 1
-    }
-  }
-
-  return { valid: true, error: null, category, multiplier };
+  return { valid: true, issue: null, category, multiplier };
 }
 
 /**
  * Recodes age at menarche
  *
- * Recoding rules:
+ * Recoding rules (standard cutpoints [14, 12]):
  * - 14+ or 99 (unknown) → Category 0
  * - 12-13 → Category 1
  * - <12 → Category 2
  *
- * Race-specific rules:
+ * Race-specific rules (NCI BCRAT):
  * - African-American: Category 2 (≤11) grouped with Category 1 (12-13)
- * - Hispanic US Born: Not in RR model, all set to 0
+ * - Hispanic US Born: Not in RR model, all set to 0 (no cutpoints)
  *
  * @param {number} ageAtMenarche - Age at first menstrual period
  * @param {number} initialAge - Current age
- * @param {number} race - Race code
- * @returns {{valid: boolean, error: string|null, category: number|null}}
+ * @param {import('../types/index.js').RecodingRules} rules - Population recoding rules
+ * @returns {{valid: boolean, issue: import('../types/index.js').ValidationIssue|null, category: number|null}}
  */
-function recodeAgeAtMenarche(ageAtMenarche, initialAge, race) {
-  let category;
-
+function recodeAgeAtMenarche(ageAtMenarche, initialAge, rules) {
   // Validation: menarche cannot be after current age (unless unknown)
   if (ageAtMenarche > initialAge && ageAtMenarche !== SpecialValues.UNKNOWN) {
     return {
       valid: false,
-      error: 'Age at menarche cannot be greater than initial age',
+      issue: createValidationIssue(
+        ValidationCode.AGE_MENARCHE_AFTER_INITIAL_AGE,
+        'Age at menarche cannot be greater than initial age',
+        ['ageAtMenarche', 'initialAge'],
+        { ageAtMenarche, initialAge }
+      ),
       category: null,
     };
   }
 
-  // Recode to categories
-  if (ageAtMenarche >= 14 || ageAtMenarche === SpecialValues.UNKNOWN) {
-    category = 0;
-  } else if (ageAtMenarche >= 12 && ageAtMenarche < 14) {
-    category = 1;
-  } else if (ageAtMenarche > 0 && ageAtMenarche < 12) {
-    category = 2;
-  } else {
+  if (ageAtMenarche === SpecialValues.UNKNOWN) {
+    return { valid: true, issue: null, category: 0 };
+  }
+
+  if (!(ageAtMenarche > 0)) {
     return {
       valid: false,
-      error: 'Invalid age at menarche',
+      issue: createValidationIssue(
+        ValidationCode.INVALID_AGE_MENARCHE,
+        'Invalid age at menarche',
+        ['ageAtMenarche'],
+        { ageAtMenarche }
+      ),
       category: null,
     };
   }
 
-  // Race-specific adjustments
-  // African-American: group category 2 with 1
-  if (race === RaceCode.AFRICAN_AMERICAN && category === 2) {
-    category = 1;
-  }
-
-  // Hispanic US Born: not in model, set to 0
-  if (race === RaceCode.HISPANIC_US_BORN) {
-    category = 0;
-  }
+  // Categories count the cutpoints above the age at menarche
+  const category = categoryFromCutpoints(
+    ageAtMenarche,
+    rules.menarche.cutpoints,
+    true
+  );
 
-  return { valid: true, error: null, category };
+  return { valid: true, issue: null, category };
 }
 
 /**
  * Recodes age at first birth
  *
- * Recoding rules (standard):
+ * Recoding rules (standard cutpoints [20, 25, 30]):
  * - <20 or 99 (unknown) → Category 0
  * - 20-24 → Category 1
  * - 25-29 or 98 (nulliparous) → Category 2
  * - 30+ → Category 3
  *
- * Race-specific rules:
+ * Race-specific rules (NCI BCRAT):
  * - African-American: Not in RR model, all set to 0
- * - Hispanic (US/Foreign): Different grouping
+ * - Hispanic (US/Foreign): Different grouping (cutpoints [20, 30])
  *   - <20 or 99 → 0
  *   - 20-29 → 1
  *   - 30+ or 98 → 2
@@ -323,17 +1120,15 @@ function recodeAgeAtMenarche(ageAtMenarche, initialAge, race) {
  * @param {number} ageAtFirstBirth - Age at first live birth (98=nulliparous, 99=unknown)
  * @param {number} ageAtMenarche - Age at first menstrual period
  * @param {number} initialAge - Current age
- * @param {number} race - Race code
- * @returns {{valid: boolean, error: string|null, category: number|null}}
+ * @param {import('../types/index.js').RecodingRules} rules - Population recoding rules
+ * @returns {{valid: boolean, issue: import('../types/index.js').ValidationIssue|null, category: number|null}}
  */
 function recodeAgeAtFirstBirth(
   ageAtFirstBirth,
   ageAtMenarche,
   initialAge,
-  race
+  rules
 ) {
-  let category;
-
   // Validation: first birth cannot be before menarche
   if (
     ageAtFirstBirth < ageAtMenarche &&
@@ -343,7 +1138,12 @@ function recodeAgeAtFirstBirth(
   ) {
     return {
       valid: false,
-      error: 'Age at first birth cannot be less than age at menarche',
+      issue: createValidationIssue(
+        ValidationCode.AGE_FIRST_BIRTH_BEFORE_MENARCHE,
+        'Age at first birth cannot be less than age at menarche',
+        ['ageAtFirstBirth', 'ageAtMenarche'],
+        { ageAtFirstBirth, ageAtMenarche }
+      ),
       category: null,
     };
   }
@@ -355,117 +1155,93 @@ function recodeAgeAtFirstBirth(
   ) {
     return {
       valid: false,
-      error: 'Age at first birth cannot be greater than initial age',
+      issue: createValidationIssue(
+        ValidationCode.AGE_FIRST_BIRTH_AFTER_INITIAL_AGE,
+        'Age at first birth cannot be greater than initial age',
+        ['ageAtFirstBirth', 'initialAge'],
+        { ageAtFirstBirth, initialAge }
+      ),
       category: null,
     };
   }
 
-  // African-American: not in model
-  if (race === RaceCode.AFRICAN_AMERICAN) {
-    return { valid: true, error: null, category: 0 };
+  const { cutpoints, nulliparousCategory } = rules.firstBirth;
+
+  // Not in the model (e.g. African-American): every value recodes to 0
+  if (cutpoints.length === 0 && nulliparousCategory === 0) {
+    return { valid: true, issue: null, category: 0 };
   }
 
-  // Hispanic recoding (both US-born and Foreign-born)
-  if (
-    race === RaceCode.HISPANIC_US_BORN ||
-    race === RaceCode.HISPANIC_FOREIGN_BORN
-  ) {
-    if (ageAtFirstBirth < 20 || ageAtFirstBirth === SpecialValues.UNKNOWN) {
-      category = 0;
-    } else if (ageAtFirstBirth >= 20 && ageAtFirstBirth < 30) {
-      category = 1;
-    } else if (
-      ageAtFirstBirth >= 30 ||
-      ageAtFirstBirth === SpecialValues.NULLIPAROUS
-    ) {
-      category = 2;
-    } else {
-      return {
-        valid: false,
-        error: 'Invalid age at first birth',
-        category: null,
-      };
-    }
-    return { valid: true, error: null, category };
+  if (ageAtFirstBirth === SpecialValues.UNKNOWN) {
+    return { valid: true, issue: null, category: 0 };
   }
 
-  // Standard recoding for other races
-  if (ageAtFirstBirth < 20 || ageAtFirstBirth === SpecialValues.UNKNOWN) {
-    category = 0;
-  } else if (ageAtFirstBirth >= 20 && ageAtFirstBirth < 25) {
-    category = 1;
-  } else if (
-    (ageAtFirstBirth >= 25 && ageAtFirstBirth < 30) ||
-    ageAtFirstBirth === SpecialValues.NULLIPAROUS
-  ) {
-    category = 2;
-  } else if (
-    ageAtFirstBirth >= 30 &&
-    ageAtFirstBirth < SpecialValues.NULLIPAROUS
-  ) {
-    category = 3;
-  } else {
+  if (ageAtFirstBirth === SpecialValues.NULLIPAROUS) {
+    return { valid: true, issue: null, category: nulliparousCategory };
+  }
+
+  if (!(ageAtFirstBirth < SpecialValues.NULLIPAROUS)) {
     return {
       valid: false,
-      error: 'Invalid age at first birth',
+      issue: createValidationIssue(
+        ValidationCode.INVALID_AGE_FIRST_BIRTH,
+        'Invalid age at first birth',
+        ['ageAtFirstBirth'],
+        { ageAtFirstBirth }
+      ),
       category: null,
     };
   }
 
-  return { valid: true, error: null, category };
+  const category = categoryFromCutpoints(ageAtFirstBirth, cutpoints);
+
+  return { valid: true, issue: null, category };
 }
 
 /**
  * Recodes number of first-degree relatives with breast cancer
  *
- * Recoding rules:
+ * Recoding rules (standard cutpoints [1, 2]):
  * - 0 or 99 (unknown) → Category 0
  * - 1 → Category 1
  * - 2+ → Category 2
  *
- * Race-specific rules:
- * - Asian-American (races 6-11): Category 2 grouped with 1
- * - Hispanic (US/Foreign): Category 2 grouped with 1
+ * Race-specific rules (NCI BCRAT):
+ * - Asian-American (races 6-11): Category 2 grouped with 1 (cutpoints [1])
+ * - Hispanic (US/Foreign): Category 2 grouped with 1 (cutpoints [1])
  *
  * @param {number} numRelativesWithBrCa - Number of first-degree relatives with breast cancer
- * @param {number} race - Race code
- * @returns {{valid: boolean, error: string|null, category: number|null}}
+ * @param {import('../types/index.js').RecodingRules} rules - Population recoding rules
+ * @returns {{valid: boolean, issue: import('../types/index.js').ValidationIssue|null, category: number|null}}
  */
-function recodeNumberOfRelatives(numRelativesWithBrCa, race) {
-  let category;
-
-  // Recode to categories
+function recodeNumberOfRelatives(numRelativesWithBrCa, rules) {
   if (
     numRelativesWithBrCa === 0 ||
     numRelativesWithBrCa === SpecialValues.UNKNOWN
   ) {
-    category = 0;
-  } else if (numRelativesWithBrCa === 1) {
-    category = 1;
-  } else if (
-    numRelativesWithBrCa >= 2 &&
-    numRelativesWithBrCa < SpecialValues.UNKNOWN
+    return { valid: true, issue: null, category: 0 };
+  }
+
+  if (
+    numRelativesWithBrCa !== 1 &&
+    !(numRelativesWithBrCa >= 2 && numRelativesWithBrCa < SpecialValues.UNKNOWN)
   ) {
-    category = 2;
-  } else {
     return {
       valid: false,
-      error: 'Invalid number of relatives',
+      issue: createValidationIssue(
+        ValidationCode.INVALID_RELATIVES_COUNT,
+        'Invalid number of relatives',
+        ['numRelativesWithBrCa'],
+        { numRelativesWithBrCa }
+      ),
       category: null,
     };
   }
 
-  // Race-specific adjustments
-  // Asian-American and Hispanic: group category 2 with 1
-  if (
-    (race >= RaceCode.CHINESE && race <= RaceCode.OTHER_ASIAN) ||
-    race === RaceCode.HISPANIC_US_BORN ||
-    race === RaceCode.HISPANIC_FOREIGN_BORN
-  ) {
-    if (category === 2) {
-      category = 1;
-    }
-  }
+  const category = categoryFromCutpoints(
+    numRelativesWithBrCa,
+    rules.relatives.cutpoints
+  );
 
-  return { valid: true, error: null, category };
+  return { valid: true, issue: null, category };
 }
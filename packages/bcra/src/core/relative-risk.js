@@ -27,7 +27,7 @@
  * @license GPL-3.0-or-later
  */
 
-import { BETA_BY_RACE } from '../constants/index.js';
+import { getPopulation } from './model-registry.js';
 
 /**
  * Calculates relative risk for women under age 50 and age 50+
@@ -57,6 +57,9 @@ import { BETA_BY_RACE } from '../constants/index.js';
  *
  * @param {import('../types/index.js').ValidationResult} validation - Validated and recoded data from recodeAndValidate()
  * @param {number} race - Race code (1-11) from RaceCode enum
+ * @param {Object} [options] - Calculation options
+ * @param {string|import('../types/index.js').ModelDefinition} [options.model='nci-bcrat'] - Model id or definition supplying the coefficients
+ * @param {number[]} [options.beta] - Beta coefficients to use instead of the model's (same order and length)
  * @returns {{relativeRiskUnder50: number|null, relativeRiskAtOrAbove50: number|null, patternNumber: number|null}}
  *
  * @example
@@ -67,7 +70,7 @@ import { BETA_BY_RACE } from '../constants/index.js';
  * console.log(relativeRisk.relativeRiskAtOrAbove50); // e.g., 1.87
  * console.log(relativeRisk.patternNumber); // e.g., 56 (one of 108 patterns)
  */
-export function calculateRelativeRisk(validation, race) {
+export function calculateRelativeRisk(validation, race, options = {}) {
   // Initialize result with null values
   const result = {
     relativeRiskUnder50: null,
@@ -100,8 +103,8 @@ export function calculateRelativeRisk(validation, race) {
     return result;
   }
 
-  // Get beta coefficients for this race
-  const beta = BETA_BY_RACE[race];
+  // Get beta coefficients for this race (or the caller's override)
+  const beta = options.beta || getModelBeta(race, options.model);
   if (!beta) {
     return result;
   }
@@ -118,17 +121,12 @@ export function calculateRelativeRisk(validation, race) {
 
   // Calculate Linear Predictor 1 (LP1) for women under age 50
   // LP1 = β[0]·NB + β[1]·AM + β[2]·AF + β[3]·NR + β[5]·(AF×NR) + ln(R_Hyp)
-  const LP1 =
-    biopsyCategory * beta[0] + // N_Biop
-    menarcheCategory * beta[1] + // AgeMen
-    firstBirthCategory * beta[2] + // AgeFst
-    relativesCategory * beta[3] + // N_Rels
-    firstBirthCategory * relativesCategory * beta[5] + // AF*NR interaction
-    Math.log(hyperplasiaMultiplier); // log(R_Hyp)
-
   // Calculate Linear Predictor 2 (LP2) for women age 50 and older
   // LP2 = LP1 + β[4]·NB (adds age>=50 × biopsies interaction)
-  const LP2 = LP1 + biopsyCategory * beta[4]; // A50*NB interaction
+  const { LP1, LP2 } = calculateLinearPredictors(
+    validation.recodedValues,
+    beta
+  );
 
   // Calculate relative risks using exponential function
   const relativeRiskUnder50 = Math.exp(LP1);
@@ -140,3 +138,192 @@ export function calculateRelativeRisk(validation, race) {
     patternNumber,
   };
 }
+
+/**
+ * Breaks the relative risk down into per-risk-factor contributions
+ *
+ * Each factor contributes an additive term to the linear predictor and,
+ * equivalently, a multiplicative factor (exp of the term) to the relative
+ * risk. Multiplying the `relativeRisk` of every factor that applies to an age
+ * group reproduces relativeRiskUnder50 / relativeRiskAtOrAbove50 from
+ * calculateRelativeRisk().
+ *
+ * Factors, in order:
+ * - biopsies (β₀·NB), menarche (β₁·AM), firstBirth (β₂·AF), relatives (β₃·NR)
+ * - firstBirthByRelatives (β₅·AF×NR)
+ * - age50ByBiopsies (β₄·NB) - applies to ages >= 50 only
+ * - hyperplasia (ln R_Hyp) - enters with a fixed coefficient of 1
+ *
+ * A factor at its reference category has a linear predictor of 0 and a
+ * relative risk of 1. Coefficients that are not part of a race-specific model
+ * are 0, so those factors never contribute for that race.
+ *
+ * @param {import('../types/index.js').ValidationResult} validation - Validated and recoded data from recodeAndValidate()
+ * @param {number} race - Race code (1-11) from RaceCode enum
+ * @param {Object} [options] - Calculation options
+ * @param {string|import('../types/index.js').ModelDefinition} [options.model='nci-bcrat'] - Model id or definition supplying the coefficients
+ * @param {number[]} [options.beta] - Beta coefficients to use instead of the model's (same order and length)
+ * @returns {import('../types/index.js').RelativeRiskContributions|null} Contributions, or null if validation failed
+ *
+ * @example
+ * const validation = recodeAndValidate(data);
+ * const breakdown = calculateRelativeRiskContributions(validation, RaceCode.WHITE);
+ * breakdown.factors
+ *   .filter((factor) => factor.relativeRisk !== 1)
+ *   .forEach((factor) => console.log(`${factor.label}: ×${factor.relativeRisk.toFixed(2)}`));
+ */
+export function calculateRelativeRiskContributions(
+  validation,
+  race,
+  options = {}
+) {
+  if (!validation || !validation.isValid || !validation.recodedValues) {
+    return null;
+  }
+
+  const {
+    biopsyCategory,
+    menarcheCategory,
+    firstBirthCategory,
+    relativesCategory,
+    hyperplasiaMultiplier,
+  } = validation.recodedValues;
+
+  if (
+    biopsyCategory === undefined ||
+    menarcheCategory === undefined ||
+    firstBirthCategory === undefined ||
+    relativesCategory === undefined ||
+    hyperplasiaMultiplier === undefined
+  ) {
+    return null;
+  }
+
+  const beta = options.beta || getModelBeta(race, options.model);
+  if (!beta) {
+    return null;
+  }
+
+  const terms = buildLinearPredictorTerms(validation.recodedValues, beta);
+  const { LP1, LP2 } = calculateLinearPredictors(
+    validation.recodedValues,
+    beta
+  );
+
+  return {
+    factors: terms.map((term) => ({
+      ...term,
+      relativeRisk: Math.exp(term.linearPredictor),
+    })),
+    linearPredictorUnder50: LP1,
+    linearPredictorAtOrAbove50: LP2,
+    relativeRiskUnder50: Math.exp(LP1),
+    relativeRiskAtOrAbove50: Math.exp(LP2),
+  };
+}
+
+/**
+ * Builds the additive linear predictor terms for each risk factor
+ *
+ * @param {Object} recodedValues - Recoded categories from recodeAndValidate()
+ * @param {number[]} beta - Beta coefficients (BETA_COEFFICIENT_NAMES order)
+ * @returns {Array<Object>} Terms without the exponentiated relative risk
+ *
+ * @private
+ */
+function buildLinearPredictorTerms(recodedValues, beta) {
+  const {
+    biopsyCategory: NB,
+    menarcheCategory: AM,
+    firstBirthCategory: AF,
+    relativesCategory: NR,
+    hyperplasiaMultiplier,
+  } = recodedValues;
+
+  const term = (factor, label, coefficientName, covariate, coefficient) => ({
+    factor,
+    label,
+    coefficientName,
+    covariate,
+    coefficient,
+    linearPredictor: covariate * coefficient,
+    appliesUnder50: factor !== 'age50ByBiopsies',
+    appliesAtOrAbove50: true,
+  });
+
+  return [
+    term('biopsies', 'Number of breast biopsies', 'N_Biop', NB, beta[0]),
+    term('menarche', 'Age at menarche', 'AgeMen', AM, beta[1]),
+    term('firstBirth', 'Age at first live birth', 'AgeFst', AF, beta[2]),
+    term('relatives', 'First-degree relatives', 'N_Rels', NR, beta[3]),
+    term(
+      'firstBirthByRelatives',
+      'Age at first birth × relatives',
+      'AF*NR',
+      AF * NR,
+      beta[5]
+    ),
+    term(
+      'age50ByBiopsies',
+      'Age 50 or older × biopsies',
+      'A50*NB',
+      NB,
+      beta[4]
+    ),
+    term(
+      'hyperplasia',
+      'Atypical hyperplasia',
+      null,
+      Math.log(hyperplasiaMultiplier),
+      1
+    ),
+  ];
+}
+
+/**
+ * Calculates the linear predictors for each age group
+ *
+ * Terms are added in the order of the published formula so results match the
+ * R implementation bit for bit, and equal the sums of the
+ * buildLinearPredictorTerms() terms.
+ *
+ * @param {Object} recodedValues - Recoded categories from recodeAndValidate()
+ * @param {number[]} beta - Beta coefficients (BETA_COEFFICIENT_NAMES order)
+ * @returns {{LP1: number, LP2: number}} Linear predictors for ages < 50 and >= 50
+ *
+ * @private
+ */
+function calculateLinearPredictors(recodedValues, beta) {
+  const {
+    biopsyCategory,
+    menarcheCategory,
+    firstBirthCategory,
+    relativesCategory,
+    hyperplasiaMultiplier,
+  } = recodedValues;
+
+  const LP1 =
+    biopsyCategory * beta[0] + // N_Biop
+    menarcheCategory * beta[1] + // AgeMen
+    firstBirthCategory * beta[2] + // AgeFst
+    relativesCategory * beta[3] + // N_Rels
+    firstBirthCategory * relativesCategory * beta[5] + // AF*NR interaction
+    Math.log(hyperplasiaMultiplier); // log(R_Hyp)
+  const LP2 = LP1 + biopsyCategory * beta[4]; // A50*NB interaction
+
+  return { LP1, LP2 };
+}
+
+/**
+ * Beta coefficients of one population of a model
+ *
+ * @param {number} race - Population code
+ * @param {string|Object} [model] - Model id or definition
+ * @returns {number[]|null}
+ *
+ * @private
+ */
+function getModelBeta(race, model) {
+  const population = getPopulation(race, model);
+  return population ? population.beta : null;
+}
@@ -0,0 +1,310 @@
+/**
+ * Risk Bounds Module
+ *
+ * Gives the range of absolute risk a woman could have when some of her
+ * answers are unknown. The model codes an unknown (99) number of biopsies,
+ * age at menarche, age at first birth or number of affected relatives as the
+ * lowest-risk category; here every admissible value of each unknown field is
+ * tried instead, and the lowest and highest risks are reported together with
+ * the profiles that produce them.
+ *
+ * Candidate values come from the population's recoding rules, one per
+ * category, so race-specific pooling applies: a field the population pools
+ * into a single category is left unknown. Each candidate profile goes through
+ * the full calculateRisk() workflow, so profiles that are inconsistent with
+ * the known answers (for example, a first birth after the current age) are
+ * not admissible. When the number of biopsies is unknown, or known but with
+ * unknown atypical hyperplasia, every hyperplasia status (no, yes, unknown)
+ * is tried for the profiles with biopsies.
+ *
+ * Copyright (C) 2025 epiVerse (JavaScript Implementation)
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ *
+ * @module core/risk-bounds
+ * @license GPL-3.0-or-later
+ */
+
+import { calculateRisk } from './risk-calculator.js';
+import { resolveModel } from './model-registry.js';
+import { createProvenance, deriveProvenance } from './provenance.js';
+import { SpecialValues, ValidationCode } from '../types/index.js';
+import {
+  addValidationError,
+  copyValidationIssues,
+} from '../utils/error-handler.js';
+import { sanitizeCalculationInput } from '../utils/validators.js';
+
+/**
+ * Raw input fields whose unknown (99) values are enumerated
+ * @type {string[]}
+ * @constant
+ */
+export const RISK_BOUND_FIELDS = [
+  'numBreastBiopsies',
+  'ageAtMenarche',
+  'ageAtFirstBirth',
+  'numRelativesWithBrCa',
+];
+
+// Atypical hyperplasia statuses tried for profiles with biopsies
+const HYPERPLASIA_STATUSES = [0, 1, SpecialValues.UNKNOWN];
+
+/**
+ * Calculates the lowest and highest risk over the admissible values of
+ * unknown fields
+ *
+ * Options are passed to calculateRisk() for the profile as given and for
+ * every candidate profile; the candidates skip the average risk, confidence
+ * intervals, contributions, competing risks and the calculation trace. When
+ * several profiles give the same extreme risk, the first one tried (lowest
+ * categories first) is reported. The provenance is that of the baseline
+ * result.
+ *
+ * Like calculateRisk(), this function never throws.
+ *
+ * @param {import('../types/index.js').RiskFactorProfile} data - Risk factor data with unknown (99) answers
+ * @param {Object} [options] - Options passed to calculateRisk(). `rawInput: false` and `imputation` are not
+ *   supported; `throwOnError` is ignored.
+ * @returns {import('../types/index.js').RiskBoundsResult} Baseline result and the risk bounds
+ *
+ * @example
+ * const bounds = calculateRiskBounds({ ...profile, numRelativesWithBrCa: 99 });
+ * console.log(`Between ${bounds.minimum.absoluteRisk.toFixed(1)}% and ` +
+ *   `${bounds.maximum.absoluteRisk.toFixed(1)}%`);
+ * console.log(bounds.maximum.profile.numRelativesWithBrCa); // 2
+ */
+export function calculateRiskBounds(data, options = {}) {
+  const result = {
+    success: false,
+    baseline: null,
+    minimum: null,
+    maximum: null,
+    fields: [],
+    profilesEvaluated: 0,
+    provenance: null,
+    validation: {
+      isValid: false,
+      errors: [],
+      warnings: [],
+      errorDetails: [],
+      warningDetails: [],
+    },
+    error: null,
+  };
+
+  try {
+    const riskOptions = { ...options, throwOnError: false };
+    // Replaced by the baseline's provenance once calculateRisk() has run
+    if (options.provenance !== false) {
+      result.provenance = createProvenance(
+        sanitizeCalculationInput(data, options),
+        riskOptions
+      );
+    }
+
+    if (options.rawInput === false) {
+      addValidationError(
+        result.validation,
+        ValidationCode.INVALID_OPTION,
+        'Risk bounds require raw input (rawInput: true)',
+        ['rawInput']
+      );
+      return result;
+    }
+    if (options.imputation !== null && options.imputation !== undefined) {
+      addValidationError(
+        result.validation,
+        ValidationCode.INVALID_OPTION,
+        'Risk bounds cannot be combined with imputation',
+        ['imputation']
+      );
+      return result;
+    }
+
+    const baseline = calculateRisk(data, riskOptions);
+    result.baseline = baseline;
+    result.provenance =
+      baseline.provenance && deriveProvenance(baseline.provenance);
+    copyValidationIssues(result.validation, baseline.validation);
+    if (!baseline.success) {
+      return result;
+    }
+
+    const { model } = resolveModel(options.model);
+    const { recoding } = model.populations[data.race];
+
+    const candidateOptions = {
+      ...options,
+      calculateAverage: false,
+      confidenceInterval: false,
+      contributions: false,
+      competingRisks: false,
+      explain: false,
+      provenance: false,
+      throwOnError: false,
+    };
+    const candidateValues = listCandidateValues(recoding);
+    const unknownFields = RISK_BOUND_FIELDS.filter(
+      (field) =>
+        data[field] === SpecialValues.UNKNOWN &&
+        candidateValues[field].length > 1
+    );
+    const hyperplasiaUnknown =
+      data.atypicalHyperplasia === SpecialValues.UNKNOWN &&
+      data.numBreastBiopsies !== 0 &&
+      (data.numBreastBiopsies !== SpecialValues.UNKNOWN ||
+        unknownFields.includes('numBreastBiopsies'));
+    result.fields = hyperplasiaUnknown
+      ? [...unknownFields, 'atypicalHyperplasia']
+      : unknownFields;
+
+    for (const profile of listCandidateProfiles(
+      data,
+      unknownFields,
+      candidateValues,
+      hyperplasiaUnknown
+    )) {
+      const candidate = calculateRisk(profile, candidateOptions);
+      if (!candidate.success) {
+        continue;
+      }
+      result.profilesEvaluated++;
+
+      const bound = {
+        absoluteRisk: candidate.absoluteRisk,
+        profile,
+        recodedValues: candidate.recodedValues,
+      };
+      if (!result.minimum || bound.absoluteRisk < result.minimum.absoluteRisk) {
+        result.minimum = bound;
+      }
+      if (!result.maximum || bound.absoluteRisk > result.maximum.absoluteRisk) {
+        result.maximum = bound;
+      }
+    }
+
+    if (!result.minimum) {
+      addValidationError(
+        result.validation,
+        ValidationCode.NO_ADMISSIBLE_PROFILE,
+        'No admissible values of the unknown fields are consistent with the known answers',
+        result.fields
+      );
+      return result;
+    }
+
+    result.validation.isValid = true;
+    result.success = true;
+
+    return result;
+  } catch (error) {
+    result.error = {
+      message: error.message || 'Unknown error during risk calculation',
+      stack: error.stack || '',
+    };
+    addValidationError(
+      result.validation,
+      ValidationCode.UNEXPECTED_ERROR,
+      `Unexpected error: ${error.message || 'Unknown error'}`
+    );
+    return result;
+  }
+}
+
+/**
+ * Lists one raw value per recoded category of each field
+ *
+ * Values sit at the category boundaries, for example 14, 12 and 11 for the
+ * standard menarche categories >= 14, 12-13 and < 12. Nulliparity is tried
+ * as an age at first birth whenever the population's model uses it.
+ *
+ * @param {import('../types/index.js').RecodingRules} recoding - Population recoding rules
+ * @returns {Object.<string, number[]>} Candidate raw values by field, lowest category first
+ *
+ * @private
+ */
+function listCandidateValues(recoding) {
+  const { biopsies, menarche, firstBirth, relatives } = recoding;
+  const ascending = (cutpoints) => [...cutpoints].sort((a, b) => a - b);
+
+  const menarcheCutpoints = ascending(menarche.cutpoints).reverse();
+  const firstBirthCutpoints = ascending(firstBirth.cutpoints);
+
+  const ageAtFirstBirth =
+    firstBirthCutpoints.length > 0
+      ? [firstBirthCutpoints[0] - 1, ...firstBirthCutpoints]
+      : [];
+  if (firstBirthCutpoints.length > 0 || firstBirth.nulliparousCategory > 0) {
+    ageAtFirstBirth.push(SpecialValues.NULLIPAROUS);
+  }
+
+  return {
+    numBreastBiopsies: [0, ...ascending(biopsies.cutpoints)],
+    ageAtMenarche:
+      menarcheCutpoints.length > 0
+        ? [
+            ...menarcheCutpoints,
+            menarcheCutpoints[menarcheCutpoints.length - 1] - 1,
+          ]
+        : [],
+    ageAtFirstBirth,
+    numRelativesWithBrCa: [0, ...ascending(relatives.cutpoints)],
+  };
+}
+
+/**
+ * Lists every combination of candidate values for the unknown fields
+ *
+ * @param {Object} data - Profile as given
+ * @param {string[]} fields - Unknown fields to enumerate
+ * @param {Object.<string, number[]>} candidateValues - Candidate raw values by field
+ * @param {boolean} hyperplasiaUnknown - Whether to try every atypical hyperplasia status for profiles
+ *   with biopsies
+ * @returns {Object[]} Candidate profiles
+ *
+ * @private
+ */
+function listCandidateProfiles(
+  data,
+  fields,
+  candidateValues,
+  hyperplasiaUnknown
+) {
+  let profiles = [{ ...data }];
+  for (const field of fields) {
+    profiles = profiles.flatMap((profile) =>
+      candidateValues[field].map((value) => ({ ...profile, [field]: value }))
+    );
+  }
+
+  if (!hyperplasiaUnknown) {
+    return profiles;
+  }
+
+  // Women with biopsies may or may not have atypical hyperplasia
+  return profiles.flatMap((profile) => {
+    const { numBreastBiopsies } = profile;
+    if (
+      numBreastBiopsies === 0 ||
+      numBreastBiopsies === SpecialValues.UNKNOWN
+    ) {
+      return [profile];
+    }
+    return HYPERPLASIA_STATUSES.map((atypicalHyperplasia) => ({
+      ...profile,
+      atypicalHyperplasia,
+    }));
+  });
+}
@@ -29,13 +29,42 @@
  * @license GPL-3.0-or-later
  */
 
-import { recodeAndValidate } from './recode-check.js';
-import { calculateRelativeRisk } from './relative-risk.js';
-import { calculateAbsoluteRisk } from './absolute-risk.js';
-import { RaceLabels } from '../types/index.js';
+import { recodeAndValidate, explainRecoding } from './recode-check.js';
+import {
+  calculateRelativeRisk,
+  calculateRelativeRiskContributions,
+} from './relative-risk.js';
+import {
+  calculateAbsoluteRisk,
+  calculateAbsoluteRiskTrajectory,
+  calculateAbsoluteRiskTrace,
+  calculateCompetingRiskOutcomes,
+  INTEGRATION_ENGINES,
+  INTEGRATION_STEPS,
+} from './absolute-risk.js';
+import { calculateConfidenceInterval } from './confidence-interval.js';
+import {
+  resolveModel,
+  getModelVersion,
+  DEFAULT_MODEL_ID,
+} from './model-registry.js';
+import { resolveRateSet } from './rate-tables.js';
+import { validateOneMinusAR } from './recalibration.js';
+import { resolveDensityModel, getDensityRelativeRisk } from './density.js';
+import { resolveRelativeRiskMultipliers } from './risk-multipliers.js';
+import { checkImputationOptions, calculateImputedRisk } from './imputation.js';
+import { createProvenance, recordResolvedOptions } from './provenance.js';
+import { MAX_AGE, BETA_COEFFICIENT_NAMES } from '../constants/index.js';
+import { ValidationCode, ValidationProfile } from '../types/index.js';
+import {
+  addValidationError,
+  addValidationWarning,
+  createErrorFromResult,
+} from '../utils/error-handler.js';
 import {
   validateRiskFactorDataStructure,
-  sanitizeRiskFactorData,
+  sanitizeCalculationInput,
+  resolveValidationProfile,
 } from '../utils/validators.js';
 
 /**
@@ -48,13 +77,60 @@ import {
  * 3. Calculates absolute risk using numerical integration
  * 4. Optionally calculates average risk for comparison
  *
- * The function never throws exceptions. All errors are caught and returned in a
- * structured error result object.
+ * By default the function never throws exceptions. All errors are caught and
+ * returned in a structured error result object. With `throwOnError`, a failed
+ * calculation throws instead (see calculateRiskOrThrow()).
  *
  * @param {import('../types/index.js').RiskFactorProfile} data - An individual's risk factor data
  * @param {Object} [options] - Calculation options
- * @param {boolean} [options.rawInput=true] - Whether input is in raw format (true) or already recoded (false)
+ * @param {boolean} [options.throwOnError=false] - Throw a BCRAValidationError for invalid input or
+ *   options, or a BCRACalculationError for a failed calculation, instead of returning `success: false`
+ * @param {boolean} [options.rawInput=true] - Whether input is in raw format (true) or already recoded (false).
+ *   Recoded input gives the race's own categories plus the raw atypicalHyperplasia status or a
+ *   `hyperplasiaMultiplier`, as R's Raw_Ind = 0
+ * @param {'strict'|'lenient'|'clinical'} [options.validationProfile='lenient'] - How strictly to validate the
+ *   profile (see ValidationProfile): 'strict' accepts no numeric strings, fractional counts or unknown
+ *   answers and reports every error; 'clinical' is as strict on types and counts but reports each unknown
+ *   answer as a warning; 'lenient' coerces numeric strings and accepts both
  * @param {boolean} [options.calculateAverage=false] - Whether to also calculate average risk for comparison
+ * @param {Array<number|import('../types/index.js').RiskHorizon>} [options.horizons] - Additional projection
+ *   horizons to calculate in the same call. A number is a years-ahead horizon (capped at age 90); an object
+ *   gives either `years` or `endAge` and an optional `label`. When the profile has no projectionEndAge, the
+ *   first horizon is used for the top-level absoluteRisk.
+ * @param {boolean|Object} [options.confidenceInterval=false] - Attach a confidence interval for absoluteRisk
+ *   reflecting beta coefficient uncertainty: an object with `method` ('delta' | 'monte-carlo'), `level`,
+ *   `covariance`, `draws` and `seed`, or `true` for a 95% delta-method interval from the model's covariance
+ *   matrix. The NCI BCRAT has none, so `covariance` must be given for it.
+ * @param {boolean} [options.contributions=false] - Attach the per-risk-factor breakdown of the relative risk
+ *   (see calculateRelativeRiskContributions)
+ * @param {boolean} [options.competingRisks=false] - Attach the breast cancer / competing mortality /
+ *   alive and cancer-free breakdown at projectionEndAge for the individual and average profiles
+ * @param {boolean} [options.explain=false] - Attach a step-by-step trace of the individualized absolute
+ *   risk: raw and sanitized input, each recoding decision, the beta coefficients and linear predictor
+ *   terms, the 1-AR values and every integration interval (see CalculationTrace)
+ * @param {boolean} [options.conditional=true] - When the profile's projectionStartAge is later than
+ *   initialAge, calculate the risk conditional on reaching projectionStartAge alive and cancer-free (true)
+ *   or the unconditional risk from initialAge (false). Recoding always uses initialAge.
+ * @param {'r-compatible'|'exact'} [options.integration='r-compatible'] - Integration engine: the yearly
+ *   scheme of the BCRA R package, or exact integration of the piecewise-constant hazards
+ * @param {'month'|'day'} [options.integrationStep] - Report the exact integration on a monthly or daily grid
+ * @param {string|import('../types/index.js').ModelDefinition} [options.model='nci-bcrat'] - Registered model id
+ *   or model definition (see registerModel) supplying coefficients, rates, 1-AR values and recoding rules
+ * @param {import('../types/index.js').RateSet} [options.rates] - λ₁/λ₂ tables, on any whole-age grid
+ *   covering 20-90, that replace the model's rates (see core/rate-tables)
+ * @param {number[]} [options.oneMinusAR] - 1-AR for ages < 50 and >= 50 that replaces the model's,
+ *   e.g. derived for another population with calculateOneMinusAR()
+ * @param {import('../types/index.js').DensityModel} [options.density] - Mammographic density extension
+ *   (see core/density): multiplies in the relative risk for the profile's `breastDensity` and uses the
+ *   density model's 1-AR and beta coefficients. Cannot be combined with `oneMinusAR`.
+ * @param {boolean} [options.adjustOneMinusAR=false] - Divide 1-AR by the population mean relative risk of
+ *   each of the profile's `relativeRiskMultipliers`, so the added factors keep the population risk unchanged
+ * @param {import('../types/index.js').ImputationOptions} [options.imputation] - Impute unknown (99) risk
+ *   factors from race-specific category distributions instead of coding them as category 0 (see
+ *   core/imputation). Requires raw input; cannot be combined with horizons, confidenceInterval,
+ *   contributions, competingRisks or explain.
+ * @param {boolean} [options.provenance=true] - Attach the provenance block (see core/provenance); false
+ *   leaves `provenance` null and skips its cost
  * @returns {import('../types/index.js').RiskResult} Comprehensive risk calculation result
  *
  * @example
@@ -82,10 +158,55 @@ import {
  * console.log(`Average risk: ${result.averageRisk.toFixed(2)}%`);
  * // Output: Individual's risk: 1.23%
  * //         Average risk: 1.15%
+ *
+ * @example
+ * // 5-year, 10-year and lifetime risk from a single validation pass
+ * const result = calculateRisk(
+ *   { ...profile, projectionEndAge: undefined },
+ *   { horizons: [5, 10, { endAge: 90, label: 'lifetime' }] }
+ * );
+ * result.horizons.forEach((h) => {
+ *   console.log(`${h.label}: ${h.absoluteRisk.toFixed(2)}%`);
+ * });
+ *
+ * @example
+ * // A 40-year-old's risk between ages 60 and 70, seen from today
+ * const result = calculateRisk(
+ *   { ...profile, initialAge: 40, projectionStartAge: 60, projectionEndAge: 70 },
+ *   { conditional: false }
+ * );
  */
 export function calculateRisk(data, options = {}) {
   // Default options
-  const { rawInput = true, calculateAverage = false } = options;
+  const {
+    rawInput = true,
+    calculateAverage = false,
+    horizons = null,
+    confidenceInterval = false,
+    contributions = false,
+    competingRisks = false,
+    explain = false,
+    conditional = true,
+    integration = 'r-compatible',
+    integrationStep = null,
+    model = DEFAULT_MODEL_ID,
+    rates = null,
+    oneMinusAR = null,
+    density = null,
+    adjustOneMinusAR = false,
+    imputation = null,
+    validationProfile = ValidationProfile.LENIENT,
+    provenance = true,
+    throwOnError = false,
+  } = options;
+
+  if (throwOnError) {
+    const result = calculateRisk(data, { ...options, throwOnError: false });
+    if (!result.success) {
+      throw createErrorFromResult(result);
+    }
+    return result;
+  }
 
   // Initialize result with null values
   const result = {
@@ -97,86 +218,215 @@ export function calculateRisk(data, options = {}) {
     patternNumber: null,
     raceEthnicity: null,
     projectionInterval: null,
+    projectionStartAge: null,
+    projectionEndAge: null,
+    conditional: null,
+    integration: null,
+    model: null,
+    modelVersion: null,
+    density: null,
+    relativeRiskMultipliers: null,
+    rateSet: null,
+    horizons: null,
+    confidenceInterval: null,
+    contributions: null,
+    competingRisks: null,
+    imputation: null,
+    trace: null,
+    provenance: null,
     validation: {
       isValid: false,
       errors: [],
       warnings: [],
+      errorDetails: [],
+      warningDetails: [],
     },
     recodedValues: null,
     error: null,
   };
 
   try {
-    // Step 0: Pre-flight validation and sanitization (Phase 4)
-    // Sanitize input data if it's raw (convert strings to numbers for form inputs)
-    let sanitizedData = data;
-    if (rawInput) {
-      sanitizedData = sanitizeRiskFactorData(data);
+    // Every option that can change the result, defaults included
+    const calculationOptions = {
+      rawInput,
+      calculateAverage,
+      horizons,
+      confidenceInterval,
+      contributions,
+      competingRisks,
+      explain,
+      conditional,
+      integration,
+      integrationStep,
+      model,
+      rates,
+      oneMinusAR,
+      density,
+      adjustOneMinusAR,
+      imputation,
+      validationProfile,
+    };
+    const sanitizedInput = sanitizeCalculationInput(data, {
+      rawInput,
+      validationProfile,
+    });
+    if (provenance) {
+      result.provenance = createProvenance(sanitizedInput, calculationOptions);
     }
 
-    // Validate data structure and types before domain validation
-    const structureValidation = validateRiskFactorDataStructure(sanitizedData);
-    if (!structureValidation.valid) {
-      // Pre-flight validation failed - return early with structural errors
-      result.validation = {
-        isValid: false,
-        errors: structureValidation.errors,
-        warnings: [],
-      };
+    const { error: profileError } = resolveValidationProfile(validationProfile);
+    if (profileError) {
+      addValidationError(
+        result.validation,
+        ValidationCode.INVALID_OPTION,
+        profileError,
+        ['validationProfile'],
+        { validationProfile }
+      );
       return result;
     }
 
-    // Step 1: Validate and recode input data (domain validation)
-    const validation = recodeAndValidate(sanitizedData, rawInput);
-
-    // Store validation result
-    result.validation = validation;
-
-    // If validation failed, return early with error result
-    if (!validation || !validation.isValid) {
+    const integrationError = checkIntegrationOptions(
+      integration,
+      integrationStep
+    );
+    if (integrationError) {
+      addValidationError(
+        result.validation,
+        ValidationCode.INVALID_OPTION,
+        integrationError,
+        ['integration'],
+        { integration }
+      );
       return result;
     }
 
-    // Store recoded values
-    result.recodedValues = validation.recodedValues;
+    if (imputation) {
+      const imputationError =
+        checkImputationOptions(imputation) ||
+        checkImputationCombination({
+          rawInput,
+          horizons,
+          confidenceInterval,
+          contributions,
+          competingRisks,
+          explain,
+        });
+      if (imputationError) {
+        addValidationError(
+          result.validation,
+          ValidationCode.INVALID_OPTION,
+          imputationError,
+          ['imputation']
+        );
+        return result;
+      }
+    }
 
-    // Extract race and ages for metadata (use sanitized data)
-    const { race, initialAge, projectionEndAge } = sanitizedData;
-    result.raceEthnicity = RaceLabels[race] || null;
-    result.projectionInterval = projectionEndAge - initialAge;
+    const resolved = resolveModelOptions({
+      model,
+      rates,
+      oneMinusAR,
+      density,
+    });
+    if (resolved.error) {
+      addValidationError(
+        result.validation,
+        ValidationCode.INVALID_OPTION,
+        resolved.error,
+        [resolved.errorOption]
+      );
+      return result;
+    }
+    result.model = { id: resolved.model.id, name: resolved.model.name };
+    result.modelVersion = resolved.version;
+    result.rateSet = resolved.rateSet
+      ? { id: resolved.rateSet.id, name: resolved.rateSet.name, custom: true }
+      : { id: resolved.model.id, name: resolved.model.name, custom: false };
+    if (result.provenance) {
+      recordResolvedOptions(result.provenance, sanitizedInput, {
+        ...resolved,
+        integration: { engine: integration, step: integrationStep },
+      });
+    }
 
-    // Step 2: Calculate relative risk using logistic regression
-    const relativeRisk = calculateRelativeRisk(validation, race);
+    // Without its own projection end age, the profile takes the first horizon
+    const inputData = horizons
+      ? withDefaultProjectionEndAge(sanitizedInput, horizons)
+      : sanitizedInput;
 
-    // If relative risk calculation failed, return early
-    if (
-      !relativeRisk ||
-      relativeRisk.relativeRiskUnder50 === null ||
-      relativeRisk.relativeRiskAtOrAbove50 === null
-    ) {
-      result.validation.errors.push(
-        'Relative risk calculation failed for this race/ethnicity'
-      );
+    // Steps 0-2: Validate, recode and calculate relative risk
+    const prepared = prepareCalculation(
+      inputData,
+      rawInput,
+      result,
+      resolved,
+      validationProfile
+    );
+    if (!prepared) {
       return result;
     }
 
-    // Store relative risk values
-    result.relativeRiskUnder50 = relativeRisk.relativeRiskUnder50;
-    result.relativeRiskAtOrAbove50 = relativeRisk.relativeRiskAtOrAbove50;
-    result.patternNumber = relativeRisk.patternNumber;
+    const { sanitizedData, validation, relativeRisk } = prepared;
+    result.density = prepared.density;
+    result.relativeRiskMultipliers =
+      sanitizedData.relativeRiskMultipliers || null;
+    const { initialAge, projectionEndAge } = sanitizedData;
+    const startAge = getWindowStartAge(sanitizedData);
+    result.projectionInterval = projectionEndAge - startAge;
+    result.projectionEndAge = projectionEndAge;
+    if (startAge > initialAge) {
+      result.projectionStartAge = startAge;
+      result.conditional = conditional;
+    }
+    const windowOptions = {
+      conditional,
+      integration,
+      integrationStep,
+      model: resolved.model,
+      rates: resolved.rateSet,
+      oneMinusAR: resolved.oneMinusAR,
+      adjustOneMinusAR,
+    };
+    result.integration = { engine: integration, step: integrationStep };
+
+    // Resolve additional horizons before any integration is done
+    let resolvedHorizons = null;
+    if (horizons) {
+      const resolution = resolveHorizons(horizons, startAge);
+      if (resolution.errors.length > 0) {
+        resolution.errors.forEach((error) =>
+          addValidationError(
+            result.validation,
+            ValidationCode.INVALID_OPTION,
+            error,
+            ['horizons']
+          )
+        );
+        result.validation.isValid = false;
+        result.validation.errorIndicator = 1;
+        return result;
+      }
+      resolvedHorizons = resolution.horizons;
+    }
 
     // Step 3: Calculate individualized absolute risk using numerical integration
     const individualizedAbsoluteRisk = calculateAbsoluteRisk(
       sanitizedData,
       validation,
       relativeRisk,
-      false // Individual risk, not average
+      false, // Individual risk, not average
+      windowOptions
     );
 
     // If absolute risk calculation failed, return early
     if (individualizedAbsoluteRisk === null) {
-      result.validation.errors.push(
-        'Absolute risk calculation failed - missing race-specific rates'
+      addValidationError(
+        result.validation,
+        ValidationCode.CALCULATION_FAILED,
+        'Absolute risk calculation failed - missing race-specific rates',
+        ['race'],
+        { race: sanitizedData.race }
       );
       return result;
     }
@@ -184,6 +434,61 @@ export function calculateRisk(data, options = {}) {
     // Store individualized absolute risk
     result.absoluteRisk = individualizedAbsoluteRisk;
 
+    // Step 3b: Optionally impute unknown risk factors instead of coding them
+    // as category 0
+    if (imputation) {
+      const imputed = calculateImputedRisk(
+        sanitizedData,
+        validation,
+        resolved.model.populations[sanitizedData.race],
+        imputation,
+        (recodedValues) => {
+          const imputedValidation = { ...validation, recodedValues };
+          const imputedRisk = calculateRelativeRisk(
+            imputedValidation,
+            sanitizedData.race,
+            {
+              model: resolved.model,
+              beta: resolved.density ? resolved.density.beta : null,
+            }
+          );
+          if (result.density) {
+            imputedRisk.relativeRiskUnder50 *= result.density.relativeRisk[0];
+            imputedRisk.relativeRiskAtOrAbove50 *=
+              result.density.relativeRisk[1];
+          }
+          return {
+            relativeRisk: imputedRisk,
+            absoluteRisk: calculateAbsoluteRisk(
+              sanitizedData,
+              imputedValidation,
+              imputedRisk,
+              false,
+              windowOptions
+            ),
+          };
+        }
+      );
+      if (imputed.error) {
+        addValidationError(
+          result.validation,
+          ValidationCode.INVALID_OPTION,
+          imputed.error,
+          ['imputation']
+        );
+        result.validation.isValid = false;
+        return result;
+      }
+      result.imputation = imputed.imputation;
+      result.absoluteRisk = imputed.absoluteRisk;
+      if (imputed.imputation.fields.length > 0) {
+        // Averaged over several patterns
+        result.relativeRiskUnder50 = imputed.relativeRiskUnder50;
+        result.relativeRiskAtOrAbove50 = imputed.relativeRiskAtOrAbove50;
+        result.patternNumber = null;
+      }
+    }
+
     // Step 4: Optionally calculate average risk for comparison
     if (calculateAverage) {
       // Store average risk (can be null if not supported for this race)
@@ -191,7 +496,110 @@ export function calculateRisk(data, options = {}) {
         sanitizedData,
         validation,
         relativeRisk,
-        true // Average risk
+        true, // Average risk
+        windowOptions
+      );
+    }
+
+    // Step 5: Optionally propagate beta uncertainty to the absolute risk
+    if (confidenceInterval) {
+      const { interval, error } = calculateConfidenceInterval(
+        sanitizedData,
+        validation,
+        {
+          ...(confidenceInterval === true ? {} : confidenceInterval),
+          ...windowOptions,
+          beta: resolved.density ? resolved.density.beta : null,
+          relativeRiskMultiplier: result.density
+            ? result.density.relativeRisk
+            : null,
+        }
+      );
+      // The point estimate stands even when no interval can be computed
+      if (error) {
+        addValidationWarning(
+          result.validation,
+          ValidationCode.CONFIDENCE_INTERVAL_UNAVAILABLE,
+          `Confidence interval: ${error}`,
+          ['confidenceInterval']
+        );
+      }
+      result.confidenceInterval = interval;
+    }
+
+    // Step 6: Reuse the recoded values and relative risk for every horizon
+    if (resolvedHorizons) {
+      result.horizons = resolvedHorizons.map((horizon) => {
+        const horizonData = {
+          ...sanitizedData,
+          projectionEndAge: horizon.projectionEndAge,
+        };
+        return {
+          ...horizon,
+          projectionInterval: horizon.projectionEndAge - startAge,
+          absoluteRisk: calculateAbsoluteRisk(
+            horizonData,
+            validation,
+            relativeRisk,
+            false,
+            windowOptions
+          ),
+          averageRisk: calculateAverage
+            ? calculateAbsoluteRisk(
+                horizonData,
+                validation,
+                relativeRisk,
+                true,
+                windowOptions
+              )
+            : null,
+        };
+      });
+    }
+
+    // Step 7: Optionally break the relative risk down by risk factor (the
+    // density relative risk is reported separately in result.density)
+    if (contributions) {
+      result.contributions = calculateRelativeRiskContributions(
+        validation,
+        sanitizedData.race,
+        {
+          model: resolved.model,
+          beta: resolved.density ? resolved.density.beta : null,
+        }
+      );
+    }
+
+    // Step 8: Optionally split the window into the three competing outcomes
+    // (conditional on reaching a future window start)
+    if (competingRisks) {
+      result.competingRisks = {
+        individual: calculateCompetingRiskOutcomes(
+          sanitizedData,
+          validation,
+          relativeRisk,
+          false,
+          windowOptions
+        ),
+        average: calculateCompetingRiskOutcomes(
+          sanitizedData,
+          validation,
+          relativeRisk,
+          true,
+          windowOptions
+        ),
+      };
+    }
+
+    // Step 9: Optionally record how the absolute risk was produced
+    if (explain) {
+      result.trace = buildCalculationTrace(
+        data,
+        prepared,
+        result,
+        resolved,
+        rawInput,
+        windowOptions
       );
     }
 
@@ -205,7 +613,519 @@ export function calculateRisk(data, options = {}) {
       message: error.message || 'Unknown error during risk calculation',
       stack: error.stack || '',
     };
-    result.validation.errors.push(
+    addValidationError(
+      result.validation,
+      ValidationCode.UNEXPECTED_ERROR,
+      `Unexpected error: ${error.message || 'Unknown error'}`
+    );
+    return result;
+  }
+}
+
+/**
+ * Calculates breast cancer risk for an individual, throwing on failure
+ *
+ * Same as calculateRisk() with `throwOnError: true`, for code that prefers
+ * exception handling, such as a server mapping errors to HTTP responses.
+ *
+ * @param {import('../types/index.js').RiskFactorProfile} data - An individual's risk factor data
+ * @param {Object} [options] - Calculation options, as for calculateRisk()
+ * @returns {import('../types/index.js').RiskResult} Successful risk calculation result
+ * @throws {BCRAValidationError} If the input or options are invalid; `fieldErrors` maps each offending
+ *   field or option to its messages and `issues` holds the structured errors
+ * @throws {BCRACalculationError} If the calculation fails; `details.issues` holds the structured errors
+ *
+ * @example
+ * try {
+ *   const result = calculateRiskOrThrow(profile);
+ *   res.json({ risk: result.absoluteRisk });
+ * } catch (error) {
+ *   if (error instanceof BCRAValidationError) {
+ *     res.status(422).json(error.toJSON());
+ *   } else {
+ *     res.status(500).json({ message: error.message });
+ *   }
+ * }
+ */
+export function calculateRiskOrThrow(data, options = {}) {
+  return calculateRisk(data, { ...options, throwOnError: true });
+}
+
+/**
+ * Calculates the year-by-year cumulative risk trajectory for an individual
+ *
+ * Validation, recoding and relative risk are computed once, and a single
+ * integration pass from initialAge to the end age yields the cumulative
+ * absolute risk, interval hazard and survival at the end of every year.
+ * Each point matches calculateRisk() with projectionEndAge set to that age.
+ *
+ * The profile's projectionEndAge is not required; the trajectory always runs
+ * to options.endAge (default 90). Like calculateRisk(), this function never
+ * throws.
+ *
+ * @param {import('../types/index.js').RiskFactorProfile} data - An individual's risk factor data
+ * @param {Object} [options] - Calculation options
+ * @param {boolean} [options.rawInput=true] - Whether input is in raw format (true) or already recoded (false)
+ * @param {boolean} [options.calculateAverage=true] - Whether to also build the average-profile trajectory
+ * @param {number} [options.endAge=90] - Last age of the trajectory
+ * @param {'r-compatible'|'exact'} [options.integration='r-compatible'] - Integration engine
+ * @param {'month'|'day'} [options.integrationStep] - Sub-year step grid for the exact engine
+ * @param {string|import('../types/index.js').ModelDefinition} [options.model='nci-bcrat'] - Model id or definition
+ * @param {import('../types/index.js').RateSet} [options.rates] - λ₁/λ₂ tables that replace the model's rates
+ * @param {number[]} [options.oneMinusAR] - 1-AR values that replace the model's
+ * @param {import('../types/index.js').DensityModel} [options.density] - Mammographic density model
+ * @param {boolean} [options.adjustOneMinusAR=false] - Adjust 1-AR for the profile's relativeRiskMultipliers
+ * @returns {import('../types/index.js').RiskTrajectoryResult} Trajectory result
+ *
+ * @example
+ * const trajectory = calculateRiskTrajectory(profile);
+ * trajectory.individual.forEach((point) => {
+ *   console.log(`By age ${point.age}: ${point.cumulativeRisk.toFixed(2)}%`);
+ * });
+ */
+export function calculateRiskTrajectory(data, options = {}) {
+  const {
+    rawInput = true,
+    calculateAverage = true,
+    endAge = MAX_AGE,
+    integration = 'r-compatible',
+    integrationStep = null,
+    model = DEFAULT_MODEL_ID,
+    rates = null,
+    oneMinusAR = null,
+    density = null,
+    adjustOneMinusAR = false,
+  } = options;
+
+  const result = {
+    success: false,
+    initialAge: null,
+    endAge: null,
+    integration: null,
+    individual: null,
+    average: null,
+    relativeRiskUnder50: null,
+    relativeRiskAtOrAbove50: null,
+    patternNumber: null,
+    raceEthnicity: null,
+    provenance: null,
+    validation: {
+      isValid: false,
+      errors: [],
+      warnings: [],
+      errorDetails: [],
+      warningDetails: [],
+    },
+    recodedValues: null,
+    error: null,
+  };
+
+  try {
+    const sanitizedInput = sanitizeCalculationInput(data, { rawInput });
+    result.provenance = createProvenance(sanitizedInput, {
+      rawInput,
+      calculateAverage,
+      endAge,
+      integration,
+      integrationStep,
+      model,
+      rates,
+      oneMinusAR,
+      density,
+      adjustOneMinusAR,
+    });
+
+    // The trajectory window replaces the profile's own projection window
+    const windowData =
+      sanitizedInput && typeof sanitizedInput === 'object'
+        ? {
+            ...sanitizedInput,
+            projectionStartAge: undefined,
+            projectionEndAge: endAge,
+          }
+        : sanitizedInput;
+
+    const integrationError = checkIntegrationOptions(
+      integration,
+      integrationStep
+    );
+    if (integrationError) {
+      addValidationError(
+        result.validation,
+        ValidationCode.INVALID_OPTION,
+        integrationError,
+        ['integration'],
+        { integration }
+      );
+      return result;
+    }
+
+    const resolved = resolveModelOptions({
+      model,
+      rates,
+      oneMinusAR,
+      density,
+    });
+    if (resolved.error) {
+      addValidationError(
+        result.validation,
+        ValidationCode.INVALID_OPTION,
+        resolved.error,
+        [resolved.errorOption]
+      );
+      return result;
+    }
+    recordResolvedOptions(result.provenance, sanitizedInput, {
+      ...resolved,
+      integration: { engine: integration, step: integrationStep },
+    });
+    const rateOptions = {
+      integration,
+      integrationStep,
+      model: resolved.model,
+      rates: resolved.rateSet,
+      oneMinusAR: resolved.oneMinusAR,
+      adjustOneMinusAR,
+    };
+
+    const prepared = prepareCalculation(windowData, rawInput, result, resolved);
+    if (!prepared) {
+      return result;
+    }
+
+    const { sanitizedData, validation, relativeRisk } = prepared;
+    result.initialAge = sanitizedData.initialAge;
+    result.endAge = sanitizedData.projectionEndAge;
+    result.integration = { engine: integration, step: integrationStep };
+
+    result.individual = calculateAbsoluteRiskTrajectory(
+      sanitizedData,
+      validation,
+      relativeRisk,
+      false,
+      rateOptions
+    );
+
+    if (result.individual === null) {
+      addValidationError(
+        result.validation,
+        ValidationCode.CALCULATION_FAILED,
+        'Absolute risk calculation failed - missing race-specific rates',
+        ['race'],
+        { race: sanitizedData.race }
+      );
+      return result;
+    }
+
+    if (calculateAverage) {
+      result.average = calculateAbsoluteRiskTrajectory(
+        sanitizedData,
+        validation,
+        relativeRisk,
+        true,
+        rateOptions
+      );
+    }
+
+    result.success = true;
+
+    return result;
+  } catch (error) {
+    result.error = {
+      message: error.message || 'Unknown error during risk calculation',
+      stack: error.stack || '',
+    };
+    addValidationError(
+      result.validation,
+      ValidationCode.UNEXPECTED_ERROR,
+      `Unexpected error: ${error.message || 'Unknown error'}`
+    );
+    return result;
+  }
+}
+
+/**
+ * Finds the earliest age at which risk over a horizon reaches a threshold
+ *
+ * Answers questions such as "at what age will her 5-year risk first reach
+ * 1.67%?" or "when will her remaining lifetime risk (to age 90) cross 20%?".
+ * Risk factors are recoded once at the current age and held fixed; only the
+ * start of the projection moves. Candidate start ages run from initialAge in
+ * steps of options.step years:
+ * - A years-ahead horizon is evaluated only while the full window ends by
+ *   age 90, so a 5-year horizon is last evaluated at age 85
+ * - An endAge horizon is evaluated for every start age below endAge
+ *
+ * Only candidate ages are evaluated, so the crossing is resolved to `step`
+ * years: `age` is the first candidate at or past the crossing, which may lie
+ * up to one step earlier. Pass a smaller step for a finer answer.
+ *
+ * When no candidate age reaches the threshold, `reached` is false and `age`
+ * is null. Like calculateRisk(), this function never throws.
+ *
+ * @param {import('../types/index.js').RiskFactorProfile} data - An individual's risk factor data.
+ *   projectionEndAge is ignored; the horizon defines the window.
+ * @param {Object} options - Search options
+ * @param {number} options.threshold - Absolute risk threshold as a percentage (0-100, exclusive)
+ * @param {number|import('../types/index.js').RiskHorizon} [options.horizon=5] - Risk horizon: years ahead,
+ *   or an object with `years` or `endAge` and an optional `label`
+ * @param {number} [options.step=1] - Spacing of candidate ages in years, and so the resolution of `age`
+ * @param {boolean} [options.rawInput=true] - Whether input is in raw format (true) or already recoded (false)
+ * @param {'r-compatible'|'exact'} [options.integration='r-compatible'] - Integration engine
+ * @param {'month'|'day'} [options.integrationStep] - Sub-year step grid for the exact engine
+ * @param {string|import('../types/index.js').ModelDefinition} [options.model='nci-bcrat'] - Model id or definition
+ * @param {import('../types/index.js').RateSet} [options.rates] - λ₁/λ₂ tables that replace the model's rates
+ * @param {number[]} [options.oneMinusAR] - 1-AR values that replace the model's
+ * @param {import('../types/index.js').DensityModel} [options.density] - Mammographic density model
+ * @param {boolean} [options.adjustOneMinusAR=false] - Adjust 1-AR for the profile's relativeRiskMultipliers
+ * @returns {import('../types/index.js').RiskThresholdResult} Search result
+ *
+ * @example
+ * // When will her 5-year risk first reach 1.67%?
+ * const result = findAgeAtRiskThreshold(profile, { threshold: 1.67 });
+ * console.log(result.message); // e.g. "5-year risk reaches 1.67% at age 52"
+ *
+ * @example
+ * // When will her remaining lifetime risk cross 20%?
+ * const result = findAgeAtRiskThreshold(profile, {
+ *   threshold: 20,
+ *   horizon: { endAge: 90, label: 'remaining lifetime' },
+ * });
+ * if (!result.reached) {
+ *   console.log(result.message);
+ * }
+ */
+export function findAgeAtRiskThreshold(data, options = {}) {
+  const {
+    threshold,
+    horizon = 5,
+    step = 1,
+    rawInput = true,
+    integration = 'r-compatible',
+    integrationStep = null,
+    model = DEFAULT_MODEL_ID,
+    rates = null,
+    oneMinusAR = null,
+    density = null,
+    adjustOneMinusAR = false,
+  } = options;
+
+  const result = {
+    success: false,
+    threshold: null,
+    horizon: null,
+    reached: false,
+    age: null,
+    absoluteRisk: null,
+    projectionEndAge: null,
+    message: null,
+    integration: null,
+    relativeRiskUnder50: null,
+    relativeRiskAtOrAbove50: null,
+    patternNumber: null,
+    raceEthnicity: null,
+    provenance: null,
+    validation: {
+      isValid: false,
+      errors: [],
+      warnings: [],
+      errorDetails: [],
+      warningDetails: [],
+    },
+    recodedValues: null,
+    error: null,
+  };
+
+  try {
+    const sanitizedInput = sanitizeCalculationInput(data, { rawInput });
+    result.provenance = createProvenance(sanitizedInput, {
+      threshold,
+      horizon,
+      step,
+      rawInput,
+      integration,
+      integrationStep,
+      model,
+      rates,
+      oneMinusAR,
+      density,
+      adjustOneMinusAR,
+    });
+
+    if (typeof threshold !== 'number' || !(threshold > 0 && threshold < 100)) {
+      addValidationError(
+        result.validation,
+        ValidationCode.INVALID_OPTION,
+        'Threshold must be a percentage between 0 and 100 (exclusive)',
+        ['threshold'],
+        { threshold }
+      );
+      return result;
+    }
+    if (typeof step !== 'number' || !isFinite(step) || step <= 0) {
+      addValidationError(
+        result.validation,
+        ValidationCode.INVALID_OPTION,
+        'Step must be a positive number of years',
+        ['step'],
+        { step }
+      );
+      return result;
+    }
+    // Shape errors are reported before the horizon is used to set the window
+    const parsedHorizon = parseHorizon(horizon);
+    if (parsedHorizon.error) {
+      addValidationError(
+        result.validation,
+        ValidationCode.INVALID_OPTION,
+        parsedHorizon.error,
+        ['horizon'],
+        { horizon }
+      );
+      return result;
+    }
+    const integrationError = checkIntegrationOptions(
+      integration,
+      integrationStep
+    );
+    if (integrationError) {
+      addValidationError(
+        result.validation,
+        ValidationCode.INVALID_OPTION,
+        integrationError,
+        ['integration'],
+        { integration }
+      );
+      return result;
+    }
+    result.threshold = threshold;
+
+    const resolvedModel = resolveModelOptions({
+      model,
+      rates,
+      oneMinusAR,
+      density,
+    });
+    if (resolvedModel.error) {
+      addValidationError(
+        result.validation,
+        ValidationCode.INVALID_OPTION,
+        resolvedModel.error,
+        [resolvedModel.errorOption]
+      );
+      return result;
+    }
+    recordResolvedOptions(result.provenance, sanitizedInput, {
+      ...resolvedModel,
+      integration: { engine: integration, step: integrationStep },
+    });
+
+    // The horizon, not the profile, defines the projection window
+    const windowData =
+      sanitizedInput && typeof sanitizedInput === 'object'
+        ? withDefaultProjectionEndAge(
+            {
+              ...sanitizedInput,
+              projectionStartAge: undefined,
+              projectionEndAge: undefined,
+            },
+            [horizon]
+          )
+        : sanitizedInput;
+
+    const prepared = prepareCalculation(
+      windowData,
+      rawInput,
+      result,
+      resolvedModel
+    );
+    if (!prepared) {
+      return result;
+    }
+
+    const { sanitizedData, validation, relativeRisk } = prepared;
+    const { initialAge } = sanitizedData;
+
+    // The search moves the window itself, so the label is never capped
+    const resolved = resolveHorizon(horizon, initialAge, Infinity);
+    if (resolved.error) {
+      addValidationError(
+        result.validation,
+        ValidationCode.INVALID_OPTION,
+        resolved.error,
+        ['horizon']
+      );
+      result.validation.isValid = false;
+      result.validation.errorIndicator = 1;
+      return result;
+    }
+    result.horizon = resolved.label;
+    result.integration = { engine: integration, step: integrationStep };
+
+    // A years-ahead window moves with the start age; an endAge window does not
+    const years = typeof horizon === 'number' ? horizon : horizon.years;
+    const endAgeFor = (age) =>
+      years !== undefined ? age + years : resolved.projectionEndAge;
+
+    for (let i = 0; ; i++) {
+      const age = initialAge + i * step;
+      const projectionEndAge = endAgeFor(age);
+      if (projectionEndAge > MAX_AGE || age >= projectionEndAge) {
+        break;
+      }
+
+      const absoluteRisk = calculateAbsoluteRisk(
+        { ...sanitizedData, initialAge: age, projectionEndAge },
+        validation,
+        relativeRisk,
+        false,
+        {
+          integration,
+          integrationStep,
+          model: resolvedModel.model,
+          rates: resolvedModel.rateSet,
+          oneMinusAR: resolvedModel.oneMinusAR,
+          adjustOneMinusAR,
+        }
+      );
+      if (absoluteRisk === null) {
+        addValidationError(
+          result.validation,
+          ValidationCode.CALCULATION_FAILED,
+          'Absolute risk calculation failed - missing race-specific rates',
+          ['race'],
+          { race: sanitizedData.race }
+        );
+        return result;
+      }
+
+      if (absoluteRisk >= threshold) {
+        result.reached = true;
+        result.age = age;
+        result.absoluteRisk = absoluteRisk;
+        result.projectionEndAge = projectionEndAge;
+        break;
+      }
+    }
+
+    // "5-year risk", but "Risk to age 90" for end-age labels
+    const subject = result.horizon.startsWith('to ')
+      ? `Risk ${result.horizon}`
+      : `${result.horizon} risk`;
+    result.message = result.reached
+      ? `${subject} reaches ${threshold}% at age ${result.age}`
+      : `${subject} does not reach ${threshold}% before age ${MAX_AGE}`;
+    result.success = true;
+
+    return result;
+  } catch (error) {
+    result.error = {
+      message: error.message || 'Unknown error during risk calculation',
+      stack: error.stack || '',
+    };
+    addValidationError(
+      result.validation,
+      ValidationCode.UNEXPECTED_ERROR,
       `Unexpected error: ${error.message || 'Unknown error'}`
     );
     return result;
@@ -221,7 +1141,21 @@ export function calculateRisk(data, options = {}) {
  * @param {import('../types/index.js').RiskFactorProfile[]} individuals - Array of individual risk factor data
  * @param {Object} [options] - Calculation options (applied to all individuals)
  * @param {boolean} [options.rawInput=true] - Whether input is in raw format
+ * @param {'strict'|'lenient'|'clinical'} [options.validationProfile='lenient'] - Validation profile
  * @param {boolean} [options.calculateAverage=false] - Whether to calculate average risk
+ * @param {Array<number|import('../types/index.js').RiskHorizon>} [options.horizons] - Additional projection horizons
+ * @param {boolean|Object} [options.confidenceInterval=false] - Attach a confidence interval for absoluteRisk
+ * @param {boolean} [options.contributions=false] - Attach the per-risk-factor breakdown of the relative risk
+ * @param {boolean} [options.competingRisks=false] - Attach the three-state outcome breakdown
+ * @param {string|import('../types/index.js').ModelDefinition} [options.model='nci-bcrat'] - Model id or definition
+ * @param {import('../types/index.js').RateSet} [options.rates] - λ₁/λ₂ tables that replace the model's rates
+ * @param {number[]} [options.oneMinusAR] - 1-AR values that replace the model's
+ * @param {import('../types/index.js').DensityModel} [options.density] - Mammographic density model
+ * @param {boolean} [options.adjustOneMinusAR=false] - Adjust 1-AR for the profile's relativeRiskMultipliers
+ * @param {import('../types/index.js').ImputationOptions} [options.imputation] - Impute unknown risk factors
+ * @param {boolean} [options.provenance=false] - Attach the provenance block to each result. Off by
+ *   default in batches, where it would cost more than the calculation itself.
+ * @param {boolean} [options.throwOnError=false] - Throw for the first individual whose calculation fails
  * @returns {import('../types/index.js').RiskResult[]} Array of risk calculation results
  *
  * @example
@@ -242,5 +1176,603 @@ export function calculateRisk(data, options = {}) {
  * });
  */
 export function calculateBatchRisk(individuals, options = {}) {
-  return individuals.map((individual) => calculateRisk(individual, options));
+  const batchOptions = { provenance: false, ...options };
+  return individuals.map((individual) =>
+    calculateRisk(individual, batchOptions)
+  );
+}
+
+/**
+ * Checks the parts of a horizon specification that do not depend on age
+ *
+ * @param {number|import('../types/index.js').RiskHorizon} horizon - Years ahead, or an object with `years` or `endAge`
+ * @returns {{years?: number, endAge?: number, label: string}|{error: string}} Parsed horizon or an error message
+ *
+ * @private
+ */
+function parseHorizon(horizon) {
+  const spec = typeof horizon === 'number' ? { years: horizon } : horizon;
+
+  if (!spec || typeof spec !== 'object') {
+    return { error: 'Horizon must be a number of years or an object' };
+  }
+
+  const { years, endAge, label } = spec;
+
+  if (years !== undefined && endAge === undefined) {
+    if (typeof years !== 'number' || !isFinite(years) || years <= 0) {
+      return { error: 'Horizon years must be a positive number' };
+    }
+    return { years, label };
+  }
+
+  if (endAge !== undefined && years === undefined) {
+    if (typeof endAge !== 'number' || !isFinite(endAge)) {
+      return { error: 'Horizon end age must be a finite number' };
+    }
+    const horizonLabel = label || `to age ${endAge}`;
+    if (endAge > MAX_AGE) {
+      return {
+        error: `Horizon ${horizonLabel}: projection end age must be 90 years or less`,
+      };
+    }
+    return { endAge, label: horizonLabel };
+  }
+
+  return { error: 'Horizon must specify exactly one of years or endAge' };
+}
+
+/**
+ * Resolves a single horizon specification to a projection end age
+ *
+ * A years-ahead horizon that would end after `capAge` ends there instead, is
+ * flagged as `capped` and, unless it has its own label, is labelled by the
+ * interval actually used ("to age 90").
+ *
+ * @param {number|import('../types/index.js').RiskHorizon} horizon - Years ahead, or an object with `years` or `endAge`
+ * @param {number} initialAge - Age the horizon is measured from (the projection window start)
+ * @param {number} [capAge=MAX_AGE] - Age years-ahead horizons are capped at
+ * @returns {{label: string, projectionEndAge: number, capped: boolean}|{error: string}} Resolved horizon or an error message
+ *
+ * @private
+ */
+function resolveHorizon(horizon, initialAge, capAge = MAX_AGE) {
+  const parsed = parseHorizon(horizon);
+  if (parsed.error) {
+    return parsed;
+  }
+
+  const { years, endAge, label } = parsed;
+
+  if (years !== undefined) {
+    // Years-ahead horizons stop at the last age covered by the rate tables
+    const capped = initialAge + years > capAge;
+    const projectionEndAge = capped ? capAge : initialAge + years;
+    return {
+      label: label || (capped ? `to age ${capAge}` : `${years}-year`),
+      projectionEndAge,
+      capped,
+    };
+  }
+
+  if (endAge <= initialAge) {
+    return {
+      error: `Horizon ${label}: projection end age must be greater than initial age`,
+    };
+  }
+  return { label, projectionEndAge: endAge, capped: false };
+}
+
+/**
+ * Resolves every horizon specification and collects errors
+ *
+ * @param {Array<number|import('../types/index.js').RiskHorizon>} horizons - Horizon specifications
+ * @param {number} initialAge - Current age
+ * @returns {{horizons: {label: string, projectionEndAge: number, capped: boolean}[], errors: string[]}}
+ *
+ * @private
+ */
+function resolveHorizons(horizons, initialAge) {
+  const resolved = [];
+  const errors = [];
+
+  if (!Array.isArray(horizons) || horizons.length === 0) {
+    errors.push('Horizons must be a non-empty array');
+    return { horizons: resolved, errors };
+  }
+
+  for (const horizon of horizons) {
+    const resolution = resolveHorizon(horizon, initialAge);
+    if (resolution.error) {
+      errors.push(resolution.error);
+    } else {
+      resolved.push(resolution);
+    }
+  }
+
+  return { horizons: resolved, errors };
+}
+
+/**
+ * Fills in a missing projectionEndAge from the first horizon
+ *
+ * Leaves the data untouched when it already has a projection end age or the
+ * first horizon cannot be resolved (the horizon error is reported later).
+ *
+ * @param {Object} data - Risk factor data
+ * @param {Array<number|import('../types/index.js').RiskHorizon>} horizons - Horizon specifications
+ * @returns {Object} Risk factor data with projectionEndAge set where possible
+ *
+ * @private
+ */
+function withDefaultProjectionEndAge(data, horizons) {
+  if (
+    !data ||
+    typeof data !== 'object' ||
+    (data.projectionEndAge !== undefined && data.projectionEndAge !== null) ||
+    !Array.isArray(horizons) ||
+    horizons.length === 0
+  ) {
+    return data;
+  }
+
+  const startAge = Number(getWindowStartAge(data));
+  if (!isFinite(startAge)) {
+    return data;
+  }
+
+  const first = resolveHorizon(horizons[0], startAge);
+  if (first.error) {
+    return data;
+  }
+
+  return { ...data, projectionEndAge: first.projectionEndAge };
+}
+
+/**
+ * Checks the integration engine options
+ *
+ * @param {string} integration - Integration engine
+ * @param {string|null} integrationStep - Sub-year step name
+ * @returns {string|null} Error message, or null if the options are valid
+ *
+ * @private
+ */
+function checkIntegrationOptions(integration, integrationStep) {
+  if (!INTEGRATION_ENGINES.includes(integration)) {
+    return `Unknown integration engine: ${integration}. Must be one of ${INTEGRATION_ENGINES.join(', ')}`;
+  }
+
+  if (integrationStep === null || integrationStep === undefined) {
+    return null;
+  }
+
+  if (integration !== 'exact') {
+    return "integrationStep requires integration: 'exact'";
+  }
+
+  if (!Object.keys(INTEGRATION_STEPS).includes(integrationStep)) {
+    return `Unknown integration step: ${integrationStep}. Must be one of ${Object.keys(INTEGRATION_STEPS).join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Checks that imputation is requested with options it supports
+ *
+ * Imputation replaces the top-level absolute risk only, so the options that
+ * report other quantities for the same profile are rejected.
+ *
+ * @param {Object} options - `rawInput`, `horizons`, `confidenceInterval`, `contributions`, `competingRisks`,
+ *   `explain`
+ * @returns {string|null} Error message, or null if imputation can be used
+ *
+ * @private
+ */
+function checkImputationCombination(options) {
+  if (!options.rawInput) {
+    return 'imputation requires raw input (rawInput: true)';
+  }
+
+  const conflicting = [
+    'horizons',
+    'confidenceInterval',
+    'contributions',
+    'competingRisks',
+    'explain',
+  ].filter((name) => options[name]);
+  if (conflicting.length > 0) {
+    return `imputation cannot be combined with ${conflicting.join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Resolves the `model`, `rates`, `oneMinusAR` and `density` options
+ *
+ * The default model resolves to its current version; other models have no
+ * version. A density model brings its own 1-AR values, so it cannot be
+ * combined with `oneMinusAR`.
+ *
+ * @param {Object} options - Calculation options
+ * @param {string|Object} options.model - Model id or definition
+ * @param {Object|null} options.rates - Caller-supplied rate set, if any
+ * @param {number[]|null} options.oneMinusAR - Caller-supplied 1-AR values, if any
+ * @param {Object|null} options.density - Caller-supplied density model, if any
+ * @returns {{model: Object|null, version: Object|null, rateSet: Object|null, oneMinusAR: number[]|null, density: Object|null, error: string|null, errorOption: string|null}}
+ *   `errorOption` names the option an error is about
+ *
+ * @private
+ */
+function resolveModelOptions({
+  model,
+  rates,
+  oneMinusAR,
+  density,
+}) {
+  const resolved = {
+    model: null,
+    version: null,
+    rateSet: null,
+    oneMinusAR: null,
+    density: null,
+    error: null,
+    errorOption: null,
+  };
+  const fail = (option, error) => {
+    resolved.error = error;
+    resolved.errorOption = option;
+    return resolved;
+  };
+
+  const selected = resolveModel(model);
+  if (!selected.model) {
+    return fail('model', selected.error);
+  }
+  resolved.model = selected.model;
+  resolved.version = getModelVersion(selected.model);
+
+  if (oneMinusAR !== null && oneMinusAR !== undefined) {
+    const error = validateOneMinusAR(oneMinusAR);
+    if (error) {
+      return fail('oneMinusAR', error);
+    }
+    resolved.oneMinusAR = [...oneMinusAR];
+  }
+
+  if (density !== null && density !== undefined) {
+    if (resolved.oneMinusAR) {
+      return fail(
+        'density',
+        'oneMinusAR cannot be combined with a density model, which gives its own 1-AR values'
+      );
+    }
+    const { densityModel, error } = resolveDensityModel(density);
+    if (error) {
+      return fail('density', error);
+    }
+    resolved.density = densityModel;
+    resolved.oneMinusAR = [...densityModel.oneMinusAR];
+  }
+
+  if (rates !== null && rates !== undefined) {
+    const { rateSet, error } = resolveRateSet(rates);
+    resolved.rateSet = rateSet;
+    if (error) {
+      return fail('rates', error);
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Returns the age at which the projection window starts
+ *
+ * @param {Object} data - Risk factor data
+ * @returns {number} projectionStartAge when given, otherwise initialAge
+ *
+ * @private
+ */
+function getWindowStartAge(data) {
+  const { initialAge, projectionStartAge } = data;
+  return projectionStartAge === undefined || projectionStartAge === null
+    ? initialAge
+    : projectionStartAge;
+}
+
+/**
+ * Runs the shared front half of the calculation pipeline
+ *
+ * Checks the structure of sanitized input, recodes it and calculates the
+ * relative risk. Validation details, recoded values, race label and relative
+ * risks are written onto the given result object as they become available.
+ * With a density model, the relative risk uses the density model's beta
+ * coefficients (when given) and includes the density relative risk.
+ *
+ * The strict profile goes on to the domain checks when the structure or the relative
+ * risk multipliers are invalid, so that every error is reported.
+ *
+ * @param {import('../types/index.js').RiskFactorProfile} data - An individual's risk factor data, sanitized
+ *   with sanitizeCalculationInput()
+ * @param {boolean} rawInput - Whether input is in raw format
+ * @param {Object} result - Result object to populate
+ * @param {{model: Object, density: Object|null}} resolved - Resolved model and density model
+ * @param {string} [validationProfile='lenient'] - Validation profile, already checked
+ * @returns {{sanitizedData: Object, validation: import('../types/index.js').ValidationResult, relativeRisk: Object, density: Object|null}|null}
+ *   Null if any step failed (the reason is recorded on the result)
+ *
+ * @private
+ */
+function prepareCalculation(
+  data,
+  rawInput,
+  result,
+  resolved,
+  validationProfile = ValidationProfile.LENIENT
+) {
+  const { model, density: densityModel } = resolved;
+  const { profile } = resolveValidationProfile(validationProfile);
+  const domainOptions = { model, validationProfile };
+  // Step 0: Pre-flight validation (Phase 4)
+  let sanitizedData = data;
+
+  // Validate data structure and types before domain validation
+  const structureValidation = validateRiskFactorDataStructure(sanitizedData, {
+    coerceStrings: profile.coerceStrings,
+    rawInput,
+  });
+  if (!structureValidation.valid) {
+    // Pre-flight validation failed - return early with structural errors
+    result.validation = {
+      isValid: false,
+      errors: structureValidation.errors,
+      warnings: [],
+      errorDetails: structureValidation.errorDetails,
+      warningDetails: [],
+    };
+    if (
+      profile.collectAllErrors &&
+      sanitizedData &&
+      typeof sanitizedData === 'object'
+    ) {
+      addDomainErrors(
+        result.validation,
+        sanitizedData,
+        rawInput,
+        domainOptions
+      );
+    }
+    return null;
+  }
+
+  // External relative risk multipliers, resolved once for every integration
+  if (
+    sanitizedData.relativeRiskMultipliers !== null &&
+    sanitizedData.relativeRiskMultipliers !== undefined
+  ) {
+    const { multipliers, error } = resolveRelativeRiskMultipliers(
+      sanitizedData.relativeRiskMultipliers
+    );
+    if (error) {
+      result.validation = {
+        isValid: false,
+        errors: [],
+        warnings: [],
+        errorDetails: [],
+        warningDetails: [],
+      };
+      addValidationError(
+        result.validation,
+        ValidationCode.INVALID_RELATIVE_RISK_MULTIPLIERS,
+        error,
+        ['relativeRiskMultipliers']
+      );
+      if (profile.collectAllErrors) {
+        addDomainErrors(
+          result.validation,
+          sanitizedData,
+          rawInput,
+          domainOptions
+        );
+      }
+      return null;
+    }
+    sanitizedData = { ...sanitizedData, relativeRiskMultipliers: multipliers };
+  }
+
+  // Step 1: Validate and recode input data (domain validation)
+  const validation = recodeAndValidate(sanitizedData, rawInput, domainOptions);
+
+  // Store validation result
+  result.validation = validation;
+
+  // If validation failed, return early with error result
+  if (!validation || !validation.isValid) {
+    return null;
+  }
+
+  // Store recoded values
+  result.recodedValues = validation.recodedValues;
+
+  // Extract race for metadata (use sanitized data)
+  const { race } = sanitizedData;
+  const population = model.populations[race];
+  result.raceEthnicity = population ? population.label : null;
+
+  // Step 2: Calculate relative risk using logistic regression
+  const beta = densityModel && densityModel.beta ? densityModel.beta : null;
+  const relativeRisk = calculateRelativeRisk(validation, race, {
+    model,
+    beta,
+  });
+
+  // If relative risk calculation failed, return early
+  if (
+    !relativeRisk ||
+    relativeRisk.relativeRiskUnder50 === null ||
+    relativeRisk.relativeRiskAtOrAbove50 === null
+  ) {
+    addValidationError(
+      result.validation,
+      ValidationCode.CALCULATION_FAILED,
+      'Relative risk calculation failed for this race/ethnicity',
+      ['race'],
+      { race }
+    );
+    return null;
+  }
+
+  // Step 2b: Multiply in the density relative risk
+  let density = null;
+  if (densityModel) {
+    const {
+      category,
+      relativeRisk: densityRisk,
+      error,
+    } = getDensityRelativeRisk(densityModel, sanitizedData);
+    if (error) {
+      const raceNotCovered =
+        densityModel.races && !densityModel.races.includes(race);
+      addValidationError(
+        result.validation,
+        raceNotCovered
+          ? ValidationCode.DENSITY_RACE_NOT_COVERED
+          : ValidationCode.BREAST_DENSITY_REQUIRED,
+        error,
+        raceNotCovered ? ['race'] : ['breastDensity'],
+        raceNotCovered
+          ? { race }
+          : { breastDensity: sanitizedData.breastDensity }
+      );
+      result.validation.isValid = false;
+      result.validation.errorIndicator = 1;
+      return null;
+    }
+    relativeRisk.relativeRiskUnder50 *= densityRisk[0];
+    relativeRisk.relativeRiskAtOrAbove50 *= densityRisk[1];
+    density = {
+      id: densityModel.id,
+      name: densityModel.name,
+      category,
+      relativeRisk: densityRisk,
+    };
+  } else if (
+    sanitizedData.breastDensity !== undefined &&
+    sanitizedData.breastDensity !== null
+  ) {
+    // No density model is bundled, so density is only used when one is given
+    addValidationWarning(
+      result.validation,
+      ValidationCode.BREAST_DENSITY_NOT_USED,
+      'Breast density is not used without a density model (the density option)',
+      ['breastDensity'],
+      { breastDensity: sanitizedData.breastDensity }
+    );
+  }
+
+  // Store relative risk values
+  result.relativeRiskUnder50 = relativeRisk.relativeRiskUnder50;
+  result.relativeRiskAtOrAbove50 = relativeRisk.relativeRiskAtOrAbove50;
+  result.patternNumber = relativeRisk.patternNumber;
+
+  return { sanitizedData, validation, relativeRisk, density };
+}
+
+/**
+ * Adds the domain errors of fields that have no error yet
+ *
+ * Used by the strict validation profile once an earlier check has failed.
+ * Domain errors that involve a field with an error are skipped, since they
+ * would only restate it (for example, a missing age compared with another).
+ *
+ * @param {import('../types/index.js').ValidationResult} validation - Validation result with the earlier errors
+ * @param {Object} data - Risk factor data
+ * @param {boolean} rawInput - Whether input is in raw format
+ * @param {Object} options - recodeAndValidate() options
+ *
+ * @private
+ */
+function addDomainErrors(validation, data, rawInput, options) {
+  const reported = new Set(
+    validation.errorDetails.flatMap((issue) => issue.fields)
+  );
+  const domain = recodeAndValidate(data, rawInput, options);
+  for (const { code, message, fields, values } of domain.errorDetails) {
+    if (!fields.some((field) => reported.has(field))) {
+      addValidationError(validation, code, message, fields, values);
+    }
+  }
+}
+
+/**
+ * Assembles the step-by-step trace of the individualized absolute risk
+ *
+ * @param {Object} data - Risk factor data as given to calculateRisk()
+ * @param {{sanitizedData: Object, validation: Object, relativeRisk: Object}} prepared - Output of
+ *   prepareCalculation()
+ * @param {Object} result - Result populated so far (density and integration settings)
+ * @param {{model: Object, density: Object|null}} resolved - Resolved model and density model
+ * @param {boolean} rawInput - Whether input is in raw format
+ * @param {Object} windowOptions - Options the absolute risk was integrated with
+ * @returns {import('../types/index.js').CalculationTrace}
+ *
+ * @private
+ */
+function buildCalculationTrace(
+  data,
+  prepared,
+  result,
+  resolved,
+  rawInput,
+  windowOptions
+) {
+  const { sanitizedData, validation, relativeRisk } = prepared;
+  const { race } = sanitizedData;
+  const densityBeta = resolved.density ? resolved.density.beta : null;
+  const beta = densityBeta || resolved.model.populations[race].beta;
+
+  const contributions = calculateRelativeRiskContributions(validation, race, {
+    model: resolved.model,
+    beta,
+  });
+  const integration = calculateAbsoluteRiskTrace(
+    sanitizedData,
+    validation,
+    relativeRisk,
+    false,
+    windowOptions
+  );
+
+  return {
+    input: { raw: { ...data }, sanitized: { ...sanitizedData } },
+    recoding: explainRecoding(sanitizedData, validation, rawInput, {
+      model: resolved.model,
+    }),
+    relativeRisk: {
+      coefficientNames: [...BETA_COEFFICIENT_NAMES],
+      beta: [...beta],
+      terms: contributions.factors,
+      linearPredictorUnder50: contributions.linearPredictorUnder50,
+      linearPredictorAtOrAbove50: contributions.linearPredictorAtOrAbove50,
+      densityRelativeRisk: result.density
+        ? [...result.density.relativeRisk]
+        : null,
+      relativeRiskUnder50: relativeRisk.relativeRiskUnder50,
+      relativeRiskAtOrAbove50: relativeRisk.relativeRiskAtOrAbove50,
+    },
+    oneMinusAR: integration.oneMinusAR,
+    integration: {
+      engine: result.integration.engine,
+      step: result.integration.step,
+      startAge: integration.startAge,
+      endAge: integration.endAge,
+      conditional: windowOptions.conditional,
+      survivalToStart: integration.survivalToStart,
+      intervals: integration.intervals,
+      absoluteRisk: integration.absoluteRisk,
+    },
+  };
 }
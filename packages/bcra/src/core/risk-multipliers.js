@@ -0,0 +1,218 @@
+/**
+ * Relative Risk Multipliers Module
+ *
+ * Folds external relative risks, such as a standardized polygenic risk score
+ * (PRS), into the Gail model hazard:
+ *
+ *   h₁(t) = λ₁(t)·(1-AR)·RR·∏ M_k(t)
+ *
+ * where M_k(t) is the k-th multiplier at ages inside its age range and 1
+ * elsewhere. A multiplier is given either as a relative risk or as a log
+ * relative risk with the standard deviation of the log relative risk in the
+ * population (for a PRS, the log relative risk per SD).
+ *
+ * The Gail 1-AR values make the population's mean relative risk 1 under the
+ * Gail factors alone. When the added factor also has a population mean
+ * relative risk other than 1, multiplying it in raises the risk of the whole
+ * population. With `adjustOneMinusAR`, 1-AR is divided by the factor's mean
+ * relative risk, assuming the factor is independent of the Gail factors:
+ * exp(sd²/2) for a log relative risk distributed N(0, sd²), or the
+ * multiplier's `meanRelativeRisk`.
+ *
+ * Copyright (C) 2025 epiVerse (JavaScript Implementation)
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ *
+ * @module core/risk-multipliers
+ * @license GPL-3.0-or-later
+ */
+
+import { MIN_AGE, MAX_AGE } from '../constants/index.js';
+
+// Normalized multiplier lists, so resolveRelativeRiskMultipliers() can skip re-validating them
+const normalizedMultiplierLists = new WeakSet();
+
+/**
+ * Resolves a profile's `relativeRiskMultipliers` to a validated, frozen list
+ *
+ * Each multiplier gives a `name` and exactly one of `relativeRisk` or
+ * `logRelativeRisk` (with `sd`), and optionally the `ages` [start, end) it
+ * applies to (whole ages, default 20-90) and its population
+ * `meanRelativeRisk`.
+ *
+ * @param {import('../types/index.js').RelativeRiskMultiplier[]} multipliers - Caller-supplied multipliers
+ * @returns {{multipliers: import('../types/index.js').RelativeRiskMultiplier[]|null, error: string|null}}
+ *
+ * @example
+ * const { multipliers, error } = resolveRelativeRiskMultipliers([
+ *   { name: 'PRS313', logRelativeRisk: 1.2 * Math.log(1.61), sd: Math.log(1.61) },
+ * ]);
+ */
+export function resolveRelativeRiskMultipliers(multipliers) {
+  if (
+    Array.isArray(multipliers) &&
+    normalizedMultiplierLists.has(multipliers)
+  ) {
+    return { multipliers, error: null };
+  }
+
+  if (!Array.isArray(multipliers)) {
+    return {
+      multipliers: null,
+      error: 'relativeRiskMultipliers must be an array',
+    };
+  }
+
+  const normalized = [];
+  const errors = [];
+  const names = new Set();
+  multipliers.forEach((multiplier, index) => {
+    const { multiplier: entry, errors: entryErrors } = normalizeMultiplier(
+      multiplier || {}
+    );
+    const label =
+      multiplier && typeof multiplier.name === 'string' && multiplier.name
+        ? multiplier.name
+        : `#${index + 1}`;
+
+    if (entry && names.has(entry.name)) {
+      entryErrors.push('name must be unique');
+    }
+    if (entryErrors.length > 0) {
+      errors.push(
+        `Relative risk multiplier ${label}: ${entryErrors.join('; ')}`
+      );
+      return;
+    }
+    names.add(entry.name);
+    normalized.push(entry);
+  });
+
+  if (errors.length > 0) {
+    return { multipliers: null, error: errors.join('; ') };
+  }
+
+  Object.freeze(normalized);
+  normalizedMultiplierLists.add(normalized);
+  return { multipliers: normalized, error: null };
+}
+
+/**
+ * Expands multipliers into 70 single-year factors (ages 20-89)
+ *
+ * @param {import('../types/index.js').RelativeRiskMultiplier[]} multipliers - Resolved multipliers
+ * @param {boolean} [adjustOneMinusAR=false] - Divide each factor by its population mean relative risk
+ * @returns {number[]} Product of the multipliers that apply at each age
+ *
+ * @example
+ * expandRelativeRiskMultipliers([{ name: 'prs', relativeRisk: 2, meanRelativeRisk: 1, ages: [50, 90] }]);
+ * // 30 × 1, then 40 × 2
+ */
+export function expandRelativeRiskMultipliers(
+  multipliers,
+  adjustOneMinusAR = false
+) {
+  const factors = new Array(MAX_AGE - MIN_AGE).fill(1);
+
+  for (const { relativeRisk, meanRelativeRisk, ages } of multipliers) {
+    const factor = adjustOneMinusAR
+      ? relativeRisk / meanRelativeRisk
+      : relativeRisk;
+    for (let age = ages[0]; age < ages[1]; age++) {
+      factors[age - MIN_AGE] *= factor;
+    }
+  }
+
+  return factors;
+}
+
+/**
+ * Validates one multiplier and fills in its defaults
+ *
+ * @param {Object} multiplier - Caller-supplied multiplier
+ * @returns {{multiplier: Object|null, errors: string[]}}
+ *
+ * @private
+ */
+function normalizeMultiplier(multiplier) {
+  const { name, relativeRisk, logRelativeRisk, sd, meanRelativeRisk, ages } =
+    multiplier;
+  const errors = [];
+  const isGiven = (value) => value !== undefined && value !== null;
+  const isFiniteNumber = (value) =>
+    typeof value === 'number' && isFinite(value);
+
+  if (typeof name !== 'string' || name.length === 0) {
+    errors.push('name must be a non-empty string');
+  }
+
+  if (isGiven(relativeRisk) === isGiven(logRelativeRisk)) {
+    errors.push('give exactly one of relativeRisk or logRelativeRisk');
+  } else if (isGiven(relativeRisk)) {
+    if (!isFiniteNumber(relativeRisk) || relativeRisk <= 0) {
+      errors.push('relativeRisk must be a positive number');
+    }
+  } else {
+    if (!isFiniteNumber(logRelativeRisk)) {
+      errors.push('logRelativeRisk must be a number');
+    }
+    if (!isFiniteNumber(sd) || sd < 0) {
+      errors.push('sd must be a non-negative number');
+    }
+  }
+
+  if (
+    isGiven(meanRelativeRisk) &&
+    !(isFiniteNumber(meanRelativeRisk) && meanRelativeRisk > 0)
+  ) {
+    errors.push('meanRelativeRisk must be a positive number');
+  }
+
+  const range = isGiven(ages) ? ages : [MIN_AGE, MAX_AGE];
+  if (
+    !Array.isArray(range) ||
+    range.length !== 2 ||
+    !range.every((age) => Number.isInteger(age)) ||
+    range[0] < MIN_AGE ||
+    range[1] > MAX_AGE ||
+    range[0] >= range[1]
+  ) {
+    errors.push(
+      `ages must be two whole ages [start, end) from ${MIN_AGE} to ${MAX_AGE}`
+    );
+  }
+
+  if (errors.length > 0) {
+    return { multiplier: null, errors };
+  }
+
+  const fromLogScale = isGiven(logRelativeRisk);
+  let mean = isGiven(meanRelativeRisk) ? meanRelativeRisk : 1;
+  if (fromLogScale && !isGiven(meanRelativeRisk)) {
+    // Mean of a log-normal relative risk whose log is N(0, sd²)
+    mean = Math.exp((sd * sd) / 2);
+  }
+
+  return {
+    multiplier: Object.freeze({
+      name,
+      relativeRisk: fromLogScale ? Math.exp(logRelativeRisk) : relativeRisk,
+      logRelativeRisk: fromLogScale ? logRelativeRisk : Math.log(relativeRisk),
+      sd: fromLogScale ? sd : null,
+      meanRelativeRisk: mean,
+      ages: Object.freeze([...range]),
+    }),
+    errors: [],
+  };
+}
@@ -27,30 +27,130 @@
  */
 
 // Core calculation functions (Phase 3.1 - Complete)
-export { recodeAndValidate } from './core/recode-check.js';
+export { recodeAndValidate, explainRecoding } from './core/recode-check.js';
 
 // Core calculation functions (Phase 3.2 - Complete)
-export { calculateRelativeRisk } from './core/relative-risk.js';
+export {
+  calculateRelativeRisk,
+  calculateRelativeRiskContributions,
+} from './core/relative-risk.js';
 
 // Core calculation functions (Phase 3.3 - Complete)
-export { calculateAbsoluteRisk, expandToSingleYears } from './core/absolute-risk.js';
+export {
+  calculateAbsoluteRisk,
+  calculateAbsoluteRiskTrajectory,
+  calculateAbsoluteRiskTrace,
+  calculateCompetingRiskOutcomes,
+  listRateTables,
+  expandToSingleYears,
+  INTEGRATION_ENGINES,
+  INTEGRATION_STEPS,
+} from './core/absolute-risk.js';
+
+// Gail-type model definitions
+export {
+  registerModel,
+  unregisterModel,
+  getModel,
+  getPopulation,
+  listModels,
+  resolveModel,
+  listModelVersions,
+  DEFAULT_MODEL_ID,
+} from './core/model-registry.js';
+
+// Custom incidence and mortality rate tables
+export {
+  validateRateTable,
+  expandRateTable,
+  resolveRateSet,
+  DEFAULT_AGE_BREAKPOINTS,
+} from './core/rate-tables.js';
+
+// Attributable risk recalibration for other populations
+export {
+  calculateOneMinusAR,
+  validateOneMinusAR,
+} from './core/recalibration.js';
+
+// Mammographic density extension
+export { resolveDensityModel, getDensityRelativeRisk } from './core/density.js';
+
+// External relative risk multipliers (e.g. polygenic risk scores)
+export {
+  resolveRelativeRiskMultipliers,
+  expandRelativeRiskMultipliers,
+} from './core/risk-multipliers.js';
+
+// Imputation of unknown risk factors
+export {
+  calculateImputedRisk,
+  checkImputationOptions,
+  estimateCategoryDistributions,
+  IMPUTATION_METHODS,
+  IMPUTABLE_FIELDS,
+} from './core/imputation.js';
+
+// Uncertainty quantification for absolute risk
+export { calculateConfidenceInterval } from './core/confidence-interval.js';
 
 // Core calculation functions (Phase 3.4-3.5 - Complete)
-export { calculateRisk, calculateBatchRisk } from './core/risk-calculator.js';
+export {
+  calculateRisk,
+  calculateRiskOrThrow,
+  calculateBatchRisk,
+  calculateRiskTrajectory,
+  findAgeAtRiskThreshold,
+} from './core/risk-calculator.js';
+
+// Typed errors thrown by calculateRiskOrThrow() and the throwOnError option
+export {
+  BCRAValidationError,
+  BCRACalculationError,
+  createErrorFromResult,
+} from './utils/error-handler.js';
+
+// What-if comparisons
+export {
+  calculateCounterfactualRisk,
+  COUNTERFACTUAL_FIELDS,
+} from './core/counterfactual.js';
+
+// Risk ranges over unknown answers
+export { calculateRiskBounds, RISK_BOUND_FIELDS } from './core/risk-bounds.js';
+
+// Provenance of stored results
+export {
+  compareProvenance,
+  PROVENANCE_HASH_ALGORITHM,
+} from './core/provenance.js';
+export { hashCanonical } from './utils/hash.js';
+
+// Guideline categories for risk estimates
+export {
+  classifyRisk,
+  listClinicalThresholdSets,
+} from './core/classification.js';
 
 // Export types and constants for advanced users (Phase 2 - Complete)
 export * from './types/index.js';
 export * as constants from './constants/index.js';
 
 // Export version
-export const VERSION = '1.0.1';
+export { VERSION } from './version.js';
 
 // Import main functions for default export
-import { calculateRisk, calculateBatchRisk } from './core/risk-calculator.js';
+import { VERSION } from './version.js';
+import {
+  calculateRisk,
+  calculateBatchRisk,
+  calculateRiskTrajectory,
+} from './core/risk-calculator.js';
 
 // Default export with main API
 export default {
   calculateRisk,
   calculateBatchRisk,
+  calculateRiskTrajectory,
   VERSION,
 };
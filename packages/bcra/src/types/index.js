@@ -32,12 +32,16 @@
  * @property {number|string} id - Individual's unique identifier. Can be a number (e.g., 1, 2, 3) or string (e.g., 'subject-123').
  * @property {number} initialAge - Current/initial age at assessment. Real number in [20, 90). Must be less than projectionEndAge.
  * @property {number} projectionEndAge - Future age for risk projection. Real number in (20, 90]. Must be greater than initialAge.
+ * @property {number} [projectionStartAge] - Start of the projection window when it is later than today. Real number with initialAge ≤ projectionStartAge < projectionEndAge. Defaults to initialAge. Recoding still uses initialAge.
  * @property {number} race - Race/ethnicity code. Integer in [1, 11]. See RaceCode enum and RaceLabels for valid values.
  * @property {number} numBreastBiopsies - Number of previous breast biopsies. Integer: 0, 1, 2, ..., or 99 (unknown).
  * @property {number} ageAtMenarche - Age at first menstrual period. Real number ≤ initialAge, or 99 (unknown).
  * @property {number} ageAtFirstBirth - Age at first live birth. Real number where ageAtMenarche ≤ ageAtFirstBirth ≤ initialAge, 98 (nulliparous/no births), or 99 (unknown).
  * @property {number} numRelativesWithBrCa - Number of first-degree relatives (mother, sisters, daughters) with breast cancer. Integer: 0, 1, 2, ..., or 99 (unknown).
  * @property {number} atypicalHyperplasia - Presence of atypical hyperplasia on any biopsy. 0 (no), 1 (yes), or 99 (unknown/not applicable if no biopsies).
+ * @property {string} [breastDensity] - BI-RADS breast density category: 'a', 'b', 'c' or 'd' (see BreastDensity). Used only with a density model (the `density` option).
+ * @property {RelativeRiskMultiplier[]} [relativeRiskMultipliers] - External relative risks, such as a polygenic risk score, that multiply the Gail relative risk at the ages they apply to.
+ * @property {number} [hyperplasiaMultiplier] - Pre-recoded input only (rawInput: false): atypical hyperplasia relative risk multiplier, given instead of atypicalHyperplasia (which may then be left out) or agreeing with it. Must be 1 for biopsy category 0.
  *
  * @example
  * // Example risk factor data for a 45-year-old woman
@@ -95,6 +99,24 @@
  * };
  */
 
+/**
+ * One validation error or warning in structured form.
+ *
+ * @typedef {Object} ValidationIssue
+ * @property {string} code - Stable ValidationCode.
+ * @property {string[]} fields - Offending profile fields, or option names for INVALID_OPTION. May be empty.
+ * @property {Object.<string, *>} values - Offending values by field.
+ * @property {string} message - Default English message, identical to the matching string in `errors` or `warnings`.
+ *
+ * @example
+ * {
+ *   code: 'AGE_MENARCHE_AFTER_INITIAL_AGE',
+ *   fields: ['ageAtMenarche', 'initialAge'],
+ *   values: { ageAtMenarche: 45, initialAge: 40 },
+ *   message: 'Age at menarche cannot be greater than initial age'
+ * }
+ */
+
 /**
  * Result of input validation and recoding.
  *
@@ -104,7 +126,9 @@
  * @typedef {Object} ValidationResult
  * @property {boolean} isValid - Whether the input data passed all validation checks. If false, risk calculation should not proceed.
  * @property {string[]} errors - Array of error messages describing validation failures. Empty if isValid is true.
- * @property {string[]} warnings - Array of warning messages for potential data issues that don't prevent calculation.
+ * @property {string[]} warnings - Array of warning messages for potential data issues that don't prevent calculation (see recodeAndValidate). Only given for valid data.
+ * @property {ValidationIssue[]} errorDetails - Structured form of `errors`, one issue per message in the same order.
+ * @property {ValidationIssue[]} warningDetails - Structured form of `warnings`, one issue per message in the same order.
  * @property {RecodedValues|null} recodedValues - Transformed covariate values ready for risk calculation. Null if validation failed.
  * @property {number} errorIndicator - Binary error flag. 0 = valid, 1 = error present. Matches R package convention.
  *
@@ -151,6 +175,21 @@
  * @property {number|null} relativeRiskAtOrAbove50 - Relative risk multiplier for women age 50 and older. Includes additional age-biopsy interaction term. Null if calculation failed.
  * @property {number|null} averageRisk - Average risk for a woman of the same age and race with "average" risk factors. Only calculated if requested. Null otherwise.
  * @property {string|null} raceEthnicity - Human-readable race/ethnicity label from RaceLabels. Null if calculation failed.
+ * @property {HorizonRisk[]|null} horizons - Risk for each requested horizon, in request order. Null if no horizons were requested.
+ * @property {ConfidenceInterval|null} confidenceInterval - Confidence interval for absoluteRisk. Null unless requested.
+ * @property {RelativeRiskContributions|null} contributions - Per-risk-factor breakdown of the relative risk. Null unless requested.
+ * @property {{individual: CompetingRiskOutcomes|null, average: CompetingRiskOutcomes|null}|null} competingRisks - Three-state outcome breakdown at projectionEndAge. Null unless requested.
+ * @property {ImputationResult|null} imputation - Imputed fields and the spread of the risk over them (see the `imputation` option). Null unless requested.
+ * @property {CalculationTrace|null} trace - Step-by-step record of how absoluteRisk was calculated (see the `explain` option). Null unless requested.
+ * @property {ResultProvenance|null} provenance - What produced the result: library version, model and rate set, and hashes of the parameters, input and options. Null with `provenance: false` (the default of calculateBatchRisk()) or if the input could not be hashed.
+ * @property {number|null} projectionStartAge - Start of the projection window when it is later than initialAge. Null when the window starts at initialAge.
+ * @property {number|null} projectionEndAge - End of the projection window (the profile's projectionEndAge, or the first horizon's end age when the profile has none). Null if calculation failed.
+ * @property {boolean|null} conditional - For a window starting after initialAge, whether the risk is conditional on reaching projectionStartAge alive and cancer-free (true) or calculated from initialAge (false). Null otherwise.
+ * @property {{id: string, name: string}|null} model - Model used for the calculation (see the `model` option). Null if the model could not be resolved.
+ * @property {ModelVersionSummary|null} modelVersion - NCI BCRAT version used, with its caveats (see listModelVersions()). Null for other models or if the model could not be resolved.
+ * @property {RelativeRiskMultiplier[]|null} relativeRiskMultipliers - The profile's external relative risk multipliers, normalized. Null if the profile has none.
+ * @property {DensityResult|null} density - Density relative risk included in the relative risks (see the `density` option). Null without a density model.
+ * @property {{id: string, name: string, custom: boolean}|null} rateSet - λ₁/λ₂ rates used: a caller-supplied rate set (custom) or the model's own rates, identified by the model id. Null if the options could not be resolved.
  * @property {Object|null} error - Error object if calculation failed. Contains message and optionally stack trace. Null if successful.
  *
  * @example
@@ -179,6 +218,506 @@
  * };
  */
 
+/**
+ * Projection horizon requested through the `horizons` option of calculateRisk().
+ *
+ * Exactly one of `years` or `endAge` must be given. A plain number is
+ * shorthand for `{ years: n }`.
+ *
+ * @typedef {Object} RiskHorizon
+ * @property {number} [years] - Years ahead of initialAge. The end age is capped at 90.
+ * @property {number} [endAge] - Absolute projection end age in (initialAge, 90].
+ * @property {string} [label] - Display label. Defaults to "5-year" or "to age 90" style labels.
+ */
+
+/**
+ * Risk over one requested projection horizon.
+ *
+ * @typedef {Object} HorizonRisk
+ * @property {string} label - Horizon label.
+ * @property {number} projectionEndAge - End age used for this horizon.
+ * @property {number} projectionInterval - Years in the horizon (projectionEndAge minus the window start age).
+ * @property {boolean} capped - Whether a years-ahead horizon was cut short at age 90.
+ * @property {number|null} absoluteRisk - Absolute risk over the horizon as a percentage (0-100).
+ * @property {number|null} averageRisk - Average risk over the horizon. Null unless calculateAverage is set.
+ */
+
+/**
+ * Confidence interval for the individualized absolute risk.
+ *
+ * Reflects the sampling uncertainty of the beta coefficients only; rates and
+ * attributable risk are treated as fixed.
+ *
+ * @typedef {Object} ConfidenceInterval
+ * @property {'delta'|'monte-carlo'} method - Method used to compute the interval.
+ * @property {number} level - Confidence level, e.g. 0.95.
+ * @property {number} estimate - Point estimate of the absolute risk (0-100).
+ * @property {number} lower - Lower bound of the absolute risk (0-100).
+ * @property {number} upper - Upper bound of the absolute risk (0-100).
+ * @property {number} standardError - Standard error of the absolute risk, in percentage points. Delta method: the logit standard error mapped back to the risk scale. Monte Carlo: standard deviation of the simulated risks.
+ * @property {number|null} logitStandardError - Delta method: standard error of logit(risk), from which the bounds are computed. Null for Monte Carlo.
+ * @property {number|null} draws - Number of Monte Carlo draws. Null for the delta method.
+ * @property {number|null} seed - Seed of the Monte Carlo generator. Null for the delta method.
+ */
+
+/**
+ * Three mutually exclusive outcomes over a projection window.
+ *
+ * For a woman alive and free of breast cancer at initialAge, the three
+ * percentages sum to 100.
+ *
+ * @typedef {Object} CompetingRiskOutcomes
+ * @property {number} breastCancer - Probability of developing invasive breast cancer (the absolute risk), as a percentage.
+ * @property {number} competingMortality - Probability of dying of other causes before developing breast cancer, as a percentage.
+ * @property {number} aliveCancerFree - Probability of being alive and free of breast cancer at projectionEndAge, as a percentage.
+ */
+
+/**
+ * One risk factor's contribution to the relative risk.
+ *
+ * @typedef {Object} RiskFactorContribution
+ * @property {'biopsies'|'menarche'|'firstBirth'|'relatives'|'firstBirthByRelatives'|'age50ByBiopsies'|'hyperplasia'} factor - Factor key.
+ * @property {string} label - Human-readable factor name.
+ * @property {string|null} coefficientName - Name of the beta coefficient (see BETA_COEFFICIENT_NAMES). Null for hyperplasia, which has no fitted coefficient.
+ * @property {number} covariate - Recoded covariate value (category, AF×NR product, or ln R_Hyp for hyperplasia).
+ * @property {number} coefficient - Beta coefficient applied to the covariate. 1 for hyperplasia.
+ * @property {number} linearPredictor - Additive contribution to the linear predictor (β·covariate, or ln R_Hyp).
+ * @property {number} relativeRisk - Multiplicative contribution to the relative risk, exp(linearPredictor).
+ * @property {boolean} appliesUnder50 - Whether the factor enters the relative risk for ages under 50.
+ * @property {boolean} appliesAtOrAbove50 - Whether the factor enters the relative risk for ages 50 and older.
+ */
+
+/**
+ * Relative risk broken down by risk factor.
+ *
+ * Returned by calculateRelativeRiskContributions(). The product of the
+ * applicable factors' relativeRisk equals the age group's relative risk.
+ *
+ * @typedef {Object} RelativeRiskContributions
+ * @property {RiskFactorContribution[]} factors - One entry per risk factor, in model order.
+ * @property {number} linearPredictorUnder50 - LP1, the sum of contributions for ages under 50.
+ * @property {number} linearPredictorAtOrAbove50 - LP2, the sum of contributions for ages 50 and older.
+ * @property {number} relativeRiskUnder50 - exp(LP1).
+ * @property {number} relativeRiskAtOrAbove50 - exp(LP2).
+ */
+
+/**
+ * Named, versioned set of clinical thresholds used by classifyRisk().
+ *
+ * Metrics are absolute risks in percent: `fiveYearRisk` or `lifetimeRisk`.
+ *
+ * @typedef {Object} ClinicalThresholdSet
+ * @property {string} id - Set name, e.g. "us-guidelines".
+ * @property {string} version - Set version, e.g. "1.0.0".
+ * @property {string} [name] - Display name.
+ * @property {Array<{id: string, label?: string, metric: string, threshold: number, source?: string, caveat?: string|null}>} [rules] - Independent thresholds; a rule is met when the metric is at or above its threshold.
+ * @property {{metric: string, source?: string, categories: Array<{id: string, label?: string, min: number}>}} [bands] - Mutually exclusive categories in increasing order of min.
+ */
+
+/**
+ * Outcome of one threshold rule.
+ *
+ * @typedef {Object} ClassificationAssignment
+ * @property {string} id - Rule id, e.g. "chemoprevention-discussion".
+ * @property {string} label - Rule label.
+ * @property {string} metric - Metric the rule applies to.
+ * @property {number|null} value - Metric value (0-100). Null if not calculated.
+ * @property {number} threshold - Rule threshold (0-100).
+ * @property {boolean|null} met - Whether value ≥ threshold. Null if the metric was not calculated.
+ * @property {string} rationale - Human-readable explanation of the outcome.
+ * @property {string|null} source - Guideline source.
+ * @property {string|null} caveat - Caveat on applying the rule to Gail model estimates.
+ */
+
+/**
+ * Result of a clinical risk classification.
+ *
+ * Returned by the classifyRisk() function.
+ *
+ * @typedef {Object} RiskClassification
+ * @property {boolean} success - Whether classification ran.
+ * @property {{id: string, version: string, name: string}|null} thresholdSet - Threshold set used.
+ * @property {{fiveYearRisk: number|null, lifetimeRisk: number|null}} metrics - Metrics that were classified.
+ * @property {{id: string|null, label: string|null, metric: string, value: number|null, rationale: string, source: string|null}|null} category - Band assignment. Null if the set has no bands.
+ * @property {ClassificationAssignment[]} assignments - One entry per rule, in set order.
+ * @property {string[]} errors - Reasons classification could not run.
+ */
+
+/**
+ * Result of an age-at-threshold search.
+ *
+ * Returned by the findAgeAtRiskThreshold() function.
+ *
+ * @typedef {Object} RiskThresholdResult
+ * @property {boolean} success - Whether the search ran. A threshold that is never reached is still a success.
+ * @property {number|null} threshold - Absolute risk threshold searched for (0-100).
+ * @property {string|null} horizon - Horizon label, e.g. "5-year" or "to age 90".
+ * @property {boolean} reached - Whether the threshold is reached before age 90.
+ * @property {number|null} age - Earliest start age at which the horizon risk reaches the threshold. Null if never reached.
+ * @property {number|null} absoluteRisk - Horizon risk at that age (0-100). Null if never reached.
+ * @property {number|null} projectionEndAge - End of the horizon window starting at that age. Null if never reached.
+ * @property {string|null} message - Human-readable summary, including when the threshold is not reached before 90.
+ * @property {{engine: string, step: string|null}|null} integration - Integration engine and step. Null if the search did not get that far.
+ * @property {number|null} relativeRiskUnder50 - Relative risk for ages under 50.
+ * @property {number|null} relativeRiskAtOrAbove50 - Relative risk for ages 50 and older.
+ * @property {number|null} patternNumber - Risk factor pattern number (1-108).
+ * @property {string|null} raceEthnicity - Race/ethnicity label.
+ * @property {ResultProvenance|null} provenance - What produced the result, as for RiskResult. The options hash covers the search options.
+ * @property {ValidationResult} validation - Validation details.
+ * @property {RecodedValues|null} recodedValues - Recoded values used in calculation.
+ * @property {Object|null} error - Error object if an unexpected error occurred.
+ */
+
+/**
+ * One hypothetical change in a counterfactual comparison.
+ *
+ * @typedef {Object} CounterfactualChange
+ * @property {string} field - Changed RiskFactorProfile field.
+ * @property {number} from - Baseline value.
+ * @property {number} to - Counterfactual value.
+ * @property {boolean} hasEffect - Whether the change alone moves the relative risk for this race.
+ * @property {string|null} note - Why the change has no effect (same category after recoding, or covariate not in the race-specific model). Null when it has an effect.
+ */
+
+/**
+ * Result of a counterfactual ("what-if") risk comparison.
+ *
+ * Returned by the calculateCounterfactualRisk() function.
+ *
+ * @typedef {Object} CounterfactualResult
+ * @property {boolean} success - Whether both baseline and counterfactual were calculated.
+ * @property {RiskResult|null} baseline - Result for the profile as given.
+ * @property {RiskResult|null} counterfactual - Result for the profile with the changes applied.
+ * @property {number|null} absoluteRiskDifference - Counterfactual minus baseline absolute risk, in percentage points.
+ * @property {number|null} absoluteRiskRatio - Counterfactual divided by baseline absolute risk. Null if the baseline risk is 0.
+ * @property {CounterfactualChange[]} changes - One entry per changed field, in the order given.
+ * @property {ResultProvenance|null} provenance - Provenance of the baseline result, with the input hash taken over the profile and the changes together.
+ * @property {{isValid: boolean, errors: string[], warnings: string[]}} validation - Combined validation messages, prefixed with "Baseline:" or "Counterfactual:".
+ * @property {Object|null} error - Error object if an unexpected error occurred.
+ */
+
+/**
+ * One end of a risk range over the unknown fields.
+ *
+ * @typedef {Object} RiskBound
+ * @property {number} absoluteRisk - Absolute risk of the profile, in percent.
+ * @property {RiskFactorProfile} profile - Profile with the unknown fields filled in.
+ * @property {RecodedValues} recodedValues - Recoded values of the profile.
+ */
+
+/**
+ * Range of absolute risk over the admissible values of unknown fields.
+ *
+ * Returned by the calculateRiskBounds() function.
+ *
+ * @typedef {Object} RiskBoundsResult
+ * @property {boolean} success - Whether the baseline and at least one admissible profile were calculated.
+ * @property {RiskResult|null} baseline - Result for the profile as given, with unknown fields in category 0.
+ * @property {RiskBound|null} minimum - Admissible profile with the lowest absolute risk.
+ * @property {RiskBound|null} maximum - Admissible profile with the highest absolute risk.
+ * @property {string[]} fields - Unknown fields whose values were enumerated, including atypicalHyperplasia when every status was tried.
+ * @property {number} profilesEvaluated - Number of admissible profiles calculated.
+ * @property {ResultProvenance|null} provenance - Provenance of the baseline result.
+ * @property {{isValid: boolean, errors: string[], warnings: string[]}} validation - Validation messages of the profile as given.
+ * @property {Object|null} error - Error object if an unexpected error occurred.
+ */
+
+/**
+ * One point on a cumulative risk trajectory.
+ *
+ * Points are reported at every whole year of age after initialAge and at the
+ * end age itself, whatever the integration engine.
+ *
+ * @typedef {Object} TrajectoryPoint
+ * @property {number} age - Age at the end of the interval.
+ * @property {number} cumulativeRisk - Absolute risk from initialAge to this age, as a percentage (0-100).
+ * @property {number} intervalHazard - Combined hazard (1-AR)·RR·λ₁ + λ₂ in effect during the interval ending at this age.
+ * @property {number} survival - Probability of being alive and breast-cancer-free at this age, given alive and cancer-free at initialAge (0-1).
+ */
+
+/**
+ * Result of a cumulative risk trajectory calculation.
+ *
+ * Returned by the calculateRiskTrajectory() function.
+ *
+ * @typedef {Object} RiskTrajectoryResult
+ * @property {boolean} success - Whether the calculation succeeded.
+ * @property {number|null} initialAge - First age of the trajectory (the profile's initialAge).
+ * @property {number|null} endAge - Last age of the trajectory.
+ * @property {{engine: string, step: string|null}|null} integration - Integration engine and step. Null if the calculation did not get that far.
+ * @property {TrajectoryPoint[]|null} individual - Trajectory for the individualized risk profile.
+ * @property {TrajectoryPoint[]|null} average - Trajectory for the average risk profile. Null if not requested.
+ * @property {number|null} relativeRiskUnder50 - Relative risk multiplier for women under age 50.
+ * @property {number|null} relativeRiskAtOrAbove50 - Relative risk multiplier for women age 50 and older.
+ * @property {number|null} patternNumber - Pattern number (1-108) of the categorical risk factors.
+ * @property {string|null} raceEthnicity - Human-readable race/ethnicity label from RaceLabels.
+ * @property {ResultProvenance|null} provenance - What produced the result, as for RiskResult. The options hash covers the trajectory options.
+ * @property {ValidationResult} validation - Validation details.
+ * @property {RecodedValues|null} recodedValues - Recoded values used in the calculation.
+ * @property {Object|null} error - Error object if an unexpected error occurred. Null otherwise.
+ */
+
+/**
+ * Rules that turn raw risk factor values into model categories.
+ *
+ * Biopsy, relative and first-birth categories count the cutpoints at or
+ * below the value; menarche categories count the cutpoints above it. Unknown
+ * values (99) always recode to category 0, and an empty cutpoint list leaves
+ * the factor out of the model.
+ *
+ * @typedef {Object} RecodingRules
+ * @property {{cutpoints: number[]}} biopsies - Increasing cutpoints, e.g. [1, 2].
+ * @property {{cutpoints: number[]}} menarche - Decreasing cutpoints, e.g. [14, 12].
+ * @property {{cutpoints: number[], nulliparousCategory: number}} firstBirth - Increasing cutpoints, e.g. [20, 25, 30], and the category for nulliparous women.
+ * @property {{cutpoints: number[]}} relatives - Increasing cutpoints, e.g. [1, 2].
+ * @property {{no: number, yes: number, unknown: number}} hyperplasiaMultipliers - Relative risk multiplier by atypical hyperplasia status for women with biopsies.
+ */
+
+/**
+ * One population (race code) of a Gail-type model.
+ *
+ * @typedef {Object} ModelPopulation
+ * @property {string} label - Human-readable label, reported as raceEthnicity.
+ * @property {number[]} beta - Six log relative risk coefficients in BETA_COEFFICIENT_NAMES order.
+ * @property {number[][]|null} [betaCovariance] - 6×6 covariance matrix of beta, used for confidence intervals.
+ * @property {number[]} [ageBreakpoints] - Whole-age boundaries of the rate tables, covering 20 to 90. Defaults to the 14 five-year groups (DEFAULT_AGE_BREAKPOINTS).
+ * @property {number[]} lambda1 - Breast cancer incidence rates, one per age interval.
+ * @property {number[]} lambda2 - Competing mortality rates, one per age interval.
+ * @property {number[]} oneMinusAR - 1 - attributable risk for ages < 50 and >= 50.
+ * @property {number[]|null} [averageLambda1] - Incidence rates for average risk. Defaults to lambda1.
+ * @property {number[]|null} [averageLambda2] - Mortality rates for average risk. Defaults to lambda2.
+ * @property {Partial<RecodingRules>} [recoding] - Recoding rules that override the model defaults, factor by factor.
+ */
+
+/**
+ * Gail-type model definition accepted by registerModel() and the `model` option.
+ *
+ * @typedef {Object} ModelDefinition
+ * @property {string} id - Unique model id.
+ * @property {string} [name] - Display name. Defaults to the id.
+ * @property {RecodingRules} [recoding] - Default recoding rules for every population.
+ * @property {Object<number, ModelPopulation>} populations - Populations keyed by race code.
+ */
+
+/**
+ * Caller-supplied incidence and mortality tables (the `rates` option).
+ *
+ * rates[i] applies on [ageBreakpoints[i], ageBreakpoints[i + 1]). Tables that
+ * are left out come from the model population.
+ *
+ * @typedef {Object} RateSet
+ * @property {string} id - Rate set id, recorded in the result's rateSet.
+ * @property {string} [name] - Display name. Defaults to the id.
+ * @property {number[]} [ageBreakpoints] - Increasing whole ages covering 20 to 90. Defaults to the 14 five-year groups.
+ * @property {number[]} [lambda1] - Breast cancer incidence rates, one per age interval.
+ * @property {number[]} [lambda2] - Competing mortality rates, one per age interval.
+ * @property {number[]} [averageLambda1] - Incidence rates for average risk. Defaults to lambda1.
+ * @property {number[]} [averageLambda2] - Mortality rates for average risk. Defaults to lambda2.
+ */
+
+/**
+ * A bundled NCI BCRAT version (see NCI_BCRAT_VERSIONS).
+ *
+ * @typedef {Object} ModelVersion
+ * @property {string} id - Version id, e.g. 'current'.
+ * @property {string} name - Display name.
+ * @property {number[]} races - Population codes that differ from the current version.
+ * @property {string[]} caveats - Limits on reproducing the original tool's results with this version.
+ * @property {ModelDefinition} model - Model definition of the version.
+ */
+
+/**
+ * Description of an NCI BCRAT version, returned by listModelVersions() and
+ * recorded in RiskResult.modelVersion.
+ *
+ * @typedef {Object} ModelVersionSummary
+ * @property {string} id - Version id.
+ * @property {string} name - Display name.
+ * @property {number[]} races - Population codes that differ from the current version.
+ * @property {string[]} caveats - Limits on reproducing the original tool's results with this version.
+ */
+
+/**
+ * Weight of one of the 108 risk factor patterns in a population.
+ *
+ * @typedef {Object} PatternWeight
+ * @property {number} patternNumber - Pattern number, NB×36 + AM×12 + AF×3 + NR + 1 (1-108).
+ * @property {number} weight - Non-negative weight, e.g. the pattern's share of the population.
+ * @property {number} [hyperplasiaMultiplier=1] - Atypical hyperplasia multiplier for the pattern.
+ * @property {'under50'|'atOrAbove50'} [ageGroup] - Age group the weight describes. Default: both.
+ */
+
+/**
+ * 1-AR values derived by calculateOneMinusAR().
+ *
+ * @typedef {Object} OneMinusARResult
+ * @property {number[]|null} oneMinusAR - 1 / E[RR] for ages < 50 and >= 50, or null on error.
+ * @property {number[]|null} meanRelativeRisk - Weighted mean relative risk for ages < 50 and >= 50.
+ * @property {number|null} race - Race code whose coefficients were used.
+ * @property {number|null} totalWeight - Sum of the weights of the entries used.
+ * @property {number[]|null} ageGroupWeights - Weight behind the mean relative risk for ages < 50 and >= 50.
+ * @property {number} used - Number of profiles or patterns with positive weight that were used.
+ * @property {Array<{index: number, errors: string[]}>} excluded - Profiles left out because they failed validation.
+ * @property {string|null} error - Error message, or null on success.
+ */
+
+/**
+ * Mammographic density extension of the Gail model (the `density` option).
+ *
+ * The relative risks, 1-AR values and beta coefficients must come from the
+ * same fitted model; none are bundled, and the published Chen et al. (2006)
+ * model is not implemented.
+ *
+ * @typedef {Object} DensityModel
+ * @property {string} id - Density model id, recorded in the result's density.
+ * @property {string} [name] - Display name. Defaults to the id.
+ * @property {Object<string, number|number[]>} relativeRisks - Relative risk for each BI-RADS category a-d, either one number or two (ages < 50, >= 50).
+ * @property {number[]} oneMinusAR - 1-AR for ages < 50 and >= 50, adjusted for density.
+ * @property {number[]|null} [beta] - Beta coefficients of the modified covariate set (BETA_COEFFICIENT_NAMES order; 0 for covariates left out). Defaults to the model's.
+ * @property {number[]|null} [races] - Race codes the density model applies to. Defaults to all.
+ */
+
+/**
+ * Density relative risk applied by calculateRisk(), recorded in RiskResult.density.
+ *
+ * @typedef {Object} DensityResult
+ * @property {string} id - Density model id.
+ * @property {string} name - Display name.
+ * @property {string} category - BI-RADS category of the profile.
+ * @property {number[]} relativeRisk - Density relative risk for ages < 50 and >= 50.
+ */
+
+/**
+ * External relative risk that multiplies the Gail relative risk, e.g. a
+ * standardized polygenic risk score (see core/risk-multipliers).
+ *
+ * Give exactly one of `relativeRisk` or `logRelativeRisk`. Resolved
+ * multipliers have every property filled in.
+ *
+ * @typedef {Object} RelativeRiskMultiplier
+ * @property {string} name - Name of the factor, unique within the profile.
+ * @property {number} [relativeRisk] - Relative risk of the individual.
+ * @property {number} [logRelativeRisk] - Log relative risk of the individual.
+ * @property {number} [sd] - Standard deviation of the log relative risk in the population. Required with logRelativeRisk.
+ * @property {number} [meanRelativeRisk] - Population mean relative risk, used by the `adjustOneMinusAR` option. Defaults to exp(sd²/2) with logRelativeRisk and 1 otherwise.
+ * @property {number[]} [ages=[20, 90]] - Whole ages [start, end) the multiplier applies to.
+ */
+
+/**
+ * Options for imputing unknown (99) risk factors (the `imputation` option of calculateRisk()).
+ *
+ * @typedef {Object} ImputationOptions
+ * @property {'expected'|'multiple'} [method='expected'] - Average over every combination of categories, or draw them.
+ * @property {Object<string, Object<string, number[]>>} distributions - Category probabilities by race code, then by raw field name (numBreastBiopsies, ageAtMenarche, ageAtFirstBirth, numRelativesWithBrCa), one per recoded category. Required: no default distributions are bundled (see estimateCategoryDistributions()).
+ * @property {number} [draws=100] - Number of imputations for 'multiple'.
+ * @property {number} [seed=1] - Seed for 'multiple'.
+ * @property {number} [level=0.95] - Level of the interval of imputed risks for 'multiple'.
+ */
+
+/**
+ * Imputation summary, recorded in RiskResult.imputation.
+ *
+ * @typedef {Object} ImputationResult
+ * @property {'expected'|'multiple'} method - Imputation method.
+ * @property {string[]} fields - Raw fields that were imputed; empty if none was unknown.
+ * @property {number} standardDeviation - Standard deviation of the absolute risk over the imputations.
+ * @property {number|null} level - Level of lower/upper ('multiple' only).
+ * @property {number|null} lower - Lower empirical quantile of the imputed risks ('multiple' only).
+ * @property {number|null} upper - Upper empirical quantile of the imputed risks ('multiple' only).
+ * @property {number|null} draws - Number of imputations ('multiple' only).
+ * @property {number|null} seed - Seed used ('multiple' only).
+ * @property {number[]|null} risks - Absolute risk of each imputation, in draw order ('multiple' only).
+ */
+
+/**
+ * How one risk factor was recoded, returned by explainRecoding().
+ *
+ * @typedef {Object} RecodingDecision
+ * @property {string} field - Raw input field, e.g. "ageAtMenarche".
+ * @property {number} value - Value given for the field.
+ * @property {string} recodedField - Recoded value it produced (see RecodedValues).
+ * @property {number} recodedValue - Category, or the hyperplasia multiplier R_Hyp.
+ * @property {string} rule - The rule that was applied, e.g. "12 to < 14 → 1".
+ * @property {string[]} categories - Every rule of the population, in category order.
+ * @property {boolean} pooled - Whether the population pools categories that the standard rules keep apart.
+ * @property {string|null} note - Why the population's rules differ from the standard ones. Null when they do not.
+ */
+
+/**
+ * One integration interval of the absolute risk, with hazards per year and
+ * risks on the 0-1 scale.
+ *
+ * @typedef {Object} IntegrationInterval
+ * @property {number} index - Rate table index (age - 20) for the r-compatible engine; position of the interval, from 0, for the exact engine.
+ * @property {number} startAge - Start of the interval.
+ * @property {number} endAge - End of the interval.
+ * @property {number} integrationLength - Years in the interval.
+ * @property {number} lambda1 - Breast cancer incidence rate λ₁.
+ * @property {number} lambda2 - Competing mortality rate λ₂.
+ * @property {number} oneMinusARTimesRR - (1-AR)×RR, including any external multipliers.
+ * @property {number} combinedHazard - (1-AR)×RR×λ₁ + λ₂.
+ * @property {number} riskContribution - Probability of breast cancer in the interval for a woman cancer-free at its start, times the probability of reaching the start.
+ * @property {number} competingMortalityContribution - The same for death of other causes.
+ * @property {number} cumulativeRisk - Breast cancer risk up to endAge.
+ * @property {number} cumulativeCompetingMortality - Competing mortality up to endAge.
+ * @property {number} cumulativeHazard - Integrated combined hazard up to endAge.
+ */
+
+/**
+ * Interval-by-interval record of the absolute risk integration, returned by
+ * calculateAbsoluteRiskTrace().
+ *
+ * @typedef {Object} IntegrationTrace
+ * @property {number[]|null} oneMinusAR - 1-AR for ages < 50 and >= 50. Null for the average profile, which uses no attributable risk.
+ * @property {number} startAge - Start of the integrated window.
+ * @property {number} endAge - End of the integrated window.
+ * @property {number} survivalToStart - Probability of reaching startAge alive and cancer-free from initialAge, by which the risk was multiplied. 1 for a conditional risk or a window starting at initialAge.
+ * @property {IntegrationInterval[]} intervals - Integration intervals in age order.
+ * @property {number} absoluteRisk - Absolute risk as a percentage (0-100).
+ */
+
+/**
+ * Step-by-step record of an individualized absolute risk, attached to the
+ * result by calculateRisk() with the `explain` option.
+ *
+ * @typedef {Object} CalculationTrace
+ * @property {{raw: Object, sanitized: Object}} input - Profile as given and after string coercion.
+ * @property {RecodingDecision[]} recoding - One decision per risk factor.
+ * @property {Object} relativeRisk - Beta coefficients (`coefficientNames`, `beta`), the linear predictor `terms` (see RiskFactorContribution), `linearPredictorUnder50` and `linearPredictorAtOrAbove50` (LP1, LP2), `densityRelativeRisk` (null without a density model) and the resulting `relativeRiskUnder50` and `relativeRiskAtOrAbove50`.
+ * @property {number[]} oneMinusAR - 1-AR for ages < 50 and >= 50.
+ * @property {Object} integration - `engine` and `step` (see IntegrationInfo), `startAge`, `endAge`, `conditional`, `survivalToStart` and `intervals` as in IntegrationTrace, and the resulting `absoluteRisk`.
+ */
+
+/**
+ * What produced a risk result, attached to every calculateRisk() result.
+ *
+ * Hashes are SHA-256 digests of canonical JSON (sorted keys), as 64
+ * lowercase hexadecimal characters. Fields other than `library`,
+ * `hashAlgorithm`, `inputHash` and `optionsHash` are null when the options
+ * could not be resolved.
+ *
+ * @typedef {Object} ResultProvenance
+ * @property {{name: string, version: string}} library - Package name and VERSION.
+ * @property {{id: string, name: string}|null} model - Model used.
+ * @property {string|null} modelVersion - NCI BCRAT version id. Null for other models.
+ * @property {{id: string, custom: boolean}|null} rateSet - Rate set used: a caller-supplied one (custom) or the model's own rates, identified by the model id.
+ * @property {string|null} densityModel - Density model id. Null without a density model.
+ * @property {{engine: string, step: string|null}|null} integration - Integration engine and step.
+ * @property {string} hashAlgorithm - Always 'SHA-256' (PROVENANCE_HASH_ALGORITHM).
+ * @property {string|null} parameterHash - Hash of the parameters used for the profile's race: beta coefficients, single-year λ₁/λ₂ tables for individual and average risk, 1-AR values and density relative risks. Null if the race has no population.
+ * @property {string} inputHash - Hash of the profile after the string coercion the calculation applies, so "40" and 40 hash the same.
+ * @property {string} optionsHash - Hash of the calculation options with their defaults filled in (throwOnError excluded).
+ */
+
+/**
+ * Short description of a registered model, returned by listModels().
+ *
+ * @typedef {Object} ModelSummary
+ * @property {string} id - Model id.
+ * @property {string} name - Display name.
+ * @property {Array<{code: number, label: string}>} populations - Population codes and labels.
+ */
+
 /**
  * Race/ethnicity codes for breast cancer risk assessment.
  *
@@ -300,3 +839,148 @@ export const SpecialValues = {
   /** Not applicable - used for atypicalHyperplasia when no biopsies performed */
   NOT_APPLICABLE: 99,
 };
+
+/**
+ * BI-RADS breast density categories (5th edition), for the optional
+ * breastDensity profile field.
+ *
+ * @enum {string}
+ * @readonly
+ */
+export const BreastDensity = {
+  /** a: almost entirely fatty */
+  ALMOST_ENTIRELY_FATTY: 'a',
+
+  /** b: scattered areas of fibroglandular density */
+  SCATTERED_FIBROGLANDULAR: 'b',
+
+  /** c: heterogeneously dense */
+  HETEROGENEOUSLY_DENSE: 'c',
+
+  /** d: extremely dense */
+  EXTREMELY_DENSE: 'd',
+};
+
+/**
+ * Validation profiles, selected with the `validationProfile` option.
+ *
+ * - strict: numeric fields must be numbers (no string coercion), biopsy and
+ *   relative counts whole numbers, no answer may be unknown (99), and every
+ *   error is reported, including domain errors of fields that passed the
+ *   structure checks
+ * - lenient: numeric strings are coerced, fractional counts and unknown
+ *   answers are accepted (the default)
+ * - clinical: as strict for types and counts, but unknown answers are
+ *   accepted and each one is reported as a warning
+ *
+ * @enum {string}
+ * @readonly
+ */
+export const ValidationProfile = {
+  STRICT: 'strict',
+  LENIENT: 'lenient',
+  CLINICAL: 'clinical',
+};
+
+/**
+ * Stable codes for validation errors and warnings.
+ *
+ * Every message in a ValidationResult's `errors` and `warnings` has a
+ * matching entry in `errorDetails` or `warningDetails` carrying one of these
+ * codes, so callers can highlight fields or tally problems without parsing
+ * message text. Codes never change; the
+ * messages may be reworded.
+ *
+ * @enum {string}
+ * @readonly
+ */
+export const ValidationCode = {
+  // Structure and types of the profile
+  /** The profile is not an object */
+  INVALID_DATA: 'INVALID_DATA',
+  /** A required field is missing */
+  MISSING_FIELD: 'MISSING_FIELD',
+  /** A required field is null or undefined */
+  EMPTY_FIELD: 'EMPTY_FIELD',
+  /** A numeric field is not a number */
+  NOT_A_NUMBER: 'NOT_A_NUMBER',
+  /** A numeric field is infinite */
+  NOT_FINITE: 'NOT_FINITE',
+  /** breastDensity is not a BI-RADS category */
+  INVALID_BREAST_DENSITY: 'INVALID_BREAST_DENSITY',
+
+  // Ages and projection window
+  /** initialAge is outside 20-89 */
+  INITIAL_AGE_OUT_OF_RANGE: 'INITIAL_AGE_OUT_OF_RANGE',
+  /** projectionEndAge is above 90 */
+  PROJECTION_END_AGE_ABOVE_MAXIMUM: 'PROJECTION_END_AGE_ABOVE_MAXIMUM',
+  /** projectionEndAge is not after initialAge */
+  PROJECTION_END_AGE_NOT_AFTER_INITIAL_AGE:
+    'PROJECTION_END_AGE_NOT_AFTER_INITIAL_AGE',
+  /** projectionStartAge is before initialAge */
+  PROJECTION_START_AGE_BEFORE_INITIAL_AGE:
+    'PROJECTION_START_AGE_BEFORE_INITIAL_AGE',
+  /** projectionEndAge is not after projectionStartAge */
+  PROJECTION_END_AGE_NOT_AFTER_START_AGE:
+    'PROJECTION_END_AGE_NOT_AFTER_START_AGE',
+
+  // Risk factors
+  /** race is not a population of the model */
+  INVALID_RACE: 'INVALID_RACE',
+  /** Atypical hyperplasia is given without biopsies */
+  HYPERPLASIA_WITHOUT_BIOPSY: 'HYPERPLASIA_WITHOUT_BIOPSY',
+  /** Atypical hyperplasia is not 0, 1 or 99 for a woman with biopsies */
+  INVALID_HYPERPLASIA: 'INVALID_HYPERPLASIA',
+  /** numBreastBiopsies is not a valid count */
+  INVALID_BIOPSY_COUNT: 'INVALID_BIOPSY_COUNT',
+  /** ageAtMenarche is after initialAge */
+  AGE_MENARCHE_AFTER_INITIAL_AGE: 'AGE_MENARCHE_AFTER_INITIAL_AGE',
+  /** ageAtMenarche is not a valid age */
+  INVALID_AGE_MENARCHE: 'INVALID_AGE_MENARCHE',
+  /** ageAtFirstBirth is before ageAtMenarche */
+  AGE_FIRST_BIRTH_BEFORE_MENARCHE: 'AGE_FIRST_BIRTH_BEFORE_MENARCHE',
+  /** ageAtFirstBirth is after initialAge */
+  AGE_FIRST_BIRTH_AFTER_INITIAL_AGE: 'AGE_FIRST_BIRTH_AFTER_INITIAL_AGE',
+  /** ageAtFirstBirth is not a valid age */
+  INVALID_AGE_FIRST_BIRTH: 'INVALID_AGE_FIRST_BIRTH',
+  /** numRelativesWithBrCa is not a valid count */
+  INVALID_RELATIVES_COUNT: 'INVALID_RELATIVES_COUNT',
+  /** An answer is unknown (99): an error if strict, a warning if clinical */
+  UNKNOWN_ANSWER: 'UNKNOWN_ANSWER',
+  /** A pre-recoded category is outside the race's categories */
+  INVALID_CATEGORY: 'INVALID_CATEGORY',
+  /** hyperplasiaMultiplier of pre-recoded input is invalid */
+  INVALID_HYPERPLASIA_MULTIPLIER: 'INVALID_HYPERPLASIA_MULTIPLIER',
+  /** relativeRiskMultipliers is invalid */
+  INVALID_RELATIVE_RISK_MULTIPLIERS: 'INVALID_RELATIVE_RISK_MULTIPLIERS',
+  /** The density model needs a breastDensity the profile does not give */
+  BREAST_DENSITY_REQUIRED: 'BREAST_DENSITY_REQUIRED',
+  /** The density model does not cover the profile's race */
+  DENSITY_RACE_NOT_COVERED: 'DENSITY_RACE_NOT_COVERED',
+
+  // Options and calculation
+  /** A calculation option is invalid (the field is the option name) */
+  INVALID_OPTION: 'INVALID_OPTION',
+  /** No admissible profile exists for the requested calculation */
+  NO_ADMISSIBLE_PROFILE: 'NO_ADMISSIBLE_PROFILE',
+  /** The model could not produce a risk for the profile */
+  CALCULATION_FAILED: 'CALCULATION_FAILED',
+  /** An unexpected exception was caught */
+  UNEXPECTED_ERROR: 'UNEXPECTED_ERROR',
+
+  // Data-quality warnings: the input is valid but deserves a second look
+  /** An unknown (99) answer was coded as the lowest-risk category */
+  UNKNOWN_CODED_AS_LOWEST_RISK: 'UNKNOWN_CODED_AS_LOWEST_RISK',
+  /** The model for the profile's race does not use this answer */
+  INPUT_NOT_USED_FOR_RACE: 'INPUT_NOT_USED_FOR_RACE',
+  /** initialAge is outside the 35-85 range of the NCI online tool */
+  AGE_OUTSIDE_VALIDATED_RANGE: 'AGE_OUTSIDE_VALIDATED_RANGE',
+  /** A biopsy or relative count is not a whole number (an error unless lenient) */
+  NON_INTEGER_COUNT: 'NON_INTEGER_COUNT',
+  /** The projection window is shorter than one year */
+  SHORT_PROJECTION_WINDOW: 'SHORT_PROJECTION_WINDOW',
+  /** The requested confidence interval could not be computed; the point estimate stands */
+  CONFIDENCE_INTERVAL_UNAVAILABLE: 'CONFIDENCE_INTERVAL_UNAVAILABLE',
+  /** breastDensity is given but no density model is, so the risk ignores it */
+  BREAST_DENSITY_NOT_USED: 'BREAST_DENSITY_NOT_USED',
+};
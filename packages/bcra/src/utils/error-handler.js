@@ -8,6 +8,8 @@
  * @module utils/error-handler
  */
 
+import { ValidationCode } from '../types/index.js';
+
 /**
  * Custom error class for validation failures.
  *
@@ -29,11 +31,13 @@ export class BCRAValidationError extends Error {
    *
    * @param {string} message - Error message
    * @param {Object.<string, string|string[]>} [fieldErrors={}] - Map of field names to error messages
+   * @param {import('../types/index.js').ValidationIssue[]} [issues=[]] - Structured validation errors
    */
-  constructor(message, fieldErrors = {}) {
+  constructor(message, fieldErrors = {}, issues = []) {
     super(message);
     this.name = 'BCRAValidationError';
     this.fieldErrors = fieldErrors;
+    this.issues = issues;
 
     // Maintains proper stack trace for where error was thrown (V8 only)
     if (Error.captureStackTrace) {
@@ -51,6 +55,7 @@ export class BCRAValidationError extends Error {
       name: this.name,
       message: this.message,
       fieldErrors: this.fieldErrors,
+      issues: this.issues,
       stack: this.stack,
     };
   }
@@ -151,6 +156,12 @@ const USER_FRIENDLY_MESSAGES = {
     'The future age must be greater than the current age.',
   'projectionEndAge must be greater than initialAge':
     'The future age must be greater than the current age.',
+  'Initial age must be between 20 and 89 years':
+    'Age must be between 20 and 89 years for risk calculation.',
+  'Projection end age must be greater than initial age':
+    'The future age must be greater than the current age.',
+  'Projection end age must be 90 years or less':
+    'The future age must be 90 or less.',
 
   // Race validation errors
   'Invalid race code': 'Please select a valid race/ethnicity option.',
@@ -174,6 +185,10 @@ const USER_FRIENDLY_MESSAGES = {
     'If you have not had breast biopsies, please select "Unknown/Not Applicable" for atypical hyperplasia.',
   'Consistency error: If biopsies performed, atypical hyperplasia must be 0 (no), 1 (yes), or 99':
     'Please indicate whether atypical hyperplasia was found in your biopsy.',
+  'Consistency error: If no biopsies, atypical hyperplasia must be not applicable (99)':
+    'If you have not had breast biopsies, please select "Unknown/Not Applicable" for atypical hyperplasia.',
+  'Consistency error: If biopsies performed, atypical hyperplasia must be 0, 1, or 99':
+    'Please indicate whether atypical hyperplasia was found in your biopsy.',
 
   // Missing field errors
   'Missing required field': 'Please fill in all required fields.',
@@ -187,13 +202,58 @@ const USER_FRIENDLY_MESSAGES = {
   'cannot be negative': 'Value cannot be negative.',
 };
 
+/**
+ * User-friendly messages by validation code.
+ *
+ * Used by createUserFriendlyError() for structured validation issues, which
+ * need no message matching.
+ *
+ * @constant
+ * @private
+ */
+const USER_FRIENDLY_MESSAGES_BY_CODE = {
+  MISSING_FIELD: 'Please fill in all required fields.',
+  EMPTY_FIELD: 'This field is required.',
+  NOT_A_NUMBER: 'Please enter a valid number.',
+  NOT_FINITE: 'Please enter a valid number.',
+  INVALID_BREAST_DENSITY:
+    'Please select a breast density category (a, b, c or d).',
+  INITIAL_AGE_OUT_OF_RANGE:
+    'Age must be between 20 and 89 years for risk calculation.',
+  PROJECTION_END_AGE_ABOVE_MAXIMUM: 'The future age must be 90 or less.',
+  PROJECTION_END_AGE_NOT_AFTER_INITIAL_AGE:
+    'The future age must be greater than the current age.',
+  PROJECTION_START_AGE_BEFORE_INITIAL_AGE:
+    'The start of the projection cannot be before the current age.',
+  PROJECTION_END_AGE_NOT_AFTER_START_AGE:
+    'The future age must be greater than the start of the projection.',
+  INVALID_RACE: 'Please select a valid race/ethnicity option.',
+  HYPERPLASIA_WITHOUT_BIOPSY:
+    'If you have not had breast biopsies, please select "Unknown/Not Applicable" for atypical hyperplasia.',
+  INVALID_HYPERPLASIA:
+    'Please indicate whether atypical hyperplasia was found in your biopsy.',
+  INVALID_BIOPSY_COUNT: 'Please enter a valid number of breast biopsies.',
+  AGE_MENARCHE_AFTER_INITIAL_AGE:
+    'Age at first menstrual period cannot be greater than current age.',
+  INVALID_AGE_MENARCHE: 'Please enter a valid age at first menstrual period.',
+  AGE_FIRST_BIRTH_BEFORE_MENARCHE:
+    'Age at first birth must be after age at first menstrual period.',
+  AGE_FIRST_BIRTH_AFTER_INITIAL_AGE:
+    'Age at first birth cannot be greater than current age.',
+  INVALID_AGE_FIRST_BIRTH: 'Please enter a valid age at first birth.',
+  INVALID_RELATIVES_COUNT:
+    'Please enter a valid number of relatives with breast cancer.',
+  BREAST_DENSITY_REQUIRED: 'Please select a breast density category.',
+};
+
 /**
  * Creates a user-friendly error message from a technical error message.
  *
- * Attempts to map technical error messages to user-friendly alternatives.
- * Falls back to the original message if no mapping is found.
+ * A structured validation issue is mapped by its code. A message string is
+ * mapped to a user-friendly alternative by matching the message text. Falls
+ * back to the original message if no mapping is found.
  *
- * @param {string} error - Technical error message
+ * @param {string|import('../types/index.js').ValidationIssue} error - Technical error message or validation issue
  * @returns {string} User-friendly error message
  *
  * @example
@@ -209,6 +269,10 @@ const USER_FRIENDLY_MESSAGES = {
  * // "Some unexpected error" (falls back to original)
  */
 export function createUserFriendlyError(error) {
+  if (error && typeof error === 'object') {
+    return USER_FRIENDLY_MESSAGES_BY_CODE[error.code] || error.message;
+  }
+
   // Direct match
   if (error in USER_FRIENDLY_MESSAGES) {
     return USER_FRIENDLY_MESSAGES[error];
@@ -232,7 +296,8 @@ export function createUserFriendlyError(error) {
  *
  * Maps each error in the array through createUserFriendlyError().
  *
- * @param {string[]} errors - Array of technical error messages
+ * @param {Array<string|import('../types/index.js').ValidationIssue>} errors - Technical error messages or
+ *   validation issues
  * @returns {string[]} Array of user-friendly error messages
  *
  * @example
@@ -290,3 +355,160 @@ export function createValidationResult(errors, warnings = [], metadata = {}) {
     ...metadata,
   };
 }
+
+/**
+ * Creates a structured validation error or warning.
+ *
+ * @param {string} code - Stable ValidationCode
+ * @param {string} message - Default English message
+ * @param {string[]} [fields=[]] - Offending fields
+ * @param {Object.<string, *>} [values={}] - Offending values by field
+ * @returns {import('../types/index.js').ValidationIssue} Validation issue
+ *
+ * @example
+ * createValidationIssue(
+ *   ValidationCode.INVALID_RACE,
+ *   'Invalid race code. Must be between 1 and 11',
+ *   ['race'],
+ *   { race: 12 }
+ * );
+ */
+export function createValidationIssue(code, message, fields = [], values = {}) {
+  return { code, fields, values, message };
+}
+
+/**
+ * Records an error on a validation result.
+ *
+ * Pushes the message onto `errors` and the issue onto `errorDetails`, so the
+ * two lists stay aligned.
+ *
+ * @param {Object} validation - Validation result to update
+ * @param {string} code - Stable ValidationCode
+ * @param {string} message - Default English message
+ * @param {string[]} [fields=[]] - Offending fields
+ * @param {Object.<string, *>} [values={}] - Offending values by field
+ * @returns {import('../types/index.js').ValidationIssue} The recorded issue
+ *
+ * @example
+ * addValidationError(result.validation, ValidationCode.INVALID_OPTION,
+ *   'Step must be a positive number of years', ['step'], { step });
+ */
+export function addValidationError(
+  validation,
+  code,
+  message,
+  fields = [],
+  values = {}
+) {
+  const issue = createValidationIssue(code, message, fields, values);
+  validation.errors.push(message);
+  if (!validation.errorDetails) {
+    validation.errorDetails = [];
+  }
+  validation.errorDetails.push(issue);
+  return issue;
+}
+
+/**
+ * Records a warning on a validation result.
+ *
+ * Pushes the message onto `warnings` and the issue onto `warningDetails`.
+ *
+ * @param {Object} validation - Validation result to update
+ * @param {string} code - Stable ValidationCode
+ * @param {string} message - Default English message
+ * @param {string[]} [fields=[]] - Offending fields
+ * @param {Object.<string, *>} [values={}] - Offending values by field
+ * @returns {import('../types/index.js').ValidationIssue} The recorded issue
+ */
+export function addValidationWarning(
+  validation,
+  code,
+  message,
+  fields = [],
+  values = {}
+) {
+  const issue = createValidationIssue(code, message, fields, values);
+  validation.warnings.push(message);
+  if (!validation.warningDetails) {
+    validation.warningDetails = [];
+  }
+  validation.warningDetails.push(issue);
+  return issue;
+}
+
+/**
+ * Copies the errors and warnings of one validation result onto another.
+ *
+ * @param {Object} target - Validation result to update
+ * @param {Object} source - Validation result to copy from
+ * @param {string} [prefix=''] - Text put in front of each copied message, e.g. 'Baseline: '
+ * @returns {void}
+ */
+export function copyValidationIssues(target, source, prefix = '') {
+  const copy = (issues, add) => {
+    for (const { code, fields, values, message } of issues || []) {
+      add(target, code, `${prefix}${message}`, fields, values);
+    }
+  };
+  copy(source.errorDetails, addValidationError);
+  copy(source.warningDetails, addValidationWarning);
+}
+
+/**
+ * Validation codes that mean the calculation itself failed rather than the
+ * input.
+ *
+ * @constant
+ * @private
+ */
+const CALCULATION_FAILURE_CODES = new Set([
+  ValidationCode.CALCULATION_FAILED,
+  ValidationCode.UNEXPECTED_ERROR,
+]);
+
+/**
+ * Creates a typed error from a failed calculation result.
+ *
+ * Input and option errors give a BCRAValidationError whose `fieldErrors` map
+ * each offending field to its messages and whose `issues` hold the
+ * structured errors. A failed or crashed calculation gives a
+ * BCRACalculationError whose `details` hold the structured errors and, for
+ * an unexpected exception, its message and stack as `cause`.
+ *
+ * @param {Object} result - Failed result, e.g. from calculateRisk()
+ * @returns {BCRAValidationError|BCRACalculationError} Error describing the failure
+ *
+ * @example
+ * const result = calculateRisk(profile);
+ * if (!result.success) {
+ *   throw createErrorFromResult(result);
+ * }
+ */
+export function createErrorFromResult(result) {
+  const { errors = [], errorDetails = [] } = result.validation || {};
+  const message =
+    errors.length > 0 ? errors.join('; ') : 'Risk calculation failed';
+
+  if (
+    result.error ||
+    errorDetails.some(({ code }) => CALCULATION_FAILURE_CODES.has(code))
+  ) {
+    return new BCRACalculationError(message, {
+      issues: errorDetails,
+      cause: result.error || null,
+    });
+  }
+
+  const fieldErrors = {};
+  for (const issue of errorDetails) {
+    for (const field of issue.fields) {
+      if (!fieldErrors[field]) {
+        fieldErrors[field] = [];
+      }
+      fieldErrors[field].push(issue.message);
+    }
+  }
+  return new BCRAValidationError(message, fieldErrors, errorDetails);
+}
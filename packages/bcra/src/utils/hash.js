@@ -0,0 +1,168 @@
+/**
+ * Hashing utilities for BCRA
+ *
+ * This module provides a canonical JSON serialization and a SHA-256 digest,
+ * used to fingerprint the inputs and parameter tables behind a result. The
+ * digest is implemented here rather than taken from Web Crypto, whose digest
+ * is asynchronous, so calculations stay synchronous and dependency-free.
+ *
+ * @module utils/hash
+ */
+
+// SHA-256 round constants: first 32 bits of the fractional parts of the cube
+// roots of the first 64 primes
+const ROUND_CONSTANTS = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1,
+  0x923f82a4, 0xab1c5ed5, 0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3,
+  0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174, 0xe49b69c1, 0xefbe4786,
+  0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147,
+  0x06ca6351, 0x14292967, 0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13,
+  0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85, 0xa2bfe8a1, 0xa81a664b,
+  0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a,
+  0x5b9cca4f, 0x682e6ff3, 0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208,
+  0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+// Initial hash values: first 32 bits of the fractional parts of the square
+// roots of the first 8 primes
+const INITIAL_HASH = [
+  0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c,
+  0x1f83d9ab, 0x5be0cd19,
+];
+
+// UTF-8 encoder shared by every digest
+const encoder = new TextEncoder();
+
+/**
+ * Serializes a value to canonical JSON
+ *
+ * Object keys are sorted, so objects with the same entries give the same
+ * string whatever order their keys were set in. Otherwise the output follows
+ * JSON.stringify(): undefined and function properties are left out, and
+ * non-finite numbers become null. -0 is written as 0.
+ *
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Canonical JSON
+ *
+ * @example
+ * canonicalize({ b: [1, 2], a: 'x' }); // '{"a":"x","b":[1,2]}'
+ */
+export function canonicalize(value) {
+  if (value === null || typeof value !== 'object') {
+    const json = JSON.stringify(value);
+    return json === undefined ? 'null' : json;
+  }
+
+  if (typeof value.toJSON === 'function') {
+    return canonicalize(value.toJSON());
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => canonicalize(item)).join(',')}]`;
+  }
+
+  const entries = Object.keys(value)
+    .sort()
+    .filter(
+      (key) => value[key] !== undefined && typeof value[key] !== 'function'
+    )
+    .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+  return `{${entries.join(',')}}`;
+}
+
+/**
+ * Calculates the SHA-256 digest of a string
+ *
+ * The string is encoded as UTF-8 before hashing (FIPS 180-4).
+ *
+ * @param {string} text - Text to hash
+ * @returns {string} Digest as 64 lowercase hexadecimal characters
+ *
+ * @example
+ * sha256('abc');
+ * // 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+ */
+export function sha256(text) {
+  const bytes = encoder.encode(text);
+
+  // Pad to a multiple of 64 bytes: 0x80, zeros, then the bit length
+  const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+  const message = new Uint8Array(paddedLength);
+  message.set(bytes);
+  message[bytes.length] = 0x80;
+  const view = new DataView(message.buffer);
+  const bitLength = bytes.length * 8;
+  view.setUint32(paddedLength - 8, Math.floor(bitLength / 0x100000000));
+  view.setUint32(paddedLength - 4, bitLength >>> 0);
+
+  const hash = [...INITIAL_HASH];
+  const schedule = new Uint32Array(64);
+
+  for (let offset = 0; offset < paddedLength; offset += 64) {
+    for (let t = 0; t < 16; t++) {
+      schedule[t] = view.getUint32(offset + t * 4);
+    }
+    for (let t = 16; t < 64; t++) {
+      const w15 = schedule[t - 15];
+      const w2 = schedule[t - 2];
+      const sigma0 = rotateRight(w15, 7) ^ rotateRight(w15, 18) ^ (w15 >>> 3);
+      const sigma1 = rotateRight(w2, 17) ^ rotateRight(w2, 19) ^ (w2 >>> 10);
+      schedule[t] = (schedule[t - 16] + sigma0 + schedule[t - 7] + sigma1) | 0;
+    }
+
+    let [a, b, c, d, e, f, g, h] = hash;
+    for (let t = 0; t < 64; t++) {
+      const sum1 = rotateRight(e, 6) ^ rotateRight(e, 11) ^ rotateRight(e, 25);
+      const choice = (e & f) ^ (~e & g);
+      const temp1 = (h + sum1 + choice + ROUND_CONSTANTS[t] + schedule[t]) | 0;
+      const sum0 = rotateRight(a, 2) ^ rotateRight(a, 13) ^ rotateRight(a, 22);
+      const majority = (a & b) ^ (a & c) ^ (b & c);
+      const temp2 = (sum0 + majority) | 0;
+
+      h = g;
+      g = f;
+      f = e;
+      e = (d + temp1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (temp1 + temp2) | 0;
+    }
+
+    [a, b, c, d, e, f, g, h].forEach((value, i) => {
+      hash[i] = (hash[i] + value) | 0;
+    });
+  }
+
+  return hash
+    .map((value) => (value >>> 0).toString(16).padStart(8, '0'))
+    .join('');
+}
+
+/**
+ * Calculates the SHA-256 digest of a value's canonical JSON
+ *
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Digest as 64 lowercase hexadecimal characters
+ *
+ * @example
+ * hashCanonical({ a: 1, b: 2 }) === hashCanonical({ b: 2, a: 1 }); // true
+ */
+export function hashCanonical(value) {
+  return sha256(canonicalize(value));
+}
+
+/**
+ * Rotates a 32-bit word right
+ *
+ * @param {number} value - 32-bit word
+ * @param {number} bits - Bits to rotate by (1-31)
+ * @returns {number} Rotated word
+ *
+ * @private
+ */
+function rotateRight(value, bits) {
+  return (value >>> bits) | (value << (32 - bits));
+}
@@ -0,0 +1,180 @@
+/**
+ * Statistical utilities for BCRA
+ *
+ * This module provides the small numerical helpers needed for uncertainty
+ * quantification: a seeded pseudo-random number generator, standard normal
+ * draws and quantiles, Cholesky factorization and empirical quantiles. They
+ * are dependency-free so the library keeps running entirely in the browser.
+ *
+ * @module utils/statistics
+ */
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32).
+ *
+ * The same seed always produces the same sequence, which makes Monte Carlo
+ * results reproducible across runs and platforms.
+ *
+ * @param {number} seed - Integer seed
+ * @returns {function(): number} Function returning uniform draws in [0, 1)
+ *
+ * @example
+ * const random = createSeededRandom(42);
+ * random(); // 0.6011037519201636 (always, for seed 42)
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Draws a standard normal variate using the Box-Muller transform.
+ *
+ * @param {function(): number} random - Uniform random number generator
+ * @returns {number} Draw from N(0, 1)
+ */
+export function standardNormal(random) {
+  // Avoid log(0) by drawing u1 from (0, 1]
+  const u1 = 1 - random();
+  const u2 = random();
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+/**
+ * Inverse of the standard normal cumulative distribution function.
+ *
+ * Uses Acklam's rational approximation (relative error below 1.15e-9).
+ *
+ * @param {number} p - Probability in (0, 1)
+ * @returns {number} z such that P(Z <= z) = p
+ *
+ * @example
+ * normalQuantile(0.975); // 1.959963986120195
+ */
+export function normalQuantile(p) {
+  if (!(p > 0 && p < 1)) {
+    throw new RangeError('Probability must be between 0 and 1 (exclusive)');
+  }
+
+  const a = [
+    -3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2,
+    1.38357751867269e2, -3.066479806614716e1, 2.506628277459239,
+  ];
+  const b = [
+    -5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2,
+    6.680131188771972e1, -1.328068155288572e1,
+  ];
+  const c = [
+    -7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838,
+    -2.549732539343734, 4.374664141464968, 2.938163982698783,
+  ];
+  const d = [
+    7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996,
+    3.754408661907416,
+  ];
+
+  const pLow = 0.02425;
+  const pHigh = 1 - pLow;
+
+  if (p < pLow) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (
+      (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1)
+    );
+  }
+
+  if (p > pHigh) {
+    const q = Math.sqrt(-2 * Math.log(1 - p));
+    return -(
+      (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1)
+    );
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (
+    ((((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) *
+      q) /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1)
+  );
+}
+
+/**
+ * Computes the lower-triangular Cholesky factor L of a covariance matrix (Σ = L·Lᵀ).
+ *
+ * Rows and columns with zero variance (coefficients fixed at their point
+ * estimate, such as terms not in a race-specific model) are allowed and give
+ * zero columns in L.
+ *
+ * @param {number[][]} matrix - Symmetric positive semi-definite matrix
+ * @returns {number[][]|null} Lower-triangular factor, or null if the matrix is not positive semi-definite
+ */
+export function choleskyDecomposition(matrix) {
+  const n = matrix.length;
+  const lower = Array.from({ length: n }, () => new Array(n).fill(0));
+  const tolerance = 1e-12;
+
+  for (let j = 0; j < n; j++) {
+    let diagonal = matrix[j][j];
+    for (let k = 0; k < j; k++) {
+      diagonal -= lower[j][k] * lower[j][k];
+    }
+
+    if (diagonal < -tolerance) {
+      return null;
+    }
+
+    if (diagonal <= tolerance) {
+      // Degenerate direction: the remaining entries of this column must vanish
+      for (let i = j + 1; i < n; i++) {
+        let offDiagonal = matrix[i][j];
+        for (let k = 0; k < j; k++) {
+          offDiagonal -= lower[i][k] * lower[j][k];
+        }
+        if (Math.abs(offDiagonal) > 1e-9) {
+          return null;
+        }
+      }
+      continue;
+    }
+
+    lower[j][j] = Math.sqrt(diagonal);
+    for (let i = j + 1; i < n; i++) {
+      let offDiagonal = matrix[i][j];
+      for (let k = 0; k < j; k++) {
+        offDiagonal -= lower[i][k] * lower[j][k];
+      }
+      lower[i][j] = offDiagonal / lower[j][j];
+    }
+  }
+
+  return lower;
+}
+
+/**
+ * Computes an empirical quantile using linear interpolation (R type 7).
+ *
+ * @param {number[]} sortedValues - Values sorted in ascending order
+ * @param {number} p - Probability in [0, 1]
+ * @returns {number} Interpolated quantile
+ */
+export function empiricalQuantile(sortedValues, p) {
+  const position = (sortedValues.length - 1) * p;
+  const lowerIndex = Math.floor(position);
+  const upperIndex = Math.ceil(position);
+  const fraction = position - lowerIndex;
+
+  return (
+    sortedValues[lowerIndex] +
+    (sortedValues[upperIndex] - sortedValues[lowerIndex]) * fraction
+  );
+}
@@ -10,7 +10,70 @@
  */
 
 import { MIN_AGE, MAX_AGE } from '../constants/index.js';
-import { SpecialValues } from '../types/index.js';
+import {
+  SpecialValues,
+  BreastDensity,
+  ValidationCode,
+  ValidationProfile,
+} from '../types/index.js';
+import { addValidationError } from './error-handler.js';
+
+/**
+ * Checks applied by each validation profile
+ *
+ * - coerceStrings: numeric strings are converted to numbers
+ * - integerCounts: biopsy and relative counts must be whole numbers
+ * - unknowns: unknown (99) answers are allowed ('allow'), allowed and each
+ *   reported ('report') or rejected ('reject')
+ * - collectAllErrors: domain errors are reported even when the structure
+ *   checks fail
+ *
+ * @constant
+ * @private
+ */
+const VALIDATION_PROFILES = {
+  [ValidationProfile.STRICT]: Object.freeze({
+    name: ValidationProfile.STRICT,
+    coerceStrings: false,
+    integerCounts: true,
+    unknowns: 'reject',
+    collectAllErrors: true,
+  }),
+  [ValidationProfile.LENIENT]: Object.freeze({
+    name: ValidationProfile.LENIENT,
+    coerceStrings: true,
+    integerCounts: false,
+    unknowns: 'allow',
+    collectAllErrors: false,
+  }),
+  [ValidationProfile.CLINICAL]: Object.freeze({
+    name: ValidationProfile.CLINICAL,
+    coerceStrings: false,
+    integerCounts: true,
+    unknowns: 'report',
+    collectAllErrors: false,
+  }),
+};
+
+/**
+ * Resolves a validation profile name to the checks it applies.
+ *
+ * @param {string} [name='lenient'] - Validation profile (see ValidationProfile)
+ * @returns {{profile: Object|null, error: string|null}} The profile's checks, or an error message
+ *
+ * @example
+ * const { profile } = resolveValidationProfile('strict');
+ * // profile.coerceStrings === false
+ */
+export function resolveValidationProfile(name = ValidationProfile.LENIENT) {
+  if (typeof name !== 'string' || !Object.hasOwn(VALIDATION_PROFILES, name)) {
+    return {
+      profile: null,
+      error: `Validation profile must be one of ${Object.values(ValidationProfile).join(', ')}`,
+    };
+  }
+  return { profile: VALIDATION_PROFILES[name], error: null };
+}
 
 /**
  * Validates the structure and types of risk factor data.
@@ -20,9 +83,16 @@ import { SpecialValues } from '../types/index.js';
  * be performed before domain-specific validation in recode-check.js.
  *
  * @param {Object} data - Risk factor data to validate
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.coerceStrings=true] - Accept numeric strings in numeric fields. With false,
+ *   numeric fields must hold numbers (the strict and clinical validation profiles).
+ * @param {boolean} [options.rawInput=true] - Whether the risk factors are raw. Pre-recoded input that
+ *   gives a hyperplasiaMultiplier may leave out atypicalHyperplasia.
  * @returns {Object} Validation result with valid flag and error messages
  * @returns {boolean} returns.valid - True if all checks pass
  * @returns {string[]} returns.errors - Array of error messages
+ * @returns {import('../types/index.js').ValidationIssue[]} returns.errorDetails - The errors with their codes,
+ *   fields and values
  *
  * @example
  * const result = validateRiskFactorDataStructure({
@@ -34,13 +104,19 @@ import { SpecialValues } from '../types/index.js';
  *   console.error(result.errors);
  * }
  */
-export function validateRiskFactorDataStructure(data) {
-  const errors = [];
+export function validateRiskFactorDataStructure(data, options = {}) {
+  const { coerceStrings = true, rawInput = true } = options;
+  const validation = { errors: [], errorDetails: [] };
+  const { errors, errorDetails } = validation;
 
   // Check if data is an object
   if (!data || typeof data !== 'object') {
-    errors.push('Risk factor data must be a non-null object');
-    return { valid: false, errors };
+    addValidationError(
+      validation,
+      ValidationCode.INVALID_DATA,
+      'Risk factor data must be a non-null object'
+    );
+    return { valid: false, errors, errorDetails };
   }
 
   // Define required fields
@@ -56,16 +132,28 @@ export function validateRiskFactorDataStructure(data) {
     'atypicalHyperplasia',
   ];
 
+  // A pre-recoded multiplier can stand in for the hyperplasia status
+  const multiplierGiven =
+    !rawInput &&
+    data.hyperplasiaMultiplier !== null &&
+    data.hyperplasiaMultiplier !== undefined;
+  const optionalFields = multiplierGiven ? ['atypicalHyperplasia'] : [];
+
   // Check for missing fields
   for (const field of requiredFields) {
-    if (!(field in data)) {
-      errors.push(`Missing required field: ${field}`);
+    if (!(field in data) && !optionalFields.includes(field)) {
+      addValidationError(
+        validation,
+        ValidationCode.MISSING_FIELD,
+        `Missing required field: ${field}`,
+        [field]
+      );
     }
   }
 
   // If missing required fields, return early
   if (errors.length > 0) {
-    return { valid: false, errors };
+    return { valid: false, errors, errorDetails };
   }
 
   // Define numeric fields (all except id which can be string or number)
@@ -78,7 +166,7 @@ export function validateRiskFactorDataStructure(data) {
     'ageAtFirstBirth',
     'numRelativesWithBrCa',
     'atypicalHyperplasia',
-  ];
+  ].filter((field) => !optionalFields.includes(field));
 
   // Type checking for numeric fields
   for (const field of numericFields) {
@@ -86,26 +174,89 @@ export function validateRiskFactorDataStructure(data) {
 
     // Check if value is present
     if (value === null || value === undefined) {
-      errors.push(`${field} cannot be null or undefined`);
+      addValidationError(
+        validation,
+        ValidationCode.EMPTY_FIELD,
+        `${field} cannot be null or undefined`,
+        [field],
+        { [field]: value }
+      );
       continue;
     }
 
     // Check if value is numeric or can be converted to number
     const numValue = Number(value);
-    if (isNaN(numValue)) {
-      errors.push(`${field} must be a number (got ${typeof value})`);
+    if (isNaN(numValue) || (!coerceStrings && typeof value !== 'number')) {
+      addValidationError(
+        validation,
+        ValidationCode.NOT_A_NUMBER,
+        `${field} must be a number (got ${typeof value})`,
+        [field],
+        { [field]: value }
+      );
       continue;
     }
 
     // Check for Infinity
     if (!isFinite(numValue)) {
-      errors.push(`${field} must be a finite number`);
+      addValidationError(
+        validation,
+        ValidationCode.NOT_FINITE,
+        `${field} must be a finite number`,
+        [field],
+        { [field]: value }
+      );
+    }
+  }
+
+  // Optional numeric fields are checked only when a value is given
+  const optionalNumericFields = ['projectionStartAge', ...optionalFields];
+  for (const field of optionalNumericFields) {
+    const value = data[field];
+    if (value === null || value === undefined) {
+      continue;
+    }
+
+    const numValue = Number(value);
+    if (isNaN(numValue) || (!coerceStrings && typeof value !== 'number')) {
+      addValidationError(
+        validation,
+        ValidationCode.NOT_A_NUMBER,
+        `${field} must be a number (got ${typeof value})`,
+        [field],
+        { [field]: value }
+      );
+    } else if (!isFinite(numValue)) {
+      addValidationError(
+        validation,
+        ValidationCode.NOT_FINITE,
+        `${field} must be a finite number`,
+        [field],
+        { [field]: value }
+      );
     }
   }
 
+  // Breast density is an optional BI-RADS category
+  const { breastDensity } = data;
+  if (
+    breastDensity !== null &&
+    breastDensity !== undefined &&
+    !Object.values(BreastDensity).includes(breastDensity)
+  ) {
+    addValidationError(
+      validation,
+      ValidationCode.INVALID_BREAST_DENSITY,
+      `breastDensity must be a BI-RADS density category (${Object.values(BreastDensity).join(', ')})`,
+      ['breastDensity'],
+      { breastDensity }
+    );
+  }
+
   return {
     valid: errors.length === 0,
     errors,
+    errorDetails,
   };
 }
 
@@ -211,6 +362,7 @@ export function sanitizeRiskFactorData(data) {
   // Define numeric fields (all except id)
   const numericFields = [
     'initialAge',
+    'projectionStartAge',
     'projectionEndAge',
     'race',
     'numBreastBiopsies',
@@ -243,12 +395,43 @@ export function sanitizeRiskFactorData(data) {
     }
   }
 
+  // Accept BI-RADS density categories in either case, e.g. 'C' from a form
+  if (typeof sanitized.breastDensity === 'string') {
+    sanitized.breastDensity = sanitized.breastDensity.trim().toLowerCase();
+  }
+
   // Preserve id as-is (can be string or number)
   // No conversion needed
 
   return sanitized;
 }
 
+/**
+ * Sanitizes risk factor data as a calculation with the given options does.
+ *
+ * Raw input is sanitized (see sanitizeRiskFactorData) unless the validation
+ * profile rejects numeric strings; pre-recoded input is used as given.
+ *
+ * @param {Object} data - Risk factor data
+ * @param {Object} [options] - Calculation options
+ * @param {boolean} [options.rawInput=true] - Whether the risk factors are raw
+ * @param {string} [options.validationProfile='lenient'] - Validation profile (see ValidationProfile)
+ * @returns {Object} The sanitized copy, or data itself when it is not sanitized
+ *
+ * @example
+ * sanitizeCalculationInput({ initialAge: '40' }).initialAge; // 40
+ * sanitizeCalculationInput({ initialAge: '40' }, { validationProfile: 'strict' })
+ *   .initialAge; // '40'
+ */
+export function sanitizeCalculationInput(data, options = {}) {
+  const { rawInput = true, validationProfile = ValidationProfile.LENIENT } =
+    options;
+  const { profile } = resolveValidationProfile(validationProfile);
+  return rawInput && (!profile || profile.coerceStrings)
+    ? sanitizeRiskFactorData(data)
+    : data;
+}
+
 /**
  * Validates a race code value.
  *
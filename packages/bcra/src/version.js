@@ -0,0 +1,31 @@
+/**
+ * Library version
+ *
+ * Kept in its own module so calculation results can record the version that
+ * produced them without importing the package entry point.
+ *
+ * Copyright (C) 2025 epiVerse (JavaScript Implementation)
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ *
+ * @module version
+ * @license GPL-3.0-or-later
+ */
+
+/**
+ * Library version, matching package.json
+ * @type {string}
+ * @constant
+ */
+export const VERSION = '1.0.1';
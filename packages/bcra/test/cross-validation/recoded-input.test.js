@@ -0,0 +1,82 @@
+/**
+ * Cross-Validation Tests: Pre-Recoded Input
+ *
+ * Validates the rawInput: false path (R's Raw_Ind = 0) against the R package.
+ * Every valid R reference case is fed back as R's own recoded categories
+ * (NB_Cat, AM_Cat, AF_Cat, NR_Cat) with the raw hyperplasia status; the
+ * relative and absolute risks must match R's results for the raw input.
+ *
+ * Test Coverage:
+ * - All race-specific category schemes (e.g. first birth 0-2 for Hispanic women)
+ * - Hyperplasia multipliers from the status (0.93, 1.00, 1.82)
+ * - Age edge cases, pattern numbers and special values
+ *
+ * Tolerance: ±0.01% for absolute risk, ±0.001 for relative risk
+ */
+
+import { describe, it, expect } from 'vitest';
+import { calculateRisk } from '../../src/index.js';
+import {
+  rToJsInput,
+  rToJsRecodedInput,
+  compareResults,
+  formatComparisonReport,
+  makeTestName,
+  filterByValidation,
+  groupBy,
+} from '../utils/comparison-helpers.js';
+
+// Load R reference data
+import ageReferenceData from '../fixtures/r-reference/age-edge-cases.json';
+import numericalReferenceData from '../fixtures/r-reference/numerical-accuracy.json';
+import patternReferenceData from '../fixtures/r-reference/pattern-numbers.json';
+import raceReferenceData from '../fixtures/r-reference/race-specific.json';
+import specialReferenceData from '../fixtures/r-reference/special-values.json';
+
+const fixtures = {
+  'age-edge-cases': ageReferenceData,
+  'numerical-accuracy': numericalReferenceData,
+  'pattern-numbers': patternReferenceData,
+  'race-specific': raceReferenceData,
+  'special-values': specialReferenceData,
+};
+
+describe('Cross-Validation: Pre-Recoded Input', () => {
+  describe('Test data validation', () => {
+    it('should cover every race and hyperplasia multiplier', () => {
+      const validCases = Object.values(fixtures).flatMap((data) =>
+        filterByValidation(data, true)
+      );
+
+      expect(Object.keys(groupBy(validCases, 'Race'))).toHaveLength(11);
+      expect(Object.keys(groupBy(validCases, 'R_Hyp')).sort()).toEqual([
+        '0.93',
+        '1',
+        '1.82',
+      ]);
+    });
+  });
+
+  Object.entries(fixtures).forEach(([name, data]) => {
+    describe(name, () => {
+      filterByValidation(data, true).forEach((rCase) => {
+        it(makeTestName(rCase), () => {
+          const jsResult = calculateRisk(rToJsRecodedInput(rCase), {
+            rawInput: false,
+          });
+
+          const comparison = compareResults(jsResult, rCase);
+
+          if (!comparison.pass) {
+            console.error(formatComparisonReport(comparison));
+          }
+
+          expect(comparison.pass).toBe(true);
+          expect(jsResult.recodedValues).toEqual(
+            calculateRisk(rToJsInput(rCase)).recodedValues
+          );
+        });
+      });
+    });
+  });
+});
@@ -1,9 +1,17 @@
 import { describe, it, expect } from 'vitest';
 import {
   calculateRisk,
+  calculateRiskOrThrow,
   calculateBatchRisk,
+  calculateRiskTrajectory,
+  findAgeAtRiskThreshold,
 } from '../../src/core/risk-calculator.js';
-import { RaceCode } from '../../src/types/index.js';
+import { compareProvenance } from '../../src/core/provenance.js';
+import { getModel } from '../../src/core/model-registry.js';
+import { RaceCode, ValidationCode } from '../../src/types/index.js';
+import { BCRAValidationError } from '../../src/utils/error-handler.js';
+import { hashCanonical } from '../../src/utils/hash.js';
+import { VERSION } from '../../src/version.js';
 
 /**
  * Integration tests for end-to-end breast cancer risk calculation
@@ -572,6 +580,77 @@ describe('End-to-end risk calculation', () => {
     });
   });
 
+  describe('Throwing on error', () => {
+    const individual = {
+      id: 27,
+      initialAge: 45,
+      projectionEndAge: 50,
+      race: RaceCode.WHITE,
+      numBreastBiopsies: 0,
+      ageAtMenarche: 12,
+      ageAtFirstBirth: 25,
+      numRelativesWithBrCa: 0,
+      atypicalHyperplasia: 99,
+    };
+
+    it('should return the usual result when the calculation succeeds', () => {
+      expect(calculateRiskOrThrow(individual)).toEqual(
+        calculateRisk(individual)
+      );
+    });
+
+    const catchError = (fn) => {
+      try {
+        fn();
+      } catch (error) {
+        return error;
+      }
+      return null;
+    };
+
+    it('should throw a BCRAValidationError with field details', () => {
+      const thrown = catchError(() =>
+        calculateRiskOrThrow({
+          ...individual,
+          projectionEndAge: 40,
+          atypicalHyperplasia: 1,
+        })
+      );
+
+      expect(thrown).toBeInstanceOf(BCRAValidationError);
+      expect(thrown.message).toBe(
+        'Projection end age must be greater than initial age; ' +
+          'Consistency error: If no biopsies, atypical hyperplasia must be not applicable (99)'
+      );
+      expect(thrown.fieldErrors.initialAge).toEqual([
+        'Projection end age must be greater than initial age',
+      ]);
+      expect(thrown.fieldErrors.numBreastBiopsies).toHaveLength(1);
+      expect(thrown.issues.map(({ code }) => code)).toEqual([
+        ValidationCode.PROJECTION_END_AGE_NOT_AFTER_INITIAL_AGE,
+        ValidationCode.HYPERPLASIA_WITHOUT_BIOPSY,
+      ]);
+    });
+
+    it('should report invalid options by option name', () => {
+      const thrown = catchError(() =>
+        calculateRisk(individual, { throwOnError: true, integration: 'x' })
+      );
+
+      expect(thrown).toBeInstanceOf(BCRAValidationError);
+      expect(Object.keys(thrown.fieldErrors)).toEqual(['integration']);
+    });
+
+    it('should throw from a batch only when asked', () => {
+      const batch = [individual, { ...individual, race: 99 }];
+
+      expect(calculateBatchRisk(batch)[1].success).toBe(false);
+      expect(() => calculateBatchRisk(batch, { throwOnError: true })).toThrow(
+        BCRAValidationError
+      );
+    });
+  });
+
   describe('Phase 4 - Pre-flight validation and sanitization', () => {
     describe('Missing fields detection', () => {
       it('should catch missing initialAge field', () => {
@@ -768,8 +847,8 @@ describe('End-to-end risk calculation', () => {
           projectionEndAge: 50,
           race: 1,
           numBreastBiopsies: 0,
-          ageAtMenarche: 12,
-          ageAtFirstBirth: 25,
+          ageAtMenarche: 1,
+          ageAtFirstBirth: 2,
           numRelativesWithBrCa: 0,
           atypicalHyperplasia: 99,
         };
@@ -779,6 +858,136 @@ describe('End-to-end risk calculation', () => {
         expect(result.success).toBe(true);
         expect(result.validation.isValid).toBe(true);
       });
+
+      it('should accept a hyperplasia multiplier without a status when rawInput=false', () => {
+        const individual = {
+          id: 110,
+          initialAge: 45,
+          projectionEndAge: 50,
+          race: 1,
+          numBreastBiopsies: 1,
+          ageAtMenarche: 1,
+          ageAtFirstBirth: 2,
+          numRelativesWithBrCa: 0,
+        };
+
+        const withMultiplier = calculateRisk(
+          { ...individual, hyperplasiaMultiplier: 1.82 },
+          { rawInput: false }
+        );
+        const withStatus = calculateRisk(
+          { ...individual, atypicalHyperplasia: 1 },
+          { rawInput: false }
+        );
+
+        expect(withMultiplier.success).toBe(true);
+        expect(withMultiplier.recodedValues.hyperplasiaMultiplier).toBe(1.82);
+        expect(withMultiplier.absoluteRisk).toBe(withStatus.absoluteRisk);
+      });
+    });
+  });
+
+  describe('Validation profiles', () => {
+    const individual = {
+      id: 'profile-1',
+      initialAge: 45,
+      projectionEndAge: 50,
+      race: RaceCode.WHITE,
+      numBreastBiopsies: 1,
+      ageAtMenarche: 12,
+      ageAtFirstBirth: 25,
+      numRelativesWithBrCa: 99,
+      atypicalHyperplasia: 0,
+    };
+
+    it('should give the same risk for valid data in every profile', () => {
+      const complete = { ...individual, numRelativesWithBrCa: 1 };
+      const lenient = calculateRisk(complete);
+
+      for (const validationProfile of ['strict', 'clinical']) {
+        const result = calculateRisk(complete, { validationProfile });
+        expect(result.success).toBe(true);
+        expect(result.absoluteRisk).toBe(lenient.absoluteRisk);
+      }
+    });
+
+    it('should not coerce strings under the strict profile', () => {
+      const result = calculateRisk(
+        { ...individual, initialAge: '45', numRelativesWithBrCa: '1' },
+        { validationProfile: 'strict' }
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.validation.errors).toEqual([
+        'initialAge must be a number (got string)',
+        'numRelativesWithBrCa must be a number (got string)',
+      ]);
+    });
+
+    it('should collect domain errors after structure errors under the strict profile', () => {
+      const result = calculateRisk(
+        {
+          ...individual,
+          initialAge: '45',
+          race: 12,
+          ageAtFirstBirth: 50,
+        },
+        { validationProfile: 'strict' }
+      );
+      const lenient = calculateRisk(
+        { ...individual, initialAge: 'forty-five', race: 12 },
+        { validationProfile: 'lenient' }
+      );
+
+      // The first birth after the initial age restates the initialAge error
+      expect(result.validation.errorDetails.map(({ code }) => code)).toEqual([
+        ValidationCode.NOT_A_NUMBER,
+        ValidationCode.INVALID_RACE,
+        ValidationCode.UNKNOWN_ANSWER,
+      ]);
+      expect(lenient.validation.errorDetails.map(({ code }) => code)).toEqual([
+        ValidationCode.NOT_A_NUMBER,
+      ]);
+    });
+
+    it('should report unknown answers as warnings under the clinical profile', () => {
+      const result = calculateRisk(individual, {
+        validationProfile: 'clinical',
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.validation.warningDetails[0]).toMatchObject({
+        code: ValidationCode.UNKNOWN_CODED_AS_LOWEST_RISK,
+        fields: ['numRelativesWithBrCa'],
+      });
+      expect(result.absoluteRisk).toBe(calculateRisk(individual).absoluteRisk);
+    });
+
+    it('should apply the profile to every individual of a batch', () => {
+      const results = calculateBatchRisk(
+        [individual, { ...individual, numRelativesWithBrCa: 1 }],
+        { validationProfile: 'strict' }
+      );
+
+      expect(results.map(({ success }) => success)).toEqual([false, true]);
+      expect(results[0].validation.errorDetails[0].code).toBe(
+        ValidationCode.UNKNOWN_ANSWER
+      );
+    });
+
+    it('should reject an unknown profile', () => {
+      const result = calculateRisk(individual, { validationProfile: 'loose' });
+
+      expect(result.success).toBe(false);
+      expect(result.validation.errorDetails).toEqual([
+        {
+          code: ValidationCode.INVALID_OPTION,
+          fields: ['validationProfile'],
+          values: { validationProfile: 'loose' },
+          message:
+            'Validation profile must be one of strict, lenient, clinical',
+        },
+      ]);
     });
   });
 
@@ -873,4 +1082,896 @@ describe('End-to-end risk calculation', () => {
       expect(results[1].absoluteRisk).toBeNull();
     });
   });
+
+  describe('Risk trajectory', () => {
+    const profile = {
+      id: 33,
+      initialAge: 35,
+      race: RaceCode.WHITE,
+      numBreastBiopsies: 2,
+      ageAtMenarche: 11,
+      ageAtFirstBirth: 98,
+      numRelativesWithBrCa: 1,
+      atypicalHyperplasia: 1,
+    };
+
+    it('should build individual and average trajectories up to age 90', () => {
+      const trajectory = calculateRiskTrajectory(profile);
+
+      expect(trajectory.success).toBe(true);
+      expect(trajectory.initialAge).toBe(35);
+      expect(trajectory.endAge).toBe(90);
+      expect(trajectory.individual).toHaveLength(55);
+      expect(trajectory.average).toHaveLength(55);
+      expect(trajectory.raceEthnicity).toBe('Non-Hispanic White');
+    });
+
+    it('should agree with calculateRisk at each age', () => {
+      const trajectory = calculateRiskTrajectory(profile);
+
+      for (const point of [
+        trajectory.individual[4],
+        trajectory.individual[54],
+      ]) {
+        const result = calculateRisk(
+          { ...profile, projectionEndAge: point.age },
+          { calculateAverage: true }
+        );
+        expect(point.cumulativeRisk).toBeCloseTo(result.absoluteRisk, 12);
+      }
+
+      const lifetime = calculateRisk(
+        { ...profile, projectionEndAge: 90 },
+        { calculateAverage: true }
+      );
+      expect(trajectory.average[54].cumulativeRisk).toBeCloseTo(
+        lifetime.averageRisk,
+        12
+      );
+    });
+
+    it('should honour endAge and calculateAverage options', () => {
+      const trajectory = calculateRiskTrajectory(profile, {
+        endAge: 50,
+        calculateAverage: false,
+      });
+
+      expect(trajectory.success).toBe(true);
+      expect(trajectory.individual).toHaveLength(15);
+      expect(trajectory.individual[14].age).toBe(50);
+      expect(trajectory.average).toBeNull();
+    });
+
+    it('should use the requested integration engine', () => {
+      const options = { integration: 'exact', integrationStep: 'day' };
+      const trajectory = calculateRiskTrajectory(profile, options);
+      const yearly = calculateRiskTrajectory(profile);
+
+      expect(trajectory.integration).toEqual({ engine: 'exact', step: 'day' });
+      expect(yearly.integration).toEqual({
+        engine: 'r-compatible',
+        step: null,
+      });
+      expect(trajectory.individual).toHaveLength(55);
+      expect(trajectory.individual[14].cumulativeRisk).toBeCloseTo(
+        calculateRisk({ ...profile, projectionEndAge: 50 }, options)
+          .absoluteRisk,
+        12
+      );
+      expect(trajectory.individual[14].cumulativeRisk).not.toBe(
+        yearly.individual[14].cumulativeRisk
+      );
+      expect(
+        calculateRiskTrajectory(profile, { integrationStep: 'month' })
+          .validation.errors
+      ).toEqual(["integrationStep requires integration: 'exact'"]);
+    });
+
+    it('should return validation errors without throwing', () => {
+      const trajectory = calculateRiskTrajectory({
+        ...profile,
+        initialAge: 15,
+      });
+
+      expect(trajectory.success).toBe(false);
+      expect(trajectory.individual).toBeNull();
+      expect(trajectory.validation.errors).toContain(
+        'Initial age must be between 20 and 89 years'
+      );
+    });
+  });
+
+  describe('Multiple horizons', () => {
+    const profile = {
+      id: 34,
+      initialAge: 42,
+      projectionEndAge: 47,
+      race: RaceCode.AFRICAN_AMERICAN,
+      numBreastBiopsies: 1,
+      ageAtMenarche: 12,
+      ageAtFirstBirth: 24,
+      numRelativesWithBrCa: 1,
+      atypicalHyperplasia: 0,
+    };
+
+    it('should match separate calculateRisk calls for each horizon', () => {
+      const result = calculateRisk(profile, {
+        calculateAverage: true,
+        horizons: [5, 10, { endAge: 90, label: 'lifetime' }],
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.horizons.map((h) => h.label)).toEqual([
+        '5-year',
+        '10-year',
+        'lifetime',
+      ]);
+      expect(result.horizons.map((h) => h.projectionEndAge)).toEqual([
+        47, 52, 90,
+      ]);
+
+      result.horizons.forEach((horizon) => {
+        const single = calculateRisk(
+          { ...profile, projectionEndAge: horizon.projectionEndAge },
+          { calculateAverage: true }
+        );
+        expect(horizon.absoluteRisk).toBeCloseTo(single.absoluteRisk, 12);
+        expect(horizon.averageRisk).toBeCloseTo(single.averageRisk, 12);
+        expect(horizon.projectionInterval).toBe(
+          horizon.projectionEndAge - profile.initialAge
+        );
+      });
+    });
+
+    it('should use the first horizon when projectionEndAge is omitted', () => {
+      const withoutEndAge = { ...profile };
+      delete withoutEndAge.projectionEndAge;
+      const result = calculateRisk(withoutEndAge, { horizons: [10, 5] });
+
+      expect(result.success).toBe(true);
+      expect(result.projectionInterval).toBe(10);
+      expect(result.absoluteRisk).toBe(result.horizons[0].absoluteRisk);
+      expect(result.horizons[1].averageRisk).toBeNull();
+    });
+
+    it('should cap years-ahead horizons at age 90', () => {
+      const result = calculateRisk(
+        { ...profile, initialAge: 87, projectionEndAge: 90 },
+        { horizons: [5] }
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.horizons[0]).toMatchObject({
+        label: 'to age 90',
+        projectionEndAge: 90,
+        projectionInterval: 3,
+        capped: true,
+      });
+    });
+
+    it('should keep the label of horizons that are not capped', () => {
+      const result = calculateRisk(
+        { ...profile, initialAge: 85, projectionEndAge: 90 },
+        { horizons: [5, { years: 10, label: 'decade' }] }
+      );
+
+      expect(
+        result.horizons.map(({ label, capped }) => [label, capped])
+      ).toEqual([
+        ['5-year', false],
+        ['decade', true],
+      ]);
+    });
+
+    it('should reject invalid horizons', () => {
+      const result = calculateRisk(profile, {
+        horizons: [5, { endAge: 95 }, { endAge: 40 }, -1],
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.validation.isValid).toBe(false);
+      expect(result.validation.errors).toEqual([
+        'Horizon to age 95: projection end age must be 90 years or less',
+        'Horizon to age 40: projection end age must be greater than initial age',
+        'Horizon years must be a positive number',
+      ]);
+      expect(result.horizons).toBeNull();
+    });
+
+    it('should leave horizons null when none are requested', () => {
+      expect(calculateRisk(profile).horizons).toBeNull();
+    });
+  });
+
+  describe('Confidence intervals', () => {
+    const profile = {
+      id: 35,
+      initialAge: 50,
+      projectionEndAge: 55,
+      race: RaceCode.WHITE,
+      numBreastBiopsies: 2,
+      ageAtMenarche: 13,
+      ageAtFirstBirth: 22,
+      numRelativesWithBrCa: 0,
+      atypicalHyperplasia: 99,
+    };
+
+    // Illustrative diagonal covariance, not a published estimate
+    const covariance = [0.01, 0.002, 0.003, 0.017, 0.019, 0.006].map(
+      (variance, i, all) => all.map((_, j) => (i === j ? variance : 0))
+    );
+
+    it('should attach an interval when requested', () => {
+      const result = calculateRisk(profile, {
+        confidenceInterval: { method: 'monte-carlo', covariance, draws: 100 },
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.confidenceInterval.method).toBe('monte-carlo');
+      expect(result.confidenceInterval.estimate).toBeCloseTo(
+        result.absoluteRisk,
+        12
+      );
+      expect(result.confidenceInterval.lower).toBeLessThan(result.absoluteRisk);
+      expect(result.confidenceInterval.upper).toBeGreaterThan(
+        result.absoluteRisk
+      );
+    });
+
+    it('should leave confidenceInterval null by default', () => {
+      expect(calculateRisk(profile).confidenceInterval).toBeNull();
+    });
+
+    it('should keep the point estimate when no covariance matrix is available', () => {
+      const result = calculateRisk(profile, { confidenceInterval: true });
+
+      expect(result.success).toBe(true);
+      expect(result.absoluteRisk).toBeCloseTo(
+        calculateRisk(profile).absoluteRisk,
+        12
+      );
+      expect(result.confidenceInterval).toBeNull();
+      expect(result.validation.errors).toEqual([]);
+      expect(result.validation.warningDetails).toContainEqual(
+        expect.objectContaining({
+          code: ValidationCode.CONFIDENCE_INTERVAL_UNAVAILABLE,
+          fields: ['confidenceInterval'],
+        })
+      );
+      expect(result.validation.warnings).toContainEqual(
+        expect.stringContaining(
+          'Confidence interval: No beta covariance matrix is available'
+        )
+      );
+    });
+
+    it("should default to the model population's covariance matrix", () => {
+      const nci = getModel();
+      const model = {
+        ...nci,
+        id: 'nci-bcrat-with-covariance',
+        populations: {
+          ...nci.populations,
+          [RaceCode.WHITE]: {
+            ...nci.populations[RaceCode.WHITE],
+            betaCovariance: covariance,
+          },
+        },
+      };
+
+      const result = calculateRisk(profile, {
+        model,
+        confidenceInterval: true,
+      });
+      const explicit = calculateRisk(profile, {
+        confidenceInterval: { covariance },
+      });
+
+      expect(result.validation.warnings).toEqual([]);
+      expect(result.confidenceInterval).toEqual(explicit.confidenceInterval);
+      expect(result.confidenceInterval.lower).toBeLessThan(result.absoluteRisk);
+    });
+
+    it('should report invalid interval options without failing the risk', () => {
+      const result = calculateRisk(profile, {
+        confidenceInterval: { covariance, level: 2 },
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.confidenceInterval).toBeNull();
+      expect(result.validation.warningDetails.map((w) => w.code)).toContain(
+        ValidationCode.CONFIDENCE_INTERVAL_UNAVAILABLE
+      );
+    });
+  });
+
+  describe('Relative risk contributions', () => {
+    const profile = {
+      id: 36,
+      initialAge: 52,
+      projectionEndAge: 57,
+      race: RaceCode.WHITE,
+      numBreastBiopsies: 1,
+      ageAtMenarche: 11,
+      ageAtFirstBirth: 98,
+      numRelativesWithBrCa: 2,
+      atypicalHyperplasia: 1,
+    };
+
+    it('should attach the breakdown when requested', () => {
+      const result = calculateRisk(profile, { contributions: true });
+
+      expect(result.success).toBe(true);
+      expect(result.contributions.factors).toHaveLength(7);
+      expect(result.contributions.relativeRiskUnder50).toBe(
+        result.relativeRiskUnder50
+      );
+      expect(result.contributions.relativeRiskAtOrAbove50).toBe(
+        result.relativeRiskAtOrAbove50
+      );
+
+      // Two relatives is the largest single driver for this profile
+      const largest = result.contributions.factors.reduce((a, b) =>
+        b.linearPredictor > a.linearPredictor ? b : a
+      );
+      expect(largest.factor).toBe('relatives');
+    });
+
+    it('should leave contributions null by default', () => {
+      expect(calculateRisk(profile).contributions).toBeNull();
+    });
+  });
+
+  describe('Age at risk threshold', () => {
+    const profile = {
+      id: 37,
+      initialAge: 35,
+      race: RaceCode.WHITE,
+      numBreastBiopsies: 0,
+      ageAtMenarche: 14,
+      ageAtFirstBirth: 22,
+      numRelativesWithBrCa: 0,
+      atypicalHyperplasia: 99,
+    };
+
+    it('should find the earliest age at which 5-year risk reaches the threshold', () => {
+      const result = findAgeAtRiskThreshold(profile, { threshold: 1 });
+
+      expect(result.success).toBe(true);
+      expect(result.reached).toBe(true);
+      expect(result.horizon).toBe('5-year');
+      expect(result.projectionEndAge).toBe(result.age + 5);
+      expect(result.absoluteRisk).toBeGreaterThanOrEqual(1);
+      expect(result.message).toBe(
+        `5-year risk reaches 1% at age ${result.age}`
+      );
+
+      // The risk factors are held fixed while the start age moves
+      const atAge = calculateRisk({
+        ...profile,
+        initialAge: result.age,
+        projectionEndAge: result.age + 5,
+      });
+      expect(atAge.absoluteRisk).toBe(result.absoluteRisk);
+
+      const yearBefore = calculateRisk({
+        ...profile,
+        initialAge: result.age - 1,
+        projectionEndAge: result.age + 4,
+      });
+      expect(yearBefore.absoluteRisk).toBeLessThan(1);
+    });
+
+    it('should refine the search with a smaller step', () => {
+      const yearly = findAgeAtRiskThreshold(profile, { threshold: 1 });
+      const monthly = findAgeAtRiskThreshold(profile, {
+        threshold: 1,
+        step: 1 / 12,
+      });
+
+      expect(monthly.age).toBeGreaterThan(yearly.age - 1);
+      expect(monthly.age).toBeLessThanOrEqual(yearly.age);
+    });
+
+    it('should return the current age when the threshold is already reached', () => {
+      const result = findAgeAtRiskThreshold(profile, {
+        threshold: 5,
+        horizon: { endAge: 90 },
+      });
+
+      expect(result.reached).toBe(true);
+      expect(result.age).toBe(35);
+      expect(result.projectionEndAge).toBe(90);
+      expect(result.message).toBe('Risk to age 90 reaches 5% at age 35');
+    });
+
+    it('should say so when the threshold is never reached before 90', () => {
+      const result = findAgeAtRiskThreshold(profile, {
+        threshold: 20,
+        horizon: { endAge: 90, label: 'remaining lifetime' },
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.reached).toBe(false);
+      expect(result.age).toBeNull();
+      expect(result.absoluteRisk).toBeNull();
+      expect(result.message).toBe(
+        'remaining lifetime risk does not reach 20% before age 90'
+      );
+    });
+
+    it('should evaluate candidate ages with the requested integration engine', () => {
+      const options = { integration: 'exact', integrationStep: 'month' };
+      const result = findAgeAtRiskThreshold(profile, {
+        threshold: 1,
+        ...options,
+      });
+
+      expect(result.integration).toEqual({ engine: 'exact', step: 'month' });
+      expect(result.absoluteRisk).toBeCloseTo(
+        calculateRisk(
+          {
+            ...profile,
+            initialAge: result.age,
+            projectionEndAge: result.age + 5,
+          },
+          options
+        ).absoluteRisk,
+        12
+      );
+      expect(
+        findAgeAtRiskThreshold(profile, {
+          threshold: 1,
+          integration: 'simpson',
+        }).validation.errorDetails[0].code
+      ).toBe(ValidationCode.INVALID_OPTION);
+    });
+
+    it('should ignore the profile projection end age', () => {
+      const withEndAge = findAgeAtRiskThreshold(
+        { ...profile, projectionEndAge: 40 },
+        { threshold: 1 }
+      );
+
+      expect(withEndAge.age).toBe(
+        findAgeAtRiskThreshold(profile, { threshold: 1 }).age
+      );
+    });
+
+    it('should reject invalid thresholds and horizons', () => {
+      expect(
+        findAgeAtRiskThreshold(profile, { threshold: 0 }).validation.errors
+      ).toEqual([
+        'Threshold must be a percentage between 0 and 100 (exclusive)',
+      ]);
+      expect(
+        findAgeAtRiskThreshold(profile, { threshold: 1, step: 0 }).validation
+          .errors
+      ).toEqual(['Step must be a positive number of years']);
+
+      const result = findAgeAtRiskThreshold(profile, {
+        threshold: 1,
+        horizon: { endAge: 30 },
+      });
+      expect(result.success).toBe(false);
+      expect(result.validation.errors.length).toBeGreaterThan(0);
+
+      const named = findAgeAtRiskThreshold(profile, {
+        threshold: 1,
+        horizon: 'lifetime',
+      });
+      expect(named.validation.errors).toEqual([
+        'Horizon must be a number of years or an object',
+      ]);
+      expect(named.validation.errorDetails[0].fields).toEqual(['horizon']);
+    });
+  });
+
+  describe('Competing risks', () => {
+    const profile = {
+      id: 38,
+      initialAge: 60,
+      projectionEndAge: 90,
+      race: RaceCode.AFRICAN_AMERICAN,
+      numBreastBiopsies: 0,
+      ageAtMenarche: 12,
+      ageAtFirstBirth: 24,
+      numRelativesWithBrCa: 1,
+      atypicalHyperplasia: 99,
+    };
+
+    it('should report the three outcomes for both profiles', () => {
+      const result = calculateRisk(profile, {
+        calculateAverage: true,
+        competingRisks: true,
+      });
+      const { individual, average } = result.competingRisks;
+
+      expect(result.success).toBe(true);
+      expect(individual.breastCancer).toBeCloseTo(result.absoluteRisk, 12);
+      expect(average.breastCancer).toBeCloseTo(result.averageRisk, 12);
+      for (const outcomes of [individual, average]) {
+        expect(
+          outcomes.breastCancer +
+            outcomes.competingMortality +
+            outcomes.aliveCancerFree
+        ).toBeCloseTo(100, 10);
+      }
+    });
+
+    it('should leave competingRisks null by default', () => {
+      expect(calculateRisk(profile).competingRisks).toBeNull();
+    });
+  });
+
+  describe('Future projection windows', () => {
+    const profile = {
+      id: 1,
+      initialAge: 40,
+      projectionStartAge: 60,
+      projectionEndAge: 70,
+      race: RaceCode.WHITE,
+      numBreastBiopsies: 1,
+      ageAtMenarche: 12,
+      ageAtFirstBirth: 25,
+      numRelativesWithBrCa: 1,
+      atypicalHyperplasia: 0,
+    };
+
+    it('should calculate the conditional risk by default', () => {
+      const result = calculateRisk(profile, { calculateAverage: true });
+      const atStart = calculateRisk(
+        { ...profile, initialAge: 60, projectionStartAge: undefined },
+        { calculateAverage: true }
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.absoluteRisk).toBe(atStart.absoluteRisk);
+      expect(result.averageRisk).toBe(atStart.averageRisk);
+      expect(result.projectionInterval).toBe(10);
+      expect(result.projectionStartAge).toBe(60);
+      expect(result.conditional).toBe(true);
+    });
+
+    it('should calculate the unconditional risk from initialAge', () => {
+      const result = calculateRisk(profile, { conditional: false });
+      const toStart = calculateRisk({
+        ...profile,
+        projectionStartAge: undefined,
+        projectionEndAge: 60,
+      });
+      const toEnd = calculateRisk({
+        ...profile,
+        projectionStartAge: undefined,
+      });
+
+      expect(result.conditional).toBe(false);
+      expect(result.absoluteRisk).toBeCloseTo(
+        toEnd.absoluteRisk - toStart.absoluteRisk,
+        10
+      );
+    });
+
+    it('should count years-ahead horizons from the window start', () => {
+      const result = calculateRisk(
+        { ...profile, projectionEndAge: undefined },
+        { horizons: [5, { endAge: 90 }] }
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.horizons.map((h) => h.projectionEndAge)).toEqual([65, 90]);
+      expect(result.horizons.map((h) => h.projectionInterval)).toEqual([5, 30]);
+    });
+
+    it('should leave the window fields null when starting today', () => {
+      const result = calculateRisk({
+        ...profile,
+        projectionStartAge: undefined,
+      });
+
+      expect(result.projectionStartAge).toBeNull();
+      expect(result.conditional).toBeNull();
+      expect(result.projectionInterval).toBe(30);
+    });
+
+    it('should reject a window starting before initialAge', () => {
+      const result = calculateRisk({ ...profile, projectionStartAge: 35 });
+
+      expect(result.success).toBe(false);
+      expect(result.validation.errors).toContain(
+        'Projection start age must not be less than initial age'
+      );
+    });
+
+    it('should ignore projectionStartAge in trajectories', () => {
+      const result = calculateRiskTrajectory(profile, {
+        calculateAverage: false,
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.individual[0].age).toBe(41);
+    });
+  });
+
+  describe('Integration engines', () => {
+    const profile = {
+      id: 1,
+      initialAge: 47.5,
+      projectionEndAge: 52.5,
+      race: RaceCode.AFRICAN_AMERICAN,
+      numBreastBiopsies: 1,
+      ageAtMenarche: 12,
+      ageAtFirstBirth: 22,
+      numRelativesWithBrCa: 1,
+      atypicalHyperplasia: 1,
+    };
+
+    it('should report the R-compatible engine by default', () => {
+      const result = calculateRisk(profile);
+
+      expect(result.integration).toEqual({
+        engine: 'r-compatible',
+        step: null,
+      });
+    });
+
+    it('should use the exact engine for every window', () => {
+      const rCompatible = calculateRisk(profile, {
+        calculateAverage: true,
+        horizons: [10],
+      });
+      const exact = calculateRisk(profile, {
+        calculateAverage: true,
+        horizons: [10],
+        integration: 'exact',
+        integrationStep: 'month',
+      });
+
+      expect(exact.success).toBe(true);
+      expect(exact.integration).toEqual({ engine: 'exact', step: 'month' });
+      expect(exact.absoluteRisk).toBeCloseTo(rCompatible.absoluteRisk, 9);
+      expect(exact.averageRisk).toBeCloseTo(rCompatible.averageRisk, 9);
+      expect(exact.horizons[0].absoluteRisk).toBeCloseTo(
+        rCompatible.horizons[0].absoluteRisk,
+        9
+      );
+    });
+
+    it('should reject unknown engines', () => {
+      const result = calculateRisk(profile, { integration: 'simpson' });
+
+      expect(result.success).toBe(false);
+      expect(result.integration).toBeNull();
+      expect(result.validation.errors).toEqual([
+        'Unknown integration engine: simpson. Must be one of r-compatible, exact',
+      ]);
+    });
+
+    it('should reject steps without the exact engine', () => {
+      expect(
+        calculateRisk(profile, { integrationStep: 'day' }).validation.errors
+      ).toEqual(["integrationStep requires integration: 'exact'"]);
+      expect(
+        calculateRisk(profile, {
+          integration: 'exact',
+          integrationStep: 'week',
+        }).validation.errors
+      ).toEqual(['Unknown integration step: week. Must be one of month, day']);
+    });
+  });
+
+  describe('Calculation trace', () => {
+    const profile = {
+      id: 1,
+      initialAge: '40',
+      projectionEndAge: 50,
+      race: RaceCode.WHITE,
+      numBreastBiopsies: 2,
+      ageAtMenarche: 11,
+      ageAtFirstBirth: 98,
+      numRelativesWithBrCa: 1,
+      atypicalHyperplasia: 1,
+    };
+
+    it('should leave the trace out unless requested', () => {
+      expect(calculateRisk(profile).trace).toBeNull();
+    });
+
+    it('should record every step behind the absolute risk', () => {
+      const result = calculateRisk(profile, { explain: true });
+      const { input, recoding, relativeRisk, oneMinusAR, integration } =
+        result.trace;
+
+      expect(input.raw.initialAge).toBe('40');
+      expect(input.sanitized.initialAge).toBe(40);
+      expect(recoding.map(({ rule }) => rule)).toEqual([
+        '≥ 2 → 2',
+        '< 12 → 2',
+        '98 (nulliparous) → 2',
+        '1 to < 2 → 1',
+        '1 (yes) → 1.82',
+      ]);
+      expect(relativeRisk.linearPredictorUnder50).toBeCloseTo(
+        Math.log(result.relativeRiskUnder50),
+        12
+      );
+      expect(oneMinusAR).toHaveLength(2);
+
+      expect(integration.engine).toBe('r-compatible');
+      expect(integration.intervals).toHaveLength(10);
+      expect(integration.intervals[0]).toMatchObject({
+        startAge: 40,
+        endAge: 41,
+        integrationLength: 1,
+      });
+      const last = integration.intervals[integration.intervals.length - 1];
+      expect(last.cumulativeRisk * 100).toBeCloseTo(result.absoluteRisk, 12);
+      expect(integration.absoluteRisk).toBe(result.absoluteRisk);
+    });
+
+    it('should trace the exact engine and unconditional windows', () => {
+      const result = calculateRisk(
+        { ...profile, projectionStartAge: 45 },
+        { explain: true, integration: 'exact', conditional: false }
+      );
+      const { integration } = result.trace;
+
+      expect(integration.survivalToStart).toBeLessThan(1);
+      expect(integration.absoluteRisk).toBeCloseTo(result.absoluteRisk, 12);
+    });
+
+    it('should not combine with imputation', () => {
+      const result = calculateRisk(profile, {
+        explain: true,
+        imputation: {
+          distributions: {
+            [RaceCode.WHITE]: { ageAtMenarche: [0.2, 0.5, 0.3] },
+          },
+        },
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.validation.errors).toEqual([
+        'imputation cannot be combined with explain',
+      ]);
+    });
+  });
+
+  describe('Result provenance', () => {
+    const profile = {
+      id: 1,
+      initialAge: 40,
+      projectionEndAge: 50,
+      race: RaceCode.HISPANIC_US_BORN,
+      numBreastBiopsies: 1,
+      ageAtMenarche: 12,
+      ageAtFirstBirth: 25,
+      numRelativesWithBrCa: 1,
+      atypicalHyperplasia: 0,
+    };
+
+    it('should record what produced every result', () => {
+      const result = calculateRisk(profile, { integration: 'exact' });
+      const { provenance } = result;
+
+      expect(provenance.library.version).toBe(VERSION);
+      expect(provenance.model.id).toBe('nci-bcrat');
+      expect(provenance.modelVersion).toBe('current');
+      expect(provenance.rateSet).toEqual({ id: 'nci-bcrat', custom: false });
+      expect(provenance.integration).toEqual(result.integration);
+      expect(provenance.inputHash).toBe(hashCanonical(profile));
+    });
+
+    it('should not depend on key order or spelled-out defaults', () => {
+      const reordered = Object.fromEntries(Object.entries(profile).reverse());
+
+      const result = calculateRisk(profile);
+      const explicit = calculateRisk(reordered, {
+        rawInput: true,
+        calculateAverage: false,
+        model: 'nci-bcrat',
+      });
+
+      expect(explicit.provenance).toEqual(result.provenance);
+    });
+
+    it('should change with the input and the options', () => {
+      const { provenance } = calculateRisk(profile);
+
+      expect(
+        calculateRisk({ ...profile, initialAge: 41 }).provenance.inputHash
+      ).not.toBe(provenance.inputHash);
+      const withAverage = calculateRisk(profile, {
+        calculateAverage: true,
+      }).provenance;
+
+      expect(withAverage.parameterHash).toBe(provenance.parameterHash);
+      expect(withAverage.optionsHash).not.toBe(provenance.optionsHash);
+    });
+
+    it('should hash the input after string coercion', () => {
+      const fromForm = {
+        ...profile,
+        initialAge: '40',
+        projectionEndAge: '50',
+        race: String(profile.race),
+      };
+
+      expect(calculateRisk(fromForm).provenance).toEqual(
+        calculateRisk(profile).provenance
+      );
+      expect(
+        calculateRisk(fromForm, { validationProfile: 'strict' }).provenance
+          .inputHash
+      ).toBe(hashCanonical(fromForm));
+    });
+
+    it('should be attached to trajectories and threshold searches', () => {
+      const trajectory = calculateRiskTrajectory(profile, { endAge: 60 });
+      const search = findAgeAtRiskThreshold(profile, { threshold: 2 });
+
+      expect(trajectory.provenance.parameterHash).toBe(
+        calculateRisk(profile).provenance.parameterHash
+      );
+      expect(trajectory.provenance.integration).toEqual(trajectory.integration);
+      expect(
+        calculateRiskTrajectory(profile, { endAge: 70 }).provenance.optionsHash
+      ).not.toBe(trajectory.provenance.optionsHash);
+      expect(search.provenance.model.id).toBe('nci-bcrat');
+      const fromForm = { ...profile, initialAge: '40' };
+      expect(
+        findAgeAtRiskThreshold(fromForm, { threshold: 2 }).provenance
+      ).toEqual(search.provenance);
+      expect(
+        findAgeAtRiskThreshold(profile, { threshold: 0 }).provenance.inputHash
+      ).toBe(hashCanonical(profile));
+    });
+
+    it('should be attached to failed results', () => {
+      const invalid = calculateRisk({ ...profile, initialAge: 19 });
+      const badOption = calculateRisk(profile, { integration: 'simpson' });
+
+      expect(invalid.success).toBe(false);
+      expect(invalid.provenance.parameterHash).toBe(
+        calculateRisk(profile).provenance.parameterHash
+      );
+      expect(badOption.provenance.model).toBeNull();
+      expect(badOption.provenance.inputHash).toBe(hashCanonical(profile));
+    });
+
+    it('should describe the calculation as it ran when the caller changes its objects', () => {
+      const multipliers = () => [{ name: 'prs', relativeRisk: 2 }];
+      const data = { ...profile, relativeRiskMultipliers: multipliers() };
+      const options = { horizons: [5, 10] };
+
+      const result = calculateRisk(data, options);
+      data.relativeRiskMultipliers[0].relativeRisk = 3;
+      options.horizons.push(20);
+
+      expect(
+        compareProvenance(
+          result.provenance,
+          calculateRisk(
+            { ...profile, relativeRiskMultipliers: multipliers() },
+            { horizons: [5, 10] }
+          ).provenance
+        )
+      ).toEqual({ matches: true, differences: [] });
+    });
+
+    it('should be left out with provenance: false and in batches by default', () => {
+      const result = calculateRisk(profile, { provenance: false });
+      const [fromBatch] = calculateBatchRisk([profile]);
+      const [withProvenance] = calculateBatchRisk([profile], {
+        provenance: true,
+      });
+
+      expect(result.provenance).toBeNull();
+      expect(result.absoluteRisk).toBe(calculateRisk(profile).absoluteRisk);
+      expect(fromBatch.provenance).toBeNull();
+      expect(withProvenance.provenance).toEqual(
+        calculateRisk(profile).provenance
+      );
+    });
+  });
 });
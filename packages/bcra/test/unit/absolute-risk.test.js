@@ -2,6 +2,9 @@ import { describe, it, expect } from 'vitest';
 import {
   expandToSingleYears,
   calculateAbsoluteRisk,
+  calculateAbsoluteRiskTrajectory,
+  calculateAbsoluteRiskTrace,
+  calculateCompetingRiskOutcomes,
 } from '../../src/core/absolute-risk.js';
 import { recodeAndValidate } from '../../src/core/recode-check.js';
 import { calculateRelativeRisk } from '../../src/core/relative-risk.js';
@@ -575,4 +578,464 @@ describe('calculateAbsoluteRisk', () => {
       expect(absoluteRisk).toBeLessThan(100);
     });
   });
+
+  describe('Windows starting at a future age', () => {
+    const data = {
+      id: 1,
+      initialAge: 40,
+      projectionStartAge: 60,
+      projectionEndAge: 70,
+      race: RaceCode.WHITE,
+      numBreastBiopsies: 1,
+      ageAtMenarche: 12,
+      ageAtFirstBirth: 25,
+      numRelativesWithBrCa: 1,
+      atypicalHyperplasia: 0,
+    };
+    const validation = recodeAndValidate(data);
+    const relativeRisk = calculateRelativeRisk(validation, data.race);
+    const riskFor = (profile, options) =>
+      calculateAbsoluteRisk(profile, validation, relativeRisk, false, options);
+
+    it('should match a projection starting today at the window start by default', () => {
+      const conditional = riskFor(data);
+      const fromWindowStart = riskFor({
+        ...data,
+        initialAge: 60,
+        projectionStartAge: undefined,
+      });
+
+      expect(conditional).toBe(fromWindowStart);
+    });
+
+    it('should equal the difference of cumulative risks when unconditional', () => {
+      const unconditional = riskFor(data, { conditional: false });
+      const toStart = riskFor({
+        ...data,
+        projectionStartAge: undefined,
+        projectionEndAge: 60,
+      });
+      const toEnd = riskFor({ ...data, projectionStartAge: undefined });
+
+      expect(unconditional).toBeCloseTo(toEnd - toStart, 10);
+      expect(unconditional).toBeLessThan(riskFor(data));
+    });
+
+    it('should ignore the variant when the window starts at initialAge', () => {
+      const today = { ...data, projectionStartAge: 40 };
+
+      expect(riskFor(today, { conditional: false })).toBe(riskFor(today));
+      expect(riskFor(today)).toBe(
+        riskFor({ ...data, projectionStartAge: undefined })
+      );
+    });
+
+    it('should start competing outcomes at the window start', () => {
+      const outcomes = calculateCompetingRiskOutcomes(
+        data,
+        validation,
+        relativeRisk
+      );
+
+      expect(outcomes.breastCancer).toBe(riskFor(data));
+    });
+  });
+
+  describe('Integration engines', () => {
+    const profileFor = (initialAge, projectionEndAge) => ({
+      id: 1,
+      initialAge,
+      projectionEndAge,
+      race: RaceCode.WHITE,
+      numBreastBiopsies: 1,
+      ageAtMenarche: 12,
+      ageAtFirstBirth: 98,
+      numRelativesWithBrCa: 1,
+      atypicalHyperplasia: 0,
+    });
+    const riskFor = (data, options) => {
+      const validation = recodeAndValidate(data);
+      const relativeRisk = calculateRelativeRisk(validation, data.race);
+      return calculateAbsoluteRisk(
+        data,
+        validation,
+        relativeRisk,
+        false,
+        options
+      );
+    };
+
+    it.each([
+      [40, 45],
+      [47.3, 52.8],
+      [49.5, 50.5],
+      [35.25, 90],
+      [20, 90],
+    ])(
+      'should agree with the yearly scheme from %s to %s',
+      (initialAge, projectionEndAge) => {
+        const data = profileFor(initialAge, projectionEndAge);
+        const yearly = riskFor(data);
+
+        for (const integrationStep of [null, 'month', 'day']) {
+          expect(
+            riskFor(data, { integration: 'exact', integrationStep })
+          ).toBeCloseTo(yearly, 9);
+        }
+      }
+    );
+
+    it('should return null for unknown engines or steps', () => {
+      const data = profileFor(40, 45);
+
+      expect(riskFor(data, { integration: 'simpson' })).toBeNull();
+      expect(
+        riskFor(data, { integration: 'exact', integrationStep: 'week' })
+      ).toBeNull();
+      expect(
+        riskFor(data, { integration: 'r-compatible', integrationStep: 'day' })
+      ).toBeNull();
+    });
+
+    it('should decompose competing outcomes with the exact engine', () => {
+      const data = profileFor(50, 90);
+      const validation = recodeAndValidate(data);
+      const relativeRisk = calculateRelativeRisk(validation, data.race);
+      const outcomes = calculateCompetingRiskOutcomes(
+        data,
+        validation,
+        relativeRisk,
+        false,
+        { integration: 'exact', integrationStep: 'month' }
+      );
+
+      expect(outcomes.breastCancer).toBeCloseTo(riskFor(data), 9);
+      expect(
+        outcomes.breastCancer +
+          outcomes.competingMortality +
+          outcomes.aliveCancerFree
+      ).toBeCloseTo(100, 10);
+    });
+  });
+});
+
+describe('calculateAbsoluteRiskTrajectory', () => {
+  const baseData = {
+    id: 1,
+    initialAge: 40,
+    projectionEndAge: 90,
+    race: RaceCode.WHITE,
+    numBreastBiopsies: 1,
+    ageAtMenarche: 12,
+    ageAtFirstBirth: 25,
+    numRelativesWithBrCa: 1,
+    atypicalHyperplasia: 0,
+  };
+
+  it('should return null when validation failed', () => {
+    const invalidValidation = {
+      isValid: false,
+      errors: ['Some error'],
+      warnings: [],
+      recodedValues: {},
+      errorIndicator: 1,
+    };
+
+    expect(
+      calculateAbsoluteRiskTrajectory(baseData, invalidValidation, {})
+    ).toBeNull();
+  });
+
+  it('should report one point per year up to the projection end age', () => {
+    const validation = recodeAndValidate(baseData);
+    const relativeRisk = calculateRelativeRisk(validation, baseData.race);
+    const points = calculateAbsoluteRiskTrajectory(
+      baseData,
+      validation,
+      relativeRisk
+    );
+
+    expect(points).toHaveLength(50);
+    expect(points[0].age).toBe(41);
+    expect(points[49].age).toBe(90);
+  });
+
+  it('should match calculateAbsoluteRisk at every age', () => {
+    const validation = recodeAndValidate(baseData);
+    const relativeRisk = calculateRelativeRisk(validation, baseData.race);
+    const points = calculateAbsoluteRiskTrajectory(
+      baseData,
+      validation,
+      relativeRisk
+    );
+
+    for (const point of [points[0], points[9], points[24], points[49]]) {
+      const risk = calculateAbsoluteRisk(
+        { ...baseData, projectionEndAge: point.age },
+        validation,
+        relativeRisk
+      );
+      expect(point.cumulativeRisk).toBeCloseTo(risk, 12);
+    }
+  });
+
+  it('should end on a fractional projection end age', () => {
+    const data = { ...baseData, initialAge: 40.5, projectionEndAge: 45.25 };
+    const validation = recodeAndValidate(data);
+    const relativeRisk = calculateRelativeRisk(validation, data.race);
+    const points = calculateAbsoluteRiskTrajectory(
+      data,
+      validation,
+      relativeRisk
+    );
+
+    expect(points.map((point) => point.age)).toEqual([
+      41, 42, 43, 44, 45, 45.25,
+    ]);
+    expect(points[points.length - 1].cumulativeRisk).toBeCloseTo(
+      calculateAbsoluteRisk(data, validation, relativeRisk),
+      12
+    );
+  });
+
+  it('should report whole years with the exact engine', () => {
+    const data = { ...baseData, initialAge: 40.5, projectionEndAge: 52.25 };
+    const validation = recodeAndValidate(data);
+    const relativeRisk = calculateRelativeRisk(validation, data.race);
+
+    for (const integrationStep of [null, 'month']) {
+      const options = { integration: 'exact', integrationStep };
+      const points = calculateAbsoluteRiskTrajectory(
+        data,
+        validation,
+        relativeRisk,
+        false,
+        options
+      );
+
+      expect(points.map((point) => point.age)).toEqual([
+        41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 52.25,
+      ]);
+      for (const point of [points[0], points[9], points[12]]) {
+        expect(point.cumulativeRisk).toBeCloseTo(
+          calculateAbsoluteRisk(
+            { ...data, projectionEndAge: point.age },
+            validation,
+            relativeRisk,
+            false,
+            options
+          ),
+          12
+        );
+      }
+    }
+  });
+
+  it('should return null for an unknown integration engine', () => {
+    const validation = recodeAndValidate(baseData);
+    const relativeRisk = calculateRelativeRisk(validation, baseData.race);
+
+    expect(
+      calculateAbsoluteRiskTrajectory(
+        baseData,
+        validation,
+        relativeRisk,
+        false,
+        { integration: 'simpson' }
+      )
+    ).toBeNull();
+  });
+
+  it('should have non-decreasing risk and non-increasing survival', () => {
+    const validation = recodeAndValidate(baseData);
+    const relativeRisk = calculateRelativeRisk(validation, baseData.race);
+    const points = calculateAbsoluteRiskTrajectory(
+      baseData,
+      validation,
+      relativeRisk
+    );
+
+    for (let i = 1; i < points.length; i++) {
+      expect(points[i].cumulativeRisk).toBeGreaterThanOrEqual(
+        points[i - 1].cumulativeRisk
+      );
+      expect(points[i].survival).toBeLessThanOrEqual(points[i - 1].survival);
+      expect(points[i].intervalHazard).toBeGreaterThan(0);
+    }
+    expect(points[0].survival).toBeGreaterThan(0.99);
+  });
+
+  it('should use (1-AR)*RR = 1.0 for the average trajectory', () => {
+    const validation = recodeAndValidate(baseData);
+    const relativeRisk = calculateRelativeRisk(validation, baseData.race);
+    const average = calculateAbsoluteRiskTrajectory(
+      baseData,
+      validation,
+      relativeRisk,
+      true
+    );
+
+    expect(average[4].cumulativeRisk).toBeCloseTo(
+      calculateAbsoluteRisk(
+        { ...baseData, projectionEndAge: 45 },
+        validation,
+        relativeRisk,
+        true
+      ),
+      12
+    );
+  });
+});
+
+describe('calculateCompetingRiskOutcomes', () => {
+  const baseData = {
+    id: 1,
+    initialAge: 50,
+    projectionEndAge: 90,
+    race: RaceCode.WHITE,
+    numBreastBiopsies: 1,
+    ageAtMenarche: 12,
+    ageAtFirstBirth: 25,
+    numRelativesWithBrCa: 1,
+    atypicalHyperplasia: 0,
+  };
+
+  it('should return null when validation failed', () => {
+    expect(
+      calculateCompetingRiskOutcomes(baseData, { isValid: false }, {})
+    ).toBeNull();
+  });
+
+  it('should split the window into three outcomes that sum to 100%', () => {
+    for (const race of [1, 2, 3, 5, 6]) {
+      const data = { ...baseData, race };
+      const validation = recodeAndValidate(data);
+      const relativeRisk = calculateRelativeRisk(validation, race);
+
+      for (const average of [false, true]) {
+        const outcomes = calculateCompetingRiskOutcomes(
+          data,
+          validation,
+          relativeRisk,
+          average
+        );
+        const total =
+          outcomes.breastCancer +
+          outcomes.competingMortality +
+          outcomes.aliveCancerFree;
+
+        expect(total).toBeCloseTo(100, 10);
+        expect(outcomes.breastCancer).toBeCloseTo(
+          calculateAbsoluteRisk(data, validation, relativeRisk, average),
+          12
+        );
+      }
+    }
+  });
+
+  it('should match the trajectory survival at the end of the window', () => {
+    const validation = recodeAndValidate(baseData);
+    const relativeRisk = calculateRelativeRisk(validation, baseData.race);
+    const outcomes = calculateCompetingRiskOutcomes(
+      baseData,
+      validation,
+      relativeRisk
+    );
+    const points = calculateAbsoluteRiskTrajectory(
+      baseData,
+      validation,
+      relativeRisk
+    );
+
+    expect(outcomes.aliveCancerFree / 100).toBeCloseTo(
+      points[points.length - 1].survival,
+      12
+    );
+  });
+
+  it('should give competing mortality a large share over a long window', () => {
+    const validation = recodeAndValidate(baseData);
+    const relativeRisk = calculateRelativeRisk(validation, baseData.race);
+    const outcomes = calculateCompetingRiskOutcomes(
+      baseData,
+      validation,
+      relativeRisk
+    );
+
+    // Most women aged 50 die of other causes before 90 rather than develop
+    // breast cancer
+    expect(outcomes.competingMortality).toBeGreaterThan(outcomes.breastCancer);
+  });
+});
+
+describe('calculateAbsoluteRiskTrace', () => {
+  const baseData = {
+    id: 1,
+    initialAge: 42.5,
+    projectionEndAge: 52,
+    race: RaceCode.WHITE,
+    numBreastBiopsies: 1,
+    ageAtMenarche: 12,
+    ageAtFirstBirth: 25,
+    numRelativesWithBrCa: 1,
+    atypicalHyperplasia: 0,
+  };
+
+  it('should return null when validation failed', () => {
+    expect(
+      calculateAbsoluteRiskTrace(baseData, { isValid: false }, {})
+    ).toBeNull();
+  });
+
+  it('should give the rows that add up to the absolute risk', () => {
+    const validation = recodeAndValidate(baseData);
+    const relativeRisk = calculateRelativeRisk(validation, baseData.race);
+
+    const trace = calculateAbsoluteRiskTrace(
+      baseData,
+      validation,
+      relativeRisk
+    );
+    const { intervals } = trace;
+    const total = intervals.reduce(
+      (sum, { riskContribution }) => sum + riskContribution,
+      0
+    );
+
+    expect(trace.absoluteRisk).toBe(
+      calculateAbsoluteRisk(baseData, validation, relativeRisk)
+    );
+    expect(total * 100).toBeCloseTo(trace.absoluteRisk, 12);
+    expect(intervals[0].integrationLength).toBe(0.5);
+    expect(intervals[intervals.length - 1].endAge).toBe(52);
+    // 1-AR x RR switches to the age >= 50 relative risk at age 50
+    expect(intervals[8].oneMinusARTimesRR).toBeCloseTo(
+      trace.oneMinusAR[1] * relativeRisk.relativeRiskAtOrAbove50,
+      12
+    );
+  });
+
+  it('should match unconditional future windows on both engines', () => {
+    const data = { ...baseData, projectionStartAge: 47 };
+    const validation = recodeAndValidate(data);
+    const relativeRisk = calculateRelativeRisk(validation, data.race);
+
+    for (const integration of ['r-compatible', 'exact']) {
+      const options = { conditional: false, integration };
+      const trace = calculateAbsoluteRiskTrace(
+        data,
+        validation,
+        relativeRisk,
+        false,
+        options
+      );
+
+      expect(trace.startAge).toBe(47);
+      expect(trace.survivalToStart).toBeLessThan(1);
+      expect(trace.absoluteRisk).toBeCloseTo(
+        calculateAbsoluteRisk(data, validation, relativeRisk, false, options),
+        12
+      );
+    }
+  });
 });
@@ -1,4 +1,5 @@
 import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
 import { VERSION } from '../../src/index.js';
 
 describe('Basic setup', () => {
@@ -10,4 +11,12 @@ describe('Basic setup', () => {
     expect(VERSION).toBeDefined();
     expect(typeof VERSION).toBe('string');
   });
+
+  it('should match the package version', () => {
+    const pkg = JSON.parse(
+      readFileSync(new URL('../../package.json', import.meta.url), 'utf8')
+    );
+
+    expect(VERSION).toBe(pkg.version);
+  });
 });
@@ -0,0 +1,251 @@
+import { describe, it, expect } from 'vitest';
+import {
+  classifyRisk,
+  listClinicalThresholdSets,
+} from '../../src/core/classification.js';
+import { calculateRisk } from '../../src/core/risk-calculator.js';
+import {
+  CLINICAL_THRESHOLD_SETS,
+  DEFAULT_CLINICAL_THRESHOLD_SET,
+} from '../../src/constants/index.js';
+import { RaceCode } from '../../src/types/index.js';
+
+describe('classifyRisk', () => {
+  describe('Plain metrics', () => {
+    it('should flag the chemoprevention threshold at 1.67%', () => {
+      const { assignments } = classifyRisk({ fiveYearRisk: 1.67 });
+      const discussion = assignments.find(
+        (assignment) => assignment.id === 'chemoprevention-discussion'
+      );
+
+      expect(discussion.met).toBe(true);
+      expect(discussion.rationale).toBe(
+        '5-year risk of 1.67% is at or above the 1.67% threshold for "Discuss risk-reducing medication" (NSABP P-1 eligibility; ASCO guidance)'
+      );
+    });
+
+    it('should not flag risks below a threshold', () => {
+      const { assignments } = classifyRisk({ fiveYearRisk: 1.66 });
+
+      expect(assignments[0].met).toBe(false);
+      expect(assignments[0].rationale).toContain(
+        'is below the 1.67% threshold'
+      );
+    });
+
+    it('should flag supplemental MRI at 20% lifetime risk with a caveat', () => {
+      const { assignments } = classifyRisk({ lifetimeRisk: 22.5 });
+      const mri = assignments.find(
+        (assignment) => assignment.id === 'supplemental-mri'
+      );
+
+      expect(mri.met).toBe(true);
+      expect(mri.caveat).toContain('family history');
+    });
+
+    it('should assign lifetime risk bands', () => {
+      const band = (lifetimeRisk) => classifyRisk({ lifetimeRisk }).category;
+
+      expect(band(12).id).toBe('average');
+      expect(band(15).id).toBe('moderately-elevated');
+      expect(band(19.99).id).toBe('moderately-elevated');
+      expect(band(20).id).toBe('high');
+      expect(band(17).rationale).toBe(
+        'Lifetime risk (to age 90) of 17% falls in the "Moderately elevated" band (15% to below 20%)'
+      );
+      expect(band(25).rationale).toContain('(20% or higher)');
+    });
+
+    it('should report metrics that were not calculated', () => {
+      const result = classifyRisk({ fiveYearRisk: 2 });
+
+      expect(result.success).toBe(true);
+      expect(result.category.id).toBeNull();
+      expect(result.category.rationale).toContain('was not calculated');
+
+      const mri = result.assignments.find(
+        (assignment) => assignment.metric === 'lifetimeRisk'
+      );
+      expect(mri.met).toBeNull();
+    });
+  });
+
+  describe('Risk results', () => {
+    const profile = {
+      id: 1,
+      initialAge: 45,
+      race: RaceCode.WHITE,
+      numBreastBiopsies: 2,
+      ageAtMenarche: 11,
+      ageAtFirstBirth: 98,
+      numRelativesWithBrCa: 2,
+      atypicalHyperplasia: 1,
+    };
+
+    it('should read 5-year and lifetime risk from horizons', () => {
+      const result = calculateRisk(profile, {
+        horizons: [5, { endAge: 90, label: 'lifetime' }],
+      });
+      const classification = classifyRisk(result);
+
+      expect(classification.metrics).toEqual({
+        fiveYearRisk: result.horizons[0].absoluteRisk,
+        lifetimeRisk: result.horizons[1].absoluteRisk,
+      });
+      expect(classification.category.id).toBe('high');
+    });
+
+    it('should read 5-year risk from the top-level result', () => {
+      const result = calculateRisk({ ...profile, projectionEndAge: 50 });
+      const classification = classifyRisk(result);
+
+      expect(classification.metrics.fiveYearRisk).toBe(result.absoluteRisk);
+      expect(classification.metrics.lifetimeRisk).toBeNull();
+    });
+
+    it('should read lifetime risk from a top-level result to age 90', () => {
+      const result = calculateRisk({ ...profile, projectionEndAge: 90 });
+      const classification = classifyRisk(result);
+
+      expect(result.projectionEndAge).toBe(90);
+      expect(classification.metrics).toEqual({
+        fiveYearRisk: null,
+        lifetimeRisk: result.absoluteRisk,
+      });
+      expect(classification.category.id).toBe('high');
+    });
+
+    it('should refuse failed calculations', () => {
+      const result = classifyRisk(calculateRisk({ ...profile, race: 99 }));
+
+      expect(result.success).toBe(false);
+      expect(result.errors).toEqual([
+        'Cannot classify a failed risk calculation',
+      ]);
+    });
+
+    it('should refuse windows starting after the current age', () => {
+      const result = classifyRisk(
+        calculateRisk({
+          ...profile,
+          projectionStartAge: 60,
+          projectionEndAge: 65,
+        })
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.errors).toEqual([
+        'Cannot classify risk for a window starting after the current age',
+      ]);
+    });
+  });
+
+  describe('Threshold sets', () => {
+    it('should record the set used', () => {
+      expect(classifyRisk({ fiveYearRisk: 1 }).thresholdSet).toEqual({
+        id: 'us-guidelines',
+        version: '1.0.0',
+        name: 'US guideline thresholds',
+      });
+    });
+
+    it('should resolve a bare id to the latest version', () => {
+      expect(
+        classifyRisk({ fiveYearRisk: 1 }, { thresholdSet: 'us-guidelines' })
+          .thresholdSet.version
+      ).toBe('1.0.0');
+    });
+
+    it('should reject unknown sets', () => {
+      const result = classifyRisk(
+        { fiveYearRisk: 1 },
+        { thresholdSet: 'nice@2013' }
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.errors[0]).toContain('Unknown clinical threshold set');
+    });
+
+    it('should accept a custom set', () => {
+      const custom = {
+        id: 'local-program',
+        version: '2',
+        rules: [
+          { id: 'refer', label: 'Refer', metric: 'fiveYearRisk', threshold: 3 },
+        ],
+        bands: {
+          metric: 'fiveYearRisk',
+          categories: [
+            { id: 'low', min: 0 },
+            { id: 'raised', min: 2 },
+          ],
+        },
+      };
+      const result = classifyRisk(
+        { fiveYearRisk: 2.5 },
+        { thresholdSet: custom }
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.thresholdSet).toEqual({
+        id: 'local-program',
+        version: '2',
+        name: 'local-program',
+      });
+      expect(result.assignments[0].met).toBe(false);
+      expect(result.category.id).toBe('raised');
+    });
+
+    it('should validate custom sets', () => {
+      const unordered = {
+        id: 'bad',
+        version: '1',
+        bands: {
+          metric: 'lifetimeRisk',
+          categories: [
+            { id: 'high', min: 20 },
+            { id: 'low', min: 0 },
+          ],
+        },
+      };
+
+      expect(
+        classifyRisk({ lifetimeRisk: 5 }, { thresholdSet: unordered }).errors
+      ).toEqual([
+        'Threshold set bad: band categories must be in increasing order of min',
+      ]);
+      expect(
+        classifyRisk(
+          { lifetimeRisk: 5 },
+          {
+            thresholdSet: {
+              id: 'bad',
+              version: '1',
+              rules: [{ id: 'x', metric: 'tenYearRisk', threshold: 1 }],
+            },
+          }
+        ).errors[0]
+      ).toContain('each rule needs an id, a metric');
+    });
+
+    it('should keep built-in sets frozen', () => {
+      const set = CLINICAL_THRESHOLD_SETS[DEFAULT_CLINICAL_THRESHOLD_SET];
+
+      expect(Object.isFrozen(set)).toBe(true);
+      expect(Object.isFrozen(set.rules[0])).toBe(true);
+    });
+  });
+});
+
+describe('listClinicalThresholdSets', () => {
+  it('should list the built-in sets', () => {
+    expect(listClinicalThresholdSets()).toEqual([
+      {
+        key: 'us-guidelines@1.0.0',
+        id: 'us-guidelines',
+        version: '1.0.0',
+        name: 'US guideline thresholds',
+      },
+    ]);
+  });
+});
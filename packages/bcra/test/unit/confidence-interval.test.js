@@ -0,0 +1,193 @@
+import { describe, it, expect } from 'vitest';
+import { calculateConfidenceInterval } from '../../src/core/confidence-interval.js';
+import { recodeAndValidate } from '../../src/core/recode-check.js';
+import { calculateRelativeRisk } from '../../src/core/relative-risk.js';
+import { calculateAbsoluteRisk } from '../../src/core/absolute-risk.js';
+import { RaceCode } from '../../src/types/index.js';
+
+/**
+ * Synthetic covariance matrix for exercising the interval code paths.
+ * The values are illustrative only and are not published estimates.
+ */
+const SYNTHETIC_COVARIANCE = [
+  [0.0117, 0, 0, 0, -0.0098, 0],
+  [0, 0.0023, 0, 0, 0, 0],
+  [0, 0, 0.0033, 0.0011, 0, -0.0021],
+  [0, 0, 0.0011, 0.0171, 0, -0.0062],
+  [-0.0098, 0, 0, 0, 0.0187, 0],
+  [0, 0, -0.0021, -0.0062, 0, 0.0056],
+];
+
+const data = {
+  id: 1,
+  initialAge: 45,
+  projectionEndAge: 50,
+  race: RaceCode.WHITE,
+  numBreastBiopsies: 1,
+  ageAtMenarche: 11,
+  ageAtFirstBirth: 28,
+  numRelativesWithBrCa: 1,
+  atypicalHyperplasia: 0,
+};
+
+describe('calculateConfidenceInterval', () => {
+  const validation = recodeAndValidate(data);
+  const pointEstimate = calculateAbsoluteRisk(
+    data,
+    validation,
+    calculateRelativeRisk(validation, data.race)
+  );
+
+  describe('Delta method', () => {
+    it('should bracket the point estimate', () => {
+      const { interval, error } = calculateConfidenceInterval(
+        data,
+        validation,
+        { covariance: SYNTHETIC_COVARIANCE }
+      );
+
+      expect(error).toBeNull();
+      expect(interval.method).toBe('delta');
+      expect(interval.level).toBe(0.95);
+      expect(interval.estimate).toBeCloseTo(pointEstimate, 12);
+      expect(interval.lower).toBeLessThan(pointEstimate);
+      expect(interval.upper).toBeGreaterThan(pointEstimate);
+      expect(interval.standardError).toBeGreaterThan(0);
+      expect(interval.standardError).toBeCloseTo(
+        (interval.logitStandardError * pointEstimate * (100 - pointEstimate)) /
+          100,
+        12
+      );
+      expect(interval.draws).toBeNull();
+    });
+
+    it('should widen with the confidence level', () => {
+      const narrow = calculateConfidenceInterval(data, validation, {
+        covariance: SYNTHETIC_COVARIANCE,
+        level: 0.8,
+      }).interval;
+      const wide = calculateConfidenceInterval(data, validation, {
+        covariance: SYNTHETIC_COVARIANCE,
+        level: 0.99,
+      }).interval;
+
+      expect(wide.lower).toBeLessThan(narrow.lower);
+      expect(wide.upper).toBeGreaterThan(narrow.upper);
+    });
+
+    it('should collapse to the point estimate with zero covariance', () => {
+      const zero = SYNTHETIC_COVARIANCE.map((row) => row.map(() => 0));
+      const { interval } = calculateConfidenceInterval(data, validation, {
+        covariance: zero,
+      });
+
+      expect(interval.lower).toBeCloseTo(pointEstimate, 10);
+      expect(interval.upper).toBeCloseTo(pointEstimate, 10);
+    });
+  });
+
+  describe('Monte Carlo', () => {
+    it('should be reproducible for a given seed', () => {
+      const options = {
+        method: 'monte-carlo',
+        covariance: SYNTHETIC_COVARIANCE,
+        draws: 200,
+        seed: 2024,
+      };
+      const first = calculateConfidenceInterval(data, validation, options);
+      const second = calculateConfidenceInterval(data, validation, options);
+
+      expect(first.interval).toEqual(second.interval);
+      expect(first.interval.seed).toBe(2024);
+      expect(first.interval.draws).toBe(200);
+    });
+
+    it('should agree roughly with the delta method', () => {
+      const delta = calculateConfidenceInterval(data, validation, {
+        covariance: SYNTHETIC_COVARIANCE,
+      }).interval;
+      const monteCarlo = calculateConfidenceInterval(data, validation, {
+        method: 'monte-carlo',
+        covariance: SYNTHETIC_COVARIANCE,
+        draws: 2000,
+      }).interval;
+
+      expect(monteCarlo.lower).toBeLessThan(pointEstimate);
+      expect(monteCarlo.upper).toBeGreaterThan(pointEstimate);
+      expect(monteCarlo.lower).toBeCloseTo(delta.lower, 0);
+      expect(monteCarlo.upper).toBeCloseTo(delta.upper, 0);
+      // Both standard errors are in percentage points
+      expect(monteCarlo.logitStandardError).toBeNull();
+      expect(monteCarlo.standardError / delta.standardError).toBeGreaterThan(
+        0.8
+      );
+      expect(monteCarlo.standardError / delta.standardError).toBeLessThan(1.25);
+    });
+
+    it('should reject a covariance matrix that is not positive semi-definite', () => {
+      const indefinite = SYNTHETIC_COVARIANCE.map((row) => row.slice());
+      indefinite[0][4] = 1;
+      indefinite[4][0] = 1;
+
+      const { interval, error } = calculateConfidenceInterval(
+        data,
+        validation,
+        { method: 'monte-carlo', covariance: indefinite, draws: 10 }
+      );
+
+      expect(interval).toBeNull();
+      expect(error).toBe(
+        'Beta covariance matrix must be positive semi-definite'
+      );
+    });
+  });
+
+  describe('Errors', () => {
+    it('should report when no covariance matrix is available', () => {
+      const { interval, error } = calculateConfidenceInterval(data, validation);
+
+      expect(interval).toBeNull();
+      expect(error).toContain('No beta covariance matrix is available');
+    });
+
+    it('should reject malformed covariance matrices', () => {
+      expect(
+        calculateConfidenceInterval(data, validation, {
+          covariance: [[1]],
+        }).error
+      ).toBe('Beta covariance matrix must be 6×6');
+
+      const asymmetric = SYNTHETIC_COVARIANCE.map((row) => row.slice());
+      asymmetric[1][2] = 0.001;
+      expect(
+        calculateConfidenceInterval(data, validation, {
+          covariance: asymmetric,
+        }).error
+      ).toBe('Beta covariance matrix must be symmetric');
+    });
+
+    it('should reject unknown methods and invalid levels', () => {
+      expect(
+        calculateConfidenceInterval(data, validation, {
+          method: 'bootstrap',
+          covariance: SYNTHETIC_COVARIANCE,
+        }).error
+      ).toContain('Unknown confidence interval method');
+      expect(
+        calculateConfidenceInterval(data, validation, {
+          level: 1.5,
+          covariance: SYNTHETIC_COVARIANCE,
+        }).error
+      ).toBe('Confidence level must be between 0 and 1 (exclusive)');
+    });
+
+    it('should return an error when validation failed', () => {
+      const { interval, error } = calculateConfidenceInterval(data, {
+        isValid: false,
+      });
+
+      expect(interval).toBeNull();
+      expect(error).toBe('Validation failed');
+    });
+  });
+});
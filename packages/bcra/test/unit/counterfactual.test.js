@@ -0,0 +1,228 @@
+import { describe, it, expect } from 'vitest';
+import {
+  calculateCounterfactualRisk,
+  COUNTERFACTUAL_FIELDS,
+} from '../../src/core/counterfactual.js';
+import { calculateRisk } from '../../src/core/risk-calculator.js';
+import { RaceCode } from '../../src/types/index.js';
+import { hashCanonical } from '../../src/utils/hash.js';
+
+const profile = {
+  id: 1,
+  initialAge: 45,
+  projectionEndAge: 50,
+  race: RaceCode.WHITE,
+  numBreastBiopsies: 2,
+  ageAtMenarche: 11,
+  ageAtFirstBirth: 98,
+  numRelativesWithBrCa: 1,
+  atypicalHyperplasia: 1,
+};
+
+describe('calculateCounterfactualRisk', () => {
+  it('should report baseline, counterfactual and the difference', () => {
+    const result = calculateCounterfactualRisk(profile, {
+      ageAtFirstBirth: 22,
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.baseline.absoluteRisk).toBe(
+      calculateRisk(profile).absoluteRisk
+    );
+    expect(result.counterfactual.absoluteRisk).toBe(
+      calculateRisk({ ...profile, ageAtFirstBirth: 22 }).absoluteRisk
+    );
+    expect(result.absoluteRiskDifference).toBeCloseTo(
+      result.counterfactual.absoluteRisk - result.baseline.absoluteRisk,
+      12
+    );
+    expect(result.absoluteRiskDifference).toBeLessThan(0);
+    expect(result.absoluteRiskRatio).toBeCloseTo(
+      result.counterfactual.absoluteRisk / result.baseline.absoluteRisk,
+      12
+    );
+    expect(result.changes).toEqual([
+      {
+        field: 'ageAtFirstBirth',
+        from: 98,
+        to: 22,
+        hasEffect: true,
+        note: null,
+      },
+    ]);
+  });
+
+  it('should handle biopsies and hyperplasia changing together', () => {
+    const result = calculateCounterfactualRisk(profile, {
+      numBreastBiopsies: 0,
+      atypicalHyperplasia: 99,
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.counterfactual.recodedValues.biopsyCategory).toBe(0);
+    expect(result.counterfactual.recodedValues.hyperplasiaMultiplier).toBe(1);
+    expect(result.absoluteRiskDifference).toBeLessThan(0);
+    expect(result.changes.map((change) => change.hasEffect)).toEqual([
+      true,
+      true,
+    ]);
+  });
+
+  it('should flag a change that recodes to the same category', () => {
+    // Nulliparous and first birth at 25-29 share a category for White women
+    const result = calculateCounterfactualRisk(profile, {
+      ageAtFirstBirth: 25,
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.absoluteRiskDifference).toBe(0);
+    expect(result.changes[0].hasEffect).toBe(false);
+    expect(result.changes[0].note).toBe(
+      'Recodes to the same category for Non-Hispanic White'
+    );
+  });
+
+  it('should apply Hispanic biopsy pooling', () => {
+    const result = calculateCounterfactualRisk(
+      { ...profile, race: RaceCode.HISPANIC_US_BORN },
+      { numBreastBiopsies: 1 }
+    );
+
+    expect(result.success).toBe(true);
+    expect(result.changes[0].hasEffect).toBe(false);
+    expect(result.absoluteRiskDifference).toBe(0);
+  });
+
+  it('should apply the African-American first birth exclusion', () => {
+    const result = calculateCounterfactualRisk(
+      { ...profile, race: RaceCode.AFRICAN_AMERICAN },
+      { ageAtFirstBirth: 22, numRelativesWithBrCa: 0 }
+    );
+
+    expect(result.success).toBe(true);
+    const [firstBirth, relatives] = result.changes;
+    expect(firstBirth.hasEffect).toBe(false);
+    expect(relatives.hasEffect).toBe(true);
+  });
+
+  it('should judge the effect with the density model and multipliers', () => {
+    // Illustrative parameters only; the beta drops age at menarche
+    const density = {
+      id: 'test-birads',
+      relativeRisks: { a: 0.6, b: 1, c: 1.5, d: [2.2, 1.8] },
+      oneMinusAR: [0.5, 0.6],
+      beta: [0.5, 0, 0.2, 0.6, 0, 0],
+    };
+    const result = calculateCounterfactualRisk(
+      {
+        ...profile,
+        breastDensity: 'c',
+        relativeRiskMultipliers: [{ name: 'prs', relativeRisk: 1.3 }],
+      },
+      { ageAtMenarche: 14, numRelativesWithBrCa: 0 },
+      { density }
+    );
+
+    expect(result.success).toBe(true);
+    const [menarche, relatives] = result.changes;
+    expect(menarche).toMatchObject({
+      hasEffect: false,
+      note: 'Not used by the Non-Hispanic White model',
+    });
+    expect(relatives.hasEffect).toBe(true);
+
+    const menarcheOnly = calculateCounterfactualRisk(
+      { ...profile, breastDensity: 'c' },
+      { ageAtMenarche: 14 },
+      { density }
+    );
+    expect(menarcheOnly.changes[0].hasEffect).toBe(false);
+    expect(menarcheOnly.absoluteRiskDifference).toBe(0);
+  });
+
+  it('should flag an unchanged value', () => {
+    const result = calculateCounterfactualRisk(profile, {
+      ageAtMenarche: 11,
+    });
+
+    expect(result.changes[0]).toMatchObject({
+      hasEffect: false,
+      note: 'Value unchanged',
+    });
+  });
+
+  it('should pass options through to both calculations', () => {
+    const result = calculateCounterfactualRisk(
+      profile,
+      { numRelativesWithBrCa: 0 },
+      { calculateAverage: true }
+    );
+
+    expect(result.baseline.averageRisk).not.toBeNull();
+    expect(result.counterfactual.averageRisk).toBe(result.baseline.averageRisk);
+  });
+
+  it('should carry the provenance of the baseline', () => {
+    const changes = { numRelativesWithBrCa: 0 };
+    const result = calculateCounterfactualRisk(profile, changes);
+    const asStrings = calculateCounterfactualRisk(
+      { ...profile, initialAge: String(profile.initialAge) },
+      { numRelativesWithBrCa: '0' }
+    );
+
+    expect(result.provenance).toEqual({
+      ...result.baseline.provenance,
+      inputHash: hashCanonical({ profile, changes }),
+    });
+    expect(asStrings.provenance).toEqual(result.provenance);
+    expect(
+      calculateCounterfactualRisk(profile, { initialAge: 50 }).provenance
+        .inputHash
+    ).toBe(hashCanonical({ profile, changes: { initialAge: 50 } }));
+    expect(
+      calculateCounterfactualRisk(profile, changes, { provenance: false })
+        .provenance
+    ).toBeNull();
+  });
+
+  describe('Errors', () => {
+    it('should reject fields that are not modifiable risk factors', () => {
+      const result = calculateCounterfactualRisk(profile, { initialAge: 50 });
+
+      expect(result.success).toBe(false);
+      expect(result.validation.errors[0]).toContain('Cannot change initialAge');
+      expect(result.baseline).toBeNull();
+    });
+
+    it('should require at least one change', () => {
+      expect(
+        calculateCounterfactualRisk(profile, {}).validation.errors
+      ).toEqual(['At least one change is required']);
+      expect(
+        calculateCounterfactualRisk(profile, null).validation.errors
+      ).toEqual(['Changes must be an object']);
+    });
+
+    it('should report an invalid counterfactual profile', () => {
+      // Removing the biopsies while keeping hyperplasia is inconsistent
+      const result = calculateCounterfactualRisk(profile, {
+        numBreastBiopsies: 0,
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.baseline.success).toBe(true);
+      expect(result.counterfactual.success).toBe(false);
+      expect(result.validation.errors[0]).toMatch(/^Counterfactual: /);
+    });
+  });
+
+  it('should list the modifiable fields', () => {
+    expect(Object.keys(COUNTERFACTUAL_FIELDS)).toEqual([
+      'numBreastBiopsies',
+      'atypicalHyperplasia',
+      'ageAtMenarche',
+      'ageAtFirstBirth',
+      'numRelativesWithBrCa',
+    ]);
+  });
+});
@@ -0,0 +1,230 @@
+import { describe, it, expect } from 'vitest';
+import {
+  resolveDensityModel,
+  getDensityRelativeRisk,
+} from '../../src/core/density.js';
+import {
+  calculateRisk,
+  calculateRiskTrajectory,
+} from '../../src/core/risk-calculator.js';
+import { validateRiskFactorDataStructure } from '../../src/utils/validators.js';
+import { BETA_BY_RACE } from '../../src/constants/index.js';
+import { RaceCode, BreastDensity } from '../../src/types/index.js';
+
+const profile = {
+  id: 1,
+  initialAge: 45,
+  projectionEndAge: 60,
+  race: RaceCode.WHITE,
+  numBreastBiopsies: 1,
+  ageAtMenarche: 12,
+  ageAtFirstBirth: 27,
+  numRelativesWithBrCa: 1,
+  atypicalHyperplasia: 0,
+  breastDensity: BreastDensity.HETEROGENEOUSLY_DENSE,
+};
+
+// Illustrative parameters only; no density model is bundled
+const densityModel = {
+  id: 'test-birads',
+  relativeRisks: { a: 0.6, b: 1, c: 1.5, d: [2.2, 1.8] },
+  oneMinusAR: [0.5, 0.6],
+};
+
+describe('Mammographic density', () => {
+  describe('resolveDensityModel', () => {
+    it('should normalize and freeze a valid model', () => {
+      const { densityModel: resolved, error } =
+        resolveDensityModel(densityModel);
+
+      expect(error).toBeNull();
+      expect(resolved.name).toBe('test-birads');
+      expect(resolved.relativeRisks.a).toEqual([0.6, 0.6]);
+      expect(resolved.relativeRisks.d).toEqual([2.2, 1.8]);
+      expect(resolved.beta).toBeNull();
+      expect(Object.isFrozen(resolved)).toBe(true);
+      expect(resolveDensityModel(resolved).densityModel).toBe(resolved);
+    });
+
+    it('should report every invalid field', () => {
+      const { densityModel: resolved, error } = resolveDensityModel({
+        id: 'broken',
+        relativeRisks: { a: 0.6, b: 1, c: -1, d: 2 },
+        oneMinusAR: [0.5],
+        beta: [1, 2],
+      });
+
+      expect(resolved).toBeNull();
+      expect(error).toBe(
+        'Density model broken: relativeRisks.c must be a positive number or two (ages < 50, >= 50); oneMinusAR must be two positive numbers (ages < 50, >= 50); beta must be 6 numbers (N_Biop, AgeMen, AgeFst, N_Rels, A50*NB, AF*NR)'
+      );
+      expect(resolveDensityModel({ relativeRisks: {} }).error).toBe(
+        'Density model id must be a non-empty string'
+      );
+    });
+  });
+
+  describe('getDensityRelativeRisk', () => {
+    it('should look up the category and check race coverage', () => {
+      const { densityModel: resolved } = resolveDensityModel({
+        ...densityModel,
+        races: [RaceCode.WHITE],
+      });
+
+      expect(getDensityRelativeRisk(resolved, profile)).toEqual({
+        category: 'c',
+        relativeRisk: [1.5, 1.5],
+        error: null,
+      });
+      expect(
+        getDensityRelativeRisk(resolved, {
+          ...profile,
+          race: RaceCode.AFRICAN_AMERICAN,
+        }).error
+      ).toBe('Density model test-birads does not cover race code 2');
+    });
+  });
+
+  describe('breastDensity input', () => {
+    it('should accept BI-RADS categories in any case', () => {
+      const result = calculateRisk(
+        { ...profile, breastDensity: ' D ' },
+        { density: densityModel }
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.density.category).toBe('d');
+    });
+
+    it('should reject other values', () => {
+      const { valid, errors } = validateRiskFactorDataStructure({
+        ...profile,
+        breastDensity: 'e',
+      });
+
+      expect(valid).toBe(false);
+      expect(errors).toContain(
+        'breastDensity must be a BI-RADS density category (a, b, c, d)'
+      );
+    });
+
+    it('should be ignored with a warning without a density model', () => {
+      const withoutDensity = calculateRisk({ ...profile, breastDensity: null });
+
+      const result = calculateRisk(profile);
+
+      expect(result.density).toBeNull();
+      expect(result.absoluteRisk).toBe(withoutDensity.absoluteRisk);
+      expect(result.validation.warningDetails).toContainEqual(
+        expect.objectContaining({
+          code: 'BREAST_DENSITY_NOT_USED',
+          fields: ['breastDensity'],
+        })
+      );
+      expect(
+        withoutDensity.validation.warningDetails.map(({ code }) => code)
+      ).not.toContain('BREAST_DENSITY_NOT_USED');
+    });
+  });
+
+  describe('calculateRisk with a density model', () => {
+    it('should multiply the relative risk and use the density 1-AR', () => {
+      const gail = calculateRisk(profile, { oneMinusAR: [0.5, 0.6] });
+      const result = calculateRisk(profile, { density: densityModel });
+
+      expect(result.success).toBe(true);
+      expect(result.relativeRiskUnder50).toBeCloseTo(
+        gail.relativeRiskUnder50 * 1.5,
+        12
+      );
+      expect(result.relativeRiskAtOrAbove50).toBeCloseTo(
+        gail.relativeRiskAtOrAbove50 * 1.5,
+        12
+      );
+      expect(result.absoluteRisk).toBeGreaterThan(gail.absoluteRisk);
+      expect(result.density).toEqual({
+        id: 'test-birads',
+        name: 'test-birads',
+        category: 'c',
+        relativeRisk: [1.5, 1.5],
+      });
+    });
+
+    it('should reduce to the Gail model for a relative risk of 1', () => {
+      const gail = calculateRisk(profile, { oneMinusAR: [0.5, 0.6] });
+      const result = calculateRisk(
+        { ...profile, breastDensity: 'b' },
+        { density: densityModel }
+      );
+
+      expect(result.absoluteRisk).toBe(gail.absoluteRisk);
+    });
+
+    it('should use the density model betas', () => {
+      const beta = [...BETA_BY_RACE[RaceCode.WHITE]];
+      beta[3] = 0; // no family history terms
+      beta[5] = 0;
+
+      const result = calculateRisk(profile, {
+        density: { ...densityModel, beta },
+        contributions: true,
+      });
+      const withoutRelatives = calculateRisk(
+        { ...profile, numRelativesWithBrCa: 0 },
+        { density: densityModel }
+      );
+
+      expect(result.relativeRiskUnder50).toBeCloseTo(
+        withoutRelatives.relativeRiskUnder50,
+        12
+      );
+      expect(result.contributions.relativeRiskUnder50).toBeCloseTo(
+        result.relativeRiskUnder50 / 1.5,
+        12
+      );
+    });
+
+    it('should report a missing breastDensity', () => {
+      const withoutDensity = { ...profile, breastDensity: null };
+
+      const result = calculateRisk(withoutDensity, { density: densityModel });
+
+      expect(result.success).toBe(false);
+      expect(result.validation.errors).toEqual([
+        'breastDensity is required by density model test-birads',
+      ]);
+    });
+
+    it('should not combine with oneMinusAR', () => {
+      const result = calculateRisk(profile, {
+        density: densityModel,
+        oneMinusAR: [0.5, 0.5],
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.validation.errors).toEqual([
+        'oneMinusAR cannot be combined with a density model, which gives its own 1-AR values',
+      ]);
+    });
+
+    it('should pass the density model to trajectories and confidence intervals', () => {
+      const covariance = Array.from({ length: 6 }, (_, i) =>
+        Array.from({ length: 6 }, (_, j) => (i === j ? 0.01 : 0))
+      );
+      const result = calculateRisk(
+        { ...profile, projectionEndAge: 90 },
+        { density: densityModel, confidenceInterval: { covariance } }
+      );
+      const trajectory = calculateRiskTrajectory(profile, {
+        density: densityModel,
+      });
+      const { individual } = trajectory;
+
+      expect(result.confidenceInterval.estimate).toBe(result.absoluteRisk);
+      expect(individual[individual.length - 1].cumulativeRisk).toBeCloseTo(
+        result.absoluteRisk,
+        10
+      );
+    });
+  });
+});
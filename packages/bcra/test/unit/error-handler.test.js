@@ -13,7 +13,14 @@ import {
   createUserFriendlyError,
   createUserFriendlyErrors,
   createValidationResult,
+  createValidationIssue,
+  addValidationError,
+  addValidationWarning,
+  copyValidationIssues,
+  createErrorFromResult,
 } from '../../src/utils/error-handler.js';
+import { calculateRisk } from '../../src/core/risk-calculator.js';
+import { ValidationCode } from '../../src/types/index.js';
 
 describe('BCRAValidationError', () => {
   describe('Error instantiation', () => {
@@ -353,3 +360,129 @@ describe('createValidationResult', () => {
     expect(result.errors).toEqual([]);
   });
 });
+
+describe('Structured validation issues', () => {
+  it('should keep messages and details aligned', () => {
+    const validation = { errors: [], warnings: [] };
+
+    const issue = addValidationError(
+      validation,
+      ValidationCode.INVALID_OPTION,
+      'Step must be a positive number of years',
+      ['step'],
+      { step: 0 }
+    );
+    addValidationWarning(validation, 'SOME_WARNING', 'Check this');
+
+    expect(issue).toEqual(
+      createValidationIssue(
+        ValidationCode.INVALID_OPTION,
+        'Step must be a positive number of years',
+        ['step'],
+        { step: 0 }
+      )
+    );
+    expect(validation.errors).toEqual([
+      'Step must be a positive number of years',
+    ]);
+    expect(validation.errorDetails).toEqual([issue]);
+    expect(validation.warningDetails[0].fields).toEqual([]);
+  });
+
+  it('should copy issues with a prefix', () => {
+    const source = { errors: [], warnings: [] };
+    const target = { errors: [], warnings: [] };
+    addValidationError(source, ValidationCode.INVALID_RACE, 'Bad race', [
+      'race',
+    ]);
+
+    copyValidationIssues(target, source, 'Baseline: ');
+
+    expect(target.errors).toEqual(['Baseline: Bad race']);
+    expect(target.errorDetails[0].code).toBe(ValidationCode.INVALID_RACE);
+  });
+
+  it('should map issues to friendly messages by code', () => {
+    const result = calculateRisk({
+      id: 1,
+      initialAge: 40,
+      projectionEndAge: 35,
+      race: 1,
+      numBreastBiopsies: 0,
+      ageAtMenarche: 12,
+      ageAtFirstBirth: 25,
+      numRelativesWithBrCa: 0,
+      atypicalHyperplasia: 99,
+    });
+
+    expect(createUserFriendlyErrors(result.validation.errorDetails)).toEqual([
+      'The future age must be greater than the current age.',
+    ]);
+    // The message text maps the same way
+    expect(createUserFriendlyErrors(result.validation.errors)).toEqual([
+      'The future age must be greater than the current age.',
+    ]);
+    expect(
+      createUserFriendlyError(
+        createValidationIssue('NOT_MAPPED', 'Original message')
+      )
+    ).toBe('Original message');
+  });
+
+  it('should code option and calculation errors', () => {
+    const profile = {
+      id: 1,
+      initialAge: 40,
+      projectionEndAge: 50,
+      race: 1,
+      numBreastBiopsies: 0,
+      ageAtMenarche: 12,
+      ageAtFirstBirth: 25,
+      numRelativesWithBrCa: 0,
+      atypicalHyperplasia: 99,
+    };
+
+    const result = calculateRisk(profile, { oneMinusAR: [0.5] });
+
+    expect(result.validation.errorDetails).toHaveLength(1);
+    expect(result.validation.errorDetails[0]).toMatchObject({
+      code: ValidationCode.INVALID_OPTION,
+      fields: ['oneMinusAR'],
+      message: result.validation.errors[0],
+    });
+  });
+});
+
+describe('createErrorFromResult', () => {
+  it('should give a BCRACalculationError for a failed calculation', () => {
+    const validation = { errors: [], warnings: [] };
+    addValidationError(
+      validation,
+      ValidationCode.UNEXPECTED_ERROR,
+      'Unexpected error: boom'
+    );
+    const cause = { message: 'boom', stack: 'Error: boom' };
+
+    const error = createErrorFromResult({ validation, error: cause });
+
+    expect(error).toBeInstanceOf(BCRACalculationError);
+    expect(error.message).toBe('Unexpected error: boom');
+    expect(error.details).toEqual({
+      issues: validation.errorDetails,
+      cause,
+    });
+  });
+
+  it('should give a BCRAValidationError for invalid input', () => {
+    const validation = { errors: [], warnings: [] };
+    addValidationError(validation, ValidationCode.INVALID_RACE, 'Bad race', [
+      'race',
+    ]);
+
+    const error = createErrorFromResult({ validation, error: null });
+
+    expect(error).toBeInstanceOf(BCRAValidationError);
+    expect(error.fieldErrors).toEqual({ race: ['Bad race'] });
+    expect(error.toJSON().issues).toEqual(validation.errorDetails);
+  });
+});
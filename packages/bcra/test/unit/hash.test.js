@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { canonicalize, sha256, hashCanonical } from '../../src/utils/hash.js';
+
+describe('canonicalize', () => {
+  it('should sort object keys at every level', () => {
+    expect(canonicalize({ b: { d: 1, c: [2, { f: 3, e: 4 }] }, a: 'x' })).toBe(
+      '{"a":"x","b":{"c":[2,{"e":4,"f":3}],"d":1}}'
+    );
+  });
+
+  it('should follow JSON.stringify for values JSON cannot hold', () => {
+    expect(
+      canonicalize({ a: undefined, b: () => 1, c: [undefined, NaN, -0] })
+    ).toBe('{"c":[null,null,0]}');
+    expect(canonicalize(undefined)).toBe('null');
+  });
+});
+
+describe('sha256', () => {
+  it('should match the FIPS 180-4 test vectors', () => {
+    expect(sha256('')).toBe(
+      'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'
+    );
+    expect(sha256('abc')).toBe(
+      'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+    );
+    expect(
+      sha256('abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq')
+    ).toBe('248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1');
+  });
+
+  it('should hash messages longer than one block', () => {
+    expect(sha256('a'.repeat(1000))).toBe(
+      '41edece42d63e8d9bf515a9ba6932e1c20cbc9f5a5d134645adb5db1b9737ea3'
+    );
+  });
+
+  it('should encode text as UTF-8', () => {
+    // λ is the two bytes 0xce 0xbb
+    expect(sha256('λ')).toBe(
+      '6bb5604cb68c1e249874295f9dad38394b818646a41a813af58598b72f0c221b'
+    );
+  });
+});
+
+describe('hashCanonical', () => {
+  it('should not depend on key order', () => {
+    expect(hashCanonical({ a: 1, b: [1, 2] })).toBe(
+      hashCanonical({ b: [1, 2], a: 1 })
+    );
+    expect(hashCanonical({ a: 1, b: [1, 2] })).not.toBe(
+      hashCanonical({ a: 1, b: [2, 1] })
+    );
+  });
+});
@@ -0,0 +1,232 @@
+import { describe, it, expect } from 'vitest';
+import {
+  checkImputationOptions,
+  calculateImputedRisk,
+  estimateCategoryDistributions,
+} from '../../src/core/imputation.js';
+import { calculateRisk } from '../../src/core/risk-calculator.js';
+import { RaceCode } from '../../src/types/index.js';
+
+const profile = {
+  id: 1,
+  initialAge: 40,
+  projectionEndAge: 60,
+  race: RaceCode.WHITE,
+  numBreastBiopsies: 1,
+  ageAtMenarche: 99,
+  ageAtFirstBirth: 27,
+  numRelativesWithBrCa: 1,
+  atypicalHyperplasia: 0,
+};
+
+// Illustrative distributions only; none are bundled
+const distributions = {
+  [RaceCode.WHITE]: {
+    numBreastBiopsies: [0.8, 0.15, 0.05],
+    ageAtMenarche: [0.2, 0.5, 0.3],
+    ageAtFirstBirth: [0.3, 0.3, 0.2, 0.2],
+    numRelativesWithBrCa: [0.85, 0.13, 0.02],
+  },
+};
+
+describe('Imputation of unknown risk factors', () => {
+  describe('checkImputationOptions', () => {
+    it('should accept defaults and reject invalid options', () => {
+      expect(checkImputationOptions({ distributions })).toBeNull();
+      expect(checkImputationOptions(true)).toBe('imputation must be an object');
+      expect(checkImputationOptions({ method: 'hotdeck', distributions })).toBe(
+        'Unknown imputation method: hotdeck. Must be one of expected, multiple'
+      );
+      expect(checkImputationOptions({ method: 'expected' })).toBe(
+        'imputation.distributions must give category distributions by race code (no default distributions are bundled)'
+      );
+      expect(
+        checkImputationOptions({ method: 'multiple', distributions, draws: 1 })
+      ).toBe('Imputation draws must be an integer of at least 2');
+    });
+  });
+
+  describe('calculateRisk with imputation', () => {
+    it('should average the risk over the categories of an unknown field', () => {
+      // Menarche ages in categories 0 (>= 14), 1 (12-13) and 2 (< 12)
+      const known = [14, 13, 11].map(
+        (ageAtMenarche) =>
+          calculateRisk({ ...profile, ageAtMenarche }).absoluteRisk
+      );
+      const expected = known.reduce(
+        (sum, risk, category) =>
+          sum + risk * distributions[RaceCode.WHITE].ageAtMenarche[category],
+        0
+      );
+
+      const result = calculateRisk(profile, { imputation: { distributions } });
+
+      expect(result.success).toBe(true);
+      expect(result.absoluteRisk).toBeCloseTo(expected, 12);
+      expect(result.absoluteRisk).toBeGreaterThan(known[0]);
+      expect(result.patternNumber).toBeNull();
+      expect(result.recodedValues.menarcheCategory).toBe(0);
+      expect(result.imputation.method).toBe('expected');
+      expect(result.imputation.fields).toEqual(['ageAtMenarche']);
+      expect(result.imputation.standardDeviation).toBeGreaterThan(0);
+      expect(result.imputation.risks).toBeNull();
+    });
+
+    it('should reproduce the default coding for a distribution on category 0', () => {
+      const bundled = calculateRisk(profile);
+      const result = calculateRisk(profile, {
+        imputation: {
+          distributions: { [RaceCode.WHITE]: { ageAtMenarche: [1, 0, 0] } },
+        },
+      });
+
+      expect(result.absoluteRisk).toBeCloseTo(bundled.absoluteRisk, 12);
+      expect(result.relativeRiskUnder50).toBeCloseTo(
+        bundled.relativeRiskUnder50,
+        12
+      );
+      expect(result.imputation.standardDeviation).toBe(0);
+    });
+
+    it('should leave profiles without unknown fields unchanged', () => {
+      const complete = { ...profile, ageAtMenarche: 12 };
+
+      const result = calculateRisk(complete, { imputation: { distributions } });
+
+      expect(result.absoluteRisk).toBe(calculateRisk(complete).absoluteRisk);
+      expect(result.patternNumber).not.toBeNull();
+      expect(result.imputation.fields).toEqual([]);
+    });
+
+    it('should make reproducible draws for multiple imputation', () => {
+      const options = {
+        imputation: { method: 'multiple', distributions, draws: 50, seed: 7 },
+      };
+      const withUnknowns = {
+        ...profile,
+        numBreastBiopsies: 99,
+        numRelativesWithBrCa: 99,
+        atypicalHyperplasia: 99,
+      };
+
+      const first = calculateRisk(withUnknowns, options);
+      const second = calculateRisk(withUnknowns, options);
+
+      expect(first.absoluteRisk).toBe(second.absoluteRisk);
+      expect(first.imputation.fields).toEqual([
+        'numBreastBiopsies',
+        'ageAtMenarche',
+        'numRelativesWithBrCa',
+      ]);
+      expect(first.imputation.risks).toHaveLength(50);
+      expect(first.imputation.lower).toBeLessThanOrEqual(first.absoluteRisk);
+      expect(first.imputation.upper).toBeGreaterThanOrEqual(first.absoluteRisk);
+      expect(first.imputation.seed).toBe(7);
+    });
+
+    it('should use the unknown hyperplasia multiplier for imputed biopsies', () => {
+      const withBiopsy = {
+        ...profile,
+        ageAtMenarche: 12,
+        atypicalHyperplasia: 99,
+      };
+      const result = calculateRisk(
+        { ...withBiopsy, numBreastBiopsies: 99 },
+        {
+          imputation: {
+            distributions: {
+              [RaceCode.WHITE]: { numBreastBiopsies: [0, 1, 0] },
+            },
+          },
+        }
+      );
+
+      expect(result.absoluteRisk).toBeCloseTo(
+        calculateRisk(withBiopsy).absoluteRisk,
+        12
+      );
+    });
+
+    it('should report missing or invalid distributions', () => {
+      const missing = calculateRisk(profile, {
+        imputation: { distributions: {} },
+      });
+      const invalid = calculateRisk(profile, {
+        imputation: {
+          distributions: { [RaceCode.WHITE]: { ageAtMenarche: [0.5, 0.5] } },
+        },
+      });
+
+      expect(missing.success).toBe(false);
+      expect(missing.validation.errors).toEqual([
+        'No imputation distribution for ageAtMenarche (race code 1)',
+      ]);
+      expect(invalid.validation.errors).toEqual([
+        'Imputation distribution for ageAtMenarche (race code 1) must be 3 non-negative probabilities summing to 1',
+      ]);
+    });
+
+    it('should not combine with pre-recoded input or other outputs', () => {
+      const horizons = calculateRisk(profile, {
+        imputation: { distributions },
+        horizons: [5, 10],
+        contributions: true,
+      });
+      const recoded = calculateRisk(profile, {
+        imputation: { distributions },
+        rawInput: false,
+      });
+
+      expect(horizons.success).toBe(false);
+      expect(horizons.validation.errors).toEqual([
+        'imputation cannot be combined with horizons, contributions',
+      ]);
+      expect(recoded.validation.errors).toEqual([
+        'imputation requires raw input (rawInput: true)',
+      ]);
+    });
+  });
+
+  describe('estimateCategoryDistributions', () => {
+    it('should count categories among known values only', () => {
+      const {
+        distributions: estimated,
+        counts,
+        excluded,
+        error,
+      } = estimateCategoryDistributions([
+        { ...profile, ageAtMenarche: 14 },
+        { ...profile, ageAtMenarche: 13 },
+        { ...profile, ageAtMenarche: 12 },
+        { ...profile, ageAtMenarche: 99 },
+        { ...profile, initialAge: 10 },
+      ]);
+
+      expect(error).toBeNull();
+      expect(estimated[RaceCode.WHITE].ageAtMenarche).toEqual([
+        1 / 3,
+        2 / 3,
+        0,
+      ]);
+      expect(counts[RaceCode.WHITE].numBreastBiopsies).toEqual([0, 4, 0]);
+      expect(excluded.map(({ index }) => index)).toEqual([4]);
+    });
+
+    it('should give distributions calculateImputedRisk accepts', () => {
+      const { distributions: estimated } = estimateCategoryDistributions(
+        [{ ...profile, ageAtMenarche: 11 }],
+        { weights: [2] }
+      );
+
+      expect(estimated[RaceCode.WHITE].ageAtMenarche).toEqual([0, 0, 1]);
+      expect(typeof calculateImputedRisk).toBe('function');
+      expect(
+        calculateRisk(profile, { imputation: { distributions: estimated } })
+          .absoluteRisk
+      ).toBeCloseTo(
+        calculateRisk({ ...profile, ageAtMenarche: 11 }).absoluteRisk,
+        12
+      );
+    });
+  });
+});
@@ -0,0 +1,303 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  registerModel,
+  unregisterModel,
+  getModel,
+  getPopulation,
+  listModels,
+  resolveModel,
+  getModelVersion,
+  listModelVersions,
+  DEFAULT_MODEL_ID,
+} from '../../src/core/model-registry.js';
+import { recodeAndValidate } from '../../src/core/recode-check.js';
+import { calculateRisk } from '../../src/core/risk-calculator.js';
+import {
+  NCI_BCRAT_MODEL,
+  STANDARD_RECODING_RULES,
+  BETA_BY_RACE,
+  LAMBDA1_BY_RACE,
+  LAMBDA2_BY_RACE,
+  ATTRIBUTABLE_RISK_BY_RACE,
+} from '../../src/constants/index.js';
+import { RaceCode } from '../../src/types/index.js';
+
+const profile = {
+  id: 1,
+  initialAge: 45,
+  projectionEndAge: 50,
+  race: RaceCode.WHITE,
+  numBreastBiopsies: 1,
+  ageAtMenarche: 11,
+  ageAtFirstBirth: 26,
+  numRelativesWithBrCa: 2,
+  atypicalHyperplasia: 0,
+};
+
+// A copy of the White population under a different model id
+function whiteCopy(overrides = {}) {
+  return {
+    id: 'white-copy',
+    name: 'White copy',
+    recoding: STANDARD_RECODING_RULES,
+    populations: {
+      1: {
+        label: 'Cohort',
+        beta: BETA_BY_RACE[1],
+        lambda1: LAMBDA1_BY_RACE[1],
+        lambda2: LAMBDA2_BY_RACE[1],
+        oneMinusAR: ATTRIBUTABLE_RISK_BY_RACE[1],
+        ...overrides,
+      },
+    },
+  };
+}
+
+describe('Model registry', () => {
+  afterEach(() => {
+    unregisterModel('white-copy');
+  });
+
+  describe('Default model', () => {
+    it('should register the NCI BCRAT as the default model', () => {
+      expect(DEFAULT_MODEL_ID).toBe('nci-bcrat');
+      expect(getModel().id).toBe(NCI_BCRAT_MODEL.id);
+      expect(listModels()[0]).toMatchObject({
+        id: 'nci-bcrat',
+        name: NCI_BCRAT_MODEL.name,
+      });
+      expect(listModels()[0].populations).toHaveLength(11);
+    });
+
+    it('should give the same result with and without the model option', () => {
+      for (let race = 1; race <= 11; race++) {
+        const data = { ...profile, race };
+        const implicit = calculateRisk(data, { calculateAverage: true });
+        const explicit = calculateRisk(data, {
+          calculateAverage: true,
+          model: 'nci-bcrat',
+        });
+
+        expect(explicit.absoluteRisk).toBe(implicit.absoluteRisk);
+        expect(explicit.averageRisk).toBe(implicit.averageRisk);
+        expect(explicit.model).toEqual({
+          id: 'nci-bcrat',
+          name: NCI_BCRAT_MODEL.name,
+        });
+      }
+    });
+
+    it('should freeze registered definitions', () => {
+      const model = getModel();
+
+      expect(Object.isFrozen(model)).toBe(true);
+      expect(Object.isFrozen(model.populations[1].beta)).toBe(true);
+    });
+
+    it('should not unregister the default model', () => {
+      expect(unregisterModel('nci-bcrat')).toBe(false);
+      expect(getModel('nci-bcrat')).not.toBeNull();
+    });
+
+    it('should merge race-specific recoding over the standard rules', () => {
+      const hispanic = getPopulation(RaceCode.HISPANIC_US_BORN);
+
+      expect(hispanic.recoding.menarche.cutpoints).toEqual([]);
+      expect(hispanic.recoding.hyperplasiaMultipliers).toEqual(
+        STANDARD_RECODING_RULES.hyperplasiaMultipliers
+      );
+    });
+  });
+
+  describe('registerModel', () => {
+    it('should register a valid definition', () => {
+      const result = registerModel(whiteCopy());
+
+      expect(result.success).toBe(true);
+      expect(result.errors).toEqual([]);
+      expect(result.model).toEqual({
+        id: 'white-copy',
+        name: 'White copy',
+        populations: [{ code: 1, label: 'Cohort' }],
+      });
+      expect(listModels().map((model) => model.id)).toContain('white-copy');
+    });
+
+    it('should reproduce the NCI result with the same tables', () => {
+      registerModel(whiteCopy());
+
+      const nci = calculateRisk(profile);
+      const copy = calculateRisk(profile, { model: 'white-copy' });
+
+      expect(copy.success).toBe(true);
+      expect(copy.absoluteRisk).toBe(nci.absoluteRisk);
+      expect(copy.raceEthnicity).toBe('Cohort');
+      expect(copy.model.id).toBe('white-copy');
+    });
+
+    it('should reject duplicate ids', () => {
+      registerModel(whiteCopy());
+      const result = registerModel(whiteCopy());
+
+      expect(result.success).toBe(false);
+      expect(result.errors).toEqual([
+        'A model with id white-copy is already registered',
+      ]);
+    });
+
+    it('should report every problem in an invalid definition', () => {
+      const result = registerModel(
+        whiteCopy({
+          beta: [1, 2, 3],
+          lambda1: LAMBDA1_BY_RACE[1].slice(1),
+          oneMinusAR: [0.5, 1.5],
+          recoding: { biopsies: { cutpoints: [2, 1] } },
+        })
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.errors).toHaveLength(4);
+      expect(result.errors[0]).toMatch(
+        /^Model white-copy, population 1: beta must be 6 numbers/
+      );
+      expect(result.errors.join('\n')).toContain(
+        'recoding.biopsies.cutpoints must be increasing numbers'
+      );
+      expect(getModel('white-copy')).toBeNull();
+    });
+
+    it('should require recoding rules for every factor', () => {
+      const definition = whiteCopy();
+      delete definition.recoding;
+      const result = registerModel(definition);
+
+      expect(result.success).toBe(false);
+      expect(result.errors).toContain(
+        'Model white-copy, population 1: recoding.biopsies.cutpoints must be an array'
+      );
+    });
+
+    it('should not be affected by later changes to the definition', () => {
+      const definition = whiteCopy();
+      definition.populations[1].beta = [...BETA_BY_RACE[1]];
+      registerModel(definition);
+      definition.populations[1].beta[0] = 10;
+
+      expect(getModel('white-copy').populations[1].beta[0]).toBe(
+        BETA_BY_RACE[1][0]
+      );
+    });
+  });
+
+  describe('Model selection', () => {
+    it('should report unknown model ids', () => {
+      const result = calculateRisk(profile, { model: 'missing' });
+
+      expect(result.success).toBe(false);
+      expect(result.model).toBeNull();
+      expect(result.validation.errors[0]).toBe(
+        'Unknown model: missing. Registered models: nci-bcrat'
+      );
+    });
+
+    it('should accept an unregistered definition object', () => {
+      const result = calculateRisk(profile, { model: whiteCopy() });
+
+      expect(result.success).toBe(true);
+      expect(result.model.id).toBe('white-copy');
+      expect(getModel('white-copy')).toBeNull();
+    });
+
+    it('should report invalid definition objects', () => {
+      const { model, error } = resolveModel({ id: 'empty', populations: {} });
+
+      expect(model).toBeNull();
+      expect(error).toBe(
+        'Model empty: populations must list at least one code'
+      );
+    });
+
+    it('should validate race codes against the model populations', () => {
+      registerModel(whiteCopy());
+      const result = calculateRisk(
+        { ...profile, race: 2 },
+        { model: 'white-copy' }
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.validation.errors).toContain(
+        'Invalid race code. Must be one of 1'
+      );
+    });
+
+    it('should recode with the model cutpoints', () => {
+      registerModel(
+        whiteCopy({
+          recoding: {
+            relatives: { cutpoints: [1] },
+            menarche: { cutpoints: [13] },
+          },
+        })
+      );
+
+      const nci = recodeAndValidate(profile);
+      const copy = recodeAndValidate(profile, true, { model: 'white-copy' });
+
+      expect(nci.recodedValues.relativesCategory).toBe(2);
+      expect(copy.recodedValues.relativesCategory).toBe(1);
+      expect(nci.recodedValues.menarcheCategory).toBe(2);
+      expect(copy.recodedValues.menarcheCategory).toBe(1);
+      expect(copy.recodedValues.biopsyCategory).toBe(1);
+    });
+
+    it('should use the model hyperplasia multipliers', () => {
+      registerModel(
+        whiteCopy({
+          recoding: {
+            hyperplasiaMultipliers: { no: 1, yes: 2, unknown: 1 },
+          },
+        })
+      );
+
+      const copy = recodeAndValidate(profile, true, { model: 'white-copy' });
+
+      expect(copy.recodedValues.hyperplasiaMultiplier).toBe(1);
+    });
+
+    it('should use population average rates only when given', () => {
+      registerModel(whiteCopy());
+
+      const nci = calculateRisk(profile, { calculateAverage: true });
+      const copy = calculateRisk(profile, {
+        calculateAverage: true,
+        model: 'white-copy',
+      });
+
+      // The NCI White population averages over the SEER 1992-96 rates
+      expect(copy.averageRisk).not.toBeCloseTo(nci.averageRisk, 6);
+      expect(copy.averageRisk).toBeGreaterThan(0);
+    });
+  });
+
+  describe('Model versions', () => {
+    it('should list the current version only', () => {
+      expect(listModelVersions().map((version) => version.id)).toEqual([
+        'current',
+      ]);
+      expect(getModelVersion(getModel()).id).toBe('current');
+    });
+
+    it('should record the current version for the default model only', () => {
+      const nci = calculateRisk(profile);
+      const custom = calculateRisk(profile, { model: whiteCopy() });
+
+      expect(nci.modelVersion).toEqual({
+        id: 'current',
+        name: 'Current NCI BCRAT',
+        races: [],
+        caveats: [],
+      });
+      expect(custom.modelVersion).toBeNull();
+    });
+  });
+});
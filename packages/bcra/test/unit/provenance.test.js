@@ -0,0 +1,127 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createProvenance,
+  deriveProvenance,
+  compareProvenance,
+} from '../../src/core/provenance.js';
+import { calculateRisk } from '../../src/core/risk-calculator.js';
+import { resolveModel } from '../../src/core/model-registry.js';
+import { hashCanonical } from '../../src/utils/hash.js';
+import { VERSION } from '../../src/version.js';
+import { RaceCode } from '../../src/types/index.js';
+
+const profile = {
+  id: 1,
+  initialAge: 40,
+  projectionEndAge: 45,
+  race: RaceCode.WHITE,
+  numBreastBiopsies: 1,
+  ageAtMenarche: 12,
+  ageAtFirstBirth: 25,
+  numRelativesWithBrCa: 1,
+  atypicalHyperplasia: 0,
+};
+
+describe('Result provenance', () => {
+  describe('createProvenance', () => {
+    it('should record only the library and hashes without resolved options', () => {
+      const provenance = createProvenance(profile, { rawInput: true });
+
+      expect(provenance).toEqual({
+        library: { name: 'bcra', version: VERSION },
+        model: null,
+        modelVersion: null,
+        rateSet: null,
+        densityModel: null,
+        integration: null,
+        hashAlgorithm: 'SHA-256',
+        parameterHash: null,
+        inputHash: hashCanonical(profile),
+        optionsHash: hashCanonical({ rawInput: true }),
+      });
+      expect(provenance.inputHash).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    it('should hash the profile as it was when the block was built', () => {
+      const changed = { ...profile };
+      const provenance = createProvenance(changed, { rawInput: true });
+      changed.initialAge = 50;
+
+      expect(provenance.inputHash).toBe(hashCanonical(profile));
+      expect(JSON.parse(JSON.stringify(provenance))).toEqual(provenance);
+      provenance.inputHash = null;
+      expect(provenance.inputHash).toBeNull();
+    });
+
+    it('should hash the parameters of the profile race', () => {
+      const { model } = resolveModel('nci-bcrat');
+      const resolved = {
+        model,
+        version: null,
+        rateSet: null,
+        oneMinusAR: null,
+        density: null,
+        integration: { engine: 'r-compatible', step: null },
+      };
+
+      const white = createProvenance(profile, {}, resolved);
+      const black = createProvenance(
+        { ...profile, race: RaceCode.AFRICAN_AMERICAN },
+        {},
+        resolved
+      );
+      const recalibrated = createProvenance(
+        profile,
+        {},
+        { ...resolved, oneMinusAR: [0.6, 0.7] }
+      );
+      const unknownRace = createProvenance(
+        { ...profile, race: 12 },
+        {},
+        resolved
+      );
+
+      expect(white.parameterHash).toMatch(/^[0-9a-f]{64}$/);
+      expect(black.parameterHash).not.toBe(white.parameterHash);
+      expect(recalibrated.parameterHash).not.toBe(white.parameterHash);
+      expect(unknownRace.parameterHash).toBeNull();
+      expect(unknownRace.model.id).toBe('nci-bcrat');
+    });
+  });
+
+  describe('deriveProvenance', () => {
+    it('should copy the block and replace the input hash', () => {
+      const base = calculateRisk(profile, { integration: 'exact' }).provenance;
+      const input = { profile, changes: { numRelativesWithBrCa: 0 } };
+
+      const copy = deriveProvenance(base);
+      const derived = deriveProvenance(base, input);
+      copy.integration.engine = 'r-compatible';
+
+      expect(base.integration.engine).toBe('exact');
+      expect(derived).toEqual({ ...base, inputHash: hashCanonical(input) });
+    });
+  });
+
+  describe('compareProvenance', () => {
+    it('should list the fields that differ', () => {
+      const stored = calculateRisk(profile).provenance;
+
+      expect(
+        compareProvenance(stored, calculateRisk({ ...profile }).provenance)
+      ).toEqual({ matches: true, differences: [] });
+      expect(
+        compareProvenance(
+          { ...stored, library: { name: 'bcra', version: '1.0.0' } },
+          stored
+        )
+      ).toEqual({ matches: false, differences: ['library.version'] });
+      expect(
+        compareProvenance(
+          stored,
+          calculateRisk(profile, { oneMinusAR: [0.6, 0.7] }).provenance
+        ).differences
+      ).toEqual(['parameterHash', 'optionsHash']);
+    });
+  });
+});
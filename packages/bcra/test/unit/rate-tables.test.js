@@ -0,0 +1,318 @@
+import { describe, it, expect } from 'vitest';
+import {
+  validateRateTable,
+  expandRateTable,
+  resolveRateSet,
+  DEFAULT_AGE_BREAKPOINTS,
+} from '../../src/core/rate-tables.js';
+import { expandToSingleYears } from '../../src/core/absolute-risk.js';
+import {
+  registerModel,
+  unregisterModel,
+} from '../../src/core/model-registry.js';
+import {
+  calculateRisk,
+  calculateRiskTrajectory,
+} from '../../src/core/risk-calculator.js';
+import {
+  LAMBDA1_BY_RACE,
+  LAMBDA2_BY_RACE,
+  BETA_BY_RACE,
+  ATTRIBUTABLE_RISK_BY_RACE,
+  STANDARD_RECODING_RULES,
+} from '../../src/constants/index.js';
+import { RaceCode } from '../../src/types/index.js';
+
+const profile = {
+  id: 1,
+  initialAge: 42,
+  projectionEndAge: 67,
+  race: RaceCode.AFRICAN_AMERICAN,
+  numBreastBiopsies: 1,
+  ageAtMenarche: 12,
+  ageAtFirstBirth: 98,
+  numRelativesWithBrCa: 1,
+  atypicalHyperplasia: 99,
+};
+
+// Ages 20, 21, ..., 90
+const SINGLE_YEAR_AGES = Array.from({ length: 71 }, (_, i) => 20 + i);
+
+describe('Rate tables', () => {
+  describe('validateRateTable', () => {
+    it('should accept the bundled tables on the default grid', () => {
+      expect(DEFAULT_AGE_BREAKPOINTS).toHaveLength(15);
+      expect(validateRateTable(LAMBDA1_BY_RACE[1])).toEqual([]);
+    });
+
+    it('should accept grids extending beyond 20-90', () => {
+      expect(validateRateTable([0.001, 0.002], [0, 50, 100])).toEqual([]);
+    });
+
+    it('should reject breakpoints that are not increasing whole ages', () => {
+      expect(validateRateTable([1, 2], [20, 50, 50])).toEqual([
+        'ageBreakpoints must be increasing whole ages',
+      ]);
+      expect(validateRateTable([1, 2], [20, 52.5, 90])).toEqual([
+        'ageBreakpoints must be increasing whole ages',
+      ]);
+    });
+
+    it('should reject grids that do not cover 20-90', () => {
+      expect(validateRateTable([1, 2], [25, 50, 90])).toEqual([
+        'ageBreakpoints must cover ages 20 to 90',
+      ]);
+      expect(validateRateTable([1, 2], [20, 50, 85])).toEqual([
+        'ageBreakpoints must cover ages 20 to 90',
+      ]);
+    });
+
+    it('should reject negative, missing or extra rates', () => {
+      const message =
+        'rates must be 2 non-negative numbers, one per age interval';
+
+      expect(validateRateTable([1, -1], [20, 50, 90])).toEqual([message]);
+      expect(validateRateTable([1], [20, 50, 90])).toEqual([message]);
+      expect(validateRateTable([1, 2, 3], [20, 50, 90])).toEqual([message]);
+      expect(validateRateTable([1, NaN], [20, 50, 90])).toEqual([message]);
+    });
+  });
+
+  describe('expandRateTable', () => {
+    it('should match expandToSingleYears on the default grid', () => {
+      expect(expandRateTable(LAMBDA2_BY_RACE[3])).toEqual(
+        expandToSingleYears(LAMBDA2_BY_RACE[3])
+      );
+    });
+
+    it('should expand uneven grids and ignore ages outside 20-90', () => {
+      const rates = expandRateTable([1, 2, 3], [0, 50, 70, 100]);
+
+      expect(rates).toHaveLength(70);
+      expect(rates[0]).toBe(1);
+      expect(rates[29]).toBe(1);
+      expect(rates[30]).toBe(2);
+      expect(rates[50]).toBe(3);
+      expect(rates[69]).toBe(3);
+    });
+
+    it('should keep single-year rates as they are', () => {
+      const rates = SINGLE_YEAR_AGES.slice(0, -1).map((age) => age / 1000);
+
+      expect(expandRateTable(rates, SINGLE_YEAR_AGES)).toEqual(rates);
+    });
+  });
+
+  describe('resolveRateSet', () => {
+    it('should freeze a valid rate set and fill in missing tables', () => {
+      const { rateSet, error } = resolveRateSet({
+        id: 'registry',
+        lambda1: LAMBDA1_BY_RACE[1],
+      });
+
+      expect(error).toBeNull();
+      expect(rateSet.name).toBe('registry');
+      expect(rateSet.ageBreakpoints).toEqual(DEFAULT_AGE_BREAKPOINTS);
+      expect(rateSet.lambda2).toBeNull();
+      expect(Object.isFrozen(rateSet)).toBe(true);
+      expect(resolveRateSet(rateSet).rateSet).toBe(rateSet);
+    });
+
+    it('should report every invalid table', () => {
+      const { rateSet, error } = resolveRateSet({
+        id: 'broken',
+        lambda1: [1, 2],
+        averageLambda2: LAMBDA2_BY_RACE[1].map(() => -1),
+      });
+
+      expect(rateSet).toBeNull();
+      expect(error).toBe(
+        'Rate set broken: lambda1 rates must be 14 non-negative numbers, one per age interval; averageLambda2 rates must be 14 non-negative numbers, one per age interval'
+      );
+    });
+
+    it('should require an id and at least one of lambda1 and lambda2', () => {
+      expect(resolveRateSet({ lambda1: LAMBDA1_BY_RACE[1] }).error).toBe(
+        'Rate set id must be a non-empty string'
+      );
+      expect(
+        resolveRateSet({ id: 'empty', averageLambda1: LAMBDA1_BY_RACE[1] })
+          .error
+      ).toBe('Rate set empty: lambda1, lambda2 or both must be given');
+    });
+  });
+
+  describe('calculateRisk with custom rates', () => {
+    it('should record the model rates when no rate set is given', () => {
+      const result = calculateRisk(profile);
+
+      expect(result.rateSet).toEqual({
+        id: 'nci-bcrat',
+        name: 'NCI Breast Cancer Risk Assessment Tool (Gail model)',
+        custom: false,
+      });
+    });
+
+    it('should reproduce the bundled results from single-year tables', () => {
+      const rates = {
+        id: 'single-year',
+        ageBreakpoints: SINGLE_YEAR_AGES,
+        lambda1: expandToSingleYears(LAMBDA1_BY_RACE[2]),
+        lambda2: expandToSingleYears(LAMBDA2_BY_RACE[2]),
+      };
+
+      const bundled = calculateRisk(profile, { calculateAverage: true });
+      const custom = calculateRisk(profile, { calculateAverage: true, rates });
+
+      expect(custom.success).toBe(true);
+      expect(custom.absoluteRisk).toBe(bundled.absoluteRisk);
+      expect(custom.averageRisk).toBe(bundled.averageRisk);
+      expect(custom.rateSet).toEqual({
+        id: 'single-year',
+        name: 'single-year',
+        custom: true,
+      });
+    });
+
+    it('should keep the betas and replace only the given table', () => {
+      const rates = {
+        id: 'double-incidence',
+        lambda1: LAMBDA1_BY_RACE[2].map((rate) => rate * 2),
+      };
+
+      const bundled = calculateRisk(profile);
+      const custom = calculateRisk(profile, { rates });
+
+      expect(custom.relativeRiskUnder50).toBe(bundled.relativeRiskUnder50);
+      expect(custom.absoluteRisk).toBeGreaterThan(bundled.absoluteRisk);
+      expect(custom.absoluteRisk).toBeLessThan(2 * bundled.absoluteRisk);
+    });
+
+    it('should use the rate set for average risk instead of the model average', () => {
+      const white = { ...profile, race: RaceCode.WHITE };
+      const rates = { id: 'white-1983-87', lambda1: LAMBDA1_BY_RACE[1] };
+
+      const bundled = calculateRisk(white, { calculateAverage: true });
+      const custom = calculateRisk(white, { calculateAverage: true, rates });
+
+      expect(custom.absoluteRisk).toBe(bundled.absoluteRisk);
+      expect(custom.averageRisk).not.toBeCloseTo(bundled.averageRisk, 6);
+    });
+
+    it('should agree across integration engines on a single-year grid', () => {
+      const lambda1 = SINGLE_YEAR_AGES.slice(0, -1).map(
+        (age) => 0.0005 + age * 0.00005
+      );
+      const rates = { id: 'smooth', ageBreakpoints: SINGLE_YEAR_AGES, lambda1 };
+
+      const rCompatible = calculateRisk(profile, { rates });
+      const exact = calculateRisk(profile, { rates, integration: 'exact' });
+
+      expect(exact.absoluteRisk).toBeCloseTo(rCompatible.absoluteRisk, 10);
+    });
+
+    it('should add nothing over intervals without any hazard', () => {
+      const rates = {
+        id: 'no-hazard-60-70',
+        ageBreakpoints: [20, 60, 70, 90],
+        lambda1: [0.002, 0, 0.003],
+        lambda2: [0.001, 0, 0.01],
+      };
+
+      for (const integration of ['r-compatible', 'exact']) {
+        const options = { rates, integration, calculateAverage: true };
+        const result = calculateRisk(profile, {
+          ...options,
+          competingRisks: true,
+        });
+        const toSixty = calculateRisk(
+          { ...profile, projectionEndAge: 60 },
+          options
+        );
+
+        expect(result.success).toBe(true);
+        expect(result.absoluteRisk).toBeCloseTo(toSixty.absoluteRisk, 12);
+        expect(result.averageRisk).toBeCloseTo(toSixty.averageRisk, 12);
+        expect(
+          Number.isFinite(result.competingRisks.individual.competingMortality)
+        ).toBe(true);
+      }
+    });
+
+    it('should report invalid rate sets as validation errors', () => {
+      const result = calculateRisk(profile, {
+        rates: { id: 'short', ageBreakpoints: [20, 50, 80], lambda1: [1, 2] },
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.rateSet).toBeNull();
+      expect(result.validation.errors).toEqual([
+        'Rate set short: ageBreakpoints must cover ages 20 to 90',
+      ]);
+    });
+
+    it('should pass rate sets to trajectories', () => {
+      const rates = {
+        id: 'zero-incidence',
+        lambda1: LAMBDA1_BY_RACE[2].map(() => 0),
+      };
+      const trajectory = calculateRiskTrajectory(profile, { rates });
+
+      expect(trajectory.success).toBe(true);
+      const { individual } = trajectory;
+      expect(individual[individual.length - 1].cumulativeRisk).toBe(0);
+    });
+  });
+
+  describe('Model populations on other grids', () => {
+    it('should accept populations with their own age breakpoints', () => {
+      const registration = registerModel({
+        id: 'single-year-model',
+        recoding: STANDARD_RECODING_RULES,
+        populations: {
+          2: {
+            label: 'African-American (single-year rates)',
+            beta: BETA_BY_RACE[2],
+            ageBreakpoints: SINGLE_YEAR_AGES,
+            lambda1: expandToSingleYears(LAMBDA1_BY_RACE[2]),
+            lambda2: expandToSingleYears(LAMBDA2_BY_RACE[2]),
+            oneMinusAR: ATTRIBUTABLE_RISK_BY_RACE[2],
+            recoding: {
+              menarche: { cutpoints: [14] },
+              firstBirth: { cutpoints: [], nulliparousCategory: 0 },
+            },
+          },
+        },
+      });
+
+      const bundled = calculateRisk(profile);
+      const custom = calculateRisk(profile, { model: 'single-year-model' });
+      unregisterModel('single-year-model');
+
+      expect(registration.success).toBe(true);
+      expect(custom.absoluteRisk).toBe(bundled.absoluteRisk);
+    });
+
+    it('should validate population rates against their grid', () => {
+      const registration = registerModel({
+        id: 'mismatched-grid',
+        recoding: STANDARD_RECODING_RULES,
+        populations: {
+          1: {
+            label: 'Mismatched',
+            beta: BETA_BY_RACE[1],
+            ageBreakpoints: SINGLE_YEAR_AGES,
+            lambda1: LAMBDA1_BY_RACE[1],
+            lambda2: LAMBDA2_BY_RACE[1],
+            oneMinusAR: ATTRIBUTABLE_RISK_BY_RACE[1],
+          },
+        },
+      });
+
+      expect(registration.success).toBe(false);
+      expect(registration.errors[0]).toBe(
+        'Model mismatched-grid, population 1: lambda1 rates must be 70 non-negative numbers, one per age interval'
+      );
+    });
+  });
+});
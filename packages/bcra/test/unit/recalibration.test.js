@@ -0,0 +1,380 @@
+import { describe, it, expect } from 'vitest';
+import {
+  calculateOneMinusAR,
+  validateOneMinusAR,
+} from '../../src/core/recalibration.js';
+import { recodeAndValidate } from '../../src/core/recode-check.js';
+import { calculateRelativeRisk } from '../../src/core/relative-risk.js';
+import { calculateAbsoluteRisk } from '../../src/core/absolute-risk.js';
+import {
+  calculateRisk,
+  calculateRiskTrajectory,
+} from '../../src/core/risk-calculator.js';
+import { ATTRIBUTABLE_RISK_BY_RACE } from '../../src/constants/index.js';
+import { RaceCode } from '../../src/types/index.js';
+
+const profile = {
+  id: 1,
+  initialAge: 40,
+  projectionEndAge: 60,
+  race: RaceCode.WHITE,
+  numBreastBiopsies: 1,
+  ageAtMenarche: 11,
+  ageAtFirstBirth: 28,
+  numRelativesWithBrCa: 1,
+  atypicalHyperplasia: 0,
+};
+
+const lowRisk = {
+  ...profile,
+  id: 2,
+  numBreastBiopsies: 0,
+  ageAtMenarche: 15,
+  ageAtFirstBirth: 19,
+  numRelativesWithBrCa: 0,
+  atypicalHyperplasia: 99,
+};
+
+const older = { ...profile, id: 3, initialAge: 55, projectionEndAge: 75 };
+const olderLowRisk = {
+  ...lowRisk,
+  id: 4,
+  initialAge: 55,
+  projectionEndAge: 75,
+};
+
+function relativeRiskOf(data) {
+  const validation = recodeAndValidate(data);
+  return calculateRelativeRisk(validation, data.race);
+}
+
+describe('Attributable risk recalibration', () => {
+  describe('calculateOneMinusAR from profiles', () => {
+    it('should invert the mean relative risk of the sample', () => {
+      const high = relativeRiskOf(profile);
+      const low = relativeRiskOf(lowRisk);
+
+      const result = calculateOneMinusAR({
+        profiles: [profile, lowRisk, older, olderLowRisk],
+      });
+
+      expect(result.error).toBeNull();
+      expect(result.race).toBe(RaceCode.WHITE);
+      expect(result.used).toBe(4);
+      expect(result.ageGroupWeights).toEqual([2, 2]);
+      expect(result.meanRelativeRisk[0]).toBeCloseTo(
+        (high.relativeRiskUnder50 + low.relativeRiskUnder50) / 2,
+        12
+      );
+      expect(result.oneMinusAR[1]).toBeCloseTo(
+        2 / (high.relativeRiskAtOrAbove50 + low.relativeRiskAtOrAbove50),
+        12
+      );
+    });
+
+    it('should average each age group over the women of that age', () => {
+      const high = relativeRiskOf(profile);
+      const low = relativeRiskOf(olderLowRisk);
+
+      const result = calculateOneMinusAR({ profiles: [profile, olderLowRisk] });
+
+      expect(result.meanRelativeRisk[0]).toBeCloseTo(
+        high.relativeRiskUnder50,
+        12
+      );
+      expect(result.meanRelativeRisk[1]).toBeCloseTo(
+        low.relativeRiskAtOrAbove50,
+        12
+      );
+      expect(calculateOneMinusAR({ profiles: [profile, lowRisk] }).error).toBe(
+        'The population has no valid entries with positive weight aged 50 or older'
+      );
+    });
+
+    it('should treat a weight of 2 like a duplicated profile', () => {
+      const weighted = calculateOneMinusAR({
+        profiles: [profile, lowRisk, older],
+        weights: [2, 1, 1],
+      });
+      const duplicated = calculateOneMinusAR({
+        profiles: [profile, profile, lowRisk, older],
+      });
+
+      expect(weighted.totalWeight).toBe(4);
+      expect(weighted.oneMinusAR[0]).toBeCloseTo(duplicated.oneMinusAR[0], 12);
+      expect(weighted.oneMinusAR[1]).toBeCloseTo(duplicated.oneMinusAR[1], 12);
+    });
+
+    it('should leave out invalid profiles and list them', () => {
+      const result = calculateOneMinusAR({
+        profiles: [
+          profile,
+          { ...lowRisk, ageAtMenarche: 30 },
+          { id: 3 },
+          older,
+        ],
+      });
+
+      expect(result.error).toBeNull();
+      expect(result.used).toBe(2);
+      expect(result.excluded.map((entry) => entry.index)).toEqual([1, 2]);
+      expect(result.excluded[1].errors[0]).toBe(
+        'Missing required field: initialAge'
+      );
+    });
+
+    it('should report a sample with no usable profiles', () => {
+      const result = calculateOneMinusAR({
+        profiles: [{ ...lowRisk, ageAtMenarche: 30 }, { id: 3 }],
+      });
+
+      expect(result.oneMinusAR).toBeNull();
+      expect(result.excluded).toHaveLength(2);
+      expect(result.error).toBe(
+        'No usable profiles remained: all 2 failed validation (see excluded)'
+      );
+    });
+
+    it('should require profiles from a single population', () => {
+      const mixed = calculateOneMinusAR({
+        profiles: [profile, { ...lowRisk, race: RaceCode.AFRICAN_AMERICAN }],
+      });
+      const mismatched = calculateOneMinusAR(
+        { profiles: [profile] },
+        { race: RaceCode.HISPANIC_US_BORN }
+      );
+
+      expect(mixed.oneMinusAR).toBeNull();
+      expect(mixed.error).toBe(
+        'profiles must come from one population; found race codes 1, 2'
+      );
+      expect(mismatched.error).toBe(
+        'profiles have race code 1, but race 3 was requested'
+      );
+    });
+
+    it('should reject invalid weights and samples without usable entries', () => {
+      expect(
+        calculateOneMinusAR({ profiles: [profile], weights: [1, 1] }).error
+      ).toBe('weights must be one non-negative number per profile');
+      expect(
+        calculateOneMinusAR({ profiles: [profile], weights: [0] }).error
+      ).toBe('The population has no valid entries with positive weight');
+      expect(calculateOneMinusAR({ profiles: [] }).error).toBe(
+        'profiles must be a non-empty array'
+      );
+    });
+  });
+
+  describe('calculateOneMinusAR from patterns', () => {
+    it('should give 1-AR of 1 for a population at the reference pattern', () => {
+      const result = calculateOneMinusAR(
+        { patterns: [{ patternNumber: 1, weight: 1 }] },
+        { race: RaceCode.WHITE }
+      );
+
+      expect(result.oneMinusAR).toEqual([1, 1]);
+    });
+
+    it('should agree with the equivalent profile sample', () => {
+      const high = relativeRiskOf(profile);
+      const low = relativeRiskOf(lowRisk);
+
+      const fromProfiles = calculateOneMinusAR({
+        profiles: [profile, lowRisk, older, olderLowRisk],
+        weights: [0.25, 0.75, 0.25, 0.75],
+      });
+      const fromPatterns = calculateOneMinusAR(
+        {
+          patterns: [
+            {
+              patternNumber: high.patternNumber,
+              weight: 0.25,
+              hyperplasiaMultiplier: 0.93,
+            },
+            { patternNumber: low.patternNumber, weight: 0.75 },
+          ],
+        },
+        { race: RaceCode.WHITE }
+      );
+
+      expect(fromPatterns.oneMinusAR[0]).toBeCloseTo(
+        fromProfiles.oneMinusAR[0],
+        12
+      );
+      expect(fromPatterns.oneMinusAR[1]).toBeCloseTo(
+        fromProfiles.oneMinusAR[1],
+        12
+      );
+    });
+
+    it('should take each age group from its own entries', () => {
+      const high = relativeRiskOf(profile);
+      const low = relativeRiskOf(lowRisk);
+
+      const result = calculateOneMinusAR(
+        {
+          patterns: [
+            {
+              patternNumber: high.patternNumber,
+              weight: 1,
+              hyperplasiaMultiplier: 0.93,
+              ageGroup: 'under50',
+            },
+            {
+              patternNumber: low.patternNumber,
+              weight: 1,
+              ageGroup: 'atOrAbove50',
+            },
+          ],
+        },
+        { race: RaceCode.WHITE }
+      );
+
+      expect(result.ageGroupWeights).toEqual([1, 1]);
+      expect(result.oneMinusAR[0]).toBeCloseTo(
+        1 / high.relativeRiskUnder50,
+        12
+      );
+      expect(result.oneMinusAR[1]).toBeCloseTo(
+        1 / low.relativeRiskAtOrAbove50,
+        12
+      );
+    });
+
+    it("should reject patterns outside the race's categories", () => {
+      const result = calculateOneMinusAR(
+        { patterns: [{ patternNumber: 108, weight: 1 }] },
+        { race: RaceCode.HISPANIC_US_BORN }
+      );
+
+      expect(result.oneMinusAR).toBeNull();
+      expect(result.error).toBe(
+        'Pattern 108: Biopsy category must be a whole number from 0 to 1 for Hispanic (US Born) women'
+      );
+      expect(
+        calculateOneMinusAR(
+          { patterns: [{ patternNumber: 108, weight: 1 }] },
+          { race: RaceCode.WHITE }
+        ).error
+      ).toBeNull();
+    });
+
+    it('should validate the pattern distribution', () => {
+      const race = { race: RaceCode.WHITE };
+
+      expect(
+        calculateOneMinusAR({ patterns: [{ patternNumber: 1, weight: 1 }] })
+          .error
+      ).toBe('options.race is required for a pattern distribution');
+      expect(
+        calculateOneMinusAR(
+          { patterns: [{ patternNumber: 109, weight: 1 }] },
+          race
+        ).error
+      ).toBe('Pattern numbers must be integers from 1 to 108');
+      expect(
+        calculateOneMinusAR(
+          { patterns: [{ patternNumber: 5, weight: -1 }] },
+          race
+        ).error
+      ).toBe('Pattern 5: weight must be a non-negative number');
+      expect(
+        calculateOneMinusAR(
+          { patterns: [{ patternNumber: 5, weight: 1, ageGroup: 'over50' }] },
+          race
+        ).error
+      ).toBe("Pattern 5: ageGroup must be 'under50' or 'atOrAbove50'");
+      expect(
+        calculateOneMinusAR(
+          { patterns: [{ patternNumber: 1, weight: 1 }] },
+          { race: 12 }
+        ).error
+      ).toBe('Model nci-bcrat has no population with race code 12');
+    });
+
+    it('should require exactly one of profiles and patterns', () => {
+      expect(calculateOneMinusAR({}).error).toBe(
+        'Give exactly one of profiles or patterns'
+      );
+      expect(
+        calculateOneMinusAR({ profiles: [profile], patterns: [] }).error
+      ).toBe('Give exactly one of profiles or patterns');
+    });
+  });
+
+  describe('oneMinusAR option', () => {
+    it('should replace ATTRIBUTABLE_RISK_BY_RACE in calculateAbsoluteRisk', () => {
+      const validation = recodeAndValidate(profile);
+      const relativeRisk = calculateRelativeRisk(validation, profile.race);
+
+      const bundled = calculateAbsoluteRisk(profile, validation, relativeRisk);
+      const explicit = calculateAbsoluteRisk(
+        profile,
+        validation,
+        relativeRisk,
+        false,
+        { oneMinusAR: ATTRIBUTABLE_RISK_BY_RACE[RaceCode.WHITE] }
+      );
+      const derived = calculateAbsoluteRisk(
+        profile,
+        validation,
+        relativeRisk,
+        false,
+        { oneMinusAR: [1, 1] }
+      );
+
+      expect(explicit).toBe(bundled);
+      expect(derived).toBeGreaterThan(bundled);
+    });
+
+    it('should feed derived values to calculateRisk', () => {
+      const { oneMinusAR } = calculateOneMinusAR({
+        profiles: [profile, lowRisk, older],
+      });
+
+      const result = calculateRisk(profile, {
+        oneMinusAR,
+        calculateAverage: true,
+      });
+      const bundled = calculateRisk(profile, { calculateAverage: true });
+
+      expect(result.success).toBe(true);
+      expect(result.absoluteRisk).not.toBeCloseTo(bundled.absoluteRisk, 6);
+      // Average risk does not depend on 1-AR
+      expect(result.averageRisk).toBe(bundled.averageRisk);
+    });
+
+    it('should pass the values to trajectories and confidence intervals', () => {
+      const options = { oneMinusAR: [0.5, 0.5] };
+      const covariance = Array.from({ length: 6 }, (_, i) =>
+        Array.from({ length: 6 }, (_, j) => (i === j ? 0.01 : 0))
+      );
+      const result = calculateRisk(
+        { ...profile, projectionEndAge: 90 },
+        { ...options, confidenceInterval: { covariance } }
+      );
+      const trajectory = calculateRiskTrajectory(profile, options);
+      const { individual } = trajectory;
+
+      expect(individual[individual.length - 1].cumulativeRisk).toBeCloseTo(
+        result.absoluteRisk,
+        10
+      );
+      expect(result.confidenceInterval.estimate).toBe(result.absoluteRisk);
+    });
+
+    it('should report invalid values as validation errors', () => {
+      const message =
+        'oneMinusAR must be two positive numbers (ages < 50, >= 50)';
+
+      expect(validateOneMinusAR([0.5, 1.2])).toBeNull();
+      expect(validateOneMinusAR([0.5])).toBe(message);
+      expect(validateOneMinusAR([0, 0.5])).toBe(message);
+
+      const result = calculateRisk(profile, { oneMinusAR: [0.5, NaN] });
+      expect(result.success).toBe(false);
+      expect(result.validation.errors).toEqual([message]);
+    });
+  });
+});
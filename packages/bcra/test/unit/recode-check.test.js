@@ -1,6 +1,13 @@
 import { describe, it, expect } from 'vitest';
-import { recodeAndValidate } from '../../src/core/recode-check.js';
-import { RaceCode, SpecialValues } from '../../src/types/index.js';
+import {
+  recodeAndValidate,
+  explainRecoding,
+} from '../../src/core/recode-check.js';
+import {
+  RaceCode,
+  SpecialValues,
+  ValidationCode,
+} from '../../src/types/index.js';
 
 describe('recodeAndValidate', () => {
   describe('Age validation', () => {
@@ -116,6 +123,58 @@ describe('recodeAndValidate', () => {
         result.errors.filter((e) => e.toLowerCase().includes('age'))
       ).toHaveLength(0);
     });
+
+    describe('Projection start age', () => {
+      const data = {
+        initialAge: 40,
+        projectionEndAge: 70,
+        race: RaceCode.WHITE,
+        numBreastBiopsies: 0,
+        ageAtMenarche: 12,
+        ageAtFirstBirth: 25,
+        numRelativesWithBrCa: 0,
+        atypicalHyperplasia: SpecialValues.NOT_APPLICABLE,
+      };
+
+      it('should accept a window starting after initialAge', () => {
+        const result = recodeAndValidate(
+          { ...data, projectionStartAge: 60 },
+          true
+        );
+        expect(result.isValid).toBe(true);
+      });
+
+      it('should reject projectionStartAge < initialAge', () => {
+        const result = recodeAndValidate(
+          { ...data, projectionStartAge: 35 },
+          true
+        );
+        expect(result.isValid).toBe(false);
+        expect(result.errors).toContain(
+          'Projection start age must not be less than initial age'
+        );
+      });
+
+      it('should reject projectionEndAge <= projectionStartAge', () => {
+        const result = recodeAndValidate(
+          { ...data, projectionStartAge: 70 },
+          true
+        );
+        expect(result.isValid).toBe(false);
+        expect(result.errors).toContain(
+          'Projection end age must be greater than projection start age'
+        );
+      });
+
+      it('should check first birth against initialAge, not the window start', () => {
+        const result = recodeAndValidate(
+          { ...data, ageAtFirstBirth: 45, projectionStartAge: 60 },
+          true
+        );
+        expect(result.isValid).toBe(false);
+        expect(result.errors.some((e) => e.includes('first birth'))).toBe(true);
+      });
+    });
   });
 
   describe('Race validation', () => {
@@ -983,11 +1042,159 @@ describe('recodeAndValidate', () => {
       };
 
       const result = recodeAndValidate(data, false);
+      expect(result.isValid).toBe(true);
       expect(result.recodedValues.biopsyCategory).toBe(1);
       expect(result.recodedValues.menarcheCategory).toBe(1);
       expect(result.recodedValues.firstBirthCategory).toBe(2);
       expect(result.recodedValues.relativesCategory).toBe(1);
-      expect(result.recodedValues.hyperplasiaMultiplier).toBe(1.0); // Default
+      expect(result.recodedValues.hyperplasiaMultiplier).toBe(0.93); // No hyperplasia
+    });
+
+    const recoded = {
+      initialAge: 40,
+      projectionEndAge: 50,
+      race: RaceCode.WHITE,
+      numBreastBiopsies: 2,
+      ageAtMenarche: 2,
+      ageAtFirstBirth: 3,
+      numRelativesWithBrCa: 2,
+      atypicalHyperplasia: 1,
+    };
+
+    it('should set the hyperplasia multiplier from the status or explicitly', () => {
+      expect(
+        recodeAndValidate(recoded, false).recodedValues.hyperplasiaMultiplier
+      ).toBe(1.82);
+      expect(
+        recodeAndValidate(
+          { ...recoded, numBreastBiopsies: 0, atypicalHyperplasia: 99 },
+          false
+        ).recodedValues.hyperplasiaMultiplier
+      ).toBe(1.0);
+      expect(
+        recodeAndValidate(
+          {
+            ...recoded,
+            atypicalHyperplasia: undefined,
+            hyperplasiaMultiplier: 1.5,
+          },
+          false
+        ).recodedValues.hyperplasiaMultiplier
+      ).toBe(1.5);
+      // A multiplier may restate the status it agrees with
+      expect(
+        recodeAndValidate({ ...recoded, hyperplasiaMultiplier: 1.82 }, false)
+          .isValid
+      ).toBe(true);
+    });
+
+    it('should require status 99 for biopsy category 0', () => {
+      for (const atypicalHyperplasia of [0, 1]) {
+        const result = recodeAndValidate(
+          { ...recoded, numBreastBiopsies: 0, atypicalHyperplasia },
+          false
+        );
+
+        expect(result.isValid).toBe(false);
+        expect(result.errorDetails).toEqual([
+          {
+            code: ValidationCode.HYPERPLASIA_WITHOUT_BIOPSY,
+            message:
+              'Consistency error: If no biopsies, atypical hyperplasia must be not applicable (99)',
+            fields: ['numBreastBiopsies', 'atypicalHyperplasia'],
+            values: { numBreastBiopsies: 0, atypicalHyperplasia },
+          },
+        ]);
+        expect(result.recodedValues.hyperplasiaMultiplier).toBeNull();
+      }
+    });
+
+    it('should reject a multiplier that conflicts with the status', () => {
+      const result = recodeAndValidate(
+        { ...recoded, atypicalHyperplasia: 0, hyperplasiaMultiplier: 1.82 },
+        false
+      );
+
+      expect(result.isValid).toBe(false);
+      expect(result.errorDetails[0]).toMatchObject({
+        code: ValidationCode.INVALID_HYPERPLASIA_MULTIPLIER,
+        fields: ['hyperplasiaMultiplier', 'atypicalHyperplasia'],
+        values: { hyperplasiaMultiplier: 1.82, atypicalHyperplasia: 0 },
+      });
+      expect(result.recodedValues.hyperplasiaMultiplier).toBeNull();
+    });
+
+    it('should reject invalid hyperplasia inputs', () => {
+      const status = recodeAndValidate(
+        { ...recoded, atypicalHyperplasia: 2 },
+        false
+      );
+      const multiplier = recodeAndValidate(
+        {
+          ...recoded,
+          numBreastBiopsies: 0,
+          atypicalHyperplasia: 99,
+          hyperplasiaMultiplier: 1.82,
+        },
+        false
+      );
+
+      expect(status.errorDetails[0].code).toBe(
+        ValidationCode.INVALID_HYPERPLASIA
+      );
+      expect(multiplier.errors).toEqual([
+        'Hyperplasia multiplier must be 1 for biopsy category 0',
+      ]);
+      expect(
+        recodeAndValidate({ ...recoded, hyperplasiaMultiplier: -1 }, false)
+          .errorDetails[0].code
+      ).toBe(ValidationCode.INVALID_HYPERPLASIA_MULTIPLIER);
+    });
+
+    it('should check categories against the race model', () => {
+      const hispanic = recodeAndValidate(
+        { ...recoded, race: RaceCode.HISPANIC_FOREIGN_BORN },
+        false
+      );
+      const africanAmerican = recodeAndValidate(
+        { ...recoded, race: RaceCode.AFRICAN_AMERICAN, ageAtFirstBirth: 0 },
+        false
+      );
+
+      expect(hispanic.isValid).toBe(false);
+      expect(hispanic.errors).toEqual([
+        'Biopsy category must be a whole number from 0 to 1 for Hispanic (Foreign Born) women',
+        'Age at first birth category must be a whole number from 0 to 2 for Hispanic (Foreign Born) women',
+        'Relatives category must be a whole number from 0 to 1 for Hispanic (Foreign Born) women',
+      ]);
+      expect(hispanic.errorDetails[1]).toMatchObject({
+        code: ValidationCode.INVALID_CATEGORY,
+        fields: ['ageAtFirstBirth', 'race'],
+        values: {
+          ageAtFirstBirth: 3,
+          race: RaceCode.HISPANIC_FOREIGN_BORN,
+        },
+      });
+      // African-American menarche categories 1 and 2 are grouped
+      expect(africanAmerican.errors).toEqual([
+        'Age at menarche category must be a whole number from 0 to 1 for African-American women',
+      ]);
+      expect(
+        recodeAndValidate(
+          {
+            ...recoded,
+            race: RaceCode.AFRICAN_AMERICAN,
+            ageAtMenarche: 1,
+          },
+          false
+        ).errors
+      ).toEqual([
+        'Age at first birth category must be 0 for African-American women',
+      ]);
+      expect(
+        recodeAndValidate({ ...recoded, numRelativesWithBrCa: 1.5 }, false)
+          .isValid
+      ).toBe(false);
     });
   });
 
@@ -1024,4 +1231,366 @@ describe('recodeAndValidate', () => {
       });
     });
   });
+
+  describe('Error details', () => {
+    const data = {
+      initialAge: 40,
+      projectionEndAge: 35,
+      race: RaceCode.WHITE,
+      numBreastBiopsies: 0,
+      ageAtMenarche: 45,
+      ageAtFirstBirth: 98,
+      numRelativesWithBrCa: 0,
+      atypicalHyperplasia: 1,
+    };
+
+    it('should give every error a stable code, fields and values', () => {
+      const result = recodeAndValidate(data, true);
+
+      expect(result.errorDetails).toEqual([
+        {
+          code: ValidationCode.PROJECTION_END_AGE_NOT_AFTER_INITIAL_AGE,
+          fields: ['initialAge', 'projectionEndAge'],
+          values: { initialAge: 40, projectionEndAge: 35 },
+          message: 'Projection end age must be greater than initial age',
+        },
+        {
+          code: ValidationCode.HYPERPLASIA_WITHOUT_BIOPSY,
+          fields: ['numBreastBiopsies', 'atypicalHyperplasia'],
+          values: { numBreastBiopsies: 0, atypicalHyperplasia: 1 },
+          message:
+            'Consistency error: If no biopsies, atypical hyperplasia must be not applicable (99)',
+        },
+        {
+          code: ValidationCode.AGE_MENARCHE_AFTER_INITIAL_AGE,
+          fields: ['ageAtMenarche', 'initialAge'],
+          values: { ageAtMenarche: 45, initialAge: 40 },
+          message: 'Age at menarche cannot be greater than initial age',
+        },
+      ]);
+      expect(result.warningDetails).toEqual([]);
+    });
+
+    it('should keep errors as the matching messages', () => {
+      const result = recodeAndValidate({ ...data, race: 12 }, true);
+
+      expect(result.errors).toEqual(
+        result.errorDetails.map(({ message }) => message)
+      );
+      expect(result.errorDetails.map(({ code }) => code)).toContain(
+        ValidationCode.INVALID_RACE
+      );
+    });
+  });
+
+  describe('Data-quality warnings', () => {
+    const data = {
+      initialAge: 45,
+      projectionEndAge: 50,
+      race: RaceCode.WHITE,
+      numBreastBiopsies: 1,
+      ageAtMenarche: 12,
+      ageAtFirstBirth: 25,
+      numRelativesWithBrCa: 1,
+      atypicalHyperplasia: 0,
+    };
+
+    it('should not warn about complete, typical data', () => {
+      const result = recodeAndValidate(data, true);
+
+      expect(result.warnings).toEqual([]);
+      expect(result.warningDetails).toEqual([]);
+    });
+
+    it('should flag unknown answers coded as the lowest-risk category', () => {
+      const result = recodeAndValidate(
+        {
+          ...data,
+          numBreastBiopsies: 99,
+          atypicalHyperplasia: 99,
+          ageAtFirstBirth: 99,
+        },
+        true
+      );
+
+      expect(result.isValid).toBe(true);
+      expect(result.warningDetails).toEqual([
+        {
+          code: ValidationCode.UNKNOWN_CODED_AS_LOWEST_RISK,
+          fields: ['numBreastBiopsies'],
+          values: { numBreastBiopsies: 99 },
+          message:
+            'Number of biopsies is unknown and was coded as the lowest-risk category',
+        },
+        {
+          code: ValidationCode.UNKNOWN_CODED_AS_LOWEST_RISK,
+          fields: ['ageAtFirstBirth'],
+          values: { ageAtFirstBirth: 99 },
+          message:
+            'Age at first birth is unknown and was coded as the lowest-risk category',
+        },
+      ]);
+      expect(result.warnings).toEqual(
+        result.warningDetails.map(({ message }) => message)
+      );
+    });
+
+    it('should flag answers the race model ignores', () => {
+      const africanAmerican = recodeAndValidate(
+        { ...data, race: RaceCode.AFRICAN_AMERICAN },
+        true
+      );
+      const usBornHispanic = recodeAndValidate(
+        { ...data, race: RaceCode.HISPANIC_US_BORN, ageAtMenarche: 99 },
+        true
+      );
+
+      expect(africanAmerican.warningDetails).toEqual([
+        {
+          code: ValidationCode.INPUT_NOT_USED_FOR_RACE,
+          fields: ['ageAtFirstBirth', 'race'],
+          values: { ageAtFirstBirth: 25, race: RaceCode.AFRICAN_AMERICAN },
+          message:
+            'Age at first birth is not used by the model for African-American women',
+        },
+      ]);
+      // An unknown answer the model ignores needs no warning
+      expect(usBornHispanic.warnings).toEqual([]);
+      expect(
+        recodeAndValidate({ ...data, race: RaceCode.HISPANIC_US_BORN }, true)
+          .warningDetails[0].fields
+      ).toEqual(['ageAtMenarche', 'race']);
+    });
+
+    it('should flag ages, counts and short windows', () => {
+      const result = recodeAndValidate(
+        {
+          ...data,
+          initialAge: 30,
+          projectionEndAge: 30.5,
+          numBreastBiopsies: 2.5,
+          ageAtFirstBirth: 98,
+          numRelativesWithBrCa: 3.5,
+        },
+        true
+      );
+
+      expect(result.isValid).toBe(true);
+      expect(result.warningDetails.map(({ code }) => code)).toEqual([
+        ValidationCode.AGE_OUTSIDE_VALIDATED_RANGE,
+        ValidationCode.SHORT_PROJECTION_WINDOW,
+        ValidationCode.NON_INTEGER_COUNT,
+        ValidationCode.NON_INTEGER_COUNT,
+      ]);
+      expect(result.warningDetails[1].values).toEqual({
+        initialAge: 30,
+        projectionEndAge: 30.5,
+      });
+      expect(
+        recodeAndValidate(
+          { ...data, projectionStartAge: 49.5, projectionEndAge: 50 },
+          true
+        ).warningDetails[0].fields
+      ).toEqual(['projectionStartAge', 'projectionEndAge']);
+    });
+
+    it('should only warn about valid data', () => {
+      const result = recodeAndValidate(
+        { ...data, initialAge: 86, projectionEndAge: 85 },
+        true
+      );
+
+      expect(result.isValid).toBe(false);
+      expect(result.warnings).toEqual([]);
+    });
+  });
+
+  describe('Validation profiles', () => {
+    const data = {
+      initialAge: 45,
+      projectionEndAge: 50,
+      race: RaceCode.WHITE,
+      numBreastBiopsies: 1,
+      ageAtMenarche: 12,
+      ageAtFirstBirth: 25,
+      numRelativesWithBrCa: 1,
+      atypicalHyperplasia: 0,
+    };
+    const withUnknowns = {
+      ...data,
+      ageAtMenarche: 99,
+      numRelativesWithBrCa: 99,
+      atypicalHyperplasia: 99,
+    };
+
+    it('should reject fractional counts unless lenient', () => {
+      const fractional = { ...data, numBreastBiopsies: 2.5 };
+
+      const lenient = recodeAndValidate(fractional, true);
+      const strict = recodeAndValidate(fractional, true, {
+        validationProfile: 'strict',
+      });
+      const clinical = recodeAndValidate(fractional, true, {
+        validationProfile: 'clinical',
+      });
+
+      expect(lenient.isValid).toBe(true);
+      expect(strict.isValid).toBe(false);
+      expect(clinical.errorDetails).toEqual([
+        {
+          code: ValidationCode.NON_INTEGER_COUNT,
+          fields: ['numBreastBiopsies'],
+          values: { numBreastBiopsies: 2.5 },
+          message: 'Number of biopsies must be a whole number',
+        },
+      ]);
+    });
+
+    it('should not repeat counts the recoding rejects', () => {
+      const result = recodeAndValidate(
+        { ...data, numBreastBiopsies: 1.5 },
+        true,
+        { validationProfile: 'strict' }
+      );
+
+      expect(result.errorDetails.map(({ code }) => code)).toEqual([
+        ValidationCode.INVALID_BIOPSY_COUNT,
+      ]);
+    });
+
+    it('should reject every unknown answer under the strict profile', () => {
+      const result = recodeAndValidate(withUnknowns, true, {
+        validationProfile: 'strict',
+      });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errorIndicator).toBe(1);
+      expect(result.errorDetails.map(({ code }) => code)).toEqual([
+        ValidationCode.UNKNOWN_ANSWER,
+        ValidationCode.UNKNOWN_ANSWER,
+        ValidationCode.UNKNOWN_ANSWER,
+      ]);
+      expect(result.errors).toEqual([
+        'Age at menarche is unknown, which the strict validation profile does not allow',
+        'Number of relatives with breast cancer is unknown, which the strict validation profile does not allow',
+        'Atypical hyperplasia is unknown, which the strict validation profile does not allow',
+      ]);
+    });
+
+    it('should allow hyperplasia 99 without biopsies under the strict profile', () => {
+      const result = recodeAndValidate(
+        { ...data, numBreastBiopsies: 0, atypicalHyperplasia: 99 },
+        true,
+        { validationProfile: 'strict' }
+      );
+
+      expect(result.isValid).toBe(true);
+    });
+
+    it('should report each unknown answer under the clinical profile', () => {
+      const africanAmerican = {
+        ...withUnknowns,
+        race: RaceCode.AFRICAN_AMERICAN,
+        ageAtFirstBirth: 99,
+      };
+
+      const result = recodeAndValidate(africanAmerican, true, {
+        validationProfile: 'clinical',
+      });
+
+      expect(result.isValid).toBe(true);
+      expect(
+        result.warningDetails.map(({ code, fields }) => [code, fields])
+      ).toEqual([
+        [ValidationCode.UNKNOWN_CODED_AS_LOWEST_RISK, ['ageAtMenarche']],
+        [ValidationCode.UNKNOWN_ANSWER, ['ageAtFirstBirth', 'race']],
+        [ValidationCode.UNKNOWN_CODED_AS_LOWEST_RISK, ['numRelativesWithBrCa']],
+        [
+          ValidationCode.UNKNOWN_ANSWER,
+          ['atypicalHyperplasia', 'numBreastBiopsies'],
+        ],
+      ]);
+      expect(result.warnings[1]).toBe(
+        'Age at first birth is unknown; the model for African-American women does not use it'
+      );
+      // The profile changes the messages, never the recoding
+      expect(result.recodedValues).toEqual(
+        recodeAndValidate(africanAmerican, true).recodedValues
+      );
+    });
+
+    it('should reject an unknown profile', () => {
+      const result = recodeAndValidate(data, true, {
+        validationProfile: 'paranoid',
+      });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errorDetails[0]).toMatchObject({
+        code: ValidationCode.INVALID_OPTION,
+        fields: ['validationProfile'],
+      });
+    });
+  });
+});
+
+describe('explainRecoding', () => {
+  const data = {
+    initialAge: 45,
+    projectionEndAge: 50,
+    race: RaceCode.WHITE,
+    numBreastBiopsies: 1,
+    ageAtMenarche: 12,
+    ageAtFirstBirth: 25,
+    numRelativesWithBrCa: 99,
+    atypicalHyperplasia: 0,
+  };
+
+  it('should give the rule behind each recoded value', () => {
+    const decisions = explainRecoding(data, recodeAndValidate(data));
+
+    expect(decisions.map(({ field, rule }) => [field, rule])).toEqual([
+      ['numBreastBiopsies', '1 to < 2 → 1'],
+      ['ageAtMenarche', '12 to < 14 → 1'],
+      ['ageAtFirstBirth', '25 to < 30 → 2'],
+      ['numRelativesWithBrCa', '99 (unknown) → 0'],
+      ['atypicalHyperplasia', '0 (no) → 0.93'],
+    ]);
+    expect(decisions[1].categories).toEqual([
+      '≥ 14 → 0',
+      '12 to < 14 → 1',
+      '< 12 → 2',
+      '99 (unknown) → 0',
+    ]);
+    expect(decisions.every(({ pooled }) => !pooled)).toBe(true);
+  });
+
+  it('should note race-specific pooling', () => {
+    const africanAmerican = {
+      ...data,
+      race: RaceCode.AFRICAN_AMERICAN,
+      ageAtMenarche: 11,
+    };
+
+    const decisions = explainRecoding(
+      africanAmerican,
+      recodeAndValidate(africanAmerican)
+    );
+
+    expect(decisions[1]).toMatchObject({
+      rule: '< 14 → 1',
+      pooled: true,
+      note: 'Pooled for African-American women; the standard categories are ≥ 14 → 0, 12 to < 14 → 1, < 12 → 2, 99 (unknown) → 0',
+    });
+    expect(decisions[2]).toMatchObject({
+      recodedValue: 0,
+      rule: 'Any value → 0',
+      note: 'Age at first birth is not in the model for African-American women',
+    });
+  });
+
+  it('should return null for invalid data', () => {
+    const invalid = { ...data, initialAge: 19 };
+
+    expect(explainRecoding(invalid, recodeAndValidate(invalid))).toBeNull();
+  });
 });
@@ -1,5 +1,8 @@
 import { describe, it, expect } from 'vitest';
-import { calculateRelativeRisk } from '../../src/core/relative-risk.js';
+import {
+  calculateRelativeRisk,
+  calculateRelativeRiskContributions,
+} from '../../src/core/relative-risk.js';
 import { RaceCode } from '../../src/types/index.js';
 
 describe('calculateRelativeRisk', () => {
@@ -522,3 +525,121 @@ describe('calculateRelativeRisk', () => {
     });
   });
 });
+
+describe('calculateRelativeRiskContributions', () => {
+  const validationFor = (recodedValues) => ({
+    isValid: true,
+    errors: [],
+    warnings: [],
+    recodedValues,
+    errorIndicator: 0,
+  });
+
+  const elevated = validationFor({
+    biopsyCategory: 1,
+    menarcheCategory: 2,
+    firstBirthCategory: 2,
+    relativesCategory: 1,
+    hyperplasiaMultiplier: 1.82,
+  });
+
+  it('should return null when validation failed', () => {
+    expect(
+      calculateRelativeRiskContributions({ isValid: false }, RaceCode.WHITE)
+    ).toBeNull();
+    expect(
+      calculateRelativeRiskContributions(validationFor({}), RaceCode.WHITE)
+    ).toBeNull();
+  });
+
+  it('should list every factor in model order', () => {
+    const { factors } = calculateRelativeRiskContributions(
+      elevated,
+      RaceCode.WHITE
+    );
+
+    expect(factors.map((factor) => factor.factor)).toEqual([
+      'biopsies',
+      'menarche',
+      'firstBirth',
+      'relatives',
+      'firstBirthByRelatives',
+      'age50ByBiopsies',
+      'hyperplasia',
+    ]);
+  });
+
+  it('should compute each term from the White coefficients', () => {
+    const { factors } = calculateRelativeRiskContributions(
+      elevated,
+      RaceCode.WHITE
+    );
+    const byFactor = Object.fromEntries(
+      factors.map((factor) => [factor.factor, factor])
+    );
+
+    expect(byFactor.biopsies.linearPredictor).toBeCloseTo(0.5292641686, 10);
+    expect(byFactor.menarche.linearPredictor).toBeCloseTo(2 * 0.0940103059, 10);
+    expect(byFactor.firstBirthByRelatives.covariate).toBe(2);
+    expect(byFactor.firstBirthByRelatives.linearPredictor).toBeCloseTo(
+      2 * -0.1908113865,
+      10
+    );
+    expect(byFactor.age50ByBiopsies.appliesUnder50).toBe(false);
+    expect(byFactor.age50ByBiopsies.appliesAtOrAbove50).toBe(true);
+    expect(byFactor.hyperplasia.coefficientName).toBeNull();
+    expect(byFactor.hyperplasia.covariate).toBe(Math.log(1.82));
+    expect(byFactor.hyperplasia.coefficient).toBe(1);
+    expect(byFactor.hyperplasia.linearPredictor).toBe(
+      byFactor.hyperplasia.covariate * byFactor.hyperplasia.coefficient
+    );
+    expect(byFactor.hyperplasia.relativeRisk).toBeCloseTo(1.82, 12);
+  });
+
+  it('should multiply back to the relative risks of calculateRelativeRisk', () => {
+    for (const race of [1, 2, 3, 5, 6]) {
+      const breakdown = calculateRelativeRiskContributions(elevated, race);
+      const relativeRisk = calculateRelativeRisk(elevated, race);
+
+      const product = (ageGroup) =>
+        breakdown.factors
+          .filter((factor) => factor[ageGroup])
+          .reduce((total, factor) => total * factor.relativeRisk, 1);
+
+      expect(breakdown.relativeRiskUnder50).toBe(
+        relativeRisk.relativeRiskUnder50
+      );
+      expect(breakdown.relativeRiskAtOrAbove50).toBe(
+        relativeRisk.relativeRiskAtOrAbove50
+      );
+      expect(product('appliesUnder50')).toBeCloseTo(
+        relativeRisk.relativeRiskUnder50,
+        12
+      );
+      expect(product('appliesAtOrAbove50')).toBeCloseTo(
+        relativeRisk.relativeRiskAtOrAbove50,
+        12
+      );
+    }
+  });
+
+  it('should give neutral contributions for factors outside a race model', () => {
+    const { factors } = calculateRelativeRiskContributions(
+      elevated,
+      RaceCode.AFRICAN_AMERICAN
+    );
+    const firstBirth = factors.find((factor) => factor.factor === 'firstBirth');
+
+    expect(firstBirth.coefficient).toBe(0);
+    expect(firstBirth.relativeRisk).toBe(1);
+  });
+
+  it('should accept a beta override', () => {
+    const beta = [1, 0, 0, 0, 0, 0];
+    const { factors, linearPredictorUnder50 } =
+      calculateRelativeRiskContributions(elevated, RaceCode.WHITE, { beta });
+
+    expect(factors[0].coefficient).toBe(1);
+    expect(linearPredictorUnder50).toBeCloseTo(1 + Math.log(1.82), 12);
+  });
+});
@@ -0,0 +1,152 @@
+import { describe, it, expect } from 'vitest';
+import { calculateRiskBounds } from '../../src/core/risk-bounds.js';
+import { calculateRisk } from '../../src/core/risk-calculator.js';
+import { RaceCode } from '../../src/types/index.js';
+import { hashCanonical } from '../../src/utils/hash.js';
+
+const profile = {
+  id: 1,
+  initialAge: 40,
+  projectionEndAge: 60,
+  race: RaceCode.WHITE,
+  numBreastBiopsies: 0,
+  ageAtMenarche: 12,
+  ageAtFirstBirth: 25,
+  numRelativesWithBrCa: 0,
+  atypicalHyperplasia: 99,
+};
+
+describe('calculateRiskBounds', () => {
+  it('should return the baseline for a profile without unknown fields', () => {
+    const result = calculateRiskBounds(profile);
+
+    expect(result.success).toBe(true);
+    expect(result.fields).toEqual([]);
+    expect(result.profilesEvaluated).toBe(1);
+    expect(result.minimum.absoluteRisk).toBe(result.baseline.absoluteRisk);
+    expect(result.maximum.profile).toEqual(profile);
+  });
+
+  it('should try every category of an unknown field', () => {
+    const result = calculateRiskBounds({
+      ...profile,
+      numRelativesWithBrCa: 99,
+    });
+    const risks = [0, 1, 2].map(
+      (numRelativesWithBrCa) =>
+        calculateRisk({ ...profile, numRelativesWithBrCa }).absoluteRisk
+    );
+
+    expect(result.fields).toEqual(['numRelativesWithBrCa']);
+    expect(result.profilesEvaluated).toBe(3);
+    expect(result.minimum.absoluteRisk).toBe(risks[0]);
+    expect(result.minimum.absoluteRisk).toBe(result.baseline.absoluteRisk);
+    expect(result.maximum.absoluteRisk).toBe(risks[2]);
+    expect(result.maximum.profile.numRelativesWithBrCa).toBe(2);
+    expect(result.maximum.recodedValues.relativesCategory).toBe(2);
+  });
+
+  it('should follow race-specific pooling', () => {
+    const asian = calculateRiskBounds({
+      ...profile,
+      race: RaceCode.CHINESE,
+      numRelativesWithBrCa: 99,
+    });
+    const africanAmerican = calculateRiskBounds({
+      ...profile,
+      race: RaceCode.AFRICAN_AMERICAN,
+      ageAtFirstBirth: 99,
+    });
+
+    // Two or more relatives pool with one relative for Asian-American women
+    expect(asian.profilesEvaluated).toBe(2);
+    expect(asian.maximum.profile.numRelativesWithBrCa).toBe(1);
+    // Age at first birth is not in the African-American model
+    expect(africanAmerican.fields).toEqual([]);
+    expect(africanAmerican.maximum.profile.ageAtFirstBirth).toBe(99);
+  });
+
+  it('should try every hyperplasia status for unknown biopsies', () => {
+    const result = calculateRiskBounds({
+      ...profile,
+      numBreastBiopsies: 99,
+    });
+
+    expect(result.fields).toEqual(['numBreastBiopsies', 'atypicalHyperplasia']);
+    // No biopsies, then 1 and 2+ biopsies with each hyperplasia status
+    expect(result.profilesEvaluated).toBe(7);
+    expect(result.maximum.profile).toMatchObject({
+      numBreastBiopsies: 2,
+      atypicalHyperplasia: 1,
+    });
+    expect(result.maximum.recodedValues.hyperplasiaMultiplier).toBe(1.82);
+  });
+
+  it('should skip profiles inconsistent with the known answers', () => {
+    const young = calculateRiskBounds({
+      ...profile,
+      initialAge: 26,
+      ageAtFirstBirth: 99,
+    });
+    const earlyBirth = calculateRiskBounds({
+      ...profile,
+      ageAtMenarche: 99,
+      ageAtFirstBirth: 13,
+    });
+
+    // No first birth at 30 or later by age 26
+    expect(young.profilesEvaluated).toBe(4);
+    expect(young.maximum.profile.ageAtFirstBirth).not.toBe(30);
+    // Menarche of 14 or later cannot precede a first birth at 13
+    expect(earlyBirth.profilesEvaluated).toBe(2);
+    expect(earlyBirth.minimum.profile.ageAtMenarche).toBe(12);
+  });
+
+  it('should pass options to every calculation', () => {
+    const unknown = { ...profile, numRelativesWithBrCa: 99 };
+    const options = { model: 'nci-bcrat', calculateAverage: true };
+
+    const result = calculateRiskBounds(unknown, options);
+    const maximum = calculateRisk(
+      { ...unknown, numRelativesWithBrCa: 2 },
+      { integration: 'exact' }
+    );
+
+    expect(result.baseline.averageRisk).not.toBeNull();
+    expect(
+      calculateRiskBounds(unknown, { integration: 'exact' }).maximum
+        .absoluteRisk
+    ).toBe(maximum.absoluteRisk);
+  });
+
+  it('should carry the provenance of the baseline', () => {
+    const unknown = { ...profile, numRelativesWithBrCa: 99 };
+    const result = calculateRiskBounds(unknown);
+    const asStrings = calculateRiskBounds({ ...unknown, initialAge: '40' });
+
+    expect(result.provenance).toEqual(result.baseline.provenance);
+    expect(result.provenance).not.toBe(result.baseline.provenance);
+    expect(asStrings.provenance).toEqual(result.provenance);
+    expect(
+      calculateRiskBounds(unknown, { provenance: false }).provenance
+    ).toBeNull();
+  });
+
+  it('should report invalid profiles and unsupported options', () => {
+    const invalid = calculateRiskBounds({ ...profile, initialAge: 10 });
+
+    expect(invalid.success).toBe(false);
+    expect(invalid.validation.errors.length).toBeGreaterThan(0);
+    expect(
+      calculateRiskBounds(profile, { rawInput: false }).validation.errors
+    ).toEqual(['Risk bounds require raw input (rawInput: true)']);
+    expect(
+      calculateRiskBounds(profile, { imputation: { distributions: {} } })
+        .validation.errors
+    ).toEqual(['Risk bounds cannot be combined with imputation']);
+
+    const rejected = calculateRiskBounds(profile, { rawInput: false });
+    expect(rejected.provenance.model).toBeNull();
+    expect(rejected.provenance.inputHash).toBe(hashCanonical(profile));
+  });
+});
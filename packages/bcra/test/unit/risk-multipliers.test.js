@@ -0,0 +1,211 @@
+import { describe, it, expect } from 'vitest';
+import {
+  resolveRelativeRiskMultipliers,
+  expandRelativeRiskMultipliers,
+} from '../../src/core/risk-multipliers.js';
+import {
+  calculateRisk,
+  calculateRiskTrajectory,
+  findAgeAtRiskThreshold,
+} from '../../src/core/risk-calculator.js';
+import { ATTRIBUTABLE_RISK_BY_RACE } from '../../src/constants/index.js';
+import { RaceCode } from '../../src/types/index.js';
+
+const profile = {
+  id: 1,
+  initialAge: 40,
+  projectionEndAge: 60,
+  race: RaceCode.WHITE,
+  numBreastBiopsies: 1,
+  ageAtMenarche: 12,
+  ageAtFirstBirth: 27,
+  numRelativesWithBrCa: 0,
+  atypicalHyperplasia: 0,
+};
+
+describe('Relative risk multipliers', () => {
+  describe('resolveRelativeRiskMultipliers', () => {
+    it('should fill in defaults for both forms', () => {
+      const { multipliers, error } = resolveRelativeRiskMultipliers([
+        { name: 'prs', logRelativeRisk: 0.4, sd: 0.5 },
+        { name: 'other', relativeRisk: 2, ages: [50, 90] },
+      ]);
+
+      expect(error).toBeNull();
+      expect(multipliers[0]).toEqual({
+        name: 'prs',
+        relativeRisk: Math.exp(0.4),
+        logRelativeRisk: 0.4,
+        sd: 0.5,
+        meanRelativeRisk: Math.exp(0.125),
+        ages: [20, 90],
+      });
+      expect(multipliers[1].meanRelativeRisk).toBe(1);
+      expect(multipliers[1].sd).toBeNull();
+      expect(Object.isFrozen(multipliers)).toBe(true);
+      expect(resolveRelativeRiskMultipliers(multipliers).multipliers).toBe(
+        multipliers
+      );
+    });
+
+    it('should report every invalid multiplier', () => {
+      const { multipliers, error } = resolveRelativeRiskMultipliers([
+        { name: 'prs', relativeRisk: 2, logRelativeRisk: 0.7 },
+        { logRelativeRisk: 0.2 },
+        { name: 'late', relativeRisk: 1.5, ages: [50, 95] },
+      ]);
+
+      expect(multipliers).toBeNull();
+      expect(error).toBe(
+        'Relative risk multiplier prs: give exactly one of relativeRisk or logRelativeRisk; ' +
+          'Relative risk multiplier #2: name must be a non-empty string; sd must be a non-negative number; ' +
+          'Relative risk multiplier late: ages must be two whole ages [start, end) from 20 to 90'
+      );
+    });
+
+    it('should require unique names', () => {
+      expect(
+        resolveRelativeRiskMultipliers([
+          { name: 'prs', relativeRisk: 2 },
+          { name: 'prs', relativeRisk: 3 },
+        ]).error
+      ).toBe('Relative risk multiplier prs: name must be unique');
+    });
+  });
+
+  describe('expandRelativeRiskMultipliers', () => {
+    it('should multiply factors at the ages they apply to', () => {
+      const { multipliers } = resolveRelativeRiskMultipliers([
+        { name: 'early', relativeRisk: 2, ages: [20, 50] },
+        {
+          name: 'middle',
+          relativeRisk: 3,
+          ages: [45, 60],
+          meanRelativeRisk: 1.5,
+        },
+      ]);
+
+      const factors = expandRelativeRiskMultipliers(multipliers);
+      const adjusted = expandRelativeRiskMultipliers(multipliers, true);
+
+      expect(factors).toHaveLength(70);
+      expect(factors[0]).toBe(2);
+      expect(factors[25]).toBe(6);
+      expect(factors[35]).toBe(3);
+      expect(factors[40]).toBe(1);
+      expect(adjusted[25]).toBe(4);
+    });
+  });
+
+  describe('calculateRisk with multipliers', () => {
+    it('should match the same relative risk applied through the Gail part', () => {
+      const bundled = calculateRisk(profile);
+      const multiplied = calculateRisk({
+        ...profile,
+        relativeRiskMultipliers: [{ name: 'prs', relativeRisk: 2 }],
+      });
+      const density = calculateRisk(
+        { ...profile, breastDensity: 'a' },
+        {
+          density: {
+            id: 'double',
+            relativeRisks: { a: 2, b: 2, c: 2, d: 2 },
+            oneMinusAR: ATTRIBUTABLE_RISK_BY_RACE[RaceCode.WHITE],
+          },
+        }
+      );
+
+      expect(multiplied.success).toBe(true);
+      expect(multiplied.relativeRiskUnder50).toBe(bundled.relativeRiskUnder50);
+      expect(multiplied.absoluteRisk).toBeCloseTo(density.absoluteRisk, 12);
+      expect(multiplied.relativeRiskMultipliers[0].name).toBe('prs');
+    });
+
+    it('should apply a multiplier only at its ages', () => {
+      const bundled = calculateRisk({ ...profile, projectionEndAge: 50 });
+      const late = calculateRisk({
+        ...profile,
+        projectionEndAge: 50,
+        relativeRiskMultipliers: [
+          { name: 'late', relativeRisk: 3, ages: [50, 90] },
+        ],
+      });
+
+      expect(late.absoluteRisk).toBe(bundled.absoluteRisk);
+    });
+
+    it('should divide 1-AR by the mean relative risk when asked', () => {
+      const sd = Math.log(1.6);
+      const withPrs = {
+        ...profile,
+        relativeRiskMultipliers: [{ name: 'prs', logRelativeRisk: 0, sd }],
+      };
+
+      const bundled = calculateRisk(profile, { calculateAverage: true });
+      const unadjusted = calculateRisk(withPrs, { calculateAverage: true });
+      const adjusted = calculateRisk(withPrs, {
+        calculateAverage: true,
+        adjustOneMinusAR: true,
+      });
+      const explicit = calculateRisk({
+        ...profile,
+        relativeRiskMultipliers: [
+          { name: 'prs', relativeRisk: Math.exp(-(sd * sd) / 2) },
+        ],
+      });
+
+      // A median PRS (log RR 0) is below the population mean RR
+      expect(unadjusted.absoluteRisk).toBe(bundled.absoluteRisk);
+      expect(adjusted.absoluteRisk).toBeLessThan(bundled.absoluteRisk);
+      expect(adjusted.absoluteRisk).toBeCloseTo(explicit.absoluteRisk, 12);
+      // The average profile carries no external factors
+      expect(adjusted.averageRisk).toBe(bundled.averageRisk);
+    });
+
+    it('should report invalid multipliers as validation errors', () => {
+      const result = calculateRisk({
+        ...profile,
+        relativeRiskMultipliers: [{ name: 'prs', relativeRisk: -1 }],
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.validation.errors).toEqual([
+        'Relative risk multiplier prs: relativeRisk must be a positive number',
+      ]);
+    });
+
+    it('should carry multipliers into trajectories, thresholds and intervals', () => {
+      const withPrs = {
+        ...profile,
+        projectionEndAge: 90,
+        relativeRiskMultipliers: [
+          { name: 'prs', logRelativeRisk: 0.5, sd: 0.5 },
+        ],
+      };
+      const covariance = Array.from({ length: 6 }, (_, i) =>
+        Array.from({ length: 6 }, (_, j) => (i === j ? 0.01 : 0))
+      );
+      const options = { adjustOneMinusAR: true };
+
+      const result = calculateRisk(withPrs, {
+        ...options,
+        confidenceInterval: { covariance },
+      });
+      const { individual } = calculateRiskTrajectory(withPrs, options);
+      const bundledThreshold = findAgeAtRiskThreshold(profile, {
+        threshold: 2,
+      });
+      const threshold = findAgeAtRiskThreshold(withPrs, {
+        ...options,
+        threshold: 2,
+      });
+
+      expect(result.confidenceInterval.estimate).toBe(result.absoluteRisk);
+      expect(individual[individual.length - 1].cumulativeRisk).toBeCloseTo(
+        result.absoluteRisk,
+        10
+      );
+      expect(threshold.age).toBeLessThan(bundledThreshold.age);
+    });
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createSeededRandom,
+  standardNormal,
+  normalQuantile,
+  choleskyDecomposition,
+  empiricalQuantile,
+} from '../../src/utils/statistics.js';
+
+describe('createSeededRandom', () => {
+  it('should produce the same sequence for the same seed', () => {
+    const a = createSeededRandom(42);
+    const b = createSeededRandom(42);
+
+    for (let i = 0; i < 10; i++) {
+      expect(a()).toBe(b());
+    }
+  });
+
+  it('should produce different sequences for different seeds', () => {
+    expect(createSeededRandom(1)()).not.toBe(createSeededRandom(2)());
+  });
+
+  it('should return values in [0, 1)', () => {
+    const random = createSeededRandom(7);
+    for (let i = 0; i < 1000; i++) {
+      const value = random();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+});
+
+describe('standardNormal', () => {
+  it('should have approximately zero mean and unit variance', () => {
+    const random = createSeededRandom(123);
+    const draws = Array.from({ length: 20000 }, () => standardNormal(random));
+    const mean = draws.reduce((sum, x) => sum + x, 0) / draws.length;
+    const variance =
+      draws.reduce((sum, x) => sum + (x - mean) ** 2, 0) / draws.length;
+
+    expect(mean).toBeCloseTo(0, 1);
+    expect(variance).toBeCloseTo(1, 1);
+  });
+});
+
+describe('normalQuantile', () => {
+  it('should match known standard normal quantiles', () => {
+    expect(normalQuantile(0.5)).toBeCloseTo(0, 9);
+    expect(normalQuantile(0.975)).toBeCloseTo(1.959964, 6);
+    expect(normalQuantile(0.995)).toBeCloseTo(2.575829, 6);
+    expect(normalQuantile(0.01)).toBeCloseTo(-2.326348, 6);
+  });
+
+  it('should throw for probabilities outside (0, 1)', () => {
+    expect(() => normalQuantile(0)).toThrow(RangeError);
+    expect(() => normalQuantile(1)).toThrow(RangeError);
+  });
+});
+
+describe('choleskyDecomposition', () => {
+  it('should factor a positive definite matrix', () => {
+    const matrix = [
+      [4, 2, 0.4],
+      [2, 10, 1],
+      [0.4, 1, 3],
+    ];
+    const lower = choleskyDecomposition(matrix);
+
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) {
+        let product = 0;
+        for (let k = 0; k < 3; k++) {
+          product += lower[i][k] * lower[j][k];
+        }
+        expect(product).toBeCloseTo(matrix[i][j], 12);
+      }
+    }
+    expect(lower[0][1]).toBe(0);
+  });
+
+  it('should allow zero-variance rows and columns', () => {
+    const lower = choleskyDecomposition([
+      [1, 0, 0],
+      [0, 0, 0],
+      [0, 0, 4],
+    ]);
+
+    expect(lower).toEqual([
+      [1, 0, 0],
+      [0, 0, 0],
+      [0, 0, 2],
+    ]);
+  });
+
+  it('should return null for a matrix that is not positive semi-definite', () => {
+    expect(
+      choleskyDecomposition([
+        [1, 2],
+        [2, 1],
+      ])
+    ).toBeNull();
+  });
+});
+
+describe('empiricalQuantile', () => {
+  it('should interpolate linearly between order statistics', () => {
+    const values = [1, 2, 3, 4, 5];
+
+    expect(empiricalQuantile(values, 0)).toBe(1);
+    expect(empiricalQuantile(values, 0.5)).toBe(3);
+    expect(empiricalQuantile(values, 1)).toBe(5);
+    expect(empiricalQuantile(values, 0.1)).toBeCloseTo(1.4, 12);
+  });
+});
@@ -9,11 +9,17 @@ import {
   validateRiskFactorDataStructure,
   validateAge,
   sanitizeRiskFactorData,
+  sanitizeCalculationInput,
   validateRaceCode,
   isSpecialValue,
   validateNonNegative,
+  resolveValidationProfile,
 } from '../../src/utils/validators.js';
-import { RaceCode } from '../../src/types/index.js';
+import {
+  RaceCode,
+  ValidationCode,
+  ValidationProfile,
+} from '../../src/types/index.js';
 
 describe('validateRiskFactorDataStructure', () => {
   describe('Complete valid data', () => {
@@ -121,9 +127,152 @@ describe('validateRiskFactorDataStructure', () => {
       expect(result.errors).toContain('Missing required field: projectionEndAge');
       expect(result.errors).toContain('Missing required field: race');
     });
+
+    it('should let a pre-recoded hyperplasia multiplier replace the status', () => {
+      const data = {
+        id: 1,
+        initialAge: 40,
+        projectionEndAge: 50,
+        race: 1,
+        numBreastBiopsies: 1,
+        ageAtMenarche: 1,
+        ageAtFirstBirth: 2,
+        numRelativesWithBrCa: 1,
+        hyperplasiaMultiplier: 1.82,
+      };
+
+      expect(
+        validateRiskFactorDataStructure(data, { rawInput: false }).valid
+      ).toBe(true);
+      expect(
+        validateRiskFactorDataStructure(
+          { ...data, atypicalHyperplasia: null },
+          { rawInput: false }
+        ).valid
+      ).toBe(true);
+      // Raw input, or no multiplier, still needs the status
+      expect(validateRiskFactorDataStructure(data).errors).toEqual([
+        'Missing required field: atypicalHyperplasia',
+      ]);
+      expect(
+        validateRiskFactorDataStructure(
+          { ...data, hyperplasiaMultiplier: null },
+          { rawInput: false }
+        ).errors
+      ).toEqual(['Missing required field: atypicalHyperplasia']);
+    });
+  });
+
+  describe('Error details', () => {
+    it('should give each error a code, fields and values', () => {
+      const result = validateRiskFactorDataStructure({
+        id: 1,
+        initialAge: 'forty',
+        projectionEndAge: 50,
+        race: 1,
+        numBreastBiopsies: null,
+        ageAtMenarche: 12,
+        ageAtFirstBirth: 25,
+        numRelativesWithBrCa: 1,
+        atypicalHyperplasia: 0,
+      });
+
+      expect(result.errorDetails).toEqual([
+        {
+          code: ValidationCode.NOT_A_NUMBER,
+          fields: ['initialAge'],
+          values: { initialAge: 'forty' },
+          message: 'initialAge must be a number (got string)',
+        },
+        {
+          code: ValidationCode.EMPTY_FIELD,
+          fields: ['numBreastBiopsies'],
+          values: { numBreastBiopsies: null },
+          message: 'numBreastBiopsies cannot be null or undefined',
+        },
+      ]);
+      expect(result.errors).toEqual(
+        result.errorDetails.map(({ message }) => message)
+      );
+    });
+
+    it('should report missing fields by name', () => {
+      const result = validateRiskFactorDataStructure({ id: 1, initialAge: 40 });
+
+      expect(result.errorDetails[0]).toMatchObject({
+        code: ValidationCode.MISSING_FIELD,
+        fields: ['projectionEndAge'],
+      });
+    });
+
+    it('should reject numeric strings without coercion', () => {
+      const result = validateRiskFactorDataStructure(
+        {
+          id: 1,
+          initialAge: '40',
+          projectionStartAge: '45',
+          projectionEndAge: 50,
+          race: 1,
+          numBreastBiopsies: 0,
+          ageAtMenarche: 12,
+          ageAtFirstBirth: 25,
+          numRelativesWithBrCa: 1,
+          atypicalHyperplasia: 99,
+        },
+        { coerceStrings: false }
+      );
+
+      expect(result.valid).toBe(false);
+      expect(result.errorDetails.map(({ code }) => code)).toEqual([
+        ValidationCode.NOT_A_NUMBER,
+        ValidationCode.NOT_A_NUMBER,
+      ]);
+      expect(result.errors[1]).toBe(
+        'projectionStartAge must be a number (got string)'
+      );
+    });
   });
 
   describe('Invalid types', () => {
+    it('should allow projectionStartAge to be omitted or null', () => {
+      const data = {
+        id: 1,
+        initialAge: 40,
+        projectionEndAge: 50,
+        race: 1,
+        numBreastBiopsies: 1,
+        ageAtMenarche: 12,
+        ageAtFirstBirth: 25,
+        numRelativesWithBrCa: 1,
+        atypicalHyperplasia: 0,
+      };
+
+      expect(validateRiskFactorDataStructure(data).valid).toBe(true);
+      expect(
+        validateRiskFactorDataStructure({ ...data, projectionStartAge: null })
+          .valid
+      ).toBe(true);
+    });
+
+    it('should reject non-numeric projectionStartAge', () => {
+      const result = validateRiskFactorDataStructure({
+        id: 1,
+        initialAge: 40,
+        projectionStartAge: 'sixty',
+        projectionEndAge: 70,
+        race: 1,
+        numBreastBiopsies: 1,
+        ageAtMenarche: 12,
+        ageAtFirstBirth: 25,
+        numRelativesWithBrCa: 1,
+        atypicalHyperplasia: 0,
+      });
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain(
+        'projectionStartAge must be a number (got string)'
+      );
+    });
+
     it('should reject null data', () => {
       const result = validateRiskFactorDataStructure(null);
       expect(result.valid).toBe(false);
@@ -440,6 +589,24 @@ describe('sanitizeRiskFactorData', () => {
   });
 });
 
+describe('sanitizeCalculationInput', () => {
+  const data = { initialAge: '40', race: '1' };
+
+  it('should sanitize raw input for profiles that coerce strings', () => {
+    expect(sanitizeCalculationInput(data)).toEqual({ initialAge: 40, race: 1 });
+  });
+
+  it('should leave input as given otherwise', () => {
+    expect(
+      sanitizeCalculationInput(data, { validationProfile: 'strict' })
+    ).toBe(data);
+    expect(
+      sanitizeCalculationInput(data, { validationProfile: 'clinical' })
+    ).toBe(data);
+    expect(sanitizeCalculationInput(data, { rawInput: false })).toBe(data);
+  });
+});
+
 describe('validateRaceCode', () => {
   describe('Valid race codes', () => {
     it('should accept race code 1 (White)', () => {
@@ -578,3 +745,37 @@ describe('validateNonNegative', () => {
     });
   });
 });
+
+describe('resolveValidationProfile', () => {
+  it('should default to the lenient profile', () => {
+    const { profile, error } = resolveValidationProfile();
+
+    expect(error).toBeNull();
+    expect(profile).toMatchObject({
+      name: ValidationProfile.LENIENT,
+      coerceStrings: true,
+      integerCounts: false,
+      unknowns: 'allow',
+    });
+  });
+
+  it('should resolve the strict and clinical profiles', () => {
+    const strict = resolveValidationProfile(ValidationProfile.STRICT).profile;
+    const clinical = resolveValidationProfile(
+      ValidationProfile.CLINICAL
+    ).profile;
+
+    expect(strict.unknowns).toBe('reject');
+    expect(strict.collectAllErrors).toBe(true);
+    expect(clinical.unknowns).toBe('report');
+    expect(clinical.coerceStrings).toBe(false);
+    expect(clinical.integerCounts).toBe(true);
+  });
+
+  it('should reject unknown profiles', () => {
+    expect(resolveValidationProfile('STRICT')).toEqual({
+      profile: null,
+      error: 'Validation profile must be one of strict, lenient, clinical',
+    });
+  });
+});
@@ -32,6 +32,21 @@ export function rToJsInput(rCase) {
   };
 }
 
+/**
+ * Convert R test case to pre-recoded JavaScript input (rawInput: false)
+ * Uses R's recoded categories (NB_Cat, AM_Cat, AF_Cat, NR_Cat) and the raw
+ * hyperplasia status, as R's Raw_Ind = 0 does
+ */
+export function rToJsRecodedInput(rCase) {
+  return {
+    ...rToJsInput(rCase),
+    numBreastBiopsies: parseRecodedValue(rCase.NB_Cat),
+    ageAtMenarche: parseRecodedValue(rCase.AM_Cat),
+    ageAtFirstBirth: parseRecodedValue(rCase.AF_Cat),
+    numRelativesWithBrCa: parseRecodedValue(rCase.NR_Cat),
+  };
+}
+
 /**
  * Compare JavaScript result with R reference result
  * Returns comparison object with pass/fail and details
@@ -27,6 +27,13 @@ export interface RiskFactorProfile {
   /** Future age for risk projection. Real number in (20, 90]. Must be greater than initialAge. */
   projectionEndAge: number;
 
+  /**
+   * Start of the projection window when it is later than today. Real number with
+   * initialAge ≤ projectionStartAge < projectionEndAge. Defaults to initialAge.
+   * Recoding still uses initialAge.
+   */
+  projectionStartAge?: number | null;
+
   /** Race/ethnicity code. Integer in [1, 11]. See RaceCode enum for valid values. */
   race: number;
 
@@ -53,6 +60,25 @@ export interface RiskFactorProfile {
    * 0 (no), 1 (yes), or 99 (unknown/not applicable if no biopsies).
    */
   atypicalHyperplasia: number;
+
+  /**
+   * BI-RADS breast density category (see BreastDensity). Used only with a
+   * density model (the `density` option).
+   */
+  breastDensity?: BreastDensityCategory | null;
+
+  /**
+   * External relative risks, such as a polygenic risk score, that multiply
+   * the Gail relative risk at the ages they apply to.
+   */
+  relativeRiskMultipliers?: RelativeRiskMultiplier[] | null;
+
+  /**
+   * Pre-recoded input only (rawInput: false): atypical hyperplasia relative
+   * risk multiplier, given instead of atypicalHyperplasia (which may then be
+   * left out) or agreeing with it. Must be 1 for biopsy category 0.
+   */
+  hyperplasiaMultiplier?: number | null;
 }
 
 /**
@@ -136,10 +162,23 @@ export interface ValidationResult {
   errors: string[];
 
   /**
-   * Array of warning messages for potential data issues that don't prevent calculation.
+   * Array of warning messages for potential data issues that don't prevent calculation:
+   * unknown answers coded as the lowest-risk category, answers the race's model
+   * ignores, current ages outside 35-85, fractional counts and windows shorter
+   * than one year. Only given for valid data.
    */
   warnings: string[];
 
+  /**
+   * Structured form of `errors`, one issue per message in the same order.
+   */
+  errorDetails: ValidationIssue[];
+
+  /**
+   * Structured form of `warnings`, one issue per message in the same order.
+   */
+  warningDetails: ValidationIssue[];
+
   /**
    * Transformed covariate values ready for risk calculation.
    * Null if validation failed.
@@ -156,6 +195,71 @@ export interface ValidationResult {
   errorIndicator: number;
 }
 
+/**
+ * Stable code of a validation error or warning.
+ */
+export type ValidationCodeValue =
+  | 'INVALID_DATA'
+  | 'MISSING_FIELD'
+  | 'EMPTY_FIELD'
+  | 'NOT_A_NUMBER'
+  | 'NOT_FINITE'
+  | 'INVALID_BREAST_DENSITY'
+  | 'INITIAL_AGE_OUT_OF_RANGE'
+  | 'PROJECTION_END_AGE_ABOVE_MAXIMUM'
+  | 'PROJECTION_END_AGE_NOT_AFTER_INITIAL_AGE'
+  | 'PROJECTION_START_AGE_BEFORE_INITIAL_AGE'
+  | 'PROJECTION_END_AGE_NOT_AFTER_START_AGE'
+  | 'INVALID_RACE'
+  | 'HYPERPLASIA_WITHOUT_BIOPSY'
+  | 'INVALID_HYPERPLASIA'
+  | 'INVALID_BIOPSY_COUNT'
+  | 'AGE_MENARCHE_AFTER_INITIAL_AGE'
+  | 'INVALID_AGE_MENARCHE'
+  | 'AGE_FIRST_BIRTH_BEFORE_MENARCHE'
+  | 'AGE_FIRST_BIRTH_AFTER_INITIAL_AGE'
+  | 'INVALID_AGE_FIRST_BIRTH'
+  | 'INVALID_RELATIVES_COUNT'
+  | 'UNKNOWN_ANSWER'
+  | 'INVALID_CATEGORY'
+  | 'INVALID_HYPERPLASIA_MULTIPLIER'
+  | 'INVALID_RELATIVE_RISK_MULTIPLIERS'
+  | 'BREAST_DENSITY_REQUIRED'
+  | 'DENSITY_RACE_NOT_COVERED'
+  | 'INVALID_OPTION'
+  | 'NO_ADMISSIBLE_PROFILE'
+  | 'CALCULATION_FAILED'
+  | 'UNEXPECTED_ERROR'
+  | 'UNKNOWN_CODED_AS_LOWEST_RISK'
+  | 'INPUT_NOT_USED_FOR_RACE'
+  | 'AGE_OUTSIDE_VALIDATED_RANGE'
+  | 'NON_INTEGER_COUNT'
+  | 'SHORT_PROJECTION_WINDOW'
+  | 'CONFIDENCE_INTERVAL_UNAVAILABLE'
+  | 'BREAST_DENSITY_NOT_USED';
+
+/**
+ * Stable codes for validation errors and warnings.
+ */
+export const ValidationCode: { readonly [K in ValidationCodeValue]: K };
+
+/**
+ * One validation error or warning in structured form.
+ */
+export interface ValidationIssue {
+  /** Stable validation code */
+  code: ValidationCodeValue;
+
+  /** Offending profile fields, or option names for INVALID_OPTION. May be empty. */
+  fields: string[];
+
+  /** Offending values by field */
+  values: Record<string, unknown>;
+
+  /** Default English message, identical to the matching string in `errors` or `warnings` */
+  message: string;
+}
+
 /**
  * Result of breast cancer risk calculation.
  *
@@ -283,165 +387,2235 @@ export const SpecialValues: {
   readonly NOT_APPLICABLE: 99;
 };
 
+/**
+ * BI-RADS breast density categories (5th edition).
+ */
+export const BreastDensity: {
+  /** a: almost entirely fatty */
+  readonly ALMOST_ENTIRELY_FATTY: 'a';
+
+  /** b: scattered areas of fibroglandular density */
+  readonly SCATTERED_FIBROGLANDULAR: 'b';
+
+  /** c: heterogeneously dense */
+  readonly HETEROGENEOUSLY_DENSE: 'c';
+
+  /** d: extremely dense */
+  readonly EXTREMELY_DENSE: 'd';
+};
+
+/**
+ * BI-RADS breast density category.
+ */
+export type BreastDensityCategory = 'a' | 'b' | 'c' | 'd';
+
+/**
+ * Validation profiles, selected with the `validationProfile` option.
+ */
+export const ValidationProfile: {
+  /** No string coercion, whole counts, no unknown answers, every error reported */
+  readonly STRICT: 'strict';
+
+  /** Numeric strings coerced, fractional counts and unknown answers accepted */
+  readonly LENIENT: 'lenient';
+
+  /** As strict for types and counts; unknown answers accepted and each reported */
+  readonly CLINICAL: 'clinical';
+};
+
+/**
+ * Validation profile name.
+ */
+export type ValidationProfileName = 'strict' | 'lenient' | 'clinical';
+
 /**
  * Options for risk calculation functions.
  */
 export interface RiskCalculationOptions {
-  /** Whether input is in raw format (true) or already recoded (false). Default: true */
+  /**
+   * Whether input is in raw format (true) or already recoded (false). Recoded
+   * input gives the race's own categories and the raw atypicalHyperplasia
+   * status or a hyperplasiaMultiplier, as R's Raw_Ind = 0. Default: true
+   */
   rawInput?: boolean;
 
+  /**
+   * How strictly to validate the profile. 'strict' accepts no numeric strings,
+   * fractional biopsy or relative counts or unknown (99) answers and reports
+   * every error; 'clinical' is as strict on types and counts but reports each
+   * unknown answer as a warning; 'lenient' coerces numeric strings and accepts
+   * both. Default: 'lenient'
+   */
+  validationProfile?: ValidationProfileName;
+
   /** Whether to also calculate average risk for comparison. Default: false */
   calculateAverage?: boolean;
+
+  /**
+   * Additional projection horizons calculated from a single validation pass.
+   * A number is a years-ahead horizon (capped at age 90). When the profile has
+   * no projectionEndAge, the first horizon is used for the top-level absoluteRisk.
+   */
+  horizons?: Array<number | RiskHorizon>;
+
+  /**
+   * Attach a confidence interval for absoluteRisk reflecting beta coefficient uncertainty.
+   * `true` gives a 95% delta-method interval. Default: false
+   */
+  confidenceInterval?: boolean | ConfidenceIntervalOptions;
+
+  /**
+   * Attach the per-risk-factor breakdown of the relative risk. Default: false
+   */
+  contributions?: boolean;
+
+  /**
+   * Attach the breast cancer / competing mortality / alive and cancer-free
+   * breakdown at projectionEndAge for the individual and average profiles. Default: false
+   */
+  competingRisks?: boolean;
+
+  /**
+   * Attach a step-by-step trace of the individualized absolute risk: raw and
+   * sanitized input, each recoding decision, the beta coefficients and linear
+   * predictor terms, the 1-AR values and every integration interval. Default: false
+   */
+  explain?: boolean;
+
+  /**
+   * Impute unknown (99) risk factors from race-specific category distributions
+   * instead of coding them as category 0. Requires raw input; cannot be
+   * combined with horizons, confidenceInterval, contributions, competingRisks or explain.
+   */
+  imputation?: ImputationOptions | null;
+
+  /**
+   * Attach the provenance block; false leaves `provenance` null and skips its
+   * cost. Default: true, except in calculateBatchRisk() where it is false
+   */
+  provenance?: boolean;
+
+  /**
+   * When projectionStartAge is later than initialAge, calculate the risk conditional
+   * on reaching projectionStartAge alive and cancer-free (true) or the unconditional
+   * risk from initialAge (false). Default: true
+   */
+  conditional?: boolean;
+
+  /**
+   * Integration engine: the yearly scheme of the BCRA R package, or exact
+   * integration of the piecewise-constant hazards. Default: 'r-compatible'
+   */
+  integration?: IntegrationEngine;
+
+  /** Monthly or daily step grid for the exact engine */
+  integrationStep?: IntegrationStep | null;
+
+  /**
+   * Registered model id or model definition supplying the coefficients, rates,
+   * 1-AR values and recoding rules. Default: 'nci-bcrat'
+   */
+  model?: ModelReference;
+
+  /** λ₁/λ₂ tables that replace the model's rates, on any whole-age grid covering 20-90 */
+  rates?: RateSet | null;
+
+  /** 1-AR for ages < 50 and >= 50 that replaces the model's, e.g. from calculateOneMinusAR() */
+  oneMinusAR?: number[] | null;
+
+  /**
+   * Mammographic density extension: multiplies in the relative risk for the
+   * profile's breastDensity and uses the density model's 1-AR and betas.
+   * Cannot be combined with oneMinusAR.
+   */
+  density?: DensityModel | null;
+
+  /**
+   * Divide 1-AR by the population mean relative risk of each of the profile's
+   * relativeRiskMultipliers. Default: false
+   */
+  adjustOneMinusAR?: boolean;
+
+  /**
+   * Throw a BCRAValidationError for invalid input or options, or a
+   * BCRACalculationError for a failed calculation, instead of returning
+   * `success: false`. Default: false
+   */
+  throwOnError?: boolean;
 }
 
 /**
- * Extended risk result with additional metadata.
- * Includes all fields from RiskResult plus validation details and projection interval.
+ * Rules that turn raw risk factor values into model categories.
+ * Biopsy, relative and first-birth categories count the cutpoints at or below
+ * the value; menarche categories count the cutpoints above it.
  */
-export interface ExtendedRiskResult extends RiskResult {
-  /** Whether the calculation succeeded */
-  success: boolean;
+export interface RecodingRules {
+  /** Increasing cutpoints, e.g. [1, 2] */
+  biopsies: { cutpoints: number[] };
 
-  /** Pattern number (1-108) uniquely identifying the combination of categorical risk factors */
-  patternNumber: number | null;
+  /** Decreasing cutpoints, e.g. [14, 12] */
+  menarche: { cutpoints: number[] };
 
-  /** Number of years in the projection interval (projectionEndAge - initialAge) */
-  projectionInterval: number | null;
+  /** Increasing cutpoints, e.g. [20, 25, 30], and the category for nulliparous women */
+  firstBirth: { cutpoints: number[]; nulliparousCategory: number };
 
-  /** Validation details */
-  validation: ValidationResult;
+  /** Increasing cutpoints, e.g. [1, 2] */
+  relatives: { cutpoints: number[] };
 
-  /** Recoded values used in calculation (same as validation.recodedValues) */
-  recodedValues: RecodedValues | null;
+  /** Relative risk multiplier by atypical hyperplasia status for women with biopsies */
+  hyperplasiaMultipliers: { no: number; yes: number; unknown: number };
 }
 
 /**
- * Calculates breast cancer risk for an individual using the BCRAT (Gail Model).
- *
- * This is the main entry point for breast cancer risk calculation. It orchestrates
- * the complete workflow:
- * 1. Validates and recodes input data
- * 2. Calculates relative risk using logistic regression
- * 3. Calculates absolute risk using numerical integration
- * 4. Optionally calculates average risk for comparison
- *
- * The function never throws exceptions. All errors are caught and returned in a
- * structured error result object.
- *
- * @param data - An individual's risk factor data
- * @param options - Calculation options
- * @returns Comprehensive risk calculation result
- *
- * @example
- * ```typescript
- * const profile = {
- *   id: 1,
- *   initialAge: 45,
- *   projectionEndAge: 50,
- *   race: RaceCode.WHITE,
- *   numBreastBiopsies: 0,
- *   ageAtMenarche: 12,
- *   ageAtFirstBirth: 25,
- *   numRelativesWithBrCa: 0,
- *   atypicalHyperplasia: 99
- * };
- *
- * const result = calculateRisk(profile);
- * console.log(`5-year risk: ${result.absoluteRisk?.toFixed(2)}%`);
- * ```
+ * One population (race code) of a Gail-type model.
  */
-export function calculateRisk(
-  data: RiskFactorProfile,
-  options?: RiskCalculationOptions
-): ExtendedRiskResult;
+export interface ModelPopulation {
+  /** Human-readable label, reported as raceEthnicity */
+  label: string;
+
+  /** Six log relative risk coefficients in BETA_COEFFICIENT_NAMES order */
+  beta: number[];
+
+  /** 6×6 covariance matrix of beta, used for confidence intervals */
+  betaCovariance?: number[][] | null;
+
+  /**
+   * Whole-age boundaries of the rate tables, covering 20 to 90.
+   * Default: the 14 five-year groups (DEFAULT_AGE_BREAKPOINTS)
+   */
+  ageBreakpoints?: number[];
+
+  /** Incidence rates, one per age interval */
+  lambda1: number[];
+
+  /** Competing mortality rates, one per age interval */
+  lambda2: number[];
+
+  /** 1 - attributable risk for ages < 50 and >= 50 */
+  oneMinusAR: number[];
+
+  /** Incidence rates for average risk. Defaults to lambda1. */
+  averageLambda1?: number[] | null;
+
+  /** Mortality rates for average risk. Defaults to lambda2. */
+  averageLambda2?: number[] | null;
+
+  /** Recoding rules that override the model defaults, factor by factor */
+  recoding?: Partial<RecodingRules>;
+}
 
 /**
- * Calculates breast cancer risk for multiple individuals (batch processing).
- *
- * Processes an array of individual data objects independently. Each calculation
- * is isolated - no state is shared between individuals.
- *
- * @param individuals - Array of individual risk factor data
- * @param options - Calculation options (applied to all individuals)
- * @returns Array of risk calculation results
- *
- * @example
- * ```typescript
- * const individuals = [
- *   { id: 1, initialAge: 45, projectionEndAge: 50, race: 1, ... },
- *   { id: 2, initialAge: 50, projectionEndAge: 60, race: 2, ... }
- * ];
- *
- * const results = calculateBatchRisk(individuals);
- * results.forEach((result, i) => {
- *   if (result.success) {
- *     console.log(`Individual ${i+1}: ${result.absoluteRisk?.toFixed(2)}% risk`);
- *   }
- * });
- * ```
+ * Gail-type model definition accepted by registerModel() and the `model` option.
  */
-export function calculateBatchRisk(
-  individuals: RiskFactorProfile[],
-  options?: RiskCalculationOptions
-): ExtendedRiskResult[];
+export interface ModelDefinition {
+  /** Unique model id */
+  id: string;
+
+  /** Display name. Defaults to the id. */
+  name?: string;
+
+  /** Default recoding rules for every population */
+  recoding?: RecodingRules;
+
+  /** Populations keyed by race code */
+  populations: Record<number, ModelPopulation>;
+}
 
 /**
- * Validates and recodes input data for breast cancer risk assessment.
- *
- * This function performs comprehensive validation and transforms raw input values
- * into categorical variables used by the BCRAT model. Different race groups may
- * have different recoding rules.
- *
- * @param data - Raw risk factor data
- * @param rawInput - Whether inputs are in raw format. Default: true
- * @returns Validation result with recoded values or errors
+ * Caller-supplied incidence and mortality tables. rates[i] applies on
+ * [ageBreakpoints[i], ageBreakpoints[i + 1]); tables left out come from the model.
  */
-export function recodeAndValidate(
-  data: RiskFactorProfile,
-  rawInput?: boolean
-): ValidationResult;
+export interface RateSet {
+  /** Rate set id, recorded in the result's rateSet */
+  id: string;
+
+  /** Display name. Defaults to the id. */
+  name?: string;
+
+  /** Increasing whole ages covering 20 to 90. Default: the 14 five-year groups */
+  ageBreakpoints?: number[];
+
+  /** Breast cancer incidence rates, one per age interval */
+  lambda1?: number[] | null;
+
+  /** Competing mortality rates, one per age interval */
+  lambda2?: number[] | null;
+
+  /** Incidence rates for average risk. Defaults to lambda1. */
+  averageLambda1?: number[] | null;
+
+  /** Mortality rates for average risk. Defaults to lambda2. */
+  averageLambda2?: number[] | null;
+}
 
 /**
- * Calculates relative risk using logistic regression with race-specific coefficients.
- *
- * This is a lower-level function typically used internally by calculateRisk().
- * Most users should use calculateRisk() instead.
- *
- * @param validation - Validation result containing recoded values
- * @param race - Race code (1-11)
- * @returns Object containing relative risks for age <50 and ≥50, and pattern number
+ * Age breakpoints of the bundled tables: 20, 25, ..., 85, 90.
  */
-export function calculateRelativeRisk(
-  validation: ValidationResult,
-  race: number
-): {
-  relativeRiskUnder50: number | null;
-  relativeRiskAtOrAbove50: number | null;
-  patternNumber: number | null;
-};
+export const DEFAULT_AGE_BREAKPOINTS: readonly number[];
 
 /**
- * Calculates absolute risk using numerical integration.
+ * Checks a rate table against its age grid.
  *
- * This is a lower-level function typically used internally by calculateRisk().
- * Most users should use calculateRisk() instead.
+ * @param rates - One rate per age interval
+ * @param ageBreakpoints - Interval boundaries. Default: DEFAULT_AGE_BREAKPOINTS
+ * @returns Error messages; empty if the table is valid
+ */
+export function validateRateTable(
+  rates: number[],
+  ageBreakpoints?: number[]
+): string[];
+
+/**
+ * Expands a rate table on any whole-age grid covering 20 to 90 into
+ * 70 single-year rates (ages 20-89).
  *
- * @param data - Risk factor data
- * @param validation - Validation result
- * @param relativeRisk - Relative risk calculation result
- * @param calculateAverage - Whether to calculate average risk. Default: false
- * @returns Object containing absolute risk and optionally average risk
+ * @param rates - One rate per age interval
+ * @param ageBreakpoints - Interval boundaries. Default: DEFAULT_AGE_BREAKPOINTS
  */
-export function calculateAbsoluteRisk(
-  data: RiskFactorProfile,
-  validation: ValidationResult,
-  relativeRisk: ReturnType<typeof calculateRelativeRisk>,
-  calculateAverage?: boolean
-): {
-  absoluteRisk: number | null;
-  averageRisk: number | null;
+export function expandRateTable(
+  rates: number[],
+  ageBreakpoints?: number[]
+): number[];
+
+/**
+ * Validates a rate set and returns its frozen copy.
+ */
+export function resolveRateSet(rateSet: RateSet): {
+  rateSet: RateSet | null;
+  error: string | null;
 };
 
+/**
+ * Weight of one of the 108 risk factor patterns in a population.
+ */
+export interface PatternWeight {
+  /** Pattern number, NB×36 + AM×12 + AF×3 + NR + 1 (1-108) */
+  patternNumber: number;
+
+  /** Non-negative weight, e.g. the pattern's share of the population */
+  weight: number;
+
+  /** Atypical hyperplasia multiplier for the pattern. Default: 1 */
+  hyperplasiaMultiplier?: number;
+
+  /** Age group the weight describes. Default: both */
+  ageGroup?: 'under50' | 'atOrAbove50';
+}
+
+/**
+ * A population whose mean relative risk defines 1-AR: either a sample of
+ * profiles or a distribution over the 108 risk factor patterns.
+ */
+export interface RecalibrationPopulation {
+  /** Profiles sampled from one population */
+  profiles?: RiskFactorProfile[];
+
+  /** Non-negative weight per profile. Default: equal weights */
+  weights?: number[];
+
+  /** Pattern distribution (requires options.race) */
+  patterns?: PatternWeight[];
+}
+
+/**
+ * Options for calculateOneMinusAR().
+ */
+export interface OneMinusAROptions {
+  /** Race code whose coefficients apply. Required for patterns; defaults to the sample's race */
+  race?: number;
+
+  /** Model supplying the coefficients and recoding rules. Default: 'nci-bcrat' */
+  model?: ModelReference;
+}
+
+/**
+ * 1-AR values derived by calculateOneMinusAR().
+ */
+export interface OneMinusARResult {
+  /** 1 / E[RR] for ages < 50 and >= 50, or null on error */
+  oneMinusAR: [number, number] | null;
+
+  /** Weighted mean relative risk for ages < 50 and >= 50 */
+  meanRelativeRisk: [number, number] | null;
+
+  /** Race code whose coefficients were used */
+  race: number | null;
+
+  /** Sum of the weights of the entries used */
+  totalWeight: number | null;
+
+  /** Weight behind the mean relative risk for ages < 50 and >= 50 */
+  ageGroupWeights: [number, number] | null;
+
+  /** Number of profiles or patterns with positive weight that were used */
+  used: number;
+
+  /** Profiles left out because they failed validation */
+  excluded: Array<{ index: number; errors: string[] }>;
+
+  /** Error message, or null on success */
+  error: string | null;
+}
+
+/**
+ * Derives 1-AR for ages < 50 and >= 50 as 1 / E[RR] over a population's
+ * risk factor distribution, each averaged over the women of that age group.
+ * Pass the result to calculateRisk() as `oneMinusAR`.
+ *
+ * @param population - Profile sample or pattern distribution
+ * @param options - Race and model
+ */
+export function calculateOneMinusAR(
+  population: RecalibrationPopulation,
+  options?: OneMinusAROptions
+): OneMinusARResult;
+
+/**
+ * Checks `oneMinusAR` values: two positive numbers.
+ *
+ * @returns Error message, or null if the values are usable
+ */
+export function validateOneMinusAR(oneMinusAR: number[]): string | null;
+
+/**
+ * Raw fields that can be imputed when unknown (99).
+ */
+export type ImputableField =
+  | 'numBreastBiopsies'
+  | 'ageAtMenarche'
+  | 'ageAtFirstBirth'
+  | 'numRelativesWithBrCa';
+
+/**
+ * Category probabilities for each imputable field, one per recoded category.
+ */
+export type CategoryDistributions = Partial<Record<ImputableField, number[]>>;
+
+/**
+ * Options for imputing unknown risk factors.
+ */
+export interface ImputationOptions {
+  /** Average over every combination of categories, or draw them. Default: 'expected' */
+  method?: 'expected' | 'multiple';
+
+  /**
+   * Category distributions by race code. Required: no default distributions
+   * are bundled (see estimateCategoryDistributions()).
+   */
+  distributions: Record<number, CategoryDistributions>;
+
+  /** Number of imputations for 'multiple'. Default: 100 */
+  draws?: number;
+
+  /** Seed for 'multiple'. Default: 1 */
+  seed?: number;
+
+  /** Level of the interval of imputed risks for 'multiple'. Default: 0.95 */
+  level?: number;
+}
+
+/**
+ * Imputation summary attached to RiskResult.
+ */
+export interface ImputationResult {
+  /** Imputation method */
+  method: 'expected' | 'multiple';
+
+  /** Raw fields that were imputed; empty if none was unknown */
+  fields: ImputableField[];
+
+  /** Standard deviation of the absolute risk over the imputations */
+  standardDeviation: number;
+
+  /** Level of lower/upper ('multiple' only) */
+  level: number | null;
+
+  /** Lower empirical quantile of the imputed risks ('multiple' only) */
+  lower: number | null;
+
+  /** Upper empirical quantile of the imputed risks ('multiple' only) */
+  upper: number | null;
+
+  /** Number of imputations ('multiple' only) */
+  draws: number | null;
+
+  /** Seed used ('multiple' only) */
+  seed: number | null;
+
+  /** Absolute risk of each imputation, in draw order ('multiple' only) */
+  risks: number[] | null;
+}
+
+/**
+ * How one risk factor was recoded, returned by explainRecoding().
+ */
+export interface RecodingDecision {
+  /** Raw input field, e.g. "ageAtMenarche" */
+  field: string;
+
+  /** Value given for the field */
+  value: number;
+
+  /** Recoded value it produced */
+  recodedField: keyof RecodedValues;
+
+  /** Category, or the hyperplasia multiplier R_Hyp */
+  recodedValue: number;
+
+  /** The rule that was applied, e.g. "12 to < 14 → 1" */
+  rule: string;
+
+  /** Every rule of the population, in category order */
+  categories: string[];
+
+  /** Whether the population pools categories that the standard rules keep apart */
+  pooled: boolean;
+
+  /** Why the population's rules differ from the standard ones. Null when they do not. */
+  note: string | null;
+}
+
+/**
+ * One integration interval of the absolute risk. Hazards are per year and
+ * risks are on the 0-1 scale.
+ */
+export interface IntegrationInterval {
+  /** Rate table index (age - 20) for the r-compatible engine; position of the interval, from 0, for the exact engine */
+  index: number;
+
+  startAge: number;
+  endAge: number;
+
+  /** Years in the interval */
+  integrationLength: number;
+
+  /** Breast cancer incidence rate λ₁ */
+  lambda1: number;
+
+  /** Competing mortality rate λ₂ */
+  lambda2: number;
+
+  /** (1-AR)×RR, including any external multipliers */
+  oneMinusARTimesRR: number;
+
+  /** (1-AR)×RR×λ₁ + λ₂ */
+  combinedHazard: number;
+
+  /** Probability of breast cancer in the interval, times the probability of reaching its start */
+  riskContribution: number;
+
+  /** The same for death of other causes */
+  competingMortalityContribution: number;
+
+  /** Breast cancer risk up to endAge */
+  cumulativeRisk: number;
+
+  /** Competing mortality up to endAge */
+  cumulativeCompetingMortality: number;
+
+  /** Integrated combined hazard up to endAge */
+  cumulativeHazard: number;
+}
+
+/**
+ * Interval-by-interval record of the absolute risk integration.
+ */
+export interface IntegrationTrace {
+  /** 1-AR for ages < 50 and >= 50. Null for the average profile. */
+  oneMinusAR: number[] | null;
+
+  /** Start of the integrated window */
+  startAge: number;
+
+  /** End of the integrated window */
+  endAge: number;
+
+  /**
+   * Probability of reaching startAge alive and cancer-free from initialAge, by
+   * which the risk was multiplied. 1 for a conditional risk or a window starting at initialAge.
+   */
+  survivalToStart: number;
+
+  /** Integration intervals in age order */
+  intervals: IntegrationInterval[];
+
+  /** Absolute risk as a percentage (0-100) */
+  absoluteRisk: number;
+}
+
+/**
+ * Step-by-step record of an individualized absolute risk (see the `explain` option).
+ */
+export interface CalculationTrace {
+  /** Profile as given and after string coercion */
+  input: { raw: Record<string, unknown>; sanitized: RiskFactorProfile };
+
+  /** One decision per risk factor, then atypical hyperplasia */
+  recoding: RecodingDecision[];
+
+  relativeRisk: {
+    /** Coefficient names (see BETA_COEFFICIENT_NAMES) */
+    coefficientNames: string[];
+
+    /** Beta coefficients used: the density model's, or the population's */
+    beta: number[];
+
+    /** Linear predictor terms, one per risk factor */
+    terms: RiskFactorContribution[];
+
+    /** LP1 */
+    linearPredictorUnder50: number;
+
+    /** LP2 */
+    linearPredictorAtOrAbove50: number;
+
+    /** Density relative risk (ages < 50, >= 50). Null without a density model. */
+    densityRelativeRisk: number[] | null;
+
+    relativeRiskUnder50: number;
+    relativeRiskAtOrAbove50: number;
+  };
+
+  /** 1-AR for ages < 50 and >= 50 */
+  oneMinusAR: number[];
+
+  integration: Omit<IntegrationTrace, 'oneMinusAR'> &
+    IntegrationInfo & {
+      /** Whether the risk is conditional on reaching startAge */
+      conditional: boolean;
+    };
+}
+
+/**
+ * What produced a risk result. Hashes are SHA-256 digests of canonical JSON
+ * (sorted keys), as 64 lowercase hexadecimal characters. Fields other than
+ * library, hashAlgorithm, inputHash and optionsHash are null when the options
+ * could not be resolved.
+ */
+export interface ResultProvenance {
+  /** Package name and VERSION */
+  library: { name: string; version: string };
+
+  /** Model used */
+  model: { id: string; name: string } | null;
+
+  /** NCI BCRAT version id. Null for other models. */
+  modelVersion: string | null;
+
+  /** Rate set used: a caller-supplied one (custom) or the model's own rates, identified by the model id */
+  rateSet: { id: string; custom: boolean } | null;
+
+  /** Density model id. Null without a density model. */
+  densityModel: string | null;
+
+  /** Integration engine and step */
+  integration: IntegrationInfo | null;
+
+  /** Always 'SHA-256' */
+  hashAlgorithm: 'SHA-256';
+
+  /**
+   * Hash of the parameters used for the profile's race: beta coefficients,
+   * single-year λ₁/λ₂ tables for individual and average risk, 1-AR values and
+   * density relative risks. Null if the race has no population.
+   */
+  parameterHash: string | null;
+
+  /** Hash of the profile after the string coercion the calculation applies, so "40" and 40 hash the same */
+  inputHash: string;
+
+  /** Hash of the calculation options with their defaults filled in (throwOnError excluded) */
+  optionsHash: string;
+}
+
+/**
+ * Hash algorithm of the provenance hashes.
+ */
+export const PROVENANCE_HASH_ALGORITHM: 'SHA-256';
+
+/**
+ * Compares two provenance blocks field by field, typically a stored result's
+ * against that of the same profile recalculated with the same options.
+ *
+ * @param stored - Provenance recorded with a result
+ * @param current - Provenance to compare it with
+ * @returns Whether they match, and the paths of the fields that differ (e.g. "library.version", "parameterHash")
+ */
+export function compareProvenance(
+  stored: ResultProvenance,
+  current: ResultProvenance
+): { matches: boolean; differences: string[] };
+
+/**
+ * SHA-256 digest of a value's canonical JSON (sorted keys), as 64 lowercase
+ * hexadecimal characters. Gives the inputHash of a stored profile with numeric fields.
+ */
+export function hashCanonical(value: unknown): string;
+
+/**
+ * Supported imputation methods.
+ */
+export const IMPUTATION_METHODS: readonly ['expected', 'multiple'];
+
+/**
+ * Imputable raw fields and the recoded value each one sets.
+ */
+export const IMPUTABLE_FIELDS: Readonly<
+  Record<ImputableField, keyof RecodedValues>
+>;
+
+/**
+ * Checks an imputation option.
+ *
+ * @returns Error message, or null if the options are usable
+ */
+export function checkImputationOptions(
+  imputation: ImputationOptions
+): string | null;
+
+/**
+ * Averages or distributes the absolute risk over imputed unknown fields.
+ *
+ * @param riskFor - Calculates the risk for a set of recoded values
+ */
+export function calculateImputedRisk(
+  data: RiskFactorProfile,
+  validation: ValidationResult,
+  population: ModelPopulation,
+  imputation: ImputationOptions,
+  riskFor: (recodedValues: RecodedValues) => {
+    absoluteRisk: number | null;
+    relativeRisk: {
+      relativeRiskUnder50: number | null;
+      relativeRiskAtOrAbove50: number | null;
+    };
+  }
+): {
+  absoluteRisk: number | null;
+  relativeRiskUnder50: number | null;
+  relativeRiskAtOrAbove50: number | null;
+  imputation: ImputationResult | null;
+  error: string | null;
+};
+
+/**
+ * Estimates race-specific category distributions from the known values in a
+ * sample of profiles.
+ */
+export function estimateCategoryDistributions(
+  profiles: RiskFactorProfile[],
+  options?: { weights?: number[]; model?: ModelReference }
+): {
+  distributions: Record<number, CategoryDistributions> | null;
+  counts: Record<number, Record<ImputableField, number[]>> | null;
+  excluded: Array<{ index: number; errors: string[] }>;
+  error: string | null;
+};
+
+/**
+ * External relative risk, e.g. a standardized polygenic risk score. Give
+ * exactly one of relativeRisk or logRelativeRisk.
+ */
+export interface RelativeRiskMultiplier {
+  /** Name of the factor, unique within the profile */
+  name: string;
+
+  /** Relative risk of the individual */
+  relativeRisk?: number;
+
+  /** Log relative risk of the individual */
+  logRelativeRisk?: number;
+
+  /** SD of the log relative risk in the population. Required with logRelativeRisk */
+  sd?: number | null;
+
+  /**
+   * Population mean relative risk, used by adjustOneMinusAR.
+   * Default: exp(sd²/2) with logRelativeRisk, 1 otherwise
+   */
+  meanRelativeRisk?: number;
+
+  /** Whole ages [start, end) the multiplier applies to. Default: [20, 90] */
+  ages?: [number, number];
+}
+
+/**
+ * Validates relative risk multipliers and fills in their defaults.
+ */
+export function resolveRelativeRiskMultipliers(
+  multipliers: RelativeRiskMultiplier[]
+): {
+  multipliers: RelativeRiskMultiplier[] | null;
+  error: string | null;
+};
+
+/**
+ * Expands resolved multipliers into 70 single-year factors (ages 20-89).
+ *
+ * @param adjustOneMinusAR - Divide each factor by its population mean relative risk
+ */
+export function expandRelativeRiskMultipliers(
+  multipliers: RelativeRiskMultiplier[],
+  adjustOneMinusAR?: boolean
+): number[];
+
+/**
+ * Caller-supplied mammographic density extension of the Gail model. The
+ * relative risks, 1-AR values and beta coefficients must come from the same
+ * fitted model; none are bundled, and the published Chen et al. (2006) model
+ * is not implemented.
+ */
+export interface DensityModel {
+  /** Density model id, recorded in the result's density */
+  id: string;
+
+  /** Display name. Default: the id */
+  name?: string;
+
+  /** Relative risk for each BI-RADS category, one number or two (ages < 50, >= 50) */
+  relativeRisks: Record<BreastDensityCategory, number | [number, number]>;
+
+  /** 1-AR for ages < 50 and >= 50, adjusted for density */
+  oneMinusAR: [number, number];
+
+  /**
+   * Beta coefficients of the modified covariate set, in BETA_COEFFICIENT_NAMES
+   * order (0 for covariates left out). Default: the model's
+   */
+  beta?: number[] | null;
+
+  /** Race codes the density model applies to. Default: all */
+  races?: number[] | null;
+}
+
+/**
+ * Density relative risk applied by calculateRisk().
+ */
+export interface DensityResult {
+  /** Density model id */
+  id: string;
+
+  /** Display name */
+  name: string;
+
+  /** BI-RADS category of the profile */
+  category: BreastDensityCategory;
+
+  /** Density relative risk for ages < 50 and >= 50 */
+  relativeRisk: [number, number];
+}
+
+/**
+ * Validates a density model and normalizes each relative risk to a pair.
+ */
+export function resolveDensityModel(densityModel: DensityModel): {
+  densityModel: DensityModel | null;
+  error: string | null;
+};
+
+/**
+ * Looks up the density relative risks for a profile's breastDensity.
+ */
+export function getDensityRelativeRisk(
+  densityModel: DensityModel,
+  data: RiskFactorProfile
+): {
+  category: BreastDensityCategory | null;
+  relativeRisk: [number, number] | null;
+  error: string | null;
+};
+
+/**
+ * A registered model id or a model definition.
+ */
+export type ModelReference = string | ModelDefinition;
+
+/**
+ * Short description of a registered model.
+ */
+export interface ModelSummary {
+  /** Model id */
+  id: string;
+
+  /** Display name */
+  name: string;
+
+  /** Population codes and labels */
+  populations: Array<{ code: number; label: string }>;
+}
+
+/**
+ * Id of the default model ('nci-bcrat').
+ */
+export const DEFAULT_MODEL_ID: string;
+
+/**
+ * Registers a Gail-type model definition. The definition is validated,
+ * copied and frozen.
+ *
+ * @param definition - Model definition
+ * @returns Registration outcome with every problem found in the definition
+ */
+export function registerModel(definition: ModelDefinition): {
+  success: boolean;
+  model: ModelSummary | null;
+  errors: string[];
+};
+
+/**
+ * Removes a registered model. The default model cannot be removed.
+ *
+ * @param id - Model id
+ * @returns True if a model was removed
+ */
+export function unregisterModel(id: string): boolean;
+
+/**
+ * Returns a registered, normalized model definition.
+ *
+ * @param id - Model id. Default: 'nci-bcrat'
+ * @returns The frozen definition, or null if not registered
+ */
+export function getModel(id?: string): ModelDefinition | null;
+
+/**
+ * Looks up one population of a model.
+ *
+ * @param race - Population code
+ * @param model - Model id or definition. Default: 'nci-bcrat'
+ * @returns The population, or null if the model or population does not exist
+ */
+export function getPopulation(
+  race: number,
+  model?: ModelReference
+): ModelPopulation | null;
+
+/**
+ * Lists the registered models in registration order.
+ */
+export function listModels(): ModelSummary[];
+
+/**
+ * Resolves a model id or definition to a normalized definition.
+ *
+ * @param model - Model id or definition. Default: 'nci-bcrat'
+ */
+export function resolveModel(model?: ModelReference): {
+  model: ModelDefinition | null;
+  error: string | null;
+};
+
+/**
+ * Ids of the bundled NCI BCRAT versions.
+ */
+export type NciBcratVersion = 'current';
+
+/**
+ * A built-in NCI BCRAT version.
+ */
+export interface ModelVersionSummary {
+  /** Version id */
+  id: NciBcratVersion;
+
+  /** Display name */
+  name: string;
+
+  /** Population codes that differ from the current version */
+  races: number[];
+
+  /** Limits on reproducing the original tool's results with this version */
+  caveats: string[];
+}
+
+/**
+ * Lists the bundled NCI BCRAT versions, as recorded in RiskResult.modelVersion.
+ */
+export function listModelVersions(): ModelVersionSummary[];
+
+/**
+ * Integration engine used for absolute risk.
+ */
+export type IntegrationEngine = 'r-compatible' | 'exact';
+
+/**
+ * Optional sub-year step grid for the exact integration engine.
+ */
+export type IntegrationStep = 'month' | 'day';
+
+/**
+ * Integration engine and step used for a calculation.
+ */
+export interface IntegrationInfo {
+  /** Integration engine */
+  engine: IntegrationEngine;
+
+  /** Step grid of the exact engine, or null */
+  step: IntegrationStep | null;
+}
+
+/**
+ * Options for calculateAbsoluteRisk().
+ */
+export interface AbsoluteRiskOptions {
+  /**
+   * For a window starting after initialAge, condition on reaching
+   * projectionStartAge alive and cancer-free. Default: true
+   */
+  conditional?: boolean;
+
+  /** Integration engine. Default: 'r-compatible' */
+  integration?: IntegrationEngine;
+
+  /** Monthly or daily step grid for the exact engine */
+  integrationStep?: IntegrationStep | null;
+
+  /** Model supplying the rates and 1-AR values. Default: 'nci-bcrat' */
+  model?: ModelReference;
+
+  /** λ₁/λ₂ tables that replace the model's rates */
+  rates?: RateSet | null;
+
+  /** 1-AR for ages < 50 and >= 50 that replaces the model's, e.g. from calculateOneMinusAR() */
+  oneMinusAR?: number[] | null;
+  /** Adjust 1-AR for data.relativeRiskMultipliers. Default: false */
+  adjustOneMinusAR?: boolean;
+}
+
+/**
+ * Supported integration engines.
+ */
+export const INTEGRATION_ENGINES: readonly IntegrationEngine[];
+
+/**
+ * Step lengths in years for the exact engine's sub-year grids.
+ */
+export const INTEGRATION_STEPS: Readonly<Record<IntegrationStep, number>>;
+
+/**
+ * Three mutually exclusive outcomes over a projection window (percentages summing to 100).
+ */
+export interface CompetingRiskOutcomes {
+  /** Probability of developing invasive breast cancer (the absolute risk) */
+  breastCancer: number;
+
+  /** Probability of dying of other causes before developing breast cancer */
+  competingMortality: number;
+
+  /** Probability of being alive and free of breast cancer at projectionEndAge */
+  aliveCancerFree: number;
+}
+
+/**
+ * Risk factor keys used in relative risk contributions.
+ */
+export type RiskFactorKey =
+  | 'biopsies'
+  | 'menarche'
+  | 'firstBirth'
+  | 'relatives'
+  | 'firstBirthByRelatives'
+  | 'age50ByBiopsies'
+  | 'hyperplasia';
+
+/**
+ * One risk factor's contribution to the relative risk.
+ */
+export interface RiskFactorContribution {
+  /** Factor key */
+  factor: RiskFactorKey;
+
+  /** Human-readable factor name */
+  label: string;
+
+  /** Beta coefficient name (BETA_COEFFICIENT_NAMES). Null for hyperplasia. */
+  coefficientName: string | null;
+
+  /** Recoded covariate (category, AF×NR product, or ln R_Hyp for hyperplasia) */
+  covariate: number;
+
+  /** Beta coefficient applied to the covariate. 1 for hyperplasia. */
+  coefficient: number;
+
+  /** Additive contribution to the linear predictor */
+  linearPredictor: number;
+
+  /** Multiplicative contribution to the relative risk, exp(linearPredictor) */
+  relativeRisk: number;
+
+  /** Whether the factor enters the relative risk for ages under 50 */
+  appliesUnder50: boolean;
+
+  /** Whether the factor enters the relative risk for ages 50 and older */
+  appliesAtOrAbove50: boolean;
+}
+
+/**
+ * Relative risk broken down by risk factor.
+ * The product of the applicable factors' relativeRisk equals the age group's relative risk.
+ */
+export interface RelativeRiskContributions {
+  /** One entry per risk factor, in model order */
+  factors: RiskFactorContribution[];
+
+  /** LP1, the linear predictor for ages under 50 */
+  linearPredictorUnder50: number;
+
+  /** LP2, the linear predictor for ages 50 and older */
+  linearPredictorAtOrAbove50: number;
+
+  /** exp(LP1) */
+  relativeRiskUnder50: number;
+
+  /** exp(LP2) */
+  relativeRiskAtOrAbove50: number;
+}
+
+/**
+ * Options for confidence intervals of the absolute risk.
+ */
+export interface ConfidenceIntervalOptions {
+  /** Interval method. Default: 'delta' */
+  method?: 'delta' | 'monte-carlo';
+
+  /** Confidence level in (0, 1). Default: 0.95 */
+  level?: number;
+
+  /**
+   * 6×6 beta covariance matrix in BETA_COEFFICIENT_NAMES order.
+   * Defaults to the model population's betaCovariance; the NCI BCRAT has none, so it must be given.
+   */
+  covariance?: number[][];
+
+  /** Number of Monte Carlo draws. Default: 1000 */
+  draws?: number;
+
+  /** Seed for the Monte Carlo generator. Default: 1 */
+  seed?: number;
+
+  /** Window risk mode. Set by calculateRisk() from its own options. */
+  conditional?: boolean;
+
+  /** Integration engine. Set by calculateRisk() from its own options. */
+  integration?: IntegrationEngine;
+
+  /** Exact engine step grid. Set by calculateRisk() from its own options. */
+  integrationStep?: IntegrationStep | null;
+
+  /** Model supplying the coefficients. Set by calculateRisk() from its own options. */
+  model?: ModelReference;
+
+  /** λ₁/λ₂ tables. Set by calculateRisk() from its own options. */
+  rates?: RateSet | null;
+
+  /** 1-AR values. Set by calculateRisk() from its own options. */
+  oneMinusAR?: number[] | null;
+
+  /** 1-AR adjustment for the profile's multipliers. Set by calculateRisk() from its own options. */
+  adjustOneMinusAR?: boolean;
+
+  /**
+   * Beta coefficients to use instead of the model's, e.g. a density model's.
+   * The covariance must then be given for them.
+   */
+  beta?: number[] | null;
+
+  /** Fixed relative risk multipliers for ages < 50 and >= 50, e.g. a density relative risk */
+  relativeRiskMultiplier?: number[] | null;
+}
+
+/**
+ * Confidence interval for the individualized absolute risk.
+ * Reflects beta coefficient uncertainty only.
+ */
+export interface ConfidenceInterval {
+  /** Method used to compute the interval */
+  method: 'delta' | 'monte-carlo';
+
+  /** Confidence level, e.g. 0.95 */
+  level: number;
+
+  /** Point estimate of the absolute risk (0-100) */
+  estimate: number;
+
+  /** Lower bound of the absolute risk (0-100) */
+  lower: number;
+
+  /** Upper bound of the absolute risk (0-100) */
+  upper: number;
+
+  /**
+   * Standard error of the absolute risk, in percentage points.
+   * Delta method: the logit standard error mapped back to the risk scale.
+   * Monte Carlo: standard deviation of the simulated risks.
+   */
+  standardError: number;
+
+  /** Delta method: standard error of logit(risk). Null for Monte Carlo. */
+  logitStandardError: number | null;
+
+  /** Number of Monte Carlo draws. Null for the delta method. */
+  draws: number | null;
+
+  /** Seed of the Monte Carlo generator. Null for the delta method. */
+  seed: number | null;
+}
+
+/**
+ * Projection horizon requested through the `horizons` option.
+ * Exactly one of `years` or `endAge` must be given.
+ */
+export type RiskHorizon =
+  | { years: number; endAge?: never; label?: string }
+  | { endAge: number; years?: never; label?: string };
+
+/**
+ * Risk over one requested projection horizon.
+ */
+export interface HorizonRisk {
+  /** Horizon label, e.g. "5-year" or "to age 90" */
+  label: string;
+
+  /** End age used for this horizon */
+  projectionEndAge: number;
+
+  /** Years in the horizon (projectionEndAge minus the window start age) */
+  projectionInterval: number;
+
+  /** Whether a years-ahead horizon was cut short at age 90 */
+  capped: boolean;
+
+  /** Absolute risk over the horizon as a percentage (0-100) */
+  absoluteRisk: number | null;
+
+  /** Average risk over the horizon. Null unless calculateAverage is set. */
+  averageRisk: number | null;
+}
+
+/**
+ * Extended risk result with additional metadata.
+ * Includes all fields from RiskResult plus validation details and projection interval.
+ */
+export interface ExtendedRiskResult extends RiskResult {
+  /** Whether the calculation succeeded */
+  success: boolean;
+
+  /** Pattern number (1-108) uniquely identifying the combination of categorical risk factors */
+  patternNumber: number | null;
+
+  /** Number of years in the projection interval (projectionEndAge minus the window start age) */
+  projectionInterval: number | null;
+
+  /** Start of the projection window when later than initialAge. Null otherwise. */
+  projectionStartAge: number | null;
+
+  /**
+   * End of the projection window (the profile's projectionEndAge, or the first
+   * horizon's end age when the profile has none). Null if calculation failed.
+   */
+  projectionEndAge: number | null;
+
+  /**
+   * For a window starting after initialAge, whether the risk is conditional on
+   * reaching projectionStartAge alive and cancer-free. Null otherwise.
+   */
+  conditional: boolean | null;
+
+  /** Integration engine and step used. Null if the calculation did not get that far. */
+  integration: IntegrationInfo | null;
+
+  /** Model used for the calculation. Null if the model could not be resolved. */
+  model: { id: string; name: string } | null;
+
+  /**
+   * NCI BCRAT version used, with its caveats. Null for other models or if the
+   * model could not be resolved.
+   */
+  modelVersion: ModelVersionSummary | null;
+
+  /**
+   * Density relative risk included in the relative risks (see the `density`
+   * option). Null without a density model.
+   */
+  density: DensityResult | null;
+
+  /** The profile's relative risk multipliers, normalized. Null if it has none. */
+  relativeRiskMultipliers: RelativeRiskMultiplier[] | null;
+
+  /**
+   * λ₁/λ₂ rates used: a caller-supplied rate set (custom) or the model's own
+   * rates, identified by the model id. Null if the options could not be resolved.
+   */
+  rateSet: { id: string; name: string; custom: boolean } | null;
+
+  /** Risk for each requested horizon, in request order. Null if no horizons were requested. */
+  horizons: HorizonRisk[] | null;
+
+  /** Confidence interval for absoluteRisk. Null unless requested. */
+  confidenceInterval: ConfidenceInterval | null;
+
+  /** Per-risk-factor breakdown of the relative risk. Null unless requested. */
+  contributions: RelativeRiskContributions | null;
+
+  /** Three-state outcome breakdown at projectionEndAge. Null unless requested. */
+  competingRisks: {
+    individual: CompetingRiskOutcomes | null;
+    average: CompetingRiskOutcomes | null;
+  } | null;
+
+  /** Imputed fields and the spread of the risk over them. Null unless requested. */
+  imputation: ImputationResult | null;
+
+  /** Step-by-step record of how absoluteRisk was calculated. Null unless requested. */
+  trace: CalculationTrace | null;
+
+  /**
+   * What produced the result: library version, model and rate set, and hashes
+   * of the parameters, input and options. Null with `provenance: false` (the
+   * default of calculateBatchRisk()) or if the input could not be hashed.
+   */
+  provenance: ResultProvenance | null;
+
+  /** Validation details */
+  validation: ValidationResult;
+
+  /** Recoded values used in calculation (same as validation.recodedValues) */
+  recodedValues: RecodedValues | null;
+}
+
+/**
+ * Calculates breast cancer risk for an individual using the BCRAT (Gail Model).
+ *
+ * This is the main entry point for breast cancer risk calculation. It orchestrates
+ * the complete workflow:
+ * 1. Validates and recodes input data
+ * 2. Calculates relative risk using logistic regression
+ * 3. Calculates absolute risk using numerical integration
+ * 4. Optionally calculates average risk for comparison
+ *
+ * By default the function never throws exceptions. All errors are caught and
+ * returned in a structured error result object. With `throwOnError`, a failed
+ * calculation throws instead (see calculateRiskOrThrow()).
+ *
+ * @param data - An individual's risk factor data
+ * @param options - Calculation options
+ * @returns Comprehensive risk calculation result
+ *
+ * @example
+ * ```typescript
+ * const profile = {
+ *   id: 1,
+ *   initialAge: 45,
+ *   projectionEndAge: 50,
+ *   race: RaceCode.WHITE,
+ *   numBreastBiopsies: 0,
+ *   ageAtMenarche: 12,
+ *   ageAtFirstBirth: 25,
+ *   numRelativesWithBrCa: 0,
+ *   atypicalHyperplasia: 99
+ * };
+ *
+ * const result = calculateRisk(profile);
+ * console.log(`5-year risk: ${result.absoluteRisk?.toFixed(2)}%`);
+ * ```
+ */
+export function calculateRisk(
+  data: RiskFactorProfile,
+  options?: RiskCalculationOptions
+): ExtendedRiskResult;
+export function calculateRisk(
+  data: Omit<RiskFactorProfile, 'projectionEndAge'> &
+    Partial<Pick<RiskFactorProfile, 'projectionEndAge'>>,
+  options: RiskCalculationOptions & { horizons: Array<number | RiskHorizon> }
+): ExtendedRiskResult;
+
+/**
+ * Error thrown for invalid input or options.
+ */
+export class BCRAValidationError extends Error {
+  constructor(
+    message: string,
+    fieldErrors?: Record<string, string | string[]>,
+    issues?: ValidationIssue[]
+  );
+
+  name: 'BCRAValidationError';
+
+  /** Messages by offending field or option name */
+  fieldErrors: Record<string, string | string[]>;
+
+  /** Structured validation errors */
+  issues: ValidationIssue[];
+
+  toJSON(): {
+    name: string;
+    message: string;
+    fieldErrors: Record<string, string | string[]>;
+    issues: ValidationIssue[];
+    stack?: string;
+  };
+}
+
+/**
+ * Error thrown when a calculation fails.
+ */
+export class BCRACalculationError extends Error {
+  constructor(message: string, details?: Record<string, unknown>);
+
+  name: 'BCRACalculationError';
+
+  /**
+   * Failure context. Errors created from a result hold `issues`, the
+   * structured errors, and `cause`, the unexpected exception if any.
+   */
+  details: Record<string, unknown>;
+
+  toJSON(): {
+    name: string;
+    message: string;
+    details: Record<string, unknown>;
+    stack?: string;
+  };
+}
+
+/**
+ * Creates a typed error from a failed result: a BCRACalculationError when the
+ * calculation failed or crashed, otherwise a BCRAValidationError.
+ */
+export function createErrorFromResult(result: {
+  validation: ValidationResult;
+  error?: { message: string; stack?: string } | null;
+}): BCRAValidationError | BCRACalculationError;
+
+/**
+ * Calculates breast cancer risk for an individual, throwing on failure.
+ *
+ * Same as calculateRisk() with `throwOnError: true`.
+ *
+ * @throws {BCRAValidationError} If the input or options are invalid
+ * @throws {BCRACalculationError} If the calculation fails
+ *
+ * @example
+ * ```typescript
+ * try {
+ *   const { absoluteRisk } = calculateRiskOrThrow(profile);
+ * } catch (error) {
+ *   if (error instanceof BCRAValidationError) {
+ *     console.error(error.fieldErrors);
+ *   }
+ * }
+ * ```
+ */
+export function calculateRiskOrThrow(
+  data: RiskFactorProfile,
+  options?: RiskCalculationOptions
+): ExtendedRiskResult;
+
+/**
+ * One point on a cumulative risk trajectory.
+ *
+ * Points are reported at every whole year of age after initialAge and at the
+ * end age itself, whatever the integration engine.
+ */
+export interface TrajectoryPoint {
+  /** Age at the end of the interval. */
+  age: number;
+
+  /** Absolute risk from initialAge to this age, as a percentage (0-100). */
+  cumulativeRisk: number;
+
+  /** Combined hazard (1-AR)·RR·λ₁ + λ₂ in effect during the interval ending at this age. */
+  intervalHazard: number;
+
+  /**
+   * Probability of being alive and breast-cancer-free at this age,
+   * given alive and cancer-free at initialAge (0-1).
+   */
+  survival: number;
+}
+
+/**
+ * Options for calculateRiskTrajectory().
+ */
+export interface RiskTrajectoryOptions {
+  /** Whether input is in raw format (true) or already recoded (false). Default: true */
+  rawInput?: boolean;
+
+  /** Whether to also build the average-profile trajectory. Default: true */
+  calculateAverage?: boolean;
+
+  /** Last age of the trajectory. Default: 90 */
+  endAge?: number;
+
+  /** Integration engine. Default: 'r-compatible' */
+  integration?: IntegrationEngine;
+
+  /** Monthly or daily step grid for the exact engine */
+  integrationStep?: IntegrationStep | null;
+
+  /** Registered model id or model definition. Default: 'nci-bcrat' */
+  model?: ModelReference;
+
+  /** λ₁/λ₂ tables that replace the model's rates */
+  rates?: RateSet | null;
+
+  /** 1-AR for ages < 50 and >= 50 that replaces the model's, e.g. from calculateOneMinusAR() */
+  oneMinusAR?: number[] | null;
+
+  /**
+   * Mammographic density extension: multiplies in the relative risk for the
+   * profile's breastDensity and uses the density model's 1-AR and betas.
+   * Cannot be combined with oneMinusAR.
+   */
+  density?: DensityModel | null;
+
+  /**
+   * Divide 1-AR by the population mean relative risk of each of the profile's
+   * relativeRiskMultipliers. Default: false
+   */
+  adjustOneMinusAR?: boolean;
+}
+
+/**
+ * Result of a cumulative risk trajectory calculation.
+ */
+export interface RiskTrajectoryResult {
+  /** Whether the calculation succeeded */
+  success: boolean;
+
+  /** First age of the trajectory (the profile's initialAge) */
+  initialAge: number | null;
+
+  /** Last age of the trajectory */
+  endAge: number | null;
+
+  /** Integration engine and step used. Null if the calculation did not get that far. */
+  integration: IntegrationInfo | null;
+
+  /** Trajectory for the individualized risk profile */
+  individual: TrajectoryPoint[] | null;
+
+  /** Trajectory for the average risk profile. Null if not requested. */
+  average: TrajectoryPoint[] | null;
+
+  /** Relative risk multiplier for women under age 50 */
+  relativeRiskUnder50: number | null;
+
+  /** Relative risk multiplier for women age 50 and older */
+  relativeRiskAtOrAbove50: number | null;
+
+  /** Pattern number (1-108) of the categorical risk factors */
+  patternNumber: number | null;
+
+  /** Human-readable race/ethnicity label from RaceLabels */
+  raceEthnicity: string | null;
+
+  /** What produced the result, as for RiskResult. The options hash covers the trajectory options. */
+  provenance: ResultProvenance | null;
+
+  /** Validation details */
+  validation: ValidationResult;
+
+  /** Recoded values used in the calculation */
+  recodedValues: RecodedValues | null;
+
+  /** Error object if an unexpected error occurred. Null otherwise. */
+  error: {
+    message: string;
+    stack?: string;
+  } | null;
+}
+
+/**
+ * Calculates the year-by-year cumulative risk trajectory for an individual.
+ *
+ * Validation, recoding and relative risk are computed once, and a single
+ * integration pass from initialAge to the end age yields the cumulative
+ * absolute risk, interval hazard and survival at the end of every year.
+ * The profile's projectionEndAge is not required.
+ *
+ * @param data - An individual's risk factor data
+ * @param options - Trajectory options
+ * @returns Trajectory result
+ *
+ * @example
+ * ```typescript
+ * const trajectory = calculateRiskTrajectory(profile);
+ * trajectory.individual?.forEach((point) => {
+ *   console.log(`By age ${point.age}: ${point.cumulativeRisk.toFixed(2)}%`);
+ * });
+ * ```
+ */
+export function calculateRiskTrajectory(
+  data: Omit<RiskFactorProfile, 'projectionEndAge'> &
+    Partial<Pick<RiskFactorProfile, 'projectionEndAge'>>,
+  options?: RiskTrajectoryOptions
+): RiskTrajectoryResult;
+
+/**
+ * Metrics used by clinical threshold sets (absolute risk in percent).
+ */
+export type ClinicalMetric = 'fiveYearRisk' | 'lifetimeRisk';
+
+/**
+ * Named, versioned set of clinical thresholds.
+ */
+export interface ClinicalThresholdSet {
+  /** Set name, e.g. "us-guidelines" */
+  id: string;
+
+  /** Set version, e.g. "1.0.0" */
+  version: string;
+
+  /** Display name */
+  name?: string;
+
+  /** Independent thresholds; a rule is met when the metric is at or above its threshold */
+  rules?: ReadonlyArray<{
+    id: string;
+    label?: string;
+    metric: ClinicalMetric;
+    threshold: number;
+    source?: string;
+    caveat?: string | null;
+  }>;
+
+  /** Mutually exclusive categories in increasing order of min */
+  bands?: {
+    metric: ClinicalMetric;
+    source?: string;
+    categories: ReadonlyArray<{ id: string; label?: string; min: number }>;
+  };
+}
+
+/**
+ * Outcome of one threshold rule.
+ */
+export interface ClassificationAssignment {
+  id: string;
+  label: string;
+  metric: ClinicalMetric;
+
+  /** Metric value (0-100). Null if not calculated. */
+  value: number | null;
+
+  threshold: number;
+
+  /** Whether value ≥ threshold. Null if the metric was not calculated. */
+  met: boolean | null;
+
+  /** Human-readable explanation of the outcome */
+  rationale: string;
+
+  source: string | null;
+
+  /** Caveat on applying the rule to Gail model estimates */
+  caveat: string | null;
+}
+
+/**
+ * Result of a clinical risk classification.
+ */
+export interface RiskClassification {
+  success: boolean;
+  thresholdSet: { id: string; version: string; name: string } | null;
+  metrics: { fiveYearRisk: number | null; lifetimeRisk: number | null };
+
+  /** Band assignment. Null if the set has no bands. */
+  category: {
+    id: string | null;
+    label: string | null;
+    metric: ClinicalMetric;
+    value: number | null;
+    rationale: string;
+    source: string | null;
+  } | null;
+
+  /** One entry per rule, in set order */
+  assignments: ClassificationAssignment[];
+
+  /** Reasons classification could not run */
+  errors: string[];
+}
+
+/**
+ * Assigns guideline categories to absolute risk estimates.
+ *
+ * Accepts plain metrics or a RiskResult. From a RiskResult, the 5-year risk
+ * comes from the result or horizon with a 5-year projection interval and the
+ * lifetime risk from the horizon ending at age 90.
+ *
+ * @param input - Risk result or plain metrics (percentages)
+ * @param options - Threshold set as "id@version", "id" (latest) or a custom set
+ * @returns Classification with rationale strings
+ *
+ * @example
+ * ```typescript
+ * const result = calculateRisk(profile, { horizons: [5, { endAge: 90 }] });
+ * const { category, assignments } = classifyRisk(result);
+ * ```
+ */
+export function classifyRisk(
+  input:
+    | RiskResult
+    | { fiveYearRisk?: number | null; lifetimeRisk?: number | null },
+  options?: { thresholdSet?: string | ClinicalThresholdSet }
+): RiskClassification;
+
+/**
+ * Lists the built-in clinical threshold sets.
+ */
+export function listClinicalThresholdSets(): Array<{
+  key: string;
+  id: string;
+  version: string;
+  name: string;
+}>;
+
+/**
+ * Options for findAgeAtRiskThreshold().
+ */
+export interface RiskThresholdOptions {
+  /** Absolute risk threshold as a percentage (0-100, exclusive) */
+  threshold: number;
+
+  /** Risk horizon: years ahead, or a RiskHorizon object. Default: 5 */
+  horizon?: number | RiskHorizon;
+
+  /** Spacing of candidate start ages in years. Default: 1 */
+  step?: number;
+
+  /** Whether input data is in raw format (true) or already recoded (false). Default: true */
+  rawInput?: boolean;
+
+  /** Integration engine. Default: 'r-compatible' */
+  integration?: IntegrationEngine;
+
+  /** Monthly or daily step grid for the exact engine */
+  integrationStep?: IntegrationStep | null;
+
+  /** Registered model id or model definition. Default: 'nci-bcrat' */
+  model?: ModelReference;
+
+  /** λ₁/λ₂ tables that replace the model's rates */
+  rates?: RateSet | null;
+
+  /** 1-AR for ages < 50 and >= 50 that replaces the model's, e.g. from calculateOneMinusAR() */
+  oneMinusAR?: number[] | null;
+
+  /**
+   * Mammographic density extension: multiplies in the relative risk for the
+   * profile's breastDensity and uses the density model's 1-AR and betas.
+   * Cannot be combined with oneMinusAR.
+   */
+  density?: DensityModel | null;
+
+  /**
+   * Divide 1-AR by the population mean relative risk of each of the profile's
+   * relativeRiskMultipliers. Default: false
+   */
+  adjustOneMinusAR?: boolean;
+}
+
+/**
+ * Result of an age-at-threshold search.
+ */
+export interface RiskThresholdResult {
+  /** Whether the search ran. A threshold that is never reached is still a success. */
+  success: boolean;
+
+  /** Absolute risk threshold searched for (0-100) */
+  threshold: number | null;
+
+  /** Horizon label, e.g. "5-year" or "to age 90" */
+  horizon: string | null;
+
+  /** Whether the threshold is reached before age 90 */
+  reached: boolean;
+
+  /** Earliest start age at which the horizon risk reaches the threshold */
+  age: number | null;
+
+  /** Horizon risk at that age (0-100) */
+  absoluteRisk: number | null;
+
+  /** End of the horizon window starting at that age */
+  projectionEndAge: number | null;
+
+  /** Human-readable summary */
+  message: string | null;
+
+  /** Integration engine and step used. Null if the search did not get that far. */
+  integration: IntegrationInfo | null;
+
+  relativeRiskUnder50: number | null;
+  relativeRiskAtOrAbove50: number | null;
+  patternNumber: number | null;
+  raceEthnicity: string | null;
+
+  /** What produced the result, as for RiskResult. The options hash covers the search options. */
+  provenance: ResultProvenance | null;
+
+  /** Validation details */
+  validation: ValidationResult;
+
+  /** Recoded values used in calculation */
+  recodedValues: RecodedValues | null;
+
+  /** Error details if an unexpected error occurred */
+  error: {
+    message: string;
+    stack?: string;
+  } | null;
+}
+
+/**
+ * Finds the earliest age at which risk over a horizon reaches a threshold,
+ * holding risk factors fixed.
+ *
+ * A years-ahead horizon is only evaluated while its full window ends by age 90.
+ * If the threshold is never reached, `reached` is false and `message` says so.
+ *
+ * @param data - Risk factor data (projectionEndAge is ignored)
+ * @param options - Threshold, horizon and search options
+ * @returns Search result
+ *
+ * @example
+ * ```typescript
+ * const result = findAgeAtRiskThreshold(profile, { threshold: 1.67 });
+ * console.log(result.reached ? result.age : result.message);
+ * ```
+ */
+export function findAgeAtRiskThreshold(
+  data: Omit<RiskFactorProfile, 'projectionEndAge'> &
+    Partial<Pick<RiskFactorProfile, 'projectionEndAge'>>,
+  options: RiskThresholdOptions
+): RiskThresholdResult;
+
+/**
+ * Calculates breast cancer risk for multiple individuals (batch processing).
+ *
+ * Processes an array of individual data objects independently. Each calculation
+ * is isolated - no state is shared between individuals. Results carry no
+ * provenance unless `provenance: true` is passed.
+ *
+ * @param individuals - Array of individual risk factor data
+ * @param options - Calculation options (applied to all individuals)
+ * @returns Array of risk calculation results
+ *
+ * @example
+ * ```typescript
+ * const individuals = [
+ *   { id: 1, initialAge: 45, projectionEndAge: 50, race: 1, ... },
+ *   { id: 2, initialAge: 50, projectionEndAge: 60, race: 2, ... }
+ * ];
+ *
+ * const results = calculateBatchRisk(individuals);
+ * results.forEach((result, i) => {
+ *   if (result.success) {
+ *     console.log(`Individual ${i+1}: ${result.absoluteRisk?.toFixed(2)}% risk`);
+ *   }
+ * });
+ * ```
+ */
+export function calculateBatchRisk(
+  individuals: RiskFactorProfile[],
+  options?: RiskCalculationOptions
+): ExtendedRiskResult[];
+
+/**
+ * Risk factor fields that may be changed in a counterfactual.
+ */
+export type CounterfactualField =
+  | 'numBreastBiopsies'
+  | 'atypicalHyperplasia'
+  | 'ageAtMenarche'
+  | 'ageAtFirstBirth'
+  | 'numRelativesWithBrCa';
+
+/**
+ * Counterfactual fields mapped to the recoded values each one feeds into.
+ */
+export const COUNTERFACTUAL_FIELDS: Readonly<
+  Record<CounterfactualField, readonly string[]>
+>;
+
+/**
+ * One hypothetical change in a counterfactual comparison.
+ */
+export interface CounterfactualChange {
+  /** Changed profile field */
+  field: CounterfactualField;
+
+  /** Baseline value */
+  from: number;
+
+  /** Counterfactual value */
+  to: number;
+
+  /** Whether the change alone moves the relative risk for this race */
+  hasEffect: boolean;
+
+  /** Why the change has no effect. Null when it has an effect. */
+  note: string | null;
+}
+
+/**
+ * Result of a counterfactual ("what-if") risk comparison.
+ */
+export interface CounterfactualResult {
+  /** Whether both baseline and counterfactual were calculated */
+  success: boolean;
+
+  /** Result for the profile as given */
+  baseline: ExtendedRiskResult | null;
+
+  /** Result for the profile with the changes applied */
+  counterfactual: ExtendedRiskResult | null;
+
+  /** Counterfactual minus baseline absolute risk, in percentage points */
+  absoluteRiskDifference: number | null;
+
+  /** Counterfactual divided by baseline absolute risk. Null if the baseline risk is 0. */
+  absoluteRiskRatio: number | null;
+
+  /** One entry per changed field, in the order given */
+  changes: CounterfactualChange[];
+
+  /** Provenance of the baseline result, with the input hash taken over the profile and the changes together */
+  provenance: ResultProvenance | null;
+
+  /** Combined validation messages, prefixed with "Baseline:" or "Counterfactual:" */
+  validation: {
+    isValid: boolean;
+    errors: string[];
+    warnings: string[];
+    errorDetails: ValidationIssue[];
+    warningDetails: ValidationIssue[];
+  };
+
+  /** Error details if an unexpected error occurred */
+  error: {
+    message: string;
+    stack?: string;
+  } | null;
+}
+
+/**
+ * Calculates baseline and counterfactual risk for a set of hypothetical risk factor changes.
+ *
+ * Both profiles go through the full validation and recoding workflow, so
+ * race-specific pooling rules apply. Changes that do not move the model for
+ * the individual's race are flagged with `hasEffect: false`.
+ *
+ * @param data - Baseline risk factor data
+ * @param changes - Hypothetical values for modifiable risk factors
+ * @param options - Calculation options used for both profiles
+ * @returns Baseline, counterfactual and the difference
+ *
+ * @example
+ * ```typescript
+ * const result = calculateCounterfactualRisk(profile, { ageAtFirstBirth: 25 });
+ * console.log(result.absoluteRiskDifference);
+ * ```
+ */
+export function calculateCounterfactualRisk(
+  data: RiskFactorProfile,
+  changes: Partial<Pick<RiskFactorProfile, CounterfactualField>>,
+  options?: RiskCalculationOptions
+): CounterfactualResult;
+
+/**
+ * Raw fields whose unknown (99) values calculateRiskBounds() enumerates.
+ */
+export const RISK_BOUND_FIELDS: readonly [
+  'numBreastBiopsies',
+  'ageAtMenarche',
+  'ageAtFirstBirth',
+  'numRelativesWithBrCa',
+];
+
+/**
+ * One end of a risk range over the unknown fields.
+ */
+export interface RiskBound {
+  /** Absolute risk of the profile, in percent */
+  absoluteRisk: number;
+
+  /** Profile with the unknown fields filled in */
+  profile: RiskFactorProfile;
+
+  /** Recoded values of the profile */
+  recodedValues: RecodedValues;
+}
+
+/**
+ * Range of absolute risk over the admissible values of unknown fields.
+ */
+export interface RiskBoundsResult {
+  /** Whether the baseline and at least one admissible profile were calculated */
+  success: boolean;
+
+  /** Result for the profile as given, with unknown fields in category 0 */
+  baseline: ExtendedRiskResult | null;
+
+  /** Admissible profile with the lowest absolute risk */
+  minimum: RiskBound | null;
+
+  /** Admissible profile with the highest absolute risk */
+  maximum: RiskBound | null;
+
+  /** Unknown fields whose values were enumerated, including atypicalHyperplasia when every status was tried */
+  fields: string[];
+
+  /** Number of admissible profiles calculated */
+  profilesEvaluated: number;
+
+  /** Provenance of the baseline result */
+  provenance: ResultProvenance | null;
+
+  /** Validation messages of the profile as given */
+  validation: {
+    isValid: boolean;
+    errors: string[];
+    warnings: string[];
+    errorDetails: ValidationIssue[];
+    warningDetails: ValidationIssue[];
+  };
+
+  /** Error details if an unexpected error occurred */
+  error: {
+    message: string;
+    stack?: string;
+  } | null;
+}
+
+/**
+ * Calculates the lowest and highest risk over the admissible values of unknown fields.
+ *
+ * Every recoded category of each unknown (99) field is tried, following the
+ * race-specific pooling rules, together with every atypical hyperplasia
+ * status for profiles with biopsies when hyperplasia is unknown. Profiles
+ * inconsistent with the known answers are skipped.
+ *
+ * @param data - Risk factor data with unknown answers
+ * @param options - Calculation options (`rawInput: false` and `imputation` are not supported)
+ * @returns Baseline result and the risk bounds
+ *
+ * @example
+ * ```typescript
+ * const bounds = calculateRiskBounds({ ...profile, numRelativesWithBrCa: 99 });
+ * console.log(bounds.minimum?.absoluteRisk, bounds.maximum?.absoluteRisk);
+ * ```
+ */
+export function calculateRiskBounds(
+  data: RiskFactorProfile,
+  options?: RiskCalculationOptions
+): RiskBoundsResult;
+
+/**
+ * Validates and recodes input data for breast cancer risk assessment.
+ *
+ * This function performs comprehensive validation and transforms raw input values
+ * into categorical variables used by the BCRAT model. Different race groups may
+ * have different recoding rules.
+ *
+ * @param data - Raw risk factor data
+ * @param rawInput - Whether inputs are in raw format. Default: true
+ * @param options - Model whose race codes and recoding rules apply, and the validation profile
+ * @returns Validation result with recoded values or errors
+ */
+export function recodeAndValidate(
+  data: RiskFactorProfile,
+  rawInput?: boolean,
+  options?: {
+    model?: ModelReference;
+    validationProfile?: ValidationProfileName;
+  }
+): ValidationResult;
+
+/**
+ * Explains how each risk factor of valid data was recoded: the rule applied,
+ * the population's categories and any race-specific pooling.
+ *
+ * @param data - Risk factor data, as validated
+ * @param validation - Result of recodeAndValidate() for the data
+ * @param rawInput - Whether inputs are in raw format. Default: true
+ * @param options - Model whose recoding rules apply
+ * @returns One decision per risk factor, or null if validation failed
+ */
+export function explainRecoding(
+  data: RiskFactorProfile,
+  validation: ValidationResult,
+  rawInput?: boolean,
+  options?: { model?: ModelReference }
+): RecodingDecision[] | null;
+
+/**
+ * Calculates relative risk using logistic regression with race-specific coefficients.
+ *
+ * This is a lower-level function typically used internally by calculateRisk().
+ * Most users should use calculateRisk() instead.
+ *
+ * @param validation - Validation result containing recoded values
+ * @param race - Race code (1-11)
+ * @returns Object containing relative risks for age <50 and ≥50, and pattern number
+ */
+export function calculateRelativeRisk(
+  validation: ValidationResult,
+  race: number,
+  options?: {
+    /** Model supplying the coefficients. Default: 'nci-bcrat' */
+    model?: ModelReference;
+
+    /** Beta coefficients to use instead of the model's */
+    beta?: number[];
+  }
+): {
+  relativeRiskUnder50: number | null;
+  relativeRiskAtOrAbove50: number | null;
+  patternNumber: number | null;
+};
+
+/**
+ * Breaks the relative risk down into per-risk-factor contributions to the
+ * linear predictor and the corresponding multiplicative factors.
+ *
+ * @param validation - Validation result containing recoded values
+ * @param race - Race code (1-11)
+ * @returns Contributions, or null if validation failed
+ */
+export function calculateRelativeRiskContributions(
+  validation: ValidationResult,
+  race: number,
+  options?: {
+    /** Model supplying the coefficients. Default: 'nci-bcrat' */
+    model?: ModelReference;
+
+    /** Beta coefficients to use instead of the model's */
+    beta?: number[];
+  }
+): RelativeRiskContributions | null;
+
+/**
+ * Calculates absolute risk using numerical integration.
+ *
+ * This is a lower-level function typically used internally by calculateRisk().
+ * Most users should use calculateRisk() instead.
+ *
+ * @param data - Risk factor data
+ * @param validation - Validation result
+ * @param relativeRisk - Relative risk calculation result
+ * @param calculateAverage - Whether to calculate average risk. Default: false
+ * @param options - Window risk mode and integration engine
+ * @returns Absolute risk as a percentage, or null if it could not be calculated
+ */
+export function calculateAbsoluteRisk(
+  data: RiskFactorProfile,
+  validation: ValidationResult,
+  relativeRisk: ReturnType<typeof calculateRelativeRisk>,
+  calculateAverage?: boolean,
+  options?: AbsoluteRiskOptions
+): number | null;
+
+/**
+ * Calculates the cumulative absolute risk trajectory over the projection interval.
+ *
+ * This is a lower-level function typically used internally by calculateRiskTrajectory().
+ *
+ * @param data - Risk factor data
+ * @param validation - Validation result
+ * @param relativeRisk - Relative risk calculation result
+ * @param calculateAverage - Whether to calculate the average-profile trajectory. Default: false
+ * @param options - Model supplying the rates
+ * @returns One point per interval end, or null if validation failed
+ */
+export function calculateAbsoluteRiskTrajectory(
+  data: RiskFactorProfile,
+  validation: ValidationResult,
+  relativeRisk: ReturnType<typeof calculateRelativeRisk>,
+  calculateAverage?: boolean,
+  options?: Pick<
+    AbsoluteRiskOptions,
+    'integration' | 'integrationStep' | 'model' | 'rates'
+  >
+): TrajectoryPoint[] | null;
+
+/**
+ * Records every integration interval behind calculateAbsoluteRisk(), with the
+ * 1-AR values used.
+ *
+ * @param data - Risk factor data
+ * @param validation - Validation result
+ * @param relativeRisk - Relative risk calculation result
+ * @param calculateAverage - Whether to trace the average risk. Default: false
+ * @param options - Options as for calculateAbsoluteRisk()
+ * @returns Trace whose absoluteRisk equals calculateAbsoluteRisk(), or null if validation failed
+ */
+export function calculateAbsoluteRiskTrace(
+  data: RiskFactorProfile,
+  validation: ValidationResult,
+  relativeRisk: ReturnType<typeof calculateRelativeRisk>,
+  calculateAverage?: boolean,
+  options?: AbsoluteRiskOptions
+): IntegrationTrace | null;
+
+/**
+ * Lists the rate tables and 1-AR values a calculation for a race would use,
+ * picked as calculateAbsoluteRisk() picks them and expanded to single years.
+ *
+ * @param race - Race code
+ * @param options - Model, rate set and 1-AR values
+ * @returns 70 single-year rates (ages 20-89) per table and the 1-AR values, or null if the
+ *   population is missing or the rate set is invalid
+ */
+export function listRateTables(
+  race: number,
+  options?: Pick<AbsoluteRiskOptions, 'model' | 'rates' | 'oneMinusAR'>
+): {
+  lambda1: number[];
+  lambda2: number[];
+  averageLambda1: number[];
+  averageLambda2: number[];
+  oneMinusAR: number[];
+} | null;
+
+/**
+ * Splits the projection window into three competing outcomes: breast cancer,
+ * death from competing causes first, and alive and cancer-free at projectionEndAge.
+ *
+ * @param data - Risk factor data
+ * @param validation - Validation result
+ * @param relativeRisk - Relative risk calculation result
+ * @param calculateAverage - Whether to decompose outcomes for the average profile. Default: false
+ * @param options - Integration engine and step
+ * @returns Outcome percentages summing to 100, or null if validation failed
+ */
+export function calculateCompetingRiskOutcomes(
+  data: RiskFactorProfile,
+  validation: ValidationResult,
+  relativeRisk: ReturnType<typeof calculateRelativeRisk>,
+  calculateAverage?: boolean,
+  options?: Pick<
+    AbsoluteRiskOptions,
+    'integration' | 'integrationStep' | 'model' | 'rates'
+  >
+): CompetingRiskOutcomes | null;
+
+/**
+ * Calculates a confidence interval for the individualized absolute risk
+ * from beta coefficient uncertainty (delta method or seeded Monte Carlo).
+ *
+ * @param data - Risk factor data
+ * @param validation - Validation result
+ * @param options - Interval options
+ * @returns The interval, or an error message explaining why it could not be computed
+ */
+export function calculateConfidenceInterval(
+  data: RiskFactorProfile,
+  validation: ValidationResult,
+  options?: ConfidenceIntervalOptions
+): { interval: ConfidenceInterval | null; error: string | null };
+
 /**
  * Expands 5-year age group rates into single-year rates.
  *
@@ -469,6 +2643,7 @@ export * as constants from './constants';
 declare const defaultExport: {
   calculateRisk: typeof calculateRisk;
   calculateBatchRisk: typeof calculateBatchRisk;
+  calculateRiskTrajectory: typeof calculateRiskTrajectory;
   VERSION: string;
 };
 